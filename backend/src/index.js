@@ -8,14 +8,19 @@ import bcrypt from 'bcryptjs';
 import { logger } from './utils/logger.js';
 import { databaseManager } from './services/database.js';
 import { schemaService } from './services/schemaService.js';
-import { zoMCP } from './services/mcpClient.js';
+import { zoMCP, ZO_SERVER_ID } from './services/mcpClient.js';
 import { llmClient } from './services/llmClient.js';
+import { providerRegistry } from './services/providerRegistry.js';
 import { personaManager } from './services/personaManager.js';
 import { memoryManager } from './services/memoryManager.js';
 import { settingsManager } from './services/settingsManager.js';
 import { proactivePersonaManager } from './services/proactivePersonaManager.js';
 import { proactiveScheduler } from './services/proactiveScheduler.js';
+import { trashService } from './services/trashService.js';
+import { compressionService } from './services/compressionService.js';
+import { addLog } from './services/logStore.js';
 import chatRouter from './routes/chat.js';
+import statsRouter from './routes/stats.js';
 
 // ES module __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -65,34 +70,104 @@ app.use((req, res, next) => {
 
 // API Routes (must be before static files)
 app.use('/api/chat', chatRouter);
+app.use('/api/stats', statsRouter);
 
 // Health check
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     mcpConnected: zoMCP.isConnected,
+    // Per-server status, reconnect state and recent connection history
+    mcpServers: zoMCP.listServers({ includeHistory: true }),
     authEnabled: !!(authPassword && authPassword.length > 0),
     timestamp: new Date().toISOString()
   });
 });
 
-// Get MCP tools
+// Get MCP tools (with the server each comes from) and the configured servers
 app.get('/api/tools', (req, res) => {
   const tools = zoMCP.getAvailableTools();
-  res.json({ tools });
+  res.json({ tools, servers: zoMCP.listServers() });
 });
 
 // Get the exact tools payload sent to the model (for inspection)
 // This is the same array passed as the "tools" parameter to the chat completion API.
+// Pass ?profile=<id> to preview the payload for a tool profile; without it the default profile applies.
 app.get('/api/tools/for-llm', (req, res) => {
-  const tools = zoMCP.getToolsForLLM();
+  const requestedProfile = typeof req.query.profile === 'string' ? req.query.profile : null;
+  if (requestedProfile && !settingsManager.hasToolProfile(requestedProfile)) {
+    return res.status(404).json({ error: `Unknown tool profile: ${requestedProfile}` });
+  }
+
+  const { profile, allow } = settingsManager.resolveToolProfile(requestedProfile);
+  const tools = zoMCP.getToolsForLLM({ allow });
   res.json({
     description: 'Exact payload sent to the model: the "tools" parameter in the chat completion API request. Built from zoMCP.getToolsForLLM().',
+    profile,
+    allow,
     tool_choice: tools.length > 0 ? 'auto' : undefined,
     tools
   });
 });
 
+// MCP resources and prompts from every connected server
+function sendMCPError(res, error, fallbackMessage) {
+  const status = error.code === 'MCP_DISCONNECTED' ? 503
+    : error.code === 'MCP_UNKNOWN_SERVER' || error.code === 'MCP_UNKNOWN_PROMPT' ? 404
+    // JSON-RPC invalid params, e.g. a missing required prompt argument
+    : error.code === -32602 ? 400
+    : 500;
+  logger.error(fallbackMessage, error);
+  res.status(status).json({ error: status === 500 ? `${fallbackMessage}: ${error.message}` : error.message });
+}
+
+// Re-list tools (plus resources and prompts) without restarting. ?server=<id> limits it
+// to one server. Returns what changed in the tool set the model sees.
+app.post('/api/tools/refresh', async (req, res) => {
+  const serverId = typeof req.query.server === 'string' ? req.query.server : null;
+  try {
+    res.json({ success: true, ...await zoMCP.refreshTools({ serverId }) });
+  } catch (error) {
+    sendMCPError(res, error, 'Failed to refresh tools');
+  }
+});
+
+app.get('/api/resources', (req, res) => {
+  res.json({ resources: zoMCP.listResources() });
+});
+
+// ?server=<id>&uri=<resource uri>
+app.get('/api/resources/read', async (req, res) => {
+  const { server, uri } = req.query;
+  if (typeof server !== 'string' || typeof uri !== 'string' || !uri) {
+    return res.status(400).json({ error: 'server and uri query parameters are required' });
+  }
+
+  try {
+    res.json({ server, uri, contents: await zoMCP.readResource(server, uri) });
+  } catch (error) {
+    sendMCPError(res, error, 'Failed to read resource');
+  }
+});
+
+app.get('/api/prompts', (req, res) => {
+  res.json({ prompts: zoMCP.listPrompts() });
+});
+
+// Body: { arguments: { [name]: string } }. Returns the rendered messages and their joined text.
+app.post('/api/prompts/:name/render', async (req, res) => {
+  const args = req.body?.arguments || {};
+  if (typeof args !== 'object' || Array.isArray(args) || Object.values(args).some(value => typeof value !== 'string')) {
+    return res.status(400).json({ error: 'arguments must be an object of string values' });
+  }
+
+  try {
+    res.json(await zoMCP.getPrompt(req.params.name, args));
+  } catch (error) {
+    sendMCPError(res, error, 'Failed to render prompt');
+  }
+});
+
 // Serve static files from frontend build (production mode)
 // __dirname is /backend/src, so go up one level to /backend then into /public
 const frontendPath = path.join(__dirname, '../public');
@@ -120,9 +195,6 @@ async function start() {
     if (!process.env.ZO_API_KEY) {
       throw new Error('ZO_API_KEY is not set in environment variables');
     }
-    if (!process.env.ZAI_API_KEY) {
-      throw new Error('ZAI_API_KEY is not set in environment variables');
-    }
 
     logger.info('Starting Zo Chat Backend...');
 
@@ -133,11 +205,16 @@ async function start() {
 
     // Initialize MCP client (required for settings, persona, and memory managers)
     await zoMCP.connect(process.env.ZO_API_KEY);
+    zoMCP.on('status', handleMCPStatus);
+    zoMCP.on('tools_changed', (event) => addLog('tools_changed', event));
 
     // Initialize Settings Manager FIRST (may be a dependency for other services)
     await settingsManager.initialize();
     logger.info('Settings Manager initialized');
 
+    // Connect any extra MCP servers from settings (failures are logged, not fatal)
+    await zoMCP.configureServers(settingsManager.getSettings().mcp);
+
     // Initialize Memory Manager (depends on MCP)
     await memoryManager.initialize();
     logger.info('Memory Manager initialized');
@@ -321,16 +398,20 @@ async function start() {
       };
     });
 
-    // Initialize LLM client
-    llmClient.initialize(process.env.ZAI_API_KEY);
+    // Initialize LLM client (providers come from env keys + the `llm` settings entry)
+    llmClient.initialize(settingsManager.getSettings().llm);
 
     // Configure proactive scheduler from settings (after LLM is ready)
     proactiveScheduler.configure(settingsManager.getSettings().proactive);
 
+    // Purge conversations that have been in the trash past the retention period
+    trashService.configure(settingsManager.getSettings().trash);
+
     // Start Express server
     app.listen(PORT, () => {
       logger.info(`Server running on http://localhost:${PORT}`);
-      logger.info(`Model: ${process.env.MODEL_NAME || 'glm-4-flash'}`);
+      const { provider, model } = providerRegistry.resolve();
+      logger.info(`LLM provider: ${provider.label} (${provider.id}), model: ${model}`);
       logger.info(`Available MCP tools: ${zoMCP.getAvailableTools().length}`);
       logger.info(`System message loaded from: /home/workspace/zo_chat_memories/initial_persona.json`);
       logger.info(`Memories loaded: ${memoryManager.getMemories().length} total`);
@@ -342,10 +423,38 @@ async function start() {
   }
 }
 
+// Settings, memories and personas live on the Zo filesystem. While Zo is down
+// they may have fallen back to defaults, so re-read them once it is back.
+async function reloadZoBackedState() {
+  try {
+    const settings = await settingsManager.reloadSettings();
+    compressionService.reloadConfig();
+    proactiveScheduler.configure(settings.proactive);
+    trashService.configure(settings.trash);
+    llmClient.reloadConfig(settings.llm);
+    await zoMCP.configureServers(settings.mcp);
+  } catch (error) {
+    logger.error('Failed to reload settings after MCP reconnect:', error);
+  }
+
+  await memoryManager.reloadMemories();
+  await personaManager.reloadPersona();
+  await proactivePersonaManager.reloadPersona();
+  logger.info('Reloaded Zo-backed state after MCP reconnect');
+}
+
+function handleMCPStatus(event) {
+  addLog('mcp_status', event);
+  if (event.serverId === ZO_SERVER_ID && event.status === 'connected' && event.reconnected) {
+    reloadZoBackedState();
+  }
+}
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully...');
   proactiveScheduler.stop();
+  trashService.stop();
   await zoMCP.disconnect();
   databaseManager.close();
   process.exit(0);
@@ -354,6 +463,7 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully...');
   proactiveScheduler.stop();
+  trashService.stop();
   await zoMCP.disconnect();
   databaseManager.close();
   process.exit(0);
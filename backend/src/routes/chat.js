@@ -5,17 +5,36 @@ import { memoryManager } from '../services/memoryManager.js';
 import { compressionService } from '../services/compressionService.js';
 import { settingsManager } from '../services/settingsManager.js';
 import { proactiveScheduler } from '../services/proactiveScheduler.js';
+import { trashService } from '../services/trashService.js';
+import { exportService, EXPORT_FORMATS } from '../services/exportService.js';
 import { proactivePersonaManager } from '../services/proactivePersonaManager.js';
 import { PROACTIVE_CONVERSATION_ID, PROACTIVE_TRIGGER_MESSAGE } from '../services/proactiveService.js';
 import { activeChatManager } from '../services/activeChatManager.js';
-import { runChatCompletion, runChatStream } from '../services/chatPipeline.js';
+import { runChatCompletion, runChatStream, resolveAttachments, compressConversation } from '../services/chatPipeline.js';
+import { compressionSummaryService } from '../services/compressionSummaryService.js';
+import { searchService, SEARCH_ROLES, SEARCH_SOURCES } from '../services/searchService.js';
+import { titleService, MAX_TITLE_LENGTH, MAX_SHORT_SUMMARY_LENGTH } from '../services/titleService.js';
+import {
+  organizationService,
+  MAX_FOLDER_NAME_LENGTH,
+  MAX_TAGS,
+  MAX_TAG_LENGTH
+} from '../services/organizationService.js';
+import { llmClient } from '../services/llmClient.js';
+import { providerRegistry } from '../services/providerRegistry.js';
+import { rateLimitTracker } from '../services/rateLimitTracker.js';
+import { toolApprovalService } from '../services/toolApprovalService.js';
+import { zoMCP } from '../services/mcpClient.js';
 import {
   conversations,
   compressionMetadata,
   conversationActivity,
   compressionLocks,
+  conversationOptions,
   touchConversation,
   ensureCompressionMetadata,
+  ensureConversationOptions,
+  loadConversationOptions,
   startConversationCleanup,
   shouldLogSystemMessage,
   markSystemMessageAsLogged
@@ -36,6 +55,73 @@ function sendError(res, statusCode, message, details = null) {
   res.status(statusCode).json(error);
 }
 
+const TOOL_CHOICE_MODES = ['auto', 'none', 'required'];
+
+// Validate a partial per-conversation options update; returns { error } or { updates }
+function parseConversationOptions(body = {}) {
+  const updates = {};
+
+  if ('provider' in body) {
+    if (body.provider !== null && !providerRegistry.has(body.provider)) {
+      return { error: `Unknown or unconfigured LLM provider: ${body.provider}` };
+    }
+    updates.provider = body.provider;
+  }
+
+  if ('model' in body) {
+    if (body.model !== null && (typeof body.model !== 'string' || !body.model.trim())) {
+      return { error: 'model must be a non-empty string or null' };
+    }
+    updates.model = body.model ? body.model.trim() : null;
+  }
+
+  const numericFields = [
+    ['temperature', 0, 2],
+    ['topP', 0, 1],
+    ['maxTokens', 1, 200000]
+  ];
+  for (const [field, min, max] of numericFields) {
+    if (!(field in body)) continue;
+    const value = body[field];
+    if (value !== null && (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max)) {
+      return { error: `${field} must be a number between ${min} and ${max} or null` };
+    }
+    if (field === 'maxTokens' && value !== null && !Number.isInteger(value)) {
+      return { error: 'maxTokens must be an integer' };
+    }
+    updates[field] = value;
+  }
+
+  if ('toolChoice' in body) {
+    if (body.toolChoice !== null && !TOOL_CHOICE_MODES.includes(body.toolChoice)) {
+      return { error: `toolChoice must be one of ${TOOL_CHOICE_MODES.join(', ')} or null` };
+    }
+    updates.toolChoice = body.toolChoice;
+  }
+
+  if ('toolProfile' in body) {
+    if (body.toolProfile !== null && !settingsManager.hasToolProfile(body.toolProfile)) {
+      return { error: `Unknown tool profile: ${body.toolProfile}` };
+    }
+    updates.toolProfile = body.toolProfile;
+  }
+
+  return { updates };
+}
+
+// SSE error event; retry details let the UI tell rate limits apart from hard failures
+function toStreamErrorEvent(error) {
+  const unavailable = error.code === 'MCP_DISCONNECTED';
+  return {
+    type: 'error',
+    error: error.status === 429
+      ? `LLM provider rate limit exceeded after ${error.attempts || 1} attempt(s). Please try again later.`
+      : error.message,
+    status: unavailable ? 503 : error.code === 'CONTEXT_WINDOW_EXCEEDED' ? 413 : error.status || null,
+    retryable: unavailable || !!error.retryable
+  };
+}
+
 function logSystemMessages({ conversationId, systemMessage, compressionMeta, context = 'chat' }) {
   const compressionSummary = compressionMeta?.compressionSummary && compressionMeta?.compressedMessageCount > 0
     ? compressionMeta.compressionSummary
@@ -69,16 +155,49 @@ function logSystemMessages({ conversationId, systemMessage, compressionMeta, con
   markSystemMessageAsLogged(conversationId, currentState);
 }
 
+const MAX_ATTACHMENTS = 10;
+
+// Read the MCP resources attached to a chat message; returns { attachments } or { status, error }
+async function loadAttachments(rawAttachments) {
+  if (rawAttachments === undefined || rawAttachments === null) {
+    return { attachments: [] };
+  }
+
+  if (!Array.isArray(rawAttachments) || rawAttachments.length > MAX_ATTACHMENTS ||
+      rawAttachments.some(item => typeof item?.server !== 'string' || typeof item?.uri !== 'string' || !item.uri)) {
+    return { status: 400, error: `attachments must be an array of up to ${MAX_ATTACHMENTS} { server, uri } objects` };
+  }
+
+  try {
+    return { attachments: await resolveAttachments(rawAttachments) };
+  } catch (error) {
+    logger.warn('Failed to read attached resource', { error: error.message });
+    if (error.code === 'MCP_DISCONNECTED') {
+      return { status: 503, error: error.message };
+    }
+    return { status: 400, error: `Failed to read attached resource: ${error.message}` };
+  }
+}
+
 // POST /api/chat - Send a message and get response
 router.post('/', async (req, res) => {
   let lock = null;
   try {
-    const { message, conversationId = 'default' } = req.body;
+    const { message, conversationId = 'default', provider = null } = req.body;
 
     if (!message) {
       return sendError(res, 400, 'Message is required');
     }
 
+    if (provider && !providerRegistry.has(provider)) {
+      return sendError(res, 400, `Unknown or unconfigured LLM provider: ${provider}`);
+    }
+
+    const { attachments, status: attachmentStatus, error: attachmentError } = await loadAttachments(req.body.attachments);
+    if (attachmentError) {
+      return sendError(res, attachmentStatus, attachmentError);
+    }
+
     const isProactiveConversation = conversationId === PROACTIVE_CONVERSATION_ID;
     const isSystemTrigger = isProactiveConversation && message === PROACTIVE_TRIGGER_MESSAGE;
     const triggerSource = isSystemTrigger ? 'manual_ui' : null;
@@ -117,7 +236,11 @@ router.post('/', async (req, res) => {
         : { source: 'base', context: 'chat' },
       compressionLogMeta: isProactiveConversation
         ? { proactive: true, source: 'compression_summary' }
-        : { source: 'compression_summary', context: 'chat' }
+        : { source: 'compression_summary', context: 'chat' },
+      provider,
+      attachments,
+      autoTitle: !isProactiveConversation,
+      signal: lock.signal
     });
 
     if (isProactiveConversation) {
@@ -128,7 +251,12 @@ router.post('/', async (req, res) => {
       message: result.message,
       conversationId,
       usage: result.usage,
-      toolCalls: result.toolCalls
+      context: result.context || null,
+      provider: result.provider,
+      model: result.model,
+      toolCalls: result.toolCalls,
+      title: result.title || null,
+      cancelled: !!result.cancelled
     });
 
     /* addLog('user_message', { conversationId, message });
@@ -312,7 +440,19 @@ router.post('/', async (req, res) => {
   */
   } catch (error) {
     logger.error('Chat request failed', error);
-    addLog('error', { error: error.message, stack: error.stack });
+    addLog('error', { error: error.message, stack: error.stack, attempts: error.attempts });
+    if (error.status === 429) {
+      return sendError(res, 429, 'LLM provider rate limit exceeded. Please try again later.', error.message);
+    }
+    if (error.code === 'MCP_DISCONNECTED') {
+      return sendError(res, 503, error.message);
+    }
+    if (error.code === 'CONTEXT_WINDOW_EXCEEDED') {
+      return sendError(res, 413, error.message);
+    }
+    if (error.code === 'RUN_UNWINDING') {
+      return sendError(res, 409, error.message);
+    }
     sendError(res, 500, 'Failed to process chat message', error.message);
   } finally {
     if (lock?.acquired) {
@@ -325,12 +465,21 @@ router.post('/', async (req, res) => {
 router.post('/stream', async (req, res) => {
   let lock = null;
   try {
-    const { message, conversationId = 'default' } = req.body;
+    const { message, conversationId = 'default', provider = null } = req.body;
 
     if (!message) {
       return sendError(res, 400, 'Message is required');
     }
 
+    if (provider && !providerRegistry.has(provider)) {
+      return sendError(res, 400, `Unknown or unconfigured LLM provider: ${provider}`);
+    }
+
+    const { attachments, status: attachmentStatus, error: attachmentError } = await loadAttachments(req.body.attachments);
+    if (attachmentError) {
+      return sendError(res, attachmentStatus, attachmentError);
+    }
+
     const isProactiveConversation = conversationId === PROACTIVE_CONVERSATION_ID;
     const isSystemTrigger = isProactiveConversation && message === PROACTIVE_TRIGGER_MESSAGE;
     const triggerSource = isSystemTrigger ? 'manual_ui' : null;
@@ -348,6 +497,19 @@ router.post('/stream', async (req, res) => {
 
     logger.info('Received streaming chat message', { conversationId, message });
 
+    // A closed tab or dropped connection cancels the run like the cancel endpoint does.
+    // Matched by token: this run may already be cancelled with a newer one holding the lock.
+    const { token } = lock;
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        const result = activeChatManager.cancel({ conversationId, token, reason: 'client_disconnected' });
+        if (result.cancelled) {
+          logger.info(`Run cancelled for conversation ${conversationId} (client disconnected)`);
+          addLog('run_cancelled', { conversationId, source: result.run.source, reason: 'client_disconnected' });
+        }
+      }
+    });
+
     // Set up SSE
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -379,6 +541,10 @@ router.post('/stream', async (req, res) => {
       compressionLogMeta: isProactiveConversation
         ? { proactive: true, source: 'compression_summary' }
         : { source: 'compression_summary', context: 'chat' },
+      provider,
+      attachments,
+      autoTitle: !isProactiveConversation,
+      signal: lock.signal,
       onEvent: (event) => {
         res.write(`data: ${JSON.stringify(event)}\n\n`);
       }
@@ -626,13 +792,10 @@ router.post('/stream', async (req, res) => {
   */
   } catch (error) {
     logger.error('Streaming chat failed', error);
-    addLog('error', { error: error.message, stack: error.stack });
+    addLog('error', { error: error.message, stack: error.stack, attempts: error.attempts });
 
     try {
-      res.write(`data: ${JSON.stringify({
-        type: 'error',
-        error: error.message
-      })}\n\n`);
+      res.write(`data: ${JSON.stringify(toStreamErrorEvent(error))}\n\n`);
       res.end();
     } catch (err) {
       // Response already closed
@@ -644,6 +807,82 @@ router.post('/stream', async (req, res) => {
   }
 });
 
+// POST /api/chat/stream/:id/cancel - Cancel the active run for a conversation
+// Aborts the model stream and any pending tool calls, and releases the active chat lock immediately.
+router.post('/stream/:id/cancel', (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = activeChatManager.cancel({ conversationId: id });
+
+    if (!result.cancelled) {
+      return sendError(res, 404, 'No active run for this conversation');
+    }
+
+    logger.info(`Run cancelled for conversation ${id}`, result.run);
+    addLog('run_cancelled', {
+      conversationId: id,
+      source: result.run.source,
+      startedAt: result.run.startedAt
+    });
+
+    res.json({ message: 'Run cancelled', run: result.run });
+  } catch (error) {
+    logger.error('Failed to cancel run:', error);
+    sendError(res, 500, 'Failed to cancel run');
+  }
+});
+
+// GET /api/chat/approvals - Tool calls waiting for the user's decision
+// ?conversationId=<id> narrows to one conversation
+router.get('/approvals', (req, res) => {
+  res.json({ approvals: toolApprovalService.listPending(req.query.conversationId || null) });
+});
+
+// POST /api/chat/approvals/:approvalId - Approve or deny a paused tool call
+// Body: { decision: 'approve' | 'deny', args?: object (edited arguments), reason?: string }
+router.post('/approvals/:approvalId', (req, res) => {
+  try {
+    const { approvalId } = req.params;
+    const { decision, args, reason } = req.body || {};
+
+    if (decision !== 'approve' && decision !== 'deny') {
+      return sendError(res, 400, 'decision must be "approve" or "deny"');
+    }
+
+    if (args !== undefined && (typeof args !== 'object' || args === null || Array.isArray(args))) {
+      return sendError(res, 400, 'args must be a JSON object');
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return sendError(res, 400, 'reason must be a string');
+    }
+
+    const approval = toolApprovalService.resolve(approvalId, {
+      approved: decision === 'approve',
+      args: decision === 'approve' ? args : undefined,
+      reason: reason || null
+    });
+
+    if (!approval) {
+      return sendError(res, 404, 'Approval not found or already answered');
+    }
+
+    addLog('tool_approval', {
+      conversationId: approval.conversationId,
+      toolName: approval.toolName,
+      tool_call_id: approval.toolCallId,
+      decision,
+      argsEdited: decision === 'approve' && args !== undefined,
+      reason: reason || null
+    });
+
+    res.json({ message: `Tool call ${decision === 'approve' ? 'approved' : 'denied'}`, approval });
+  } catch (error) {
+    logger.error('Failed to resolve tool approval:', error);
+    sendError(res, 500, 'Failed to resolve tool approval');
+  }
+});
+
 // GET /api/chat/conversations - List all conversations
 router.get('/conversations', (req, res) => {
   const conversationList = Array.from(conversations.entries()).map(([id, messages]) => ({
@@ -676,53 +915,80 @@ router.get('/conversations/:id', (req, res) => {
   }
 });
 
+// Load a conversation into memory if needed. Returns null if it does not exist.
+async function loadConversation(id) {
+  let conversation = conversations.get(id);
+  if (!conversation) {
+    try {
+      const { messages, metadata } = await chatPersistence.loadConversation(id);
+      const normalizedMessages = messages.map(msg => ({
+        role: msg.role,
+        content: msg.content || '',
+        ...(msg.toolCalls && { toolCalls: msg.toolCalls }),
+        ...(msg.tool_calls && { tool_calls: msg.tool_calls }),
+        ...(msg.segments && { segments: msg.segments }),
+        ...(msg.role === 'tool' && msg.name && { name: msg.name, tool_call_id: msg.tool_call_id })
+      }));
+      conversations.set(id, normalizedMessages);
+      compressionMetadata.set(id, {
+        compressionSummary: metadata.compressionSummary || null,
+        compressedAt: metadata.compressedAt || null,
+        compressedMessageCount: metadata.compressedMessageCount || 0
+      });
+      loadConversationOptions(id, metadata);
+      touchConversation(id);
+      conversation = normalizedMessages;
+    } catch (loadErr) {
+      if (loadErr.message?.includes('not found') || loadErr.code === 'NOT_FOUND') {
+        return null;
+      }
+      throw loadErr;
+    }
+  } else {
+    touchConversation(id);
+  }
+  return conversation;
+}
+
+// Load a conversation into memory (if needed) and build the context the next
+// request would send. Returns null if the conversation does not exist.
+async function loadRequestContext(id) {
+  const conversation = await loadConversation(id);
+  if (!conversation) {
+    return null;
+  }
+
+  const isProactive = id === PROACTIVE_CONVERSATION_ID;
+  const compressionMeta = ensureCompressionMetadata(id);
+  const systemMessage = isProactive
+    ? proactivePersonaManager.getProactiveSystemMessage()
+    : personaManager.getSystemMessage();
+
+  const messages = compressionService.buildCompressedContext(
+    conversation,
+    compressionMeta.compressionSummary,
+    compressionMeta.compressedMessageCount,
+    systemMessage
+  );
+  const requestOptions = {
+    ...ensureConversationOptions(id),
+    defaultToolProfile: isProactive ? settingsManager.getSettings().proactive.toolProfile : null
+  };
+
+  return { compressionMeta, systemMessage, messages, requestOptions };
+}
+
 // GET /api/chat/conversations/:id/context - Get entire context sent to the model
 // Returns the exact messages array (system + compression summary + conversation) passed to the LLM.
 router.get('/conversations/:id/context', async (req, res) => {
   try {
     const { id } = req.params;
 
-    let conversation = conversations.get(id);
-    if (!conversation) {
-      try {
-        const { messages, metadata } = await chatPersistence.loadConversation(id);
-        const normalizedMessages = messages.map(msg => ({
-          role: msg.role,
-          content: msg.content || '',
-          ...(msg.toolCalls && { toolCalls: msg.toolCalls }),
-          ...(msg.tool_calls && { tool_calls: msg.tool_calls }),
-          ...(msg.segments && { segments: msg.segments }),
-          ...(msg.role === 'tool' && msg.name && { name: msg.name, tool_call_id: msg.tool_call_id })
-        }));
-        conversations.set(id, normalizedMessages);
-        compressionMetadata.set(id, {
-          compressionSummary: metadata.compressionSummary || null,
-          compressedAt: metadata.compressedAt || null,
-          compressedMessageCount: metadata.compressedMessageCount || 0
-        });
-        touchConversation(id);
-        conversation = normalizedMessages;
-      } catch (loadErr) {
-        if (loadErr.message?.includes('not found') || loadErr.code === 'NOT_FOUND') {
-          return sendError(res, 404, 'Conversation not found');
-        }
-        throw loadErr;
-      }
-    } else {
-      touchConversation(id);
+    const requestContext = await loadRequestContext(id);
+    if (!requestContext) {
+      return sendError(res, 404, 'Conversation not found');
     }
-
-    const compressionMeta = ensureCompressionMetadata(id);
-    const systemMessage = id === PROACTIVE_CONVERSATION_ID
-      ? proactivePersonaManager.getProactiveSystemMessage()
-      : personaManager.getSystemMessage();
-
-    const messagesForLLM = compressionService.buildCompressedContext(
-      conversation,
-      compressionMeta.compressionSummary,
-      compressionMeta.compressedMessageCount,
-      systemMessage
-    );
+    const { compressionMeta, systemMessage, messages, requestOptions } = requestContext;
 
     res.json({
       description: 'Exact payload sent to the model: the "messages" parameter in the chat completion API request for this conversation.',
@@ -735,7 +1001,8 @@ router.get('/conversations/:id/context', async (req, res) => {
             compressedMessageCount: compressionMeta.compressedMessageCount
           }
         : null,
-      messages: messagesForLLM
+      tokens: compressionService.measureContext(messages, requestOptions),
+      messages
     });
   } catch (error) {
     logger.error('Failed to get conversation context:', error);
@@ -743,6 +1010,216 @@ router.get('/conversations/:id/context', async (req, res) => {
   }
 });
 
+// GET /api/chat/conversations/:id/context/tokens - Token breakdown of the next request's context
+router.get('/conversations/:id/context/tokens', async (req, res) => {
+  try {
+    const requestContext = await loadRequestContext(req.params.id);
+    if (!requestContext) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    res.json(compressionService.measureContext(requestContext.messages, requestContext.requestOptions));
+  } catch (error) {
+    logger.error('Failed to count conversation context tokens:', error);
+    sendError(res, 500, 'Failed to count conversation context tokens');
+  }
+});
+
+// Make the active rolling summary left after a rollback the conversation's
+// compression state, in memory and in the database
+async function applyActiveSummary(id, conversation, active) {
+  const compressionMeta = ensureCompressionMetadata(id);
+  compressionMeta.compressionSummary = active?.summary || null;
+  compressionMeta.compressedAt = active?.createdAt || null;
+  compressionMeta.compressedMessageCount = active?.endIndex || 0;
+  conversation.forEach((message, index) => {
+    message.isCompressed = index < compressionMeta.compressedMessageCount;
+  });
+  await chatPersistence.updateCompression(id, compressionMeta);
+  return compressionMeta;
+}
+
+// Use an edited or regenerated summary from the next request on if it is the active one
+async function applyUpdatedSummary(id, summary) {
+  if (summary.kind === 'rolling' && summary.status === 'active') {
+    const compressionMeta = ensureCompressionMetadata(id);
+    compressionMeta.compressionSummary = summary.summary;
+    await chatPersistence.updateCompression(id, compressionMeta);
+  }
+}
+
+// Errors of compressionSummaryService as HTTP responses; false if it is none of them
+function sendSummaryError(res, error) {
+  if (error.code === 'NOT_FOUND') {
+    sendError(res, 404, error.message);
+    return true;
+  }
+  if (['ALREADY_ROLLED_BACK', 'ROLLED_BACK', 'NOT_COMPRESSED'].includes(error.code)) {
+    sendError(res, 400, error.message);
+    return true;
+  }
+  return false;
+}
+
+// GET /api/chat/conversations/:id/summaries - Every compression summary of a conversation
+router.get('/conversations/:id/summaries', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!await loadConversation(id)) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    res.json({
+      summaries: compressionSummaryService.listSummaries(id),
+      active: compressionSummaryService.getActive(id)
+    });
+  } catch (error) {
+    logger.error('Failed to list compression summaries:', error);
+    sendError(res, 500, 'Failed to list compression summaries');
+  }
+});
+
+// PUT /api/chat/conversations/:id/summaries/:summaryId - Edit a compression summary
+// Editing the active rolling summary changes what the model sees from the next request on.
+router.put('/conversations/:id/summaries/:summaryId', async (req, res) => {
+  try {
+    const { id, summaryId } = req.params;
+    const { summary } = req.body || {};
+
+    if (typeof summary !== 'string' || !summary.trim()) {
+      return sendError(res, 400, 'summary must be a non-empty string');
+    }
+    if (!await loadConversation(id)) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+    if (compressionLocks.get(id)) {
+      return sendError(res, 409, 'Compression already in progress for this conversation');
+    }
+
+    const updated = compressionSummaryService.updateSummary(id, Number(summaryId), summary);
+    await applyUpdatedSummary(id, updated);
+
+    addLog('compression_summary_updated', { conversationId: id, summaryId: updated.id, kind: updated.kind, change: 'edited' });
+    res.json(updated);
+  } catch (error) {
+    if (sendSummaryError(res, error)) return;
+    logger.error('Failed to update compression summary:', error);
+    sendError(res, 500, 'Failed to update compression summary');
+  }
+});
+
+// POST /api/chat/conversations/:id/summaries/:summaryId/rollback - Undo a compression
+// The compression and every later one are rolled back; their messages are sent
+// to the model uncompressed again until the next compression.
+router.post('/conversations/:id/summaries/:summaryId/rollback', async (req, res) => {
+  try {
+    const { id, summaryId } = req.params;
+
+    const conversation = await loadConversation(id);
+    if (!conversation) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+    if (compressionLocks.get(id)) {
+      return sendError(res, 409, 'Compression already in progress for this conversation');
+    }
+
+    const { rolledBack, active } = compressionSummaryService.rollback(id, Number(summaryId));
+    const compressionMeta = await applyActiveSummary(id, conversation, active);
+
+    logger.info(`Rolled back compression of conversation ${id} to ${compressionMeta.compressedMessageCount} compressed messages`);
+    addLog('compression_rolled_back', { conversationId: id, rolledBack, activeSummaryId: active?.id || null });
+
+    res.json({ rolledBack, active, compressedMessageCount: compressionMeta.compressedMessageCount });
+  } catch (error) {
+    if (sendSummaryError(res, error)) return;
+    logger.error('Failed to roll back compression:', error);
+    sendError(res, 500, 'Failed to roll back compression');
+  }
+});
+
+// GET /api/chat/conversations/:id/summaries/:summaryId/versions - Change history of a summary
+router.get('/conversations/:id/summaries/:summaryId/versions', async (req, res) => {
+  try {
+    const { id, summaryId } = req.params;
+    if (!await loadConversation(id)) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    res.json({ versions: compressionSummaryService.listVersions(id, Number(summaryId)) });
+  } catch (error) {
+    if (sendSummaryError(res, error)) return;
+    logger.error('Failed to list compression summary versions:', error);
+    sendError(res, 500, 'Failed to list compression summary versions');
+  }
+});
+
+// POST /api/chat/conversations/:id/summaries/:summaryId/regenerate - Write a summary again
+// Optional body: { instruction } added to the summarizer prompt, e.g. "keep all file paths"
+router.post('/conversations/:id/summaries/:summaryId/regenerate', async (req, res) => {
+  const { id, summaryId } = req.params;
+  const { instruction = null } = req.body || {};
+
+  if (instruction !== null && typeof instruction !== 'string') {
+    return sendError(res, 400, 'instruction must be a string');
+  }
+
+  try {
+    const conversation = await loadConversation(id);
+    if (!conversation) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+    if (compressionLocks.get(id)) {
+      return sendError(res, 409, 'Compression already in progress for this conversation');
+    }
+
+    try {
+      compressionLocks.set(id, true);
+
+      const updated = await compressionSummaryService.regenerate(id, Number(summaryId), conversation, {
+        instruction: instruction?.trim() || null
+      });
+      await applyUpdatedSummary(id, updated);
+
+      addLog('compression_summary_updated', { conversationId: id, summaryId: updated.id, kind: updated.kind, change: 'regenerated', instruction });
+      res.json(updated);
+    } finally {
+      compressionLocks.delete(id);
+    }
+  } catch (error) {
+    if (sendSummaryError(res, error)) return;
+    logger.error('Failed to regenerate compression summary:', error);
+    sendError(res, 500, 'Failed to regenerate compression summary');
+  }
+});
+
+// DELETE /api/chat/conversations/:id/compression - Undo all compression of a conversation
+// Every summary is rolled back and the full message history is sent to the model again.
+router.delete('/conversations/:id/compression', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const conversation = await loadConversation(id);
+    if (!conversation) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+    if (compressionLocks.get(id)) {
+      return sendError(res, 409, 'Compression already in progress for this conversation');
+    }
+
+    const { rolledBack, active } = compressionSummaryService.undoCompression(id, ensureCompressionMetadata(id));
+    const compressionMeta = await applyActiveSummary(id, conversation, active);
+
+    logger.info(`Undid compression of conversation ${id}`);
+    addLog('compression_rolled_back', { conversationId: id, rolledBack, activeSummaryId: null });
+
+    res.json({ rolledBack, active, compressedMessageCount: compressionMeta.compressedMessageCount });
+  } catch (error) {
+    if (sendSummaryError(res, error)) return;
+    logger.error('Failed to undo compression:', error);
+    sendError(res, 500, 'Failed to undo compression');
+  }
+});
+
 // DELETE /api/chat/conversations/:id - Delete conversation
 router.delete('/conversations/:id', (req, res) => {
   try {
@@ -779,9 +1256,27 @@ router.delete('/logs', (req, res) => {
 });
 
 // GET /api/chat/history - List all saved conversations from Zo
+// Optional filters: archived (true/false/all, default false), folderId (id or 'none'), tag, pinned (true/false)
 router.get('/history', async (req, res) => {
+  const { archived = 'false', folderId, tag, pinned } = req.query;
+
+  if (!['true', 'false', 'all'].includes(archived)) {
+    return sendError(res, 400, 'archived must be true, false or all');
+  }
+  if (folderId !== undefined && folderId !== 'none' && !/^\d+$/.test(folderId)) {
+    return sendError(res, 400, "folderId must be a folder id or 'none'");
+  }
+  if (pinned !== undefined && !['true', 'false'].includes(pinned)) {
+    return sendError(res, 400, 'pinned must be true or false');
+  }
+
   try {
-    const conversations = await chatPersistence.listConversations();
+    const conversations = await chatPersistence.listConversations({
+      archived: archived === 'all' ? null : archived === 'true',
+      folderId: folderId === undefined || folderId === 'none' ? (folderId || null) : Number(folderId),
+      tag: tag || null,
+      pinned: pinned === undefined ? null : pinned === 'true'
+    });
     res.json({ conversations });
   } catch (error) {
     logger.error('Failed to list conversation history:', error);
@@ -789,6 +1284,53 @@ router.get('/history', async (req, res) => {
   }
 });
 
+// GET /api/chat/search?q= - Full-text search over messages and tool calls
+// Optional filters: from, to (ISO dates), role, hasToolCall (true/false), source (chat/proactive), limit, offset
+router.get('/search', (req, res) => {
+  const { q, from, to, role, hasToolCall, source } = req.query;
+
+  if (typeof q !== 'string' || !q.trim()) {
+    return sendError(res, 400, 'q is required');
+  }
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      return sendError(res, 400, `${name} must be a date`);
+    }
+  }
+  if (role !== undefined && !SEARCH_ROLES.includes(role)) {
+    return sendError(res, 400, `role must be one of: ${SEARCH_ROLES.join(', ')}`);
+  }
+  if (source !== undefined && !SEARCH_SOURCES.includes(source)) {
+    return sendError(res, 400, `source must be one of: ${SEARCH_SOURCES.join(', ')}`);
+  }
+  if (hasToolCall !== undefined && !['true', 'false'].includes(hasToolCall)) {
+    return sendError(res, 400, 'hasToolCall must be true or false');
+  }
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return sendError(res, 400, 'limit must be an integer between 1 and 100');
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return sendError(res, 400, 'offset must be a non-negative integer');
+  }
+
+  try {
+    res.json(searchService.search(q, {
+      from: from || null,
+      to: to || null,
+      role: role || null,
+      hasToolCall: hasToolCall === undefined ? null : hasToolCall === 'true',
+      source: source || null,
+      limit,
+      offset
+    }));
+  } catch (error) {
+    logger.error('Failed to search conversations:', error);
+    sendError(res, 500, 'Failed to search conversations');
+  }
+});
+
 // GET /api/chat/history/:id - Load conversation from Zo
 router.get('/history/:id', async (req, res) => {
   const { id } = req.params;
@@ -839,6 +1381,11 @@ router.get('/history/:id', async (req, res) => {
         });
       }
 
+      // Preserve cancelled flag so stopped runs render as partial responses
+      if (msg.cancelled) {
+        normalized.cancelled = true;
+      }
+
       // Preserve tool-specific fields if present (for tool role messages)
       if (msg.role === 'tool' && msg.name && msg.tool_call_id) {
         normalized.name = msg.name;
@@ -858,6 +1405,7 @@ router.get('/history/:id', async (req, res) => {
       compressedAt: metadata.compressedAt || null,
       compressedMessageCount: metadata.compressedMessageCount || 0
     });
+    loadConversationOptions(id, metadata);
 
     logger.info(`Conversation loaded into memory: ${id} (${normalizedMessages.length} messages, ${metadata.compressedMessageCount || 0} compressed)`);
 
@@ -885,7 +1433,10 @@ router.get('/history/:id', async (req, res) => {
       usage: metadata.contextUsage || null,
       compressionSummary: metadata.compressionSummary || null,
       compressedAt: metadata.compressedAt || null,
-      compressedMessageCount: metadata.compressedMessageCount || 0
+      compressedMessageCount: metadata.compressedMessageCount || 0,
+      title: metadata.title,
+      shortSummary: metadata.shortSummary,
+      options: ensureConversationOptions(id)
     });
   } catch (error) {
     if (id === PROACTIVE_CONVERSATION_ID && error.message?.includes('not found')) {
@@ -903,7 +1454,10 @@ router.get('/history/:id', async (req, res) => {
         usage: null,
         compressionSummary: null,
         compressedAt: null,
-        compressedMessageCount: 0
+        compressedMessageCount: 0,
+        title: null,
+        shortSummary: null,
+        options: ensureConversationOptions(id)
       });
     }
 
@@ -912,6 +1466,222 @@ router.get('/history/:id', async (req, res) => {
   }
 });
 
+// PUT /api/chat/history/:id/options - Update per-conversation model and sampling options
+router.put('/history/:id/options', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { updates, error } = parseConversationOptions(req.body);
+    if (error) {
+      return sendError(res, 400, error);
+    }
+
+    // Start from the saved options so a partial update doesn't reset other fields
+    if (!conversationOptions.has(id)) {
+      try {
+        const { metadata } = await chatPersistence.loadConversation(id);
+        loadConversationOptions(id, metadata);
+      } catch (loadError) {
+        // Not saved yet - options are persisted with the first message
+      }
+    }
+
+    const options = ensureConversationOptions(id);
+    Object.assign(options, updates);
+    touchConversation(id);
+
+    const persisted = await chatPersistence.updateConversationOptions(id, options);
+
+    addLog('conversation_options', { conversationId: id, options, persisted });
+    logger.info(`Conversation options updated: ${id}`, options);
+
+    res.json({ id, options });
+  } catch (error) {
+    logger.error('Failed to update conversation options:', error);
+    sendError(res, 500, 'Failed to update conversation options');
+  }
+});
+
+// PUT /api/chat/history/:id/title - Rename a conversation
+// Body: { title, shortSummary? }; shortSummary is kept unless given (null clears it)
+router.put('/history/:id/title', async (req, res) => {
+  const { id } = req.params;
+  const { title, shortSummary } = req.body;
+
+  if (typeof title !== 'string' || !title.trim()) {
+    return sendError(res, 400, 'title is required');
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    return sendError(res, 400, `title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (shortSummary !== undefined && shortSummary !== null &&
+      (typeof shortSummary !== 'string' || shortSummary.length > MAX_SHORT_SUMMARY_LENGTH)) {
+    return sendError(res, 400, `shortSummary must be a string of at most ${MAX_SHORT_SUMMARY_LENGTH} characters`);
+  }
+
+  try {
+    const updated = await chatPersistence.updateTitle(id, {
+      title: title.trim(),
+      shortSummary: shortSummary === undefined ? undefined : shortSummary?.trim() || null
+    });
+    if (!updated) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    addLog('conversation_title', { conversationId: id, ...updated, source: 'user' });
+    res.json({ id, ...updated });
+  } catch (error) {
+    logger.error('Failed to rename conversation:', error);
+    sendError(res, 500, 'Failed to rename conversation');
+  }
+});
+
+// POST /api/chat/history/:id/title/generate - Write the title and short summary again with the model
+// Replaces the current title, including one set by the user
+router.post('/history/:id/title/generate', async (req, res) => {
+  const { id } = req.params;
+  let stored;
+  try {
+    stored = await chatPersistence.loadConversation(id);
+  } catch (error) {
+    return sendError(res, 404, 'Conversation not found');
+  }
+
+  try {
+    // The in-memory copy may have messages that are not saved yet
+    const generated = await titleService.generateTitle(conversations.get(id) || stored.messages, {
+      conversationId: id,
+      compressionSummary: compressionMetadata.get(id)?.compressionSummary ?? stored.metadata.compressionSummary
+    });
+    const updated = await chatPersistence.updateTitle(id, generated);
+    if (!updated) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    addLog('conversation_title', { conversationId: id, ...updated, source: 'generated' });
+    res.json({ id, ...updated });
+  } catch (error) {
+    logger.error('Failed to generate conversation title:', error);
+    addLog('error', { error: error.message, stack: error.stack, context: 'conversation_title' });
+    if (error.status === 429) {
+      return sendError(res, 429, 'LLM provider rate limit exceeded. Please try again later.', error.message);
+    }
+    sendError(res, 500, 'Failed to generate title', error.message);
+  }
+});
+
+// Errors of organizationService as HTTP responses, anything else as a 500 with message
+function sendOrganizationError(res, error, message) {
+  if (error.code === 'NOT_FOUND' || error.code === 'FOLDER_NOT_FOUND') {
+    return sendError(res, 404, error.message);
+  }
+  if (error.code === 'FOLDER_EXISTS') {
+    return sendError(res, 409, error.message);
+  }
+  logger.error(`${message}:`, error);
+  sendError(res, 500, message);
+}
+
+function parseFolderName(body) {
+  const name = typeof body?.name === 'string' ? body.name.trim() : '';
+  if (!name) {
+    return { error: 'name is required' };
+  }
+  if (name.length > MAX_FOLDER_NAME_LENGTH) {
+    return { error: `name must be at most ${MAX_FOLDER_NAME_LENGTH} characters` };
+  }
+  return { name };
+}
+
+// PUT /api/chat/history/:id/organization - Pin, archive, file into a folder or tag a conversation
+// Body: any of { pinned, archived, folderId (null = no folder), tags (replaces all) }
+router.put('/history/:id/organization', (req, res) => {
+  const { id } = req.params;
+  const { pinned, archived, folderId, tags } = req.body;
+
+  for (const [name, value] of [['pinned', pinned], ['archived', archived]]) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      return sendError(res, 400, `${name} must be a boolean`);
+    }
+  }
+  if (folderId !== undefined && folderId !== null && !Number.isInteger(folderId)) {
+    return sendError(res, 400, 'folderId must be a folder id or null');
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+      return sendError(res, 400, `tags must be an array of at most ${MAX_TAGS} tags`);
+    }
+    if (tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.trim().length > MAX_TAG_LENGTH)) {
+      return sendError(res, 400, `Each tag must be a non-empty string of at most ${MAX_TAG_LENGTH} characters`);
+    }
+  }
+
+  try {
+    const organization = organizationService.updateConversation(id, { pinned, archived, folderId, tags });
+    addLog('conversation_organization', { conversationId: id, ...organization });
+    res.json({ id, ...organization });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to update conversation');
+  }
+});
+
+// GET /api/chat/folders - Folders with their conversation counts
+router.get('/folders', (req, res) => {
+  try {
+    res.json({ folders: organizationService.listFolders() });
+  } catch (error) {
+    logger.error('Failed to list folders:', error);
+    sendError(res, 500, 'Failed to list folders');
+  }
+});
+
+// POST /api/chat/folders - Create a folder. Body: { name }
+router.post('/folders', (req, res) => {
+  const { name, error } = parseFolderName(req.body);
+  if (error) {
+    return sendError(res, 400, error);
+  }
+
+  try {
+    res.status(201).json(organizationService.createFolder(name));
+  } catch (err) {
+    sendOrganizationError(res, err, 'Failed to create folder');
+  }
+});
+
+// PUT /api/chat/folders/:folderId - Rename a folder. Body: { name }
+router.put('/folders/:folderId', (req, res) => {
+  const { name, error } = parseFolderName(req.body);
+  if (error) {
+    return sendError(res, 400, error);
+  }
+
+  try {
+    res.json(organizationService.renameFolder(Number(req.params.folderId), name));
+  } catch (err) {
+    sendOrganizationError(res, err, 'Failed to rename folder');
+  }
+});
+
+// DELETE /api/chat/folders/:folderId - Delete a folder; its conversations are kept, in no folder
+router.delete('/folders/:folderId', (req, res) => {
+  try {
+    organizationService.deleteFolder(Number(req.params.folderId));
+    res.json({ message: 'Folder deleted successfully' });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to delete folder');
+  }
+});
+
+// GET /api/chat/tags - Tags in use, most used first
+router.get('/tags', (req, res) => {
+  try {
+    res.json({ tags: organizationService.listTags() });
+  } catch (error) {
+    logger.error('Failed to list tags:', error);
+    sendError(res, 500, 'Failed to list tags');
+  }
+});
+
 // POST /api/chat/history/new - Create new conversation
 router.post('/history/new', async (req, res) => {
   try {
@@ -928,19 +1698,34 @@ router.post('/history/new', async (req, res) => {
   }
 });
 
-// DELETE /api/chat/history/:id - Delete conversation from Zo
+// Drop a deleted conversation's in-memory state so a later save cannot bring it back
+function forgetConversation(id) {
+  conversations.delete(id);
+  compressionMetadata.delete(id);
+  conversationActivity.delete(id);
+  compressionLocks.delete(id);
+  conversationOptions.delete(id);
+}
+
+// DELETE /api/chat/history/:id - Move a conversation to the trash, or with
+// ?permanent=true delete it and its messages for good
 router.delete('/history/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Delete from Zo filesystem
-    await chatPersistence.deleteConversation(id);
+    if (req.query.permanent === 'true') {
+      const purged = await chatPersistence.purgeConversation(id);
+      if (!purged) {
+        return sendError(res, 404, 'Conversation not found');
+      }
+      forgetConversation(id);
+      addLog('conversation_deleted', { conversationId: id, permanent: true });
+      return res.json({ message: 'Conversation permanently deleted' });
+    }
 
-    // Delete from memory
-    conversations.delete(id);
-    compressionMetadata.delete(id);
-    conversationActivity.delete(id);
-    compressionLocks.delete(id);
+    // Soft delete; the trash purge removes it after the retention period
+    await chatPersistence.deleteConversation(id);
+    forgetConversation(id);
 
     logger.info(`Conversation deleted from Zo: ${id}`);
     res.json({ message: 'Conversation deleted successfully' });
@@ -950,6 +1735,104 @@ router.delete('/history/:id', async (req, res) => {
   }
 });
 
+// POST /api/chat/history/:id/restore - Move a conversation out of the trash
+router.post('/history/:id/restore', async (req, res) => {
+  try {
+    const restored = await chatPersistence.restoreConversation(req.params.id);
+    if (!restored) {
+      return sendError(res, 404, 'Conversation not found in trash');
+    }
+    res.json({ message: 'Conversation restored' });
+  } catch (error) {
+    logger.error('Failed to restore conversation:', error);
+    sendError(res, 500, 'Failed to restore conversation');
+  }
+});
+
+// GET /api/chat/trash - Deleted conversations, with when each will be purged
+// (purgeAt is null when the retention period is 0, i.e. kept until emptied)
+router.get('/trash', async (req, res) => {
+  try {
+    const deleted = await chatPersistence.listDeletedConversations();
+    res.json({
+      retentionDays: trashService.getRetentionDays(),
+      conversations: deleted.map(conversation => ({
+        ...conversation,
+        purgeAt: trashService.getPurgeAt(conversation.deletedAt)
+      }))
+    });
+  } catch (error) {
+    logger.error('Failed to list trash:', error);
+    sendError(res, 500, 'Failed to list trash');
+  }
+});
+
+// DELETE /api/chat/trash - Permanently delete every conversation in the trash
+router.delete('/trash', async (req, res) => {
+  try {
+    const purged = await chatPersistence.purgeDeletedConversations();
+    purged.forEach(forgetConversation);
+    if (purged.length > 0) {
+      addLog('trash_purged', { conversationIds: purged, emptied: true });
+    }
+    res.json({ message: 'Trash emptied', purged: purged.length });
+  } catch (error) {
+    logger.error('Failed to empty trash:', error);
+    sendError(res, 500, 'Failed to empty trash');
+  }
+});
+
+function parseExportFormat(query, fallback) {
+  const format = query.format || fallback;
+  return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+// GET /api/chat/history/:id/export?format=md|json|html - Download a conversation
+router.get('/history/:id/export', async (req, res) => {
+  const format = parseExportFormat(req.query, 'md');
+  if (!format) {
+    return sendError(res, 400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  try {
+    const { filename, contentType, body } = await exportService.exportConversation(req.params.id, format);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return sendError(res, 404, error.message);
+    }
+    logger.error('Failed to export conversation:', error);
+    sendError(res, 500, 'Failed to export conversation');
+  }
+});
+
+// GET /api/chat/export?format=json|md|html - Download every conversation as a zip
+router.get('/export', async (req, res) => {
+  const format = parseExportFormat(req.query, 'json');
+  if (!format) {
+    return sendError(res, 400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="zo-chat-export-${date}-${format}.zip"`);
+
+  try {
+    const count = await exportService.exportAll(res, format);
+    addLog('conversations_exported', { format, count });
+  } catch (error) {
+    logger.error('Failed to export conversations:', error);
+    // Headers are gone once the zip has started streaming; all that is left is to cut it off
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      sendError(res, 500, 'Failed to export conversations');
+    }
+  }
+});
+
 // POST /api/chat/reload-persona - Reload system message from file
 router.post('/reload-persona', async (req, res) => {
   try {
@@ -1123,7 +2006,37 @@ router.get('/compression/config', (req, res) => {
   res.json({
     threshold: config.threshold,
     keepRecentMessages: config.keepRecentMessages,
-    minimumMessages: config.keepRecentMessages + 1
+    minimumMessages: config.keepRecentMessages + 1,
+    summarizerProvider: config.summarizerProvider || null,
+    summarizerModel: config.summarizerModel || null,
+    hierarchical: !!config.hierarchical
+  });
+});
+
+// GET /api/chat/providers - List configured LLM providers (keys are never returned)
+router.get('/providers', (req, res) => {
+  try {
+    res.json({
+      defaultProvider: providerRegistry.defaultProviderId,
+      providers: providerRegistry.listProviders()
+    });
+  } catch (error) {
+    logger.error('Failed to list LLM providers:', error);
+    sendError(res, 500, 'Failed to list LLM providers');
+  }
+});
+
+// GET /api/chat/rate-limits - Latest rate-limit budget reported by each provider
+// ?provider=<id> narrows to one provider (falls back to the default provider if unknown)
+router.get('/rate-limits', (req, res) => {
+  const { provider } = req.query;
+  if (provider !== undefined) {
+    const providerId = providerRegistry.has(provider) ? provider : providerRegistry.defaultProviderId;
+    return res.json({ provider: providerId, rateLimit: rateLimitTracker.get(providerId) });
+  }
+  res.json({
+    defaultProvider: providerRegistry.defaultProviderId,
+    rateLimits: rateLimitTracker.getAll()
   });
 });
 
@@ -1167,21 +2080,8 @@ router.post('/compress/:id', async (req, res) => {
       // Set lock
       compressionLocks.set(id, true);
 
-      // Compress messages (keeps recent messages uncompressed based on config)
-      const compressionResult = await compressionService.compressMessages(conversation);
-
-      // Update compression metadata
-      compressionMeta.compressionSummary = compressionResult.summary;
-      compressionMeta.compressedAt = new Date().toISOString();
-      compressionMeta.compressedMessageCount = compressionResult.compressedCount;
-      compressionMetadata.set(id, compressionMeta);
-
-      // Mark compressed messages
-      for (let i = 0; i < compressionResult.compressedCount; i++) {
-        conversation[i].isCompressed = true;
-      }
-
-      logger.info(`Compressed ${compressionResult.compressedCount} messages for conversation ${id}`);
+      // Compress newly aged messages into the summary (keeps recent messages uncompressed based on config)
+      const compressionResult = await compressConversation({ conversationId: id, conversation, compressionMeta, actor: 'user' });
 
       // Save to database
       const metadata = {
@@ -1197,6 +2097,8 @@ router.post('/compress/:id', async (req, res) => {
         message: 'Conversation compressed successfully',
         compressedCount: compressionResult.compressedCount,
         summary: compressionResult.summary,
+        summaryId: compressionResult.stored.id,
+        newlyCompressedCount: compressionResult.compressedCount - compressionResult.startIndex,
         compressedAt: compressionMeta.compressedAt
       });
     } finally {
@@ -1233,12 +2135,23 @@ router.put('/settings', async (req, res) => {
     if (updates.compression) {
       settingsManager.validateCompressionSettings(updates.compression);
     }
+
+    const requestedProvider = updates.llm?.defaultProvider;
+    if (requestedProvider &&
+        !providerRegistry.has(requestedProvider) &&
+        !updates.llm.providers?.[requestedProvider]) {
+      return sendError(res, 400, `Unknown or unconfigured LLM provider: ${requestedProvider}`);
+    }
     // Update settings
     const updatedSettings = await settingsManager.updateSettings(updates);
 
     // Reload compression service with new settings
     compressionService.reloadConfig();
     proactiveScheduler.configure(updatedSettings.proactive);
+    trashService.configure(updatedSettings.trash);
+    llmClient.reloadConfig(updatedSettings.llm);
+    // Server connections can be slow, so they are not awaited
+    zoMCP.configureServers(updatedSettings.mcp);
 
     logger.info('Settings updated successfully');
 
@@ -1262,6 +2175,9 @@ router.post('/settings/reload', async (req, res) => {
     // Reload compression service with reloaded settings
     compressionService.reloadConfig();
     proactiveScheduler.configure(settings.proactive);
+    trashService.configure(settings.trash);
+    llmClient.reloadConfig(settings.llm);
+    zoMCP.configureServers(settings.mcp);
 
     logger.info('Settings reloaded successfully');
 
@@ -1280,6 +2196,9 @@ router.post('/settings/reset', async (req, res) => {
     // Reload compression service with reset settings
     compressionService.reloadConfig();
     proactiveScheduler.configure(settings.proactive);
+    trashService.configure(settings.trash);
+    llmClient.reloadConfig(settings.llm);
+    zoMCP.configureServers(settings.mcp);
 
     logger.info('Settings reset to defaults');
 
@@ -1376,6 +2295,10 @@ router.post('/proactive/stream', async (req, res) => {
         proactive: true,
         source: 'compression_summary'
       },
+      maxToolRounds: settingsManager.getSettings().proactive.maxToolRounds,
+      approvalPolicy: 'proactive',
+      defaultToolProfile: settingsManager.getSettings().proactive.toolProfile,
+      signal: lock.signal,
       onEvent: (event) => {
         res.write(`data: ${JSON.stringify(event)}\n\n`);
       }
@@ -1387,10 +2310,7 @@ router.post('/proactive/stream', async (req, res) => {
     logger.error('Proactive streaming failed', error);
 
     try {
-      res.write(`data: ${JSON.stringify({
-        type: 'error',
-        error: error.message
-      })}\n\n`);
+      res.write(`data: ${JSON.stringify(toStreamErrorEvent(error))}\n\n`);
       res.end();
     } catch (err) {
       // Response already closed
@@ -0,0 +1,81 @@
+import express from 'express';
+import { toolStatsService, STATS_RANGES } from '../services/toolStatsService.js';
+import { usageService } from '../services/usageService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+function sendError(res, statusCode, message) {
+  res.status(statusCode).json({ error: message });
+}
+
+function isValidDate(value) {
+  return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+}
+
+// Shared range/from/to validation; returns an error message or null
+function validateRangeQuery({ range, from, to }) {
+  if (!Object.hasOwn(STATS_RANGES, range)) {
+    return `range must be one of ${Object.keys(STATS_RANGES).join(', ')}`;
+  }
+  if ((from !== undefined && !isValidDate(from)) || (to !== undefined && !isValidDate(to))) {
+    return 'from and to must be ISO dates';
+  }
+  if (from && to && new Date(from) > new Date(to)) {
+    return 'from must be before to';
+  }
+  return null;
+}
+
+// GET /api/stats/tools?range=7d | ?from=<ISO>&to=<ISO>, optional &tool=<name>
+// Call volume, failure rate and latency percentiles per tool and over time
+router.get('/tools', (req, res) => {
+  const { range = '7d', from, to, tool } = req.query;
+
+  const rangeError = validateRangeQuery({ range, from, to });
+  if (rangeError) {
+    return sendError(res, 400, rangeError);
+  }
+
+  try {
+    res.json(toolStatsService.getToolStats({
+      range,
+      from: from || null,
+      to: to || null,
+      tool: typeof tool === 'string' && tool ? tool : null
+    }));
+  } catch (error) {
+    logger.error('Failed to load tool stats:', error);
+    sendError(res, 500, 'Failed to load tool stats');
+  }
+});
+
+// GET /api/stats/usage?range=30d | ?from=<ISO>&to=<ISO>
+// Token usage and cost by source, model, day and conversation, plus budget status
+router.get('/usage', (req, res) => {
+  const { range = '30d', from, to } = req.query;
+
+  const rangeError = validateRangeQuery({ range, from, to });
+  if (rangeError) {
+    return sendError(res, 400, rangeError);
+  }
+
+  try {
+    res.json(usageService.getUsage({ range, from: from || null, to: to || null }));
+  } catch (error) {
+    logger.error('Failed to load usage stats:', error);
+    sendError(res, 500, 'Failed to load usage stats');
+  }
+});
+
+// GET /api/stats/usage/conversations/:id - All-time usage of one conversation
+router.get('/usage/conversations/:id', (req, res) => {
+  try {
+    res.json(usageService.getConversationUsage(req.params.id));
+  } catch (error) {
+    logger.error('Failed to load conversation usage:', error);
+    sendError(res, 500, 'Failed to load conversation usage');
+  }
+});
+
+export default router;
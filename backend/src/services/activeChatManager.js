@@ -1,6 +1,8 @@
 class ActiveChatManager {
   constructor() {
     this.active = null;
+    // Cancelled runs that have not called release() yet, by token
+    this.unwinding = new Map();
   }
 
   tryAcquire({ source, conversationId, metadata = {} } = {}) {
@@ -9,18 +11,27 @@ class ActiveChatManager {
     }
 
     const token = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const abortController = new AbortController();
     this.active = {
       token,
       source,
       conversationId,
       metadata,
+      abortController,
       startedAt: new Date().toISOString()
     };
 
-    return { acquired: true, token, active: this.active };
+    return { acquired: true, token, signal: abortController.signal, active: this.active };
   }
 
   release(token) {
+    const unwinding = this.unwinding.get(token);
+    if (unwinding) {
+      this.unwinding.delete(token);
+      unwinding.resolve();
+      return true;
+    }
+
     if (!this.active || this.active.token !== token) {
       return false;
     }
@@ -29,6 +40,55 @@ class ActiveChatManager {
     return true;
   }
 
+  // Abort the active run (optionally only if it belongs to the given conversation,
+  // or is the run holding the given lock token) and free the lock right away so a
+  // new chat can start while the old one unwinds.
+  cancel({ conversationId = null, token = null, reason = 'cancelled_by_user' } = {}) {
+    if (!this.active) {
+      return { cancelled: false, reason: 'no_active_chat' };
+    }
+
+    if ((conversationId && this.active.conversationId !== conversationId) ||
+        (token && this.active.token !== token)) {
+      return { cancelled: false, reason: 'conversation_mismatch', active: this.getStatus() };
+    }
+
+    const cancelledRun = this.getStatus();
+    const { token: cancelledToken, conversationId: cancelledConversationId } = this.active;
+    let resolve;
+    const done = new Promise(r => { resolve = r; });
+    this.unwinding.set(cancelledToken, { conversationId: cancelledConversationId, done, resolve });
+
+    this.active.abortController.abort(reason);
+    this.active = null;
+
+    return { cancelled: true, run: cancelledRun };
+  }
+
+  /**
+   * Wait until cancelled runs of a conversation have released their lock, i.e.
+   * finished saving their partial turn, so a new run never writes alongside one
+   * @returns {Promise<boolean>} false if they are still unwinding after timeoutMs
+   */
+  async waitForUnwind(conversationId, timeoutMs = 30000) {
+    const pending = [...this.unwinding.values()]
+      .filter(entry => entry.conversationId === conversationId)
+      .map(entry => entry.done);
+    if (pending.length === 0) {
+      return true;
+    }
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    try {
+      return await Promise.race([Promise.all(pending).then(() => true), timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   getStatus() {
     if (!this.active) {
       return { active: false };
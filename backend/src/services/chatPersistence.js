@@ -1,5 +1,6 @@
 import { databaseManager } from './database.js';
 import { logger } from '../utils/logger.js';
+import { searchService } from './searchService.js';
 
 class ChatPersistence {
   constructor() {
@@ -55,20 +56,29 @@ class ChatPersistence {
         const existing = db.prepare('SELECT created_at FROM conversations WHERE id = ?').get(conversationId);
         const createdAt = existing?.created_at || metadata.createdAt || new Date().toISOString();
 
-        // Upsert conversation metadata
+        // Upsert conversation metadata. Options are only cleared by
+        // updateConversationOptions, so saves that leave them out keep them.
         const upsertConversation = db.prepare(`
           INSERT INTO conversations (
             id, created_at, last_message_at, message_count, context_usage,
-            compression_summary, compressed_at, compressed_message_count, updated_at
+            compression_summary, compressed_at, compressed_message_count,
+            provider, model, temperature, top_p, max_tokens, tool_choice, tool_profile, updated_at
           )
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
           ON CONFLICT(id) DO UPDATE SET
             last_message_at = excluded.last_message_at,
             message_count = excluded.message_count,
-            context_usage = excluded.context_usage,
+            context_usage = COALESCE(excluded.context_usage, conversations.context_usage),
             compression_summary = excluded.compression_summary,
             compressed_at = excluded.compressed_at,
             compressed_message_count = excluded.compressed_message_count,
+            provider = COALESCE(excluded.provider, conversations.provider),
+            model = COALESCE(excluded.model, conversations.model),
+            temperature = COALESCE(excluded.temperature, conversations.temperature),
+            top_p = COALESCE(excluded.top_p, conversations.top_p),
+            max_tokens = COALESCE(excluded.max_tokens, conversations.max_tokens),
+            tool_choice = COALESCE(excluded.tool_choice, conversations.tool_choice),
+            tool_profile = COALESCE(excluded.tool_profile, conversations.tool_profile),
             updated_at = CURRENT_TIMESTAMP,
             deleted_at = NULL
         `);
@@ -81,10 +91,26 @@ class ChatPersistence {
           metadata.contextUsage ? JSON.stringify(metadata.contextUsage) : null,
           metadata.compressionSummary || null,
           metadata.compressedAt || null,
-          metadata.compressedMessageCount || 0
+          metadata.compressedMessageCount || 0,
+          metadata.provider || null,
+          metadata.model || null,
+          metadata.temperature ?? null,
+          metadata.topP ?? null,
+          metadata.maxTokens ?? null,
+          metadata.toolChoice || null,
+          metadata.toolProfile || null
         );
 
+        // Messages are rewritten on every save; keep when each was first saved
+        const createdAtBySequence = new Map(
+          db.prepare('SELECT sequence_number, created_at FROM messages WHERE conversation_id = ?')
+            .all(conversationId)
+            .map(row => [row.sequence_number, row.created_at])
+        );
+        const now = new Date().toISOString();
+
         // Delete old messages for this conversation
+        searchService.removeConversation(conversationId);
         const deleteMessages = db.prepare('DELETE FROM messages WHERE conversation_id = ?');
         deleteMessages.run(conversationId);
 
@@ -92,12 +118,12 @@ class ChatPersistence {
         const insertMessage = db.prepare(`
           INSERT INTO messages (
             conversation_id, role, content, tool_calls, tool_calls_llm,
-            tool_call_id, name, segments, sequence_number, is_compressed
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            tool_call_id, name, segments, sequence_number, is_compressed, is_cancelled, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
-        messages.forEach((message, index) => {
-          insertMessage.run(
+        const indexed = messages.map((message, index) => {
+          const { lastInsertRowid } = insertMessage.run(
             conversationId,
             message.role,
             message.content || null,
@@ -107,9 +133,13 @@ class ChatPersistence {
             message.name || null,
             message.segments ? JSON.stringify(message.segments) : null,
             index,
-            message.isCompressed ? 1 : 0
+            message.isCompressed ? 1 : 0,
+            message.cancelled ? 1 : 0,
+            createdAtBySequence.get(index) || now
           );
+          return { id: lastInsertRowid, message };
         });
+        searchService.indexMessages(indexed);
       });
 
       saveTransaction();
@@ -122,8 +152,10 @@ class ChatPersistence {
     }
   }
 
-  // List all active conversations
-  async listConversations() {
+  // List conversations that are not deleted, pinned first, then by last message.
+  // Filters: archived (true lists only archived ones, false only the others, null both),
+  // folderId (a folder id, or 'none' for conversations in no folder), tag, pinned
+  async listConversations({ archived = false, folderId = null, tag = null, pinned = null } = {}) {
     try {
       await this.initialize();
 
@@ -131,13 +163,41 @@ class ChatPersistence {
 
       const db = databaseManager.getConnection();
 
-      // Query all non-deleted conversations ordered by last message
+      const conditions = ['c.deleted_at IS NULL'];
+      const params = [];
+      if (archived !== null) {
+        conditions.push(archived ? 'o.archived_at IS NOT NULL' : 'o.archived_at IS NULL');
+      }
+      if (folderId === 'none') {
+        conditions.push('o.folder_id IS NULL');
+      } else if (folderId !== null) {
+        conditions.push('o.folder_id = ?');
+        params.push(folderId);
+      }
+      if (tag) {
+        conditions.push('EXISTS (SELECT 1 FROM conversation_tags t WHERE t.conversation_id = c.id AND t.tag = ?)');
+        params.push(tag);
+      }
+      if (pinned !== null) {
+        conditions.push(pinned ? 'o.pinned_at IS NOT NULL' : 'o.pinned_at IS NULL');
+      }
+
       const conversations = db.prepare(`
-        SELECT id, created_at, last_message_at, message_count
-        FROM conversations
-        WHERE deleted_at IS NULL
-        ORDER BY last_message_at DESC
-      `).all();
+        SELECT c.id, c.created_at, c.last_message_at, c.message_count, c.title, c.short_summary,
+               o.folder_id, o.pinned_at, o.archived_at
+        FROM conversations c
+        LEFT JOIN conversation_organization o ON o.conversation_id = c.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY o.pinned_at IS NULL, o.pinned_at DESC, c.last_message_at DESC
+      `).all(...params);
+
+      const tagsByConversation = new Map();
+      for (const row of db.prepare('SELECT conversation_id, tag FROM conversation_tags ORDER BY rowid').all()) {
+        if (!tagsByConversation.has(row.conversation_id)) {
+          tagsByConversation.set(row.conversation_id, []);
+        }
+        tagsByConversation.get(row.conversation_id).push(row.tag);
+      }
 
       logger.info(`Found ${conversations.length} active conversations`);
 
@@ -150,7 +210,13 @@ class ChatPersistence {
           id: conv.id,
           timestamp,
           createdAt: conv.created_at,
-          messageCount: conv.message_count
+          messageCount: conv.message_count,
+          title: conv.title || null,
+          shortSummary: conv.short_summary || null,
+          folderId: conv.folder_id ?? null,
+          pinned: !!conv.pinned_at,
+          archived: !!conv.archived_at,
+          tags: tagsByConversation.get(conv.id) || []
         };
       });
     } catch (error) {
@@ -171,7 +237,9 @@ class ChatPersistence {
       // Load conversation metadata
       const conversation = db.prepare(`
         SELECT id, created_at, last_message_at, message_count, context_usage,
-               compression_summary, compressed_at, compressed_message_count
+               compression_summary, compressed_at, compressed_message_count,
+               provider, model, temperature, top_p, max_tokens, tool_choice, tool_profile,
+               title, short_summary
         FROM conversations
         WHERE id = ? AND deleted_at IS NULL
       `).get(conversationId);
@@ -182,7 +250,7 @@ class ChatPersistence {
 
       // Load messages ordered by sequence_number
       const messageRows = db.prepare(`
-        SELECT role, content, tool_calls, tool_calls_llm, tool_call_id, name, segments, is_compressed
+        SELECT role, content, tool_calls, tool_calls_llm, tool_call_id, name, segments, is_compressed, is_cancelled
         FROM messages
         WHERE conversation_id = ?
         ORDER BY sequence_number ASC
@@ -222,6 +290,10 @@ class ChatPersistence {
           message.isCompressed = true;
         }
 
+        if (row.is_cancelled) {
+          message.cancelled = true;
+        }
+
         return message;
       });
 
@@ -236,7 +308,16 @@ class ChatPersistence {
           contextUsage: conversation.context_usage ? JSON.parse(conversation.context_usage) : null,
           compressionSummary: conversation.compression_summary || null,
           compressedAt: conversation.compressed_at || null,
-          compressedMessageCount: conversation.compressed_message_count || 0
+          compressedMessageCount: conversation.compressed_message_count || 0,
+          provider: conversation.provider || null,
+          model: conversation.model || null,
+          temperature: conversation.temperature ?? null,
+          topP: conversation.top_p ?? null,
+          maxTokens: conversation.max_tokens ?? null,
+          toolChoice: conversation.tool_choice || null,
+          toolProfile: conversation.tool_profile || null,
+          title: conversation.title || null,
+          shortSummary: conversation.short_summary || null
         }
       };
     } catch (error) {
@@ -245,6 +326,101 @@ class ChatPersistence {
     }
   }
 
+  // Update per-conversation model options without rewriting messages
+  async updateConversationOptions(conversationId, options) {
+    try {
+      await this.initialize();
+
+      const db = databaseManager.getConnection();
+
+      const result = db.prepare(`
+        UPDATE conversations
+        SET provider = ?, model = ?, temperature = ?, top_p = ?, max_tokens = ?, tool_choice = ?,
+            tool_profile = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND deleted_at IS NULL
+      `).run(
+        options.provider || null,
+        options.model || null,
+        options.temperature ?? null,
+        options.topP ?? null,
+        options.maxTokens ?? null,
+        options.toolChoice || null,
+        options.toolProfile || null,
+        conversationId
+      );
+
+      // Conversations that were never saved get their options on the first save
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Failed to update options for ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  // Set title and short summary (undefined keeps the current one, null clears it).
+  // onlyIfUntitled leaves a title the user or an earlier run already set.
+  // Returns the stored { title, shortSummary }, or null if nothing was updated.
+  async updateTitle(conversationId, { title, shortSummary }, { onlyIfUntitled = false } = {}) {
+    try {
+      await this.initialize();
+
+      const db = databaseManager.getConnection();
+
+      const result = db.prepare(`
+        UPDATE conversations
+        SET title = ?, short_summary = CASE WHEN ? THEN short_summary ELSE ? END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND deleted_at IS NULL${onlyIfUntitled ? ' AND title IS NULL' : ''}
+      `).run(title || null, shortSummary === undefined ? 1 : 0, shortSummary || null, conversationId);
+
+      if (result.changes === 0) {
+        return null;
+      }
+
+      const row = db.prepare('SELECT title, short_summary FROM conversations WHERE id = ?').get(conversationId);
+      return { title: row.title, shortSummary: row.short_summary };
+    } catch (error) {
+      logger.error(`Failed to update title for ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  // Update compression state (summary and which messages it covers) without rewriting messages
+  async updateCompression(conversationId, compressionMeta) {
+    try {
+      await this.initialize();
+
+      const db = databaseManager.getConnection();
+      const compressedMessageCount = compressionMeta.compressedMessageCount || 0;
+
+      const updateTransaction = db.transaction(() => {
+        const result = db.prepare(`
+          UPDATE conversations
+          SET compression_summary = ?, compressed_at = ?, compressed_message_count = ?,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND deleted_at IS NULL
+        `).run(
+          compressionMeta.compressionSummary || null,
+          compressionMeta.compressedAt || null,
+          compressedMessageCount,
+          conversationId
+        );
+
+        db.prepare(`
+          UPDATE messages SET is_compressed = (sequence_number < ?)
+          WHERE conversation_id = ?
+        `).run(compressedMessageCount, conversationId);
+
+        return result.changes > 0;
+      });
+
+      return updateTransaction();
+    } catch (error) {
+      logger.error(`Failed to update compression for ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
   // Delete conversation (soft delete)
   async deleteConversation(conversationId) {
     try {
@@ -254,11 +430,11 @@ class ChatPersistence {
 
       const db = databaseManager.getConnection();
 
-      // Soft delete: set deleted_at timestamp
+      // Soft delete: set deleted_at timestamp (the conversation moves to the trash)
       const deleteStmt = db.prepare(`
         UPDATE conversations
         SET deleted_at = CURRENT_TIMESTAMP
-        WHERE id = ?
+        WHERE id = ? AND deleted_at IS NULL
       `);
 
       const result = deleteStmt.run(conversationId);
@@ -276,6 +452,112 @@ class ChatPersistence {
     }
   }
 
+  // List soft-deleted conversations (the trash), most recently deleted first
+  async listDeletedConversations() {
+    try {
+      await this.initialize();
+
+      const db = databaseManager.getConnection();
+
+      const conversations = db.prepare(`
+        SELECT id, created_at, message_count, title, short_summary,
+               strftime('%Y-%m-%dT%H:%M:%fZ', deleted_at) AS deleted_at
+        FROM conversations
+        WHERE deleted_at IS NOT NULL
+        ORDER BY deleted_at DESC
+      `).all();
+
+      return conversations.map(conv => ({
+        id: conv.id,
+        timestamp: parseInt(conv.id.split('_')[1]),
+        createdAt: conv.created_at,
+        messageCount: conv.message_count,
+        title: conv.title || null,
+        shortSummary: conv.short_summary || null,
+        deletedAt: conv.deleted_at
+      }));
+    } catch (error) {
+      logger.error('Failed to list deleted conversations:', error);
+      return [];
+    }
+  }
+
+  // Move a conversation out of the trash; false if it is not in the trash
+  async restoreConversation(conversationId) {
+    try {
+      await this.initialize();
+
+      const db = databaseManager.getConnection();
+
+      const result = db.prepare(`
+        UPDATE conversations
+        SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND deleted_at IS NOT NULL
+      `).run(conversationId);
+
+      if (result.changes === 0) {
+        return false;
+      }
+
+      logger.info(`Conversation restored: ${conversationId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to restore conversation ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  // Hard delete: remove a conversation with its messages, compression summaries and
+  // search index entries (organization and tags cascade). Usage and tool execution
+  // stats are kept. Returns false if the conversation does not exist.
+  async purgeConversation(conversationId) {
+    try {
+      await this.initialize();
+
+      const db = databaseManager.getConnection();
+
+      const purgeTransaction = db.transaction(() => {
+        searchService.removeConversation(conversationId);
+        db.prepare('DELETE FROM compression_summary_versions WHERE conversation_id = ?').run(conversationId);
+        db.prepare('DELETE FROM compression_summaries WHERE conversation_id = ?').run(conversationId);
+        db.prepare('DELETE FROM messages WHERE conversation_id = ?').run(conversationId);
+        return db.prepare('DELETE FROM conversations WHERE id = ?').run(conversationId).changes > 0;
+      });
+
+      const purged = purgeTransaction();
+      if (purged) {
+        logger.info(`Conversation permanently deleted: ${conversationId}`);
+      }
+      return purged;
+    } catch (error) {
+      logger.error(`Failed to permanently delete conversation ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  // Hard delete conversations that have been in the trash for at least retentionDays
+  // days, or all of them when retentionDays is null. Returns the purged ids.
+  async purgeDeletedConversations(retentionDays = null) {
+    await this.initialize();
+
+    const db = databaseManager.getConnection();
+
+    const rows = retentionDays === null
+      ? db.prepare('SELECT id FROM conversations WHERE deleted_at IS NOT NULL').all()
+      : db.prepare(`
+          SELECT id FROM conversations
+          WHERE deleted_at IS NOT NULL AND datetime(deleted_at) <= datetime('now', ?)
+        `).all(`-${retentionDays} days`);
+
+    const purged = [];
+    for (const { id } of rows) {
+      if (await this.purgeConversation(id)) {
+        purged.push(id);
+      }
+    }
+    return purged;
+  }
+
   // Get conversation metadata
   async getConversationMetadata(conversationId) {
     try {
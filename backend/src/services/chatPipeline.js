@@ -1,6 +1,9 @@
 import { llmClient } from './llmClient.js';
 import { chatPersistence } from './chatPersistence.js';
 import { compressionService } from './compressionService.js';
+import { contextBudget } from './contextBudget.js';
+import { compressionSummaryService } from './compressionSummaryService.js';
+import { titleService } from './titleService.js';
 import { logger } from '../utils/logger.js';
 import {
   conversations,
@@ -8,17 +11,57 @@ import {
   compressionLocks,
   touchConversation,
   ensureCompressionMetadata,
+  ensureConversationOptions,
+  loadConversationOptions,
   shouldLogSystemMessage,
   markSystemMessageAsLogged
 } from './conversationStore.js';
 import { addLog } from './logStore.js';
+import { activeChatManager } from './activeChatManager.js';
+import { zoMCP } from './mcpClient.js';
+import { providerRegistry } from './providerRegistry.js';
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// Attached resources travel inside the user message as <resource> blocks, so the
+// model, the saved history and the UI all see the same content
+function withAttachments(message, attachments = []) {
+  if (attachments.length === 0) {
+    return message;
+  }
+
+  const blocks = attachments.map(({ server, uri, name, mimeType, text, truncated }) => {
+    const attributes = [
+      `server="${escapeAttribute(server)}"`,
+      `uri="${escapeAttribute(uri)}"`,
+      `name="${escapeAttribute(name)}"`,
+      mimeType ? `mimeType="${escapeAttribute(mimeType)}"` : null,
+      truncated ? 'truncated="true"' : null
+    ].filter(Boolean).join(' ');
+    return `<resource ${attributes}>\n${text}\n</resource>`;
+  });
+
+  return [message, ...blocks].join('\n\n');
+}
+
+/**
+ * Read the MCP resources a user attached to a message
+ * @param {Array<{server: string, uri: string}>} attachments
+ * @returns {Promise<Array>} Resolved attachments for runChatCompletion/runChatStream
+ */
+export async function resolveAttachments(attachments = []) {
+  return Promise.all(attachments.map(({ server, uri }) => zoMCP.readResourceText(server, uri)));
+}
 
 async function ensureConversationState(conversationId, { loadFromPersistence = false } = {}) {
   if (conversations.has(conversationId)) {
     touchConversation(conversationId);
     return {
       conversation: conversations.get(conversationId),
-      compressionMeta: ensureCompressionMetadata(conversationId)
+      compressionMeta: ensureCompressionMetadata(conversationId),
+      options: ensureConversationOptions(conversationId)
     };
   }
 
@@ -31,11 +74,13 @@ async function ensureConversationState(conversationId, { loadFromPersistence = f
         compressedAt: metadata.compressedAt || null,
         compressedMessageCount: metadata.compressedMessageCount || 0
       });
+      loadConversationOptions(conversationId, metadata);
       touchConversation(conversationId);
       logger.info(`Loaded conversation into memory: ${conversationId}`);
       return {
         conversation: conversations.get(conversationId),
-        compressionMeta: compressionMetadata.get(conversationId)
+        compressionMeta: compressionMetadata.get(conversationId),
+        options: ensureConversationOptions(conversationId)
       };
     } catch (error) {
       logger.info(`Conversation not found in persistence: ${conversationId}`);
@@ -47,7 +92,8 @@ async function ensureConversationState(conversationId, { loadFromPersistence = f
   logger.info(`Created new conversation in memory: ${conversationId}`);
   return {
     conversation: conversations.get(conversationId),
-    compressionMeta: ensureCompressionMetadata(conversationId)
+    compressionMeta: ensureCompressionMetadata(conversationId),
+    options: ensureConversationOptions(conversationId)
   };
 }
 
@@ -88,6 +134,286 @@ function logSystemMessages({
   markSystemMessageAsLogged(conversationId, currentState);
 }
 
+// An explicit provider sticks to the conversation for later turns. A model picked
+// for the previous provider would be sent to the wrong API, so it is cleared and
+// the new provider's default model answers instead.
+async function applyRequestProvider(conversationId, options, provider) {
+  if (!provider || provider === options.provider) {
+    return;
+  }
+
+  const previousProvider = options.provider || providerRegistry.defaultProviderId;
+  options.provider = provider;
+  if (options.model && previousProvider !== provider) {
+    options.model = null;
+  }
+
+  // Saves keep options they leave out, so a cleared model is written here
+  await chatPersistence.updateConversationOptions(conversationId, options);
+}
+
+async function persistConversation(conversationId, conversation, compressionMeta, usage) {
+  try {
+    const now = new Date().toISOString();
+    const metadata = {
+      lastMessageAt: now,
+      contextUsage: usage,
+      compressionSummary: compressionMeta.compressionSummary,
+      compressedAt: compressionMeta.compressedAt,
+      compressedMessageCount: compressionMeta.compressedMessageCount,
+      ...ensureConversationOptions(conversationId)
+    };
+
+    if (conversation.length === 2) {
+      metadata.createdAt = now;
+    }
+
+    await chatPersistence.saveConversation(conversationId, conversation, metadata);
+    logger.info(`Conversation auto-saved: ${conversationId}`);
+  } catch (saveError) {
+    logger.error('Failed to auto-save conversation:', saveError);
+  }
+}
+
+// Name a conversation after its first exchange. A failure leaves it untitled;
+// the user can generate the title again from the sidebar.
+async function titleIfNeeded({ conversationId, conversation, compressionMeta, emit = () => {} }) {
+  const userMessages = conversation.filter(message => message.role === 'user').length;
+  if (userMessages !== 1) {
+    return null;
+  }
+
+  try {
+    const generated = await titleService.generateTitle(conversation, {
+      conversationId,
+      compressionSummary: compressionMeta.compressionSummary
+    });
+    const saved = await chatPersistence.updateTitle(conversationId, generated, { onlyIfUntitled: true });
+    if (!saved) {
+      return null;
+    }
+
+    addLog('conversation_title', { conversationId, ...saved, source: 'auto' });
+    emit({ type: 'title', conversationId, ...saved });
+    return saved;
+  } catch (error) {
+    logger.error(`Failed to generate title for ${conversationId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Compress all but the most recent messages on top of the current summary,
+ * record the new summary in compression_summaries and apply it to the
+ * in-memory conversation state. Callers hold the compression lock.
+ * @param {Object} params
+ * @param {string} [params.actor] - 'user' for a manual compression, 'system' for an automatic one
+ * @returns {Promise<Object>} Result of compressionService.compressMessages plus the stored summary row
+ */
+export async function compressConversation({ conversationId, conversation, compressionMeta, actor = 'system' }) {
+  const compressionResult = await compressionService.compressMessages(conversation, null, {
+    conversationId,
+    previousSummary: compressionMeta.compressionSummary,
+    compressedMessageCount: compressionMeta.compressedMessageCount
+  });
+
+  const stored = compressionSummaryService.recordCompression({
+    conversationId,
+    previous: compressionMeta,
+    startIndex: compressionResult.startIndex,
+    endIndex: compressionResult.compressedCount,
+    summary: compressionResult.summary,
+    chunkSummary: compressionResult.chunkSummary,
+    actor,
+    model: compressionResult.summarizer
+  });
+
+  compressionMeta.compressionSummary = compressionResult.summary;
+  compressionMeta.compressedAt = stored.createdAt;
+  compressionMeta.compressedMessageCount = compressionResult.compressedCount;
+
+  for (let i = 0; i < compressionResult.compressedCount; i++) {
+    conversation[i].isCompressed = true;
+  }
+
+  logger.info(`Compressed ${compressionResult.compressedCount} messages`, {
+    newMessages: compressionResult.compressedCount - compressionResult.startIndex,
+    summaryLength: compressionResult.summary.length,
+    summaryId: stored.id
+  });
+
+  return { ...compressionResult, stored };
+}
+
+// Compress everything but the most recent messages once the context reaches
+// the threshold. Returns true if the conversation was compressed.
+async function compressIfNeeded({ conversationId, conversation, compressionMeta, tokens, emit = () => {} }) {
+  const canCompress = compressionService.shouldCompress(tokens) &&
+    (!compressionMeta.compressionSummary ||
+      conversation.length > compressionMeta.compressedMessageCount + compressionService.keepRecentMessages);
+
+  if (!canCompress || compressionLocks.get(conversationId)) {
+    return false;
+  }
+
+  try {
+    compressionLocks.set(conversationId, true);
+
+    const isRecompression = !!compressionMeta.compressionSummary;
+    logger.info(`Context size ${tokens} exceeds threshold, triggering ${isRecompression ? 're-' : ''}compression`);
+
+    emit({ type: 'compression_start' });
+
+    const compressionResult = await compressConversation({ conversationId, conversation, compressionMeta });
+
+    emit({
+      type: 'compression',
+      compressedCount: compressionResult.compressedCount,
+      summary: compressionResult.summary
+    });
+    return true;
+  } catch (compressionError) {
+    logger.error('Failed to compress conversation:', compressionError);
+    return false;
+  } finally {
+    compressionLocks.delete(conversationId);
+  }
+}
+
+// Build the context for the next request and count it locally. An oversized
+// context is compressed first, so the request that would overflow is never sent.
+async function prepareContext({ conversationId, conversation, compressionMeta, systemMessage, requestOptions, emit }) {
+  const build = () => compressionService.buildCompressedContext(
+    conversation,
+    compressionMeta.compressionSummary,
+    compressionMeta.compressedMessageCount,
+    systemMessage
+  );
+
+  let messages = build();
+  let context = compressionService.measureContext(messages, requestOptions);
+
+  if (await compressIfNeeded({ conversationId, conversation, compressionMeta, tokens: context.total, emit })) {
+    messages = build();
+    context = compressionService.measureContext(messages, requestOptions);
+  }
+
+  return { messages, context };
+}
+
+// llmClient calls this before every model request of a turn so the request
+// fits the model's context window; whatever had to be trimmed is logged
+function createContextFitter(conversationId) {
+  return (messages, request) => {
+    const { messages: fitted, trimmed, before, tokens, limit, contextWindow } = contextBudget.fit(messages, request);
+    if (trimmed.length > 0) {
+      logger.warn(`Trimmed context of ${conversationId} from ${before} to ${tokens} tokens to fit ${request.provider}/${request.model}`, {
+        limit,
+        trimmed
+      });
+      addLog('context_trimmed', {
+        conversationId,
+        provider: request.provider,
+        model: request.model,
+        contextWindow,
+        limit,
+        tokensBefore: before,
+        tokensAfter: tokens,
+        trimmed
+      });
+    }
+    return fitted;
+  };
+}
+
+// Tool calls from one turn run in parallel and may share a name, so match on
+// the call id whenever both sides have one
+function isSameToolCall(segment, toolCallData) {
+  if (segment.tool_call_id && toolCallData.tool_call_id) {
+    return segment.tool_call_id === toolCallData.tool_call_id;
+  }
+  return segment.toolName === toolCallData.toolName;
+}
+
+function findPendingToolSegment(segments, toolCallData) {
+  return segments.findIndex(s =>
+    s.type === 'tool_call' &&
+    isSameToolCall(s, toolCallData) &&
+    s.status !== 'completed' &&
+    s.status !== 'failed'
+  );
+}
+
+function markCancelled(entry) {
+  if (entry.status === 'completed' || entry.status === 'failed') {
+    return entry;
+  }
+  return { ...entry, status: 'cancelled', success: false };
+}
+
+// Cancelling frees the lock before the aborted run has saved its partial turn;
+// a new run on the same conversation waits for that save instead of racing it
+async function waitForCancelledRun(conversationId) {
+  if (!(await activeChatManager.waitForUnwind(conversationId))) {
+    const error = new Error('The cancelled reply is still stopping. Please try again in a moment.');
+    error.code = 'RUN_UNWINDING';
+    error.status = 409;
+    throw error;
+  }
+}
+
+// Keep whatever the model produced before the abort so the turn is not lost,
+// and flag it so the UI (and later turns) can tell it never finished.
+async function recordCancelledTurn({
+  conversationId,
+  conversation,
+  compressionMeta,
+  segments,
+  toolCalls,
+  assistantLogMeta
+}) {
+  const cancelledSegments = segments.map(segment => (
+    segment.type === 'tool_call' ? markCancelled(segment) : segment
+  ));
+  const cancelledToolCalls = toolCalls.map(markCancelled);
+  const partialMessage = cancelledSegments
+    .filter(segment => segment.type === 'text')
+    .map(segment => segment.content)
+    .join('');
+
+  conversation.push({
+    role: 'assistant',
+    content: partialMessage,
+    toolCalls: cancelledToolCalls,
+    segments: cancelledSegments,
+    cancelled: true
+  });
+
+  addLog('assistant_message', {
+    conversationId,
+    message: partialMessage,
+    toolCalls: cancelledToolCalls.length,
+    cancelled: true,
+    ...assistantLogMeta
+  });
+
+  logger.info(`Run cancelled for conversation ${conversationId}`, {
+    partialLength: partialMessage.length,
+    toolCalls: cancelledToolCalls.length
+  });
+
+  await persistConversation(conversationId, conversation, compressionMeta, null);
+
+  return {
+    conversationId,
+    message: partialMessage,
+    usage: null,
+    toolCalls: cancelledToolCalls,
+    segments: cancelledSegments,
+    cancelled: true
+  };
+}
+
 export async function runChatCompletion({
   conversationId,
   message,
@@ -98,9 +424,19 @@ export async function runChatCompletion({
   toolLogMeta = {},
   systemLogMeta = {},
   compressionLogMeta = {},
-  loadFromPersistence = false
+  loadFromPersistence = false,
+  provider = null,
+  maxToolRounds = null,
+  approvalPolicy = 'chat',
+  defaultToolProfile = null,
+  attachments = [],
+  autoTitle = false,
+  signal = null
 }) {
-  const { conversation, compressionMeta } = await ensureConversationState(conversationId, { loadFromPersistence });
+  await waitForCancelledRun(conversationId);
+  const { conversation, compressionMeta, options } = await ensureConversationState(conversationId, { loadFromPersistence });
+
+  await applyRequestProvider(conversationId, options, provider);
 
   logger.info(`Sending message to conversation ${conversationId}`, {
     existingMessages: conversation.length,
@@ -115,7 +451,7 @@ export async function runChatCompletion({
 
   const userMessage = {
     role: 'user',
-    content: message,
+    content: withAttachments(message, attachments),
     ...messageMeta
   };
   conversation.push(userMessage);
@@ -123,6 +459,9 @@ export async function runChatCompletion({
   addLog('user_message', {
     conversationId,
     message,
+    ...(attachments.length > 0 ? {
+      attachments: attachments.map(({ server, uri, text, truncated }) => ({ server, uri, chars: text.length, truncated }))
+    } : {}),
     ...userLogMeta
   });
 
@@ -134,40 +473,73 @@ export async function runChatCompletion({
     compressionLogMeta
   });
 
-  const conversationForLLM = compressionService.buildCompressedContext(
+  const requestOptions = { ...options, defaultToolProfile };
+  const { messages: conversationForLLM, context } = await prepareContext({
+    conversationId,
     conversation,
-    compressionMeta.compressionSummary,
-    compressionMeta.compressedMessageCount,
-    systemMessage
-  );
+    compressionMeta,
+    systemMessage,
+    requestOptions
+  });
 
   const toolCalls = [];
   const segments = [];
 
-  const response = await llmClient.chat(
-    conversationForLLM,
-    (toolCallData) => {
-      // Only log tool call when completed or failed (not intermediate statuses)
-      if (toolCallData.status === 'completed' || toolCallData.status === 'failed') {
-        addLog('tool_call', {
-          ...toolCallData,
-          conversationId,
-          ...toolLogMeta
-        });
-      }
-      toolCalls.push(toolCallData);
+  const onToolCall = (toolCallData) => {
+    // Only log tool call when completed or failed (not intermediate statuses)
+    if (toolCallData.status === 'completed' || toolCallData.status === 'failed') {
+      addLog('tool_call', {
+        ...toolCallData,
+        conversationId,
+        ...toolLogMeta
+      });
+    }
+    toolCalls.push(toolCallData);
 
-      const existingIndex = segments.findIndex(
-        s => s.type === 'tool_call' && s.toolName === toolCallData.toolName && s.status !== 'completed' && s.status !== 'failed'
-      );
+    const existingIndex = findPendingToolSegment(segments, toolCallData);
 
-      if (existingIndex >= 0) {
-        segments[existingIndex] = { type: 'tool_call', ...toolCallData };
-      } else {
-        segments.push({ type: 'tool_call', ...toolCallData });
-      }
+    if (existingIndex >= 0) {
+      segments[existingIndex] = { type: 'tool_call', ...toolCallData };
+    } else {
+      segments.push({ type: 'tool_call', ...toolCallData });
     }
-  );
+  };
+
+  const onToolLimit = (limitInfo) => {
+    addLog('tool_limit_reached', {
+      ...limitInfo,
+      conversationId,
+      ...toolLogMeta
+    });
+    segments.push({ type: 'tool_limit', ...limitInfo });
+  };
+
+  let response;
+  try {
+    response = await llmClient.chat(conversationForLLM, onToolCall, {
+      ...requestOptions,
+      maxToolRounds,
+      // No live client to answer approval prompts, so "ask" tools are refused
+      approval: { policy: approvalPolicy, interactive: false, conversationId },
+      usageContext: { conversationId, source: approvalPolicy },
+      fitContext: createContextFitter(conversationId),
+      signal,
+      onRetry: (retryInfo) => addLog('llm_retry', { conversationId, ...retryInfo }),
+      onToolLimit
+    });
+  } catch (error) {
+    if (!signal?.aborted) {
+      throw error;
+    }
+    return recordCancelledTurn({
+      conversationId,
+      conversation,
+      compressionMeta,
+      segments,
+      toolCalls,
+      assistantLogMeta
+    });
+  }
 
   const finalSegments = [];
   if (response.message) {
@@ -175,7 +547,7 @@ export async function runChatCompletion({
   }
   toolCalls.forEach(tc => {
     const alreadyInSegments = segments.some(s =>
-      s.type === 'tool_call' && s.toolName === tc.toolName && s.status === tc.status
+      s.type === 'tool_call' && isSameToolCall(s, tc) && s.status === tc.status
     );
     if (!alreadyInSegments) {
       finalSegments.push({ type: 'tool_call', ...tc });
@@ -184,11 +556,13 @@ export async function runChatCompletion({
   segments.forEach(s => {
     if (s.type === 'tool_call') {
       const alreadyInFinal = finalSegments.some(fs =>
-        fs.type === 'tool_call' && fs.toolName === s.toolName && fs.status === s.status
+        fs.type === 'tool_call' && isSameToolCall(fs, s) && fs.status === s.status
       );
       if (!alreadyInFinal) {
         finalSegments.push(s);
       }
+    } else if (s.type === 'tool_limit') {
+      finalSegments.push(s);
     }
   });
 
@@ -199,66 +573,35 @@ export async function runChatCompletion({
     message: response.message,
     usage: response.usage,
     toolCalls: toolCalls.length,
+    context,
+    provider: response.provider,
+    model: response.model,
     ...assistantLogMeta
   });
 
-  const shouldCompress = compressionService.shouldCompress(response.usage?.total_tokens || 0);
-  const canCompress = shouldCompress &&
-    (!compressionMeta.compressionSummary ||
-      conversation.length > compressionMeta.compressedMessageCount + compressionService.keepRecentMessages);
-  const compressionInProgress = compressionLocks.get(conversationId);
-
-  if (canCompress && !compressionInProgress) {
-    try {
-      compressionLocks.set(conversationId, true);
-
-      const isRecompression = !!compressionMeta.compressionSummary;
-      logger.info(`Context size ${response.usage.total_tokens} exceeds threshold, triggering ${isRecompression ? 're-' : ''}compression`);
-
-      const compressionResult = await compressionService.compressMessages(conversation);
-
-      compressionMeta.compressionSummary = compressionResult.summary;
-      compressionMeta.compressedAt = new Date().toISOString();
-      compressionMeta.compressedMessageCount = compressionResult.compressedCount;
-
-      for (let i = 0; i < compressionResult.compressedCount; i++) {
-        conversation[i].isCompressed = true;
-      }
-
-      logger.info(`Compressed ${compressionResult.compressedCount} messages`, {
-        summaryLength: compressionResult.summary.length
-      });
-    } catch (compressionError) {
-      logger.error('Failed to compress conversation:', compressionError);
-    } finally {
-      compressionLocks.delete(conversationId);
-    }
-  }
-
-  try {
-    const now = new Date().toISOString();
-    const metadata = {
-      lastMessageAt: now,
-      contextUsage: response.usage,
-      compressionSummary: compressionMeta.compressionSummary,
-      compressedAt: compressionMeta.compressedAt,
-      compressedMessageCount: compressionMeta.compressedMessageCount
-    };
+  // Compress now rather than on the next send if the reply pushed the context over
+  const { context: nextContext } = await prepareContext({
+    conversationId,
+    conversation,
+    compressionMeta,
+    systemMessage,
+    requestOptions
+  });
 
-    if (conversation.length === 2) {
-      metadata.createdAt = now;
-    }
+  await persistConversation(conversationId, conversation, compressionMeta, response.usage);
 
-    await chatPersistence.saveConversation(conversationId, conversation, metadata);
-    logger.info(`Conversation auto-saved: ${conversationId}`);
-  } catch (saveError) {
-    logger.error('Failed to auto-save conversation:', saveError);
-  }
+  const title = autoTitle ? await titleIfNeeded({ conversationId, conversation, compressionMeta }) : null;
 
   return {
     conversationId,
     message: response.message,
     usage: response.usage,
+    provider: response.provider,
+    model: response.model,
+    rateLimit: response.rateLimit,
+    toolLimit: response.toolLimit || null,
+    context: nextContext,
+    title,
     toolCalls,
     segments: finalSegments
   };
@@ -275,9 +618,19 @@ export async function runChatStream({
   toolLogMeta = {},
   systemLogMeta = {},
   compressionLogMeta = {},
-  loadFromPersistence = false
+  loadFromPersistence = false,
+  provider = null,
+  maxToolRounds = null,
+  approvalPolicy = 'chat',
+  defaultToolProfile = null,
+  attachments = [],
+  autoTitle = false,
+  signal = null
 }) {
-  const { conversation, compressionMeta } = await ensureConversationState(conversationId, { loadFromPersistence });
+  await waitForCancelledRun(conversationId);
+  const { conversation, compressionMeta, options } = await ensureConversationState(conversationId, { loadFromPersistence });
+
+  await applyRequestProvider(conversationId, options, provider);
 
   logger.info(`Streaming message to conversation ${conversationId}`, {
     existingMessages: conversation.length,
@@ -292,7 +645,7 @@ export async function runChatStream({
 
   const userMessage = {
     role: 'user',
-    content: message,
+    content: withAttachments(message, attachments),
     ...messageMeta
   };
   conversation.push(userMessage);
@@ -300,6 +653,9 @@ export async function runChatStream({
   addLog('user_message', {
     conversationId,
     message,
+    ...(attachments.length > 0 ? {
+      attachments: attachments.map(({ server, uri, text, truncated }) => ({ server, uri, chars: text.length, truncated }))
+    } : {}),
     ...userLogMeta
   });
 
@@ -311,17 +667,6 @@ export async function runChatStream({
     compressionLogMeta
   });
 
-  const conversationForLLM = compressionService.buildCompressedContext(
-    conversation,
-    compressionMeta.compressionSummary,
-    compressionMeta.compressedMessageCount,
-    systemMessage
-  );
-
-  const toolCalls = [];
-  const segments = [];
-  let currentTextSegmentIndex = -1;
-
   const emit = (event) => {
     if (!onEvent) return;
     try {
@@ -331,59 +676,116 @@ export async function runChatStream({
     }
   };
 
-  const result = await llmClient.streamChat(
-    conversationForLLM,
-    (chunk) => {
-      if (currentTextSegmentIndex === -1 || segments[currentTextSegmentIndex]?.type !== 'text') {
-        currentTextSegmentIndex = segments.length;
-        segments.push({ type: 'text', content: chunk.content });
-      } else {
-        segments[currentTextSegmentIndex].content += chunk.content;
-      }
+  const requestOptions = { ...options, defaultToolProfile };
+  const { messages: conversationForLLM, context } = await prepareContext({
+    conversationId,
+    conversation,
+    compressionMeta,
+    systemMessage,
+    requestOptions,
+    emit
+  });
 
-      emit({
-        ...chunk,
-        segmentIndex: currentTextSegmentIndex
-      });
-    },
-    (toolCallData) => {
-      // Only log tool call when completed or failed (not intermediate statuses)
-      if (toolCallData.status === 'completed' || toolCallData.status === 'failed') {
-        addLog('tool_call', {
-          ...toolCallData,
-          conversationId,
-          ...toolLogMeta
-        });
-      }
-      toolCalls.push(toolCallData);
+  const toolCalls = [];
+  const segments = [];
+  let currentTextSegmentIndex = -1;
 
-      const existingIndex = segments.findIndex(
-        s => s.type === 'tool_call' && s.toolName === toolCallData.toolName && s.status !== 'completed' && s.status !== 'failed'
-      );
+  const onChunk = (chunk) => {
+    if (currentTextSegmentIndex === -1 || segments[currentTextSegmentIndex]?.type !== 'text') {
+      currentTextSegmentIndex = segments.length;
+      segments.push({ type: 'text', content: chunk.content });
+    } else {
+      segments[currentTextSegmentIndex].content += chunk.content;
+    }
 
-      let segmentIndex;
-      if (existingIndex >= 0) {
-        segments[existingIndex] = {
-          type: 'tool_call',
-          ...toolCallData
-        };
-        segmentIndex = existingIndex;
-      } else {
-        segmentIndex = segments.length;
-        segments.push({
-          type: 'tool_call',
-          ...toolCallData
-        });
-        currentTextSegmentIndex = -1;
-      }
+    emit({
+      ...chunk,
+      segmentIndex: currentTextSegmentIndex
+    });
+  };
 
-      emit({
-        type: 'tool_call',
+  const onToolCall = (toolCallData) => {
+    // Only log tool call when completed or failed (not intermediate statuses)
+    if (toolCallData.status === 'completed' || toolCallData.status === 'failed') {
+      addLog('tool_call', {
         ...toolCallData,
-        segmentIndex
+        conversationId,
+        ...toolLogMeta
       });
     }
-  );
+    toolCalls.push(toolCallData);
+
+    const existingIndex = findPendingToolSegment(segments, toolCallData);
+
+    let segmentIndex;
+    if (existingIndex >= 0) {
+      segments[existingIndex] = {
+        type: 'tool_call',
+        ...toolCallData
+      };
+      segmentIndex = existingIndex;
+    } else {
+      segmentIndex = segments.length;
+      segments.push({
+        type: 'tool_call',
+        ...toolCallData
+      });
+      currentTextSegmentIndex = -1;
+    }
+
+    emit({
+      // The run is paused on this call until the user answers via /approvals/:id
+      type: toolCallData.status === 'awaiting_approval' ? 'approval_required' : 'tool_call',
+      ...toolCallData,
+      segmentIndex
+    });
+  };
+
+  const onToolLimit = (limitInfo) => {
+    addLog('tool_limit_reached', {
+      ...limitInfo,
+      conversationId,
+      ...toolLogMeta
+    });
+
+    const segmentIndex = segments.length;
+    segments.push({ type: 'tool_limit', ...limitInfo });
+    currentTextSegmentIndex = -1;
+
+    emit({ type: 'tool_limit_reached', ...limitInfo, segmentIndex });
+  };
+
+  let result;
+  try {
+    result = await llmClient.streamChat(conversationForLLM, onChunk, onToolCall, {
+      ...requestOptions,
+      maxToolRounds,
+      approval: { policy: approvalPolicy, interactive: true, conversationId },
+      usageContext: { conversationId, source: approvalPolicy },
+      fitContext: createContextFitter(conversationId),
+      signal,
+      onRetry: (retryInfo) => {
+        addLog('llm_retry', { conversationId, ...retryInfo });
+        emit({ type: 'retrying', ...retryInfo });
+      },
+      onToolLimit
+    });
+  } catch (error) {
+    if (!signal?.aborted) {
+      throw error;
+    }
+    const cancelledResult = await recordCancelledTurn({
+      conversationId,
+      conversation,
+      compressionMeta,
+      segments,
+      toolCalls,
+      assistantLogMeta
+    });
+    emit({ type: 'cancelled', segments: cancelledResult.segments });
+    emit({ type: 'done' });
+    return cancelledResult;
+  }
 
   conversation.push({ role: 'assistant', content: result.message, toolCalls, segments });
 
@@ -392,75 +794,33 @@ export async function runChatStream({
     message: result.message,
     toolCalls: toolCalls.length,
     usage: result.usage,
+    context,
+    provider: result.provider,
+    model: result.model,
     ...assistantLogMeta
   });
 
   if (result.usage) {
     emit({
       type: 'usage',
-      usage: result.usage
+      usage: result.usage,
+      rateLimit: result.rateLimit
     });
   }
 
-  const shouldCompress = compressionService.shouldCompress(result.usage?.total_tokens || 0);
-  const canCompress = shouldCompress &&
-    (!compressionMeta.compressionSummary ||
-      conversation.length > compressionMeta.compressedMessageCount + compressionService.keepRecentMessages);
-  const compressionInProgress = compressionLocks.get(conversationId);
-
-  if (canCompress && !compressionInProgress) {
-    try {
-      compressionLocks.set(conversationId, true);
-
-      const isRecompression = !!compressionMeta.compressionSummary;
-      logger.info(`Context size ${result.usage.total_tokens} exceeds threshold, triggering ${isRecompression ? 're-' : ''}compression`);
-
-      emit({ type: 'compression_start' });
-
-      const compressionResult = await compressionService.compressMessages(conversation);
-
-      compressionMeta.compressionSummary = compressionResult.summary;
-      compressionMeta.compressedAt = new Date().toISOString();
-      compressionMeta.compressedMessageCount = compressionResult.compressedCount;
-
-      for (let i = 0; i < compressionResult.compressedCount; i++) {
-        conversation[i].isCompressed = true;
-      }
-
-      logger.info(`Compressed ${compressionResult.compressedCount} messages`, {
-        summaryLength: compressionResult.summary.length
-      });
-
-      emit({
-        type: 'compression',
-        compressedCount: compressionResult.compressedCount,
-        summary: compressionResult.summary
-      });
-    } catch (compressionError) {
-      logger.error('Failed to compress conversation:', compressionError);
-    } finally {
-      compressionLocks.delete(conversationId);
-    }
-  }
-
-  try {
-    const now = new Date().toISOString();
-    const metadata = {
-      lastMessageAt: now,
-      contextUsage: result.usage,
-      compressionSummary: compressionMeta.compressionSummary,
-      compressedAt: compressionMeta.compressedAt,
-      compressedMessageCount: compressionMeta.compressedMessageCount
-    };
+  const { context: nextContext } = await prepareContext({
+    conversationId,
+    conversation,
+    compressionMeta,
+    systemMessage,
+    requestOptions,
+    emit
+  });
 
-    if (conversation.length === 2) {
-      metadata.createdAt = now;
-    }
+  await persistConversation(conversationId, conversation, compressionMeta, result.usage);
 
-    await chatPersistence.saveConversation(conversationId, conversation, metadata);
-    logger.info(`Conversation auto-saved: ${conversationId}`);
-  } catch (saveError) {
-    logger.error('Failed to auto-save conversation:', saveError);
+  if (autoTitle) {
+    await titleIfNeeded({ conversationId, conversation, compressionMeta, emit });
   }
 
   emit({ type: 'done' });
@@ -469,6 +829,11 @@ export async function runChatStream({
     conversationId,
     message: result.message,
     usage: result.usage,
+    provider: result.provider,
+    model: result.model,
+    rateLimit: result.rateLimit,
+    toolLimit: result.toolLimit || null,
+    context: nextContext,
     toolCalls,
     segments
   };
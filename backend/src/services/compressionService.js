@@ -2,6 +2,24 @@ import { llmClient } from './llmClient.js';
 import { logger } from '../utils/logger.js';
 import { memoryManager } from './memoryManager.js';
 import { settingsManager } from './settingsManager.js';
+import { providerRegistry } from './providerRegistry.js';
+import { tokenCounter } from './tokenCounter.js';
+import { contextBudget } from './contextBudget.js';
+
+const SUMMARY_HEADER = '=== CONVERSATION SUMMARY ===';
+
+const SUMMARIZER_PROMPT = `You are a conversation summarizer. Your task is to create a concise but comprehensive summary of the conversation below.
+
+IMPORTANT GUIDELINES:
+1. Capture all key topics, decisions, and important information discussed
+2. Preserve specific details like file paths, code snippets, configurations, or technical decisions
+3. Note any problems that were solved or issues that were encountered
+4. Include any preferences, requirements, or constraints mentioned by the user
+5. Maintain chronological flow of major topics
+6. Be concise but don't omit important context
+7. Format as a structured summary with clear sections
+
+Your summary will be used as context for future messages in this conversation, replacing the original messages to save tokens.`;
 
 class CompressionService {
   constructor() {
@@ -12,10 +30,16 @@ class CompressionService {
     const config = settingsManager.getCompressionSettings();
     this.compressionThreshold = config.threshold;
     this.keepRecentMessages = config.keepRecentMessages;
+    this.summarizerProvider = config.summarizerProvider || null;
+    this.summarizerModel = config.summarizerModel || null;
+    this.hierarchical = !!config.hierarchical;
 
     logger.info('Compression config loaded', {
       threshold: this.compressionThreshold,
-      keepRecentMessages: this.keepRecentMessages
+      keepRecentMessages: this.keepRecentMessages,
+      summarizerProvider: this.summarizerProvider,
+      summarizerModel: this.summarizerModel,
+      hierarchical: this.hierarchical
     });
   }
 
@@ -25,63 +49,98 @@ class CompressionService {
   }
 
   /**
-   * Check if conversation needs compression based on token count
+   * Provider/model used for summaries. Falls back to the default provider
+   * (and its default model) if the configured one has no key set.
    */
-  shouldCompress(tokenCount) {
-    return tokenCount >= this.compressionThreshold;
+  getSummarizerOptions() {
+    if (this.summarizerProvider && !providerRegistry.has(this.summarizerProvider)) {
+      logger.warn(`Summarizer provider "${this.summarizerProvider}" is not configured, using default`);
+      return {};
+    }
+    return {
+      provider: this.summarizerProvider,
+      model: this.summarizerModel
+    };
+  }
+
+  // "provider/model" that writes summaries, as recorded with each summary version
+  getSummarizerName() {
+    const { provider, model } = providerRegistry.resolve(this.getSummarizerOptions());
+    return `${provider.id}/${model}`;
   }
 
   /**
-   * Generate a summary of messages for compression
-   * @param {Array} messages - Array of message objects to summarize
-   * @returns {Promise<string>} Summary text
+   * Check if conversation needs compression based on token count
    */
-  async generateSummary(messages) {
-    try {
-      logger.info(`Generating compression summary for ${messages.length} messages`);
+  shouldCompress(tokenCount) {
+    return tokenCount >= this.compressionThreshold;
+  }
 
-      // Build context for the summarization prompt
-      const conversationText = messages
-        .map((msg, idx) => {
-          const role = msg.role.toUpperCase();
-          let content = msg.content || '';
+  // Messages as numbered plain text; numbering continues from startIndex so
+  // a batch of newly aged messages keeps its position in the conversation
+  formatMessages(messages, startIndex = 0) {
+    return messages
+      .map((msg, idx) => {
+        const role = msg.role.toUpperCase();
+        let content = msg.content || '';
 
-          // Include tool call information
-          if (msg.tool_calls && msg.tool_calls.length > 0) {
-            const toolInfo = msg.tool_calls
-              .map(tc => `[Used tool: ${tc.function?.name || 'unknown'}]`)
-              .join(' ');
-            content += `\n${toolInfo}`;
-          }
+        // Include tool call information
+        if (msg.tool_calls && msg.tool_calls.length > 0) {
+          const toolInfo = msg.tool_calls
+            .map(tc => `[Used tool: ${tc.function?.name || 'unknown'}]`)
+            .join(' ');
+          content += `\n${toolInfo}`;
+        }
 
-          return `[Message ${idx + 1}] ${role}: ${content}`;
-        })
-        .join('\n\n');
+        return `[Message ${startIndex + idx + 1}] ${role}: ${content}`;
+      })
+      .join('\n\n');
+  }
 
-      const systemPrompt = `You are a conversation summarizer. Your task is to create a concise but comprehensive summary of the conversation below.
+  async requestSummary(instruction, conversationId = null) {
+    const summarizationMessages = [
+      { role: 'system', content: SUMMARIZER_PROMPT },
+      { role: 'user', content: instruction }
+    ];
 
-IMPORTANT GUIDELINES:
-1. Capture all key topics, decisions, and important information discussed
-2. Preserve specific details like file paths, code snippets, configurations, or technical decisions
-3. Note any problems that were solved or issues that were encountered
-4. Include any preferences, requirements, or constraints mentioned by the user
-5. Maintain chronological flow of major topics
-6. Be concise but don't omit important context
-7. Format as a structured summary with clear sections
-
-Your summary will be used as context for future messages in this conversation, replacing the original messages to save tokens.`;
+    // Summaries never run tools (they would bypass the approval policy mid-compression),
+    // so no tool schemas are sent either
+    const result = await llmClient.chat(summarizationMessages, null, {
+      ...this.getSummarizerOptions(),
+      tools: false,
+      usageContext: { conversationId, source: 'compression' }
+    });
 
-      const summarizationMessages = [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `Please summarize the following conversation:\n\n${conversationText}` }
-      ];
+    const summary = result.message || '';
+    logger.info(`Generated summary of ${summary.length} characters`);
+    return summary;
+  }
 
-      const result = await llmClient.chat(summarizationMessages);
+  /**
+   * Generate a summary of messages for compression
+   * @param {Array} messages - Array of message objects to summarize
+   * @param {Object} [context]
+   * @param {string} [context.conversationId] - The summary's token usage is booked to it
+   * @param {string} [context.previousSummary] - Summary of the messages before these; the result then
+   *   is that summary updated with these messages instead of a summary of these alone
+   * @param {number} [context.startIndex] - Position of the first message in the conversation
+   * @param {string} [context.instruction] - Extra instruction from the user, e.g. "keep all file paths"
+   * @returns {Promise<string>} Summary text
+   */
+  async generateSummary(messages, context = {}) {
+    const { conversationId = null, previousSummary = null, startIndex = 0, instruction = null } = context;
+    try {
+      logger.info(`Generating compression summary for ${messages.length} messages${previousSummary ? ' on top of the previous summary' : ''}`);
 
-      const summary = result.message || '';
-      logger.info(`Generated summary of ${summary.length} characters`);
+      const conversationText = this.formatMessages(messages, startIndex);
+      const request = previousSummary
+        ? `Here is the summary of the conversation so far:\n\n${previousSummary}\n\nUpdate it with the messages that followed, and return the complete updated summary:\n\n${conversationText}`
+        : `Please summarize the following conversation:\n\n${conversationText}`;
 
-      return summary;
+      return await this.requestSummary(
+        instruction ? `${request}\n\nAdditional instruction for this summary: ${instruction}` : request,
+        conversationId
+      );
     } catch (error) {
       logger.error('Failed to generate compression summary:', error);
       throw new Error(`Compression failed: ${error.message}`);
@@ -89,12 +148,33 @@ Your summary will be used as context for future messages in this conversation, r
   }
 
   /**
-   * Compress a conversation by summarizing messages up to a certain point
+   * Merge the summary of newly aged messages into the summary of everything before them
+   * @returns {Promise<string>} The merged summary
+   */
+  async mergeSummaries(previousSummary, chunkSummary, context = {}) {
+    try {
+      logger.info('Merging compression summaries');
+      return await this.requestSummary(
+        `Here is the summary of the conversation so far:\n\n${previousSummary}\n\nAnd here is a summary of what happened next:\n\n${chunkSummary}\n\nMerge them into one complete summary of the whole conversation.`,
+        context.conversationId ?? null
+      );
+    } catch (error) {
+      logger.error('Failed to merge compression summaries:', error);
+      throw new Error(`Compression failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compress a conversation up to a certain point. Messages already covered by
+   * the previous summary are not summarized again: only the newly aged ones are,
+   * and the result is merged with the previous summary.
    * @param {Array} messages - All messages in the conversation
    * @param {number} compressUpToIndex - Index up to which to compress (exclusive)
-   * @returns {Promise<Object>} { summary, compressedCount }
+   * @param {Object} [context] - { conversationId, previousSummary, compressedMessageCount }
+   * @returns {Promise<Object>} { summary, chunkSummary, startIndex, compressedCount, compressedUpToIndex, summarizer };
+   *   chunkSummary covers only messages startIndex..compressedCount and is null unless hierarchical
    */
-  async compressMessages(messages, compressUpToIndex = null) {
+  async compressMessages(messages, compressUpToIndex = null, context = {}) {
     // If no index specified, compress all but the last N messages (from config)
     const endIndex = compressUpToIndex || Math.max(0, messages.length - this.keepRecentMessages);
 
@@ -102,13 +182,27 @@ Your summary will be used as context for future messages in this conversation, r
       throw new Error('No messages to compress');
     }
 
-    const messagesToCompress = messages.slice(0, endIndex);
-    const summary = await this.generateSummary(messagesToCompress);
+    const { previousSummary = null, compressedMessageCount = 0 } = context;
+    const rolling = !!previousSummary && compressedMessageCount > 0 && compressedMessageCount < endIndex;
+    const startIndex = rolling ? compressedMessageCount : 0;
+    const newMessages = messages.slice(startIndex, endIndex);
+
+    let summary;
+    let chunkSummary = null;
+    if (this.hierarchical) {
+      chunkSummary = await this.generateSummary(newMessages, { ...context, previousSummary: null, startIndex });
+      summary = rolling ? await this.mergeSummaries(previousSummary, chunkSummary, context) : chunkSummary;
+    } else {
+      summary = await this.generateSummary(newMessages, { ...context, previousSummary: rolling ? previousSummary : null, startIndex });
+    }
 
     return {
       summary,
-      compressedCount: messagesToCompress.length,
-      compressedUpToIndex: endIndex
+      chunkSummary,
+      startIndex,
+      compressedCount: endIndex,
+      compressedUpToIndex: endIndex,
+      summarizer: this.getSummarizerName()
     };
   }
 
@@ -133,7 +227,7 @@ Your summary will be used as context for future messages in this conversation, r
     if (compressionSummary && compressedMessageCount > 0) {
       context.push({
         role: 'system',
-        content: `=== CONVERSATION SUMMARY ===\nThe following is a summary of the first ${compressedMessageCount} messages in this conversation:\n\n${compressionSummary}\n\n=== END SUMMARY ===\n\nThe messages below continue from where the summary ends.`
+        content: `${SUMMARY_HEADER}\nThe following is a summary of the first ${compressedMessageCount} messages in this conversation:\n\n${compressionSummary}\n\n=== END SUMMARY ===\n\nThe messages below continue from where the summary ends.`
       });
 
       // Only include messages after the compressed ones
@@ -148,19 +242,71 @@ Your summary will be used as context for future messages in this conversation, r
   }
 
   /**
-   * Calculate estimated token count for messages
-   * This is a rough estimate: ~4 characters per token
+   * Count tokens of messages with the tokenizer of the given model
+   * @param {Array} messages
+   * @param {Object} [model] - { provider, model }; defaults to the default tokenizer
    */
-  estimateTokens(messages) {
-    const totalChars = messages.reduce((sum, msg) => {
-      let chars = (msg.content || '').length;
-      if (msg.tool_calls) {
-        chars += JSON.stringify(msg.tool_calls).length;
-      }
-      return sum + chars;
-    }, 0);
-
-    return Math.ceil(totalChars / 4);
+  estimateTokens(messages, model = {}) {
+    return tokenCounter.countMessages(messages, model);
+  }
+
+  /**
+   * Measure a context built by buildCompressedContext before it is sent.
+   * Memories are counted apart from the rest of the system prompt.
+   * @param {Array} context - Output of buildCompressedContext
+   * @param {Object} [options] - Request options (provider, model, toolProfile, defaultToolProfile)
+   * @returns {Object} { provider, model, tokenizer, systemPrompt, memories, summary, history, tools, total,
+   *   threshold, contextWindow, limit } where limit is the context window minus room for the reply
+   */
+  measureContext(context, options = {}) {
+    let provider = null;
+    let model = null;
+    let tools = [];
+    try {
+      const resolved = llmClient.resolveProvider(options);
+      provider = resolved.provider.id;
+      model = resolved.model;
+      tools = llmClient.getRequestTools(options);
+    } catch (error) {
+      logger.warn(`Measuring context without a resolved model: ${error.message}`);
+    }
+    const tokenizerModel = { provider, model };
+
+    const [systemMessage, ...rest] = context;
+    const hasSummary = rest[0]?.role === 'system' && rest[0].content?.startsWith(SUMMARY_HEADER);
+    const summaryMessages = hasSummary ? rest.slice(0, 1) : [];
+    const historyMessages = hasSummary ? rest.slice(1) : rest;
+
+    const memoriesText = memoryManager.getMemoriesAsText();
+    const systemContent = systemMessage?.content || '';
+    const hasMemories = !!memoriesText && systemContent.includes(memoriesText);
+
+    const breakdown = {
+      systemPrompt: systemMessage
+        ? tokenCounter.countMessage(
+          { ...systemMessage, content: hasMemories ? systemContent.replace(memoriesText, '') : systemContent },
+          tokenizerModel
+        )
+        : 0,
+      memories: hasMemories ? tokenCounter.countText(memoriesText, tokenizerModel) : 0,
+      summary: summaryMessages.reduce((sum, message) => sum + tokenCounter.countMessage(message, tokenizerModel), 0),
+      // The reply priming tokens are counted with the history
+      history: tokenCounter.countMessages(historyMessages, tokenizerModel),
+      tools: tokenCounter.countTools(tools, tokenizerModel)
+    };
+
+    const { contextWindow, limit } = contextBudget.getLimit({ provider, model, maxTokens: options.maxTokens });
+
+    return {
+      provider,
+      model,
+      tokenizer: tokenCounter.getTokenizerName(provider, model),
+      ...breakdown,
+      total: Object.values(breakdown).reduce((sum, tokens) => sum + tokens, 0),
+      threshold: this.compressionThreshold,
+      contextWindow,
+      limit
+    };
   }
 }
 
@@ -0,0 +1,280 @@
+import { databaseManager } from './database.js';
+import { compressionService } from './compressionService.js';
+import { logger } from '../utils/logger.js';
+
+const COLUMNS = `
+  id, conversation_id AS conversationId, kind, parent_id AS parentId, previous_id AS previousId,
+  start_index AS startIndex, end_index AS endIndex, summary, status,
+  created_at AS createdAt, updated_at AS updatedAt
+`;
+
+const VERSION_COLUMNS = `
+  id, summary_id AS summaryId, version, summary, status, change, actor, model, instruction,
+  created_at AS createdAt
+`;
+
+function summaryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function notFound(id) {
+  return summaryError('NOT_FOUND', `Compression summary ${id} not found`);
+}
+
+class CompressionSummaryService {
+  /**
+   * Active rolling summary of a conversation (the one the model sees)
+   * @returns {Object|null}
+   */
+  getActive(conversationId) {
+    return databaseManager.getConnection().prepare(`
+      SELECT ${COLUMNS} FROM compression_summaries
+      WHERE conversation_id = ? AND kind = 'rolling' AND status = 'active'
+      ORDER BY id DESC LIMIT 1
+    `).get(conversationId) || null;
+  }
+
+  /**
+   * Every summary of a conversation, oldest first
+   * @returns {Array}
+   */
+  listSummaries(conversationId) {
+    return databaseManager.getConnection().prepare(`
+      SELECT ${COLUMNS} FROM compression_summaries
+      WHERE conversation_id = ?
+      ORDER BY id
+    `).all(conversationId);
+  }
+
+  /**
+   * @throws {Error} code NOT_FOUND
+   */
+  getSummary(conversationId, id) {
+    const row = databaseManager.getConnection().prepare(`
+      SELECT ${COLUMNS} FROM compression_summaries
+      WHERE conversation_id = ? AND id = ?
+    `).get(conversationId, id);
+    if (!row) {
+      throw notFound(id);
+    }
+    return row;
+  }
+
+  /**
+   * Change history of a summary, oldest first
+   * @returns {Array} { version, summary, status, change, actor, model, instruction, createdAt }
+   * @throws {Error} code NOT_FOUND
+   */
+  listVersions(conversationId, id) {
+    this.getSummary(conversationId, id);
+    return databaseManager.getConnection().prepare(`
+      SELECT ${VERSION_COLUMNS} FROM compression_summary_versions
+      WHERE summary_id = ?
+      ORDER BY version
+    `).all(id);
+  }
+
+  // Store the row's current text and status as its next version
+  snapshot(id, { change, actor, model = null, instruction = null, createdAt = new Date().toISOString() }) {
+    databaseManager.getConnection().prepare(`
+      INSERT INTO compression_summary_versions (
+        summary_id, conversation_id, version, summary, status, change, actor, model, instruction, created_at
+      )
+      SELECT id, conversation_id,
+        (SELECT COALESCE(MAX(version), 0) + 1 FROM compression_summary_versions WHERE summary_id = ?),
+        summary, status, ?, ?, ?, ?, ?
+      FROM compression_summaries WHERE id = ?
+    `).run(id, change, actor, model, instruction, createdAt, id);
+  }
+
+  // A summary written before compression_summaries existed only lives on the
+  // conversation row; store it so later compressions can supersede or roll back to it
+  importLegacy(conversationId, previous = {}) {
+    const active = this.getActive(conversationId);
+    if (active || !previous.compressionSummary || !(previous.compressedMessageCount > 0)) {
+      return active;
+    }
+
+    const createdAt = previous.compressedAt || new Date().toISOString();
+    const { lastInsertRowid } = databaseManager.getConnection().prepare(`
+      INSERT INTO compression_summaries (
+        conversation_id, kind, start_index, end_index, summary, status, created_at
+      ) VALUES (?, 'rolling', 0, ?, ?, 'active', ?)
+    `).run(conversationId, previous.compressedMessageCount, previous.compressionSummary, createdAt);
+    this.snapshot(lastInsertRowid, { change: 'imported', actor: 'system', createdAt });
+    return this.getSummary(conversationId, lastInsertRowid);
+  }
+
+  /**
+   * Store the result of one compression: a new active rolling summary (the
+   * previous one becomes superseded) and, in hierarchical mode, the chunk summary
+   * of the newly aged messages.
+   * @param {Object} entry
+   * @param {Object} entry.previous - Compression state before this run: { compressionSummary, compressedAt, compressedMessageCount }
+   * @param {string} [entry.actor] - 'user' for a manual compression, 'system' for an automatic one
+   * @param {string} [entry.model] - "provider/model" that wrote the summaries
+   * @returns {Object} The new rolling summary
+   */
+  recordCompression({
+    conversationId, previous = {}, startIndex, endIndex, summary, chunkSummary = null, actor = 'system', model = null
+  }) {
+    const db = databaseManager.getConnection();
+    const insert = db.prepare(`
+      INSERT INTO compression_summaries (
+        conversation_id, kind, parent_id, previous_id, start_index, end_index, summary, status, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'active', ?)
+    `);
+
+    const record = db.transaction(() => {
+      const now = new Date().toISOString();
+      const active = this.importLegacy(conversationId, previous);
+
+      if (active) {
+        db.prepare("UPDATE compression_summaries SET status = 'superseded', updated_at = ? WHERE id = ?").run(now, active.id);
+        this.snapshot(active.id, { change: 'superseded', actor, createdAt: now });
+      }
+
+      const { lastInsertRowid: rollingId } = insert.run(
+        conversationId, 'rolling', null, active?.id ?? null, startIndex, endIndex, summary, now
+      );
+      this.snapshot(rollingId, { change: 'generated', actor, model, createdAt: now });
+      if (chunkSummary) {
+        const { lastInsertRowid: chunkId } = insert.run(
+          conversationId, 'chunk', rollingId, null, startIndex, endIndex, chunkSummary, now
+        );
+        this.snapshot(chunkId, { change: 'generated', actor, model, createdAt: now });
+      }
+      return rollingId;
+    });
+
+    try {
+      return this.getSummary(conversationId, record());
+    } catch (error) {
+      logger.error(`Failed to record compression summary for ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the text of a summary and record it as a new version
+   * @param {Object} [change] - { change, actor, model, instruction } describing who or what wrote the text;
+   *   defaults to a hand edit by the user
+   * @returns {Object} The updated summary
+   * @throws {Error} code NOT_FOUND
+   */
+  updateSummary(conversationId, id, summary, { change = 'edited', actor = 'user', model = null, instruction = null } = {}) {
+    const db = databaseManager.getConnection();
+    this.getSummary(conversationId, id);
+
+    db.transaction(() => {
+      const now = new Date().toISOString();
+      db.prepare('UPDATE compression_summaries SET summary = ?, updated_at = ? WHERE id = ?').run(summary, now, id);
+      this.snapshot(id, { change, actor, model, instruction, createdAt: now });
+    })();
+
+    return this.getSummary(conversationId, id);
+  }
+
+  /**
+   * Write a summary again from the messages it covers, optionally with an extra
+   * instruction. A rolling summary is rebuilt on top of the summary it extended.
+   * @param {Array} messages - The conversation's messages
+   * @returns {Promise<Object>} The updated summary
+   * @throws {Error} code NOT_FOUND, or ROLLED_BACK
+   */
+  async regenerate(conversationId, id, messages, { instruction = null, actor = 'user' } = {}) {
+    const row = this.getSummary(conversationId, id);
+    if (row.status === 'rolled_back') {
+      throw summaryError('ROLLED_BACK', `Compression summary ${id} is rolled back`);
+    }
+
+    const previousSummary = row.kind === 'rolling' && row.previousId
+      ? this.getSummary(conversationId, row.previousId).summary
+      : null;
+    const startIndex = previousSummary ? row.startIndex : (row.kind === 'chunk' ? row.startIndex : 0);
+
+    const summary = await compressionService.generateSummary(messages.slice(startIndex, row.endIndex), {
+      conversationId,
+      previousSummary,
+      startIndex,
+      instruction
+    });
+
+    logger.info(`Regenerated compression summary ${id} of ${conversationId}`, { instruction });
+    return this.updateSummary(conversationId, id, summary, {
+      change: 'regenerated',
+      actor,
+      model: compressionService.getSummarizerName(),
+      instruction
+    });
+  }
+
+  /**
+   * Undo a compression and every compression after it; the rolling summary it
+   * extended becomes active again. Rolling back a chunk rolls back the
+   * compression that produced it.
+   * @returns {Object} { rolledBack: [ids], active } where active is the now active rolling summary or null
+   * @throws {Error} code NOT_FOUND, or ALREADY_ROLLED_BACK
+   */
+  rollback(conversationId, id, { actor = 'user' } = {}) {
+    const db = databaseManager.getConnection();
+    const row = this.getSummary(conversationId, id);
+    const target = row.kind === 'chunk' ? this.getSummary(conversationId, row.parentId) : row;
+
+    if (target.status === 'rolled_back') {
+      throw summaryError('ALREADY_ROLLED_BACK', `Compression summary ${target.id} is already rolled back`);
+    }
+
+    const rollbackTransaction = db.transaction(() => {
+      const rolledBack = db.prepare(`
+        SELECT id FROM compression_summaries
+        WHERE conversation_id = ? AND status != 'rolled_back' AND (
+          (kind = 'rolling' AND id >= ?) OR
+          (kind = 'chunk' AND parent_id >= ?)
+        )
+      `).all(conversationId, target.id, target.id).map(({ id: rowId }) => rowId);
+
+      const now = new Date().toISOString();
+      const setStatus = db.prepare('UPDATE compression_summaries SET status = ?, updated_at = ? WHERE id = ?');
+      for (const rowId of rolledBack) {
+        setStatus.run('rolled_back', now, rowId);
+        this.snapshot(rowId, { change: 'rolled_back', actor, createdAt: now });
+      }
+      if (target.previousId) {
+        setStatus.run('active', now, target.previousId);
+        this.snapshot(target.previousId, { change: 'restored', actor, createdAt: now });
+      }
+      return rolledBack;
+    });
+
+    const rolledBack = rollbackTransaction();
+    logger.info(`Rolled back compression summaries of ${conversationId}`, { rolledBack });
+    return { rolledBack, active: this.getActive(conversationId) };
+  }
+
+  /**
+   * Undo every compression of a conversation, so its full history is sent again
+   * @param {Object} previous - Current compression state, for a summary from before compression_summaries existed
+   * @returns {Object} Same as rollback()
+   * @throws {Error} code NOT_COMPRESSED
+   */
+  undoCompression(conversationId, previous = {}, { actor = 'user' } = {}) {
+    const db = databaseManager.getConnection();
+    db.transaction(() => this.importLegacy(conversationId, previous))();
+
+    const first = db.prepare(`
+      SELECT id FROM compression_summaries
+      WHERE conversation_id = ? AND kind = 'rolling' AND status != 'rolled_back'
+      ORDER BY id LIMIT 1
+    `).get(conversationId);
+    if (!first) {
+      throw summaryError('NOT_COMPRESSED', `Conversation ${conversationId} is not compressed`);
+    }
+    return this.rollback(conversationId, first.id, { actor });
+  }
+}
+
+// Singleton instance
+export const compressionSummaryService = new CompressionSummaryService();
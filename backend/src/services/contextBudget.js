@@ -0,0 +1,139 @@
+import { tokenCounter, REPLY_PRIMING_TOKENS } from './tokenCounter.js';
+import { modelRegistry } from './modelRegistry.js';
+import { memoryManager } from './memoryManager.js';
+
+// Room kept free for the reply when the request sets no maxTokens
+const DEFAULT_OUTPUT_RESERVE_TOKENS = 4096;
+// Oversized tool results are cut down to their head before anything else goes
+const TRIMMED_TOOL_RESULT_CHARS = 2000;
+// Memories are dropped lowest priority first (metadata.priority, higher survives
+// longer); without one, system instructions outrank everything else
+const DEFAULT_MEMORY_PRIORITY = 0;
+const MEMORY_TYPE_PRIORITIES = {
+  system_instruction: 100,
+  system: 100
+};
+
+function memoryPriority(memory) {
+  return memory.metadata?.priority ?? MEMORY_TYPE_PRIORITIES[memory.type] ?? DEFAULT_MEMORY_PRIORITY;
+}
+
+class ContextBudgetService {
+  /**
+   * Token budget of one request to a model
+   * @returns {Object} { contextWindow, reserve, limit } where limit is what
+   *   messages and tool definitions may use together
+   */
+  getLimit({ provider = null, model = null, maxTokens = null } = {}) {
+    const contextWindow = modelRegistry.getContextWindow(provider, model);
+    const reserve = maxTokens || DEFAULT_OUTPUT_RESERVE_TOKENS;
+    return { contextWindow, reserve, limit: Math.max(0, contextWindow - reserve) };
+  }
+
+  /**
+   * Make a request fit the model's context window. Trims, in order: oversized
+   * tool results (oldest first), older turns (oldest first, never the current
+   * one), then memories from the system message (lowest priority first).
+   * The conversation itself is not changed, only the messages for this request.
+   * @param {Array} messages - Context as built by buildCompressedContext, plus any tool rounds
+   * @param {Object} request - { provider, model, tools, maxTokens }
+   * @returns {Object} { messages, trimmed, before, tokens, limit, contextWindow }
+   * @throws {Error} code CONTEXT_WINDOW_EXCEEDED if it cannot fit even after trimming
+   */
+  fit(messages, { provider = null, model = null, tools = [], maxTokens = null } = {}) {
+    const tokenizerModel = { provider, model };
+    const { contextWindow, limit } = this.getLimit({ provider, model, maxTokens });
+
+    const working = [...messages];
+    const sizes = working.map(message => tokenCounter.countMessage(message, tokenizerModel));
+    const fixedTokens = tokenCounter.countTools(tools, tokenizerModel) + (working.length > 0 ? REPLY_PRIMING_TOKENS : 0);
+    const total = () => sizes.reduce((sum, size) => sum + size, fixedTokens);
+    const replace = (index, message) => {
+      working[index] = message;
+      sizes[index] = tokenCounter.countMessage(message, tokenizerModel);
+    };
+
+    const before = total();
+    const trimmed = [];
+    const result = () => ({ messages: working, trimmed, before, tokens: total(), limit, contextWindow });
+
+    if (before <= limit) {
+      return result();
+    }
+
+    for (let i = 0; i < working.length && total() > limit; i++) {
+      const message = working[i];
+      if (message.role !== 'tool' || typeof message.content !== 'string' ||
+        message.content.length <= TRIMMED_TOOL_RESULT_CHARS) {
+        continue;
+      }
+      const tokensBefore = sizes[i];
+      replace(i, {
+        ...message,
+        content: `${message.content.slice(0, TRIMMED_TOOL_RESULT_CHARS)}\n\n[Tool result trimmed from ${message.content.length} to ${TRIMMED_TOOL_RESULT_CHARS} characters to fit the context window]`
+      });
+      trimmed.push({
+        type: 'tool_result',
+        name: message.name || null,
+        toolCallId: message.tool_call_id || null,
+        tokensBefore,
+        tokensAfter: sizes[i]
+      });
+    }
+
+    // A turn starts at a user message and runs up to the next one; the system
+    // prompt and compression summary lead the context and are not turns
+    while (total() > limit) {
+      const historyStart = working.findIndex(message => message.role !== 'system');
+      const currentTurnStart = working.findLastIndex(message => message.role === 'user');
+      if (historyStart < 0 || currentTurnStart <= historyStart) {
+        break;
+      }
+      const end = working.findIndex((message, index) => index > historyStart && message.role === 'user');
+      const removedTokens = sizes.slice(historyStart, end).reduce((sum, size) => sum + size, 0);
+      working.splice(historyStart, end - historyStart);
+      sizes.splice(historyStart, end - historyStart);
+      trimmed.push({ type: 'turn', messages: end - historyStart, tokens: removedTokens });
+    }
+
+    const memoriesText = memoryManager.getMemoriesAsText();
+    const systemIndex = working.findIndex(message => message.role === 'system');
+    if (total() > limit && memoriesText && systemIndex >= 0 && working[systemIndex].content?.includes(memoriesText)) {
+      const systemMessage = working[systemIndex];
+      const candidates = memoryManager.getSystemMessageMemories()
+        .map((memory, order) => ({ memory, order }))
+        .sort((a, b) => memoryPriority(a.memory) - memoryPriority(b.memory) || a.order - b.order);
+      const excluded = [];
+
+      for (const { memory } of candidates) {
+        if (total() <= limit) break;
+        const tokensBefore = sizes[systemIndex];
+        excluded.push(memory.id);
+        replace(systemIndex, {
+          ...systemMessage,
+          content: systemMessage.content.replace(memoriesText, memoryManager.getMemoriesAsText(excluded))
+        });
+        trimmed.push({
+          type: 'memory',
+          id: memory.id,
+          title: memory.title || null,
+          priority: memoryPriority(memory),
+          tokens: tokensBefore - sizes[systemIndex]
+        });
+      }
+    }
+
+    const tokens = total();
+    if (tokens > limit) {
+      const error = new Error(`Request needs ${tokens} tokens but ${model || 'the model'} allows ${limit} (context window ${contextWindow}) even after trimming`);
+      error.code = 'CONTEXT_WINDOW_EXCEEDED';
+      error.trimmed = trimmed;
+      throw error;
+    }
+
+    return result();
+  }
+}
+
+// Singleton instance
+export const contextBudget = new ContextBudgetService();
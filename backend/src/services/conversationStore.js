@@ -5,6 +5,7 @@ export const compressionMetadata = new Map();
 export const conversationActivity = new Map();
 export const compressionLocks = new Map();
 export const systemMessageLogState = new Map();
+export const conversationOptions = new Map();
 
 const CONVERSATION_TTL = parseInt(process.env.CONVERSATION_TTL_HOURS || '24', 10) * 60 * 60 * 1000;
 const CLEANUP_INTERVAL = 60 * 60 * 1000;
@@ -25,6 +26,32 @@ export function ensureCompressionMetadata(conversationId) {
   return compressionMetadata.get(conversationId);
 }
 
+// Per-conversation LLM selection and sampling overrides; null means
+// "use the provider / settings default"
+function buildConversationOptions(source = {}) {
+  return {
+    provider: source.provider ?? null,
+    model: source.model ?? null,
+    temperature: source.temperature ?? null,
+    topP: source.topP ?? null,
+    maxTokens: source.maxTokens ?? null,
+    toolChoice: source.toolChoice ?? null,
+    toolProfile: source.toolProfile ?? null
+  };
+}
+
+export function ensureConversationOptions(conversationId) {
+  if (!conversationOptions.has(conversationId)) {
+    conversationOptions.set(conversationId, buildConversationOptions());
+  }
+  return conversationOptions.get(conversationId);
+}
+
+export function loadConversationOptions(conversationId, metadata = {}) {
+  conversationOptions.set(conversationId, buildConversationOptions(metadata));
+  return conversationOptions.get(conversationId);
+}
+
 export function shouldLogSystemMessage(conversationId, systemMessage, compressionSummary) {
   const currentState = {
     systemMessage,
@@ -58,6 +85,7 @@ function cleanupOldConversations() {
       conversationActivity.delete(id);
       compressionLocks.delete(id);
       systemMessageLogState.delete(id);
+      conversationOptions.delete(id);
       cleanedCount++;
       logger.info(`Cleaned up inactive conversation from memory: ${id}`);
     }
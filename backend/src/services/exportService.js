@@ -0,0 +1,379 @@
+import archiver from 'archiver';
+import { databaseManager } from './database.js';
+import { chatPersistence } from './chatPersistence.js';
+import { compressionSummaryService } from './compressionSummaryService.js';
+import { organizationService } from './organizationService.js';
+import { logger } from '../utils/logger.js';
+
+export const EXPORT_FORMATS = ['md', 'json', 'html'];
+
+// Bump when the JSON layout changes in a way readers must know about
+export const EXPORT_SCHEMA = 'zo-chat.conversation';
+export const EXPORT_SCHEMA_VERSION = 1;
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  html: 'text/html; charset=utf-8'
+};
+
+const ROLE_LABELS = {
+  user: 'You',
+  assistant: 'Zo',
+  tool: 'Tool',
+  system: 'System'
+};
+
+function exportError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Long enough that content containing ``` cannot close the fence early
+function fence(text, language = '') {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const ticks = '`'.repeat(longest + 1);
+  return `${ticks}${language}\n${text}\n${ticks}`;
+}
+
+function formatJson(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+function toolResultText(result) {
+  if (Array.isArray(result?.content) && result.content.every(item => typeof item?.text === 'string')) {
+    return result.content.map(item => item.text).join('\n');
+  }
+  return formatJson(result);
+}
+
+function formatToolLimit(limit) {
+  const skipped = limit.skippedCalls === 1 ? '1 tool call was' : `${limit.skippedCalls} tool calls were`;
+  return `Tool limit reached after ${limit.maxRounds} rounds — ${skipped} not run.`;
+}
+
+function slugify(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+}
+
+// What a message shows, in order: its segments when it has them (text, tool
+// calls and tool limit notices as they happened), else its text and tool calls.
+// A call stored once per status (executing, then completed) is shown once, with its last state.
+function messageParts(message) {
+  const segments = message.segments || [];
+  const source = segments.length > 0
+    ? segments
+    : (message.toolCalls || []).map(call => ({ type: 'tool_call', ...call }));
+
+  const parts = [];
+  const toolCallIndex = new Map();
+  for (const segment of source) {
+    if (segment.type === 'text' && !segment.content) continue;
+    if (segment.type === 'tool_call' && segment.tool_call_id && toolCallIndex.has(segment.tool_call_id)) {
+      parts[toolCallIndex.get(segment.tool_call_id)] = segment;
+      continue;
+    }
+    if (segment.type === 'tool_call' && segment.tool_call_id) {
+      toolCallIndex.set(segment.tool_call_id, parts.length);
+    }
+    parts.push(segment);
+  }
+
+  if (!parts.some(part => part.type === 'text') && message.content) {
+    parts.unshift({ type: 'text', content: message.content });
+  }
+  return parts;
+}
+
+function messageHeading(message) {
+  const label = message.role === 'tool' && message.name
+    ? `${ROLE_LABELS.tool} (${message.name})`
+    : ROLE_LABELS[message.role] || message.role;
+  const notes = [
+    message.isCompressed && 'compressed',
+    message.cancelled && 'cancelled'
+  ].filter(Boolean);
+  return { label, time: message.createdAt, notes };
+}
+
+function renderMarkdown(data) {
+  const { conversation, messages, compressionSummaries } = data;
+  const lines = [`# ${conversation.title || conversation.id}`, ''];
+
+  if (conversation.shortSummary) {
+    lines.push(`> ${conversation.shortSummary}`, '');
+  }
+  lines.push(
+    `- Conversation: \`${conversation.id}\``,
+    `- Created: ${conversation.createdAt}`,
+    `- Last message: ${conversation.lastMessageAt || '-'}`,
+    `- Messages: ${messages.length}`
+  );
+  if (conversation.model) {
+    lines.push(`- Model: ${[conversation.provider, conversation.model].filter(Boolean).join('/')}`);
+  }
+  if (conversation.organization.tags.length > 0) {
+    lines.push(`- Tags: ${conversation.organization.tags.map(tag => `#${tag}`).join(' ')}`);
+  }
+  lines.push(`- Exported: ${data.exportedAt}`, '');
+
+  const summaries = compressionSummaries.filter(summary => summary.status !== 'rolled_back');
+  if (summaries.length > 0) {
+    lines.push('## Compression summaries', '');
+    for (const summary of summaries) {
+      lines.push(
+        `### Messages ${summary.startIndex + 1}-${summary.endIndex} (${summary.kind}, ${summary.status})`,
+        '',
+        `_Created ${summary.createdAt}${summary.updatedAt ? `, changed ${summary.updatedAt}` : ''}_`,
+        '',
+        ...summary.summary.split('\n').map(line => `> ${line}`),
+        ''
+      );
+    }
+  }
+
+  lines.push('## Messages', '');
+  for (const message of messages) {
+    const { label, time, notes } = messageHeading(message);
+    lines.push(`### ${message.index + 1}. ${label}${time ? ` · ${time}` : ''}${notes.length ? ` · ${notes.join(', ')}` : ''}`, '');
+
+    for (const part of messageParts(message)) {
+      if (part.type === 'text') {
+        lines.push(part.content, '');
+      } else if (part.type === 'tool_call') {
+        lines.push(
+          `<details><summary>Tool call: ${escapeHtml(part.toolName)} (${escapeHtml(part.status)}${part.durationMs !== undefined ? `, ${part.durationMs} ms` : ''})</summary>`,
+          '',
+          '**Arguments**',
+          '',
+          fence(formatJson(part.args ?? {}), 'json'),
+          ''
+        );
+        if (part.error) {
+          lines.push('**Error**', '', fence(part.error), '');
+        } else if (part.result !== undefined) {
+          lines.push('**Result**', '', fence(toolResultText(part.result)), '');
+        }
+        lines.push('</details>', '');
+      } else if (part.type === 'tool_limit') {
+        lines.push(`_${formatToolLimit(part)}_`, '');
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+const HTML_STYLE = `
+  body { max-width: 860px; margin: 2rem auto; padding: 0 1rem; font-family: system-ui, sans-serif; line-height: 1.5; color: #1f2328; }
+  header p, .meta { color: #59636e; font-size: 0.875rem; }
+  .message { border-top: 1px solid #d1d9e0; padding: 0.75rem 0; }
+  .message.compressed { opacity: 0.7; }
+  .text, pre { white-space: pre-wrap; word-break: break-word; }
+  pre { background: #f6f8fa; padding: 0.5rem; border-radius: 4px; font-size: 0.8125rem; }
+  details { margin: 0.5rem 0; border: 1px solid #d1d9e0; border-radius: 4px; padding: 0.25rem 0.5rem; }
+  blockquote { margin: 0.5rem 0; padding-left: 1rem; border-left: 3px solid #d1d9e0; white-space: pre-wrap; }
+  .notice { font-style: italic; color: #9a6700; }
+`;
+
+function renderHtml(data) {
+  const { conversation, messages, compressionSummaries } = data;
+  const title = escapeHtml(conversation.title || conversation.id);
+  const html = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${title}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    '<header>',
+    `<h1>${title}</h1>`
+  ];
+
+  if (conversation.shortSummary) {
+    html.push(`<p>${escapeHtml(conversation.shortSummary)}</p>`);
+  }
+  const model = [conversation.provider, conversation.model].filter(Boolean).join('/');
+  html.push(
+    `<p class="meta">${escapeHtml(conversation.id)} · created ${escapeHtml(conversation.createdAt)}` +
+      ` · ${messages.length} messages${model ? ` · ${escapeHtml(model)}` : ''} · exported ${escapeHtml(data.exportedAt)}</p>`,
+    '</header>'
+  );
+
+  const summaries = compressionSummaries.filter(summary => summary.status !== 'rolled_back');
+  if (summaries.length > 0) {
+    html.push('<section>', '<h2>Compression summaries</h2>');
+    for (const summary of summaries) {
+      html.push(
+        `<h3>Messages ${summary.startIndex + 1}-${summary.endIndex} (${escapeHtml(summary.kind)}, ${escapeHtml(summary.status)})</h3>`,
+        `<p class="meta">Created ${escapeHtml(summary.createdAt)}${summary.updatedAt ? `, changed ${escapeHtml(summary.updatedAt)}` : ''}</p>`,
+        `<blockquote>${escapeHtml(summary.summary)}</blockquote>`
+      );
+    }
+    html.push('</section>');
+  }
+
+  html.push('<section>', '<h2>Messages</h2>');
+  for (const message of messages) {
+    const { label, time, notes } = messageHeading(message);
+    html.push(
+      `<article class="message ${escapeHtml(message.role)}${message.isCompressed ? ' compressed' : ''}">`,
+      `<h3>${message.index + 1}. ${escapeHtml(label)} <span class="meta">${escapeHtml([time, ...notes].filter(Boolean).join(' · '))}</span></h3>`
+    );
+
+    for (const part of messageParts(message)) {
+      if (part.type === 'text') {
+        html.push(`<div class="text">${escapeHtml(part.content)}</div>`);
+      } else if (part.type === 'tool_call') {
+        html.push(
+          '<details>',
+          `<summary>Tool call: ${escapeHtml(part.toolName)} (${escapeHtml(part.status)}${part.durationMs !== undefined ? `, ${part.durationMs} ms` : ''})</summary>`,
+          `<p>Arguments</p><pre>${escapeHtml(formatJson(part.args ?? {}))}</pre>`
+        );
+        if (part.error) {
+          html.push(`<p>Error</p><pre>${escapeHtml(part.error)}</pre>`);
+        } else if (part.result !== undefined) {
+          html.push(`<p>Result</p><pre>${escapeHtml(toolResultText(part.result))}</pre>`);
+        }
+        html.push('</details>');
+      } else if (part.type === 'tool_limit') {
+        html.push(`<p class="notice">${escapeHtml(formatToolLimit(part))}</p>`);
+      }
+    }
+    html.push('</article>');
+  }
+  html.push('</section>', '</body>', '</html>', '');
+
+  return html.join('\n');
+}
+
+class ExportService {
+  /**
+   * Everything stored for a conversation, in the versioned JSON export layout:
+   * { schema, version, exportedAt, conversation, messages, compressionSummaries }.
+   * Messages are as stored plus their index and createdAt; each compression
+   * summary carries its full version history.
+   * @throws {Error} code NOT_FOUND if the conversation does not exist or is deleted
+   */
+  async buildExport(conversationId) {
+    if (!(await chatPersistence.getConversationMetadata(conversationId))) {
+      throw exportError('NOT_FOUND', `Conversation ${conversationId} not found`);
+    }
+
+    const { messages, metadata } = await chatPersistence.loadConversation(conversationId);
+    const createdAtBySequence = new Map(
+      databaseManager.getConnection()
+        .prepare('SELECT sequence_number, created_at FROM messages WHERE conversation_id = ?')
+        .all(conversationId)
+        .map(row => [row.sequence_number, row.created_at])
+    );
+
+    const organization = organizationService.getOrganization(conversationId);
+    const folder = organization.folderId ? organizationService.getFolder(organization.folderId) : null;
+
+    return {
+      schema: EXPORT_SCHEMA,
+      version: EXPORT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      conversation: {
+        id: conversationId,
+        ...metadata,
+        organization: { ...organization, folderName: folder?.name || null }
+      },
+      messages: messages.map((message, index) => ({
+        index,
+        createdAt: createdAtBySequence.get(index) || null,
+        ...message
+      })),
+      compressionSummaries: compressionSummaryService.listSummaries(conversationId).map(summary => ({
+        ...summary,
+        versions: compressionSummaryService.listVersions(conversationId, summary.id)
+      }))
+    };
+  }
+
+  /**
+   * Render an export in one of EXPORT_FORMATS
+   * @returns {string}
+   */
+  render(data, format) {
+    if (format === 'md') return renderMarkdown(data);
+    if (format === 'html') return renderHtml(data);
+    return `${JSON.stringify(data, null, 2)}\n`;
+  }
+
+  /**
+   * @returns {Promise<Object>} { filename, contentType, body }
+   * @throws {Error} code NOT_FOUND
+   */
+  async exportConversation(conversationId, format) {
+    const data = await this.buildExport(conversationId);
+    return {
+      filename: this.getFilename(data.conversation, format),
+      contentType: CONTENT_TYPES[format],
+      body: this.render(data, format)
+    };
+  }
+
+  /**
+   * File name from the conversation's title (when it has one) and id
+   */
+  getFilename(conversation, format) {
+    const slug = slugify(conversation.title);
+    return `${slug ? `${slug}-` : ''}${conversation.id}.${format}`;
+  }
+
+  /**
+   * Stream a zip of every conversation that is not deleted (archived ones included),
+   * one file per conversation in the given format
+   * @param {import('stream').Writable} output - Usually the HTTP response
+   * @returns {Promise<number>} Conversations written
+   */
+  async exportAll(output, format) {
+    const conversations = await chatPersistence.listConversations({ archived: null });
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const finished = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('finish', resolve);
+      archive.on('error', reject);
+    });
+    archive.on('warning', warning => logger.warn('Export archive warning:', warning));
+    archive.pipe(output);
+
+    let count = 0;
+    for (const { id } of conversations) {
+      try {
+        const { filename, body } = await this.exportConversation(id, format);
+        archive.append(body, { name: filename });
+        count++;
+      } catch (error) {
+        // A conversation deleted while the export runs is left out
+        logger.warn(`Skipping conversation ${id} in export: ${error.message}`);
+      }
+    }
+
+    await archive.finalize();
+    await finished;
+    logger.info(`Exported ${count} conversations as ${format} zip`);
+    return count;
+  }
+}
+
+// Singleton instance
+export const exportService = new ExportService();
@@ -1,11 +1,71 @@
-import OpenAI from 'openai';
 import { logger } from '../utils/logger.js';
-import { zoMCP } from './mcpClient.js';
+import { zoMCP, isToolAllowed } from './mcpClient.js';
+import { providerRegistry } from './providerRegistry.js';
+import { rateLimitTracker, parseRetryAfter } from './rateLimitTracker.js';
+import { settingsManager } from './settingsManager.js';
+import { toolApprovalService } from './toolApprovalService.js';
+import { limitToolResult } from './toolResultLimiter.js';
+import { parseToolArguments, prepareToolArguments, validateToolArguments } from './toolArgsValidator.js';
+import { toolStatsService } from './toolStatsService.js';
+import { usageService } from './usageService.js';
+
+const DEFAULT_RETRY_CONFIG = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+// 408/409/425 are transient on most gateways; 429 and 5xx are the usual suspects
+const RETRYABLE_STATUS_CODES = new Set([408, 409, 425, 429]);
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+function isNetworkError(error) {
+  const code = error.code || error.cause?.code;
+  if (code && NETWORK_ERROR_CODES.has(code)) return true;
+  // OpenAI SDK connection errors and undici's generic "fetch failed"
+  return /Connection|Timeout/.test(error.constructor?.name || '') ||
+    (error.name === 'TypeError' && /fetch failed/i.test(error.message));
+}
+
+function describeRetryReason(error) {
+  if (error.status === 429) return 'rate_limited';
+  if (error.status >= 500) return 'server_error';
+  if (error.status) return `http_${error.status}`;
+  return 'network_error';
+}
+
+// Arguments with sorted keys so {a,b} and {b,a} count as the same call
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function parseToolArgs(toolCall) {
+  try {
+    return parseToolArguments(toolCall.function.arguments).args;
+  } catch (error) {
+    return toolCall.function.arguments;
+  }
+}
 
 class LLMClient {
   constructor() {
-    this.client = null;
-    this.modelName = process.env.MODEL_NAME || 'glm-5';
+    this.initialized = false;
+    this.retryConfig = { ...DEFAULT_RETRY_CONFIG };
     this.customToolHandlers = new Map();
   }
 
@@ -15,284 +75,854 @@ class LLMClient {
     logger.info(`Registered custom tool handler: ${toolName}`);
   }
 
-  initialize(apiKey) {
-    logger.info(`Initializing LLM client with model: ${this.modelName}`);
+  // Throw the same AbortError shape the OpenAI SDK uses so callers can treat
+  // cancellation uniformly no matter where the run was interrupted
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      const error = new Error('Request was aborted.');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  async executeTool(toolName, toolArgs, { signal, timeoutMs } = {}) {
+    this.throwIfAborted(signal);
+
+    // Check if this is a custom tool
+    if (this.customToolHandlers.has(toolName)) {
+      const handler = this.customToolHandlers.get(toolName);
+      return await handler(toolArgs, { signal });
+    }
+
+    // Default to MCP tool
+    return await zoMCP.callTool(toolName, toolArgs, { signal, timeoutMs });
+  }
+
+  // Run one tool with its configured timeout. On timeout the tool's own signal
+  // is aborted so MCP requests and cooperative handlers stop doing work.
+  async executeToolWithTimeout(toolName, toolArgs, { signal, timeoutMs } = {}) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Tool ${toolName} timed out after ${timeoutMs}ms`);
+        error.code = 'TOOL_TIMEOUT';
+        error.timeoutMs = timeoutMs;
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        this.executeTool(toolName, toolArgs, { signal: controller.signal, timeoutMs }),
+        timeout
+      ]);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Apply the tool approval policy to one call. "ask" pauses only this call
+   * (others in the round keep running) until the user answers through the
+   * approvals endpoint; the user may also edit the arguments.
+   * @param {Object} approval - { policy: 'chat'|'proactive', interactive, conversationId }
+   */
+  async authorizeToolCall(toolCall, toolArgs, { signal, onToolCall, approval = {} } = {}) {
+    const toolName = toolCall.function.name;
+    const mode = toolApprovalService.getMode(toolName, approval.policy);
+
+    if (mode === 'auto') {
+      return { approved: true, args: toolArgs };
+    }
+
+    if (mode === 'deny') {
+      return {
+        approved: false,
+        message: `${toolName} is blocked by the tool approval policy and was not run. Do not retry it; tell the user if it was needed.`
+      };
+    }
+
+    if (!approval.interactive) {
+      return {
+        approved: false,
+        message: `${toolName} needs the user's approval, but nobody can approve it in this run, so it was not run. Do not retry it; mention it to the user instead.`
+      };
+    }
+
+    const { approvalId, promise } = toolApprovalService.request({
+      conversationId: approval.conversationId,
+      toolCallId: toolCall.id,
+      toolName,
+      args: toolArgs,
+      signal
+    });
+
+    if (onToolCall) {
+      onToolCall({
+        tool_call_id: toolCall.id,
+        toolName,
+        args: toolArgs,
+        status: 'awaiting_approval',
+        success: undefined,
+        approvalId
+      });
+    }
+
+    const decision = await promise;
+    if (!decision.approved) {
+      const reason = decision.reason ? ` (${decision.reason})` : '';
+      return {
+        approved: false,
+        message: `The user did not approve this ${toolName} call${reason}, so it was not run. Do not retry it unless the user asks.`
+      };
+    }
+
+    return { approved: true, args: decision.args };
+  }
+
+  // Execute a single tool call and turn the outcome into a `tool` message.
+  // Failures (including timeouts) go back to the model; cancellation propagates.
+  async runToolCall(toolCall, { signal, onToolCall, approval } = {}) {
+    const toolName = toolCall.function.name;
+    const schema = zoMCP.getInputSchema(toolName);
+    const prepared = prepareToolArguments(toolName, toolCall.function.arguments, schema);
+
+    if (prepared.error) {
+      logger.warn(`Invalid arguments for ${toolName}`, prepared.error);
+      this.recordToolExecution(toolName, approval, {
+        status: 'invalid_arguments',
+        error: prepared.error.message,
+        argsSize: String(toolCall.function.arguments ?? '').length
+      });
+      const { type, tool, message, ...details } = prepared.error;
+      const skipped = this.skipToolCall(toolCall, { onToolCall, errorType: type, message, details });
+      // The assistant message goes back to the provider with the next request; keep it valid JSON
+      if (prepared.args === null) {
+        toolCall.function.arguments = '{}';
+      }
+      return skipped;
+    }
+    if (prepared.repaired) {
+      logger.info(`Repaired malformed arguments for ${toolName}`, { raw: toolCall.function.arguments });
+      toolCall.function.arguments = JSON.stringify(prepared.args);
+    }
+
+    const authorization = await this.authorizeToolCall(toolCall, prepared.args, { signal, onToolCall, approval });
+    if (!authorization.approved) {
+      logger.info(`Tool call not approved: ${toolName}`, { reason: authorization.message });
+      this.recordToolExecution(toolName, approval, {
+        status: 'denied',
+        error: authorization.message,
+        argsSize: JSON.stringify(prepared.args).length
+      });
+      return this.skipToolCall(toolCall, {
+        onToolCall,
+        errorType: 'denied',
+        message: authorization.message
+      });
+    }
+
+    const toolArgs = authorization.args;
+    // Arguments edited during approval get the same check as the model's
+    if (toolArgs !== prepared.args) {
+      const errors = validateToolArguments(toolArgs, schema);
+      if (errors.length > 0) {
+        this.recordToolExecution(toolName, approval, {
+          status: 'invalid_arguments',
+          error: 'Arguments edited during approval do not match the input schema',
+          argsSize: JSON.stringify(toolArgs).length
+        });
+        return this.skipToolCall(toolCall, {
+          onToolCall,
+          errorType: 'invalid_arguments',
+          message: `The arguments edited during approval do not match the ${toolName} input schema, so the call was not run.`,
+          details: { errors }
+        });
+      }
+      // The assistant message goes back to the provider and into history; keep it in step with what ran
+      toolCall.function.arguments = JSON.stringify(toolArgs);
+    }
+
+    const timeoutMs = settingsManager.getToolTimeout(toolName);
+    const startedAt = Date.now();
+
+    logger.info(`Executing tool: ${toolName}`, { args: toolArgs, timeoutMs });
+
+    if (onToolCall) {
+      onToolCall({
+        tool_call_id: toolCall.id,
+        toolName,
+        args: toolArgs,
+        status: 'executing',
+        success: undefined,
+        startedAt
+      });
+    }
+
+    try {
+      const result = await this.executeToolWithTimeout(toolName, toolArgs, { signal, timeoutMs });
+      // The model gets a size-limited copy; onToolCall keeps the full result for the UI
+      const { content, truncation } = limitToolResult(result, {
+        toolName,
+        ...settingsManager.getToolResultLimits(toolName),
+        inputSchema: zoMCP.getInputSchema(toolName)
+      });
+      if (truncation) {
+        logger.info(`Truncated ${toolName} result for the model`, truncation);
+      }
+      this.recordToolExecution(toolName, approval, {
+        status: 'success',
+        durationMs: Date.now() - startedAt,
+        argsSize: JSON.stringify(toolArgs).length,
+        resultSize: truncation ? truncation.originalChars : content.length,
+        truncated: !!truncation
+      });
+
+      if (onToolCall) {
+        onToolCall({
+          tool_call_id: toolCall.id,
+          toolName,
+          args: toolArgs,
+          result,
+          truncation,
+          status: 'completed',
+          success: true,
+          startedAt,
+          durationMs: Date.now() - startedAt
+        });
+      }
+
+      return {
+        tool_call_id: toolCall.id,
+        role: 'tool',
+        name: toolName,
+        content
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+
+      const timedOut = error.code === 'TOOL_TIMEOUT';
+      const unavailable = error.code === 'MCP_DISCONNECTED';
+      this.recordToolExecution(toolName, approval, {
+        status: timedOut ? 'timeout' : unavailable ? 'unavailable' : 'error',
+        error: error.message,
+        durationMs: Date.now() - startedAt,
+        argsSize: JSON.stringify(toolArgs).length
+      });
+      if (timedOut) {
+        logger.warn(`Tool timed out: ${toolName}`, { timeoutMs });
+      } else if (unavailable) {
+        logger.warn(`Tool unavailable: ${toolName}`, { server: error.serverId });
+      } else {
+        logger.error(`Tool execution failed: ${toolName}`, error);
+      }
+
+      // Give the model enough structure to tell a timeout from a tool error
+      const toolError = timedOut
+        ? {
+            type: 'timeout',
+            tool: toolName,
+            timeoutMs,
+            message: `${toolName} did not finish within ${timeoutMs}ms and was cancelled. Its result is unknown; retry with a narrower request or continue without it.`
+          }
+        : unavailable
+          ? {
+              type: 'unavailable',
+              tool: toolName,
+              server: error.serverId,
+              message: `${error.message} Tell the user the tool is temporarily unavailable instead of retrying it now.`
+            }
+          : error.message;
+
+      if (onToolCall) {
+        onToolCall({
+          tool_call_id: toolCall.id,
+          toolName,
+          args: toolArgs,
+          error: error.message,
+          errorType: timedOut ? 'timeout' : unavailable ? 'unavailable' : 'error',
+          status: 'failed',
+          success: false,
+          startedAt,
+          durationMs: Date.now() - startedAt
+        });
+      }
+
+      return {
+        tool_call_id: toolCall.id,
+        role: 'tool',
+        name: toolName,
+        content: JSON.stringify({ error: toolError })
+      };
+    }
+  }
+
+  // One row in the tool analytics table (see toolStatsService)
+  recordToolExecution(toolName, approval = {}, fields) {
+    toolStatsService.record({
+      toolName,
+      server: zoMCP.getToolSource(toolName),
+      conversationId: approval.conversationId ?? null,
+      source: approval.policy ?? null,
+      ...fields
+    });
+  }
+
+  // Token accounting for one model request; tool rounds are separate requests
+  // and each one counts. `options.usageContext` is { conversationId, source }.
+  recordUsage(provider, model, usage, options = {}) {
+    usageService.record({
+      ...options.usageContext,
+      provider: provider.id,
+      model,
+      usage
+    });
+  }
+
+  // Report a tool call that was not run, and tell the model why.
+  // `details` adds structured fields (e.g. validation errors) to the model's error object.
+  skipToolCall(toolCall, { onToolCall, errorType, message, details = {} }) {
+    const toolName = toolCall.function.name;
+
+    if (onToolCall) {
+      const problems = details.errors?.map(error => `${error.path}: ${error.message}`).join('; ');
+      onToolCall({
+        tool_call_id: toolCall.id,
+        toolName,
+        args: parseToolArgs(toolCall),
+        error: problems ? `${message} (${problems})` : message,
+        errorType,
+        status: 'failed',
+        success: false
+      });
+    }
+
+    return {
+      tool_call_id: toolCall.id,
+      role: 'tool',
+      name: toolName,
+      content: JSON.stringify({ error: { type: errorType, tool: toolName, message, ...details } })
+    };
+  }
+
+  // Per-turn tool bookkeeping, shared by the recursive follow-up requests
+  createToolLoopState(options = {}) {
+    const tools = settingsManager.getToolSettings();
+    const { profile, allow } = settingsManager.resolveToolProfile(options.toolProfile, options.defaultToolProfile);
+    return {
+      toolProfile: profile,
+      allow,
+      round: 0,
+      maxRounds: options.maxToolRounds || tools.maxRounds,
+      maxIdenticalCalls: tools.maxIdenticalCalls,
+      callCounts: new Map(),
+      limitReached: null
+    };
+  }
+
+  /**
+   * Execute all tool calls from one model turn concurrently, at most
+   * `tools.maxConcurrency` at a time. Results keep the order of `toolCalls`
+   * so each tool message follows the assistant message in the expected order.
+   * Calls repeating an identical earlier call too often are skipped with a nudge.
+   */
+  async executeToolCalls(toolCalls, { signal, onToolCall, toolLoop, approval } = {}) {
+    const { maxConcurrency } = settingsManager.getToolSettings();
+    const results = new Array(toolCalls.length);
+    const pending = [];
+
+    // Count duplicates before anything runs so repeats within one round are caught too
+    toolCalls.forEach((toolCall, index) => {
+      if (!toolLoop) {
+        pending.push(index);
+        return;
+      }
+
+      const toolName = toolCall.function.name;
+
+      // The model only saw the profile's tools, but it can still invent a name
+      if (!isToolAllowed(toolName, toolLoop.allow)) {
+        logger.warn(`Refusing tool outside profile "${toolLoop.toolProfile}": ${toolName}`);
+        results[index] = this.skipToolCall(toolCall, {
+          onToolCall,
+          errorType: 'denied',
+          message: `${toolName} is not available in this conversation (tool profile "${toolLoop.toolProfile}") and was not run. Use only the tools you were given.`
+        });
+        return;
+      }
+
+      const signature = `${toolName}:${stableStringify(parseToolArgs(toolCall))}`;
+      const count = (toolLoop.callCounts.get(signature) || 0) + 1;
+      toolLoop.callCounts.set(signature, count);
+
+      if (count > toolLoop.maxIdenticalCalls) {
+        logger.warn(`Skipping repeated tool call: ${toolName}`, { count });
+        results[index] = this.skipToolCall(toolCall, {
+          onToolCall,
+          errorType: 'repeated_call',
+          message: `${toolName} was already called ${count - 1} times with these exact arguments in this turn and was not run again. Use the earlier results or change the arguments instead of repeating the call.`
+        });
+      } else {
+        pending.push(index);
+      }
+    });
+
+    let nextIndex = 0;
+    const worker = async () => {
+      while (nextIndex < pending.length) {
+        const index = pending[nextIndex++];
+        results[index] = await this.runToolCall(toolCalls[index], { signal, onToolCall, approval });
+      }
+    };
+
+    const workerCount = Math.min(Math.max(1, maxConcurrency), pending.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+  }
+
+  // Run one round of tool calls, or refuse it once the turn used up its rounds
+  async runToolRound(toolCalls, toolLoop, { signal, onToolCall, onToolLimit, approval } = {}) {
+    toolLoop.round++;
+
+    if (toolLoop.round <= toolLoop.maxRounds) {
+      return this.executeToolCalls(toolCalls, { signal, onToolCall, toolLoop, approval });
+    }
+
+    const limitInfo = {
+      reason: 'max_rounds',
+      maxRounds: toolLoop.maxRounds,
+      skippedCalls: toolCalls.length,
+      tools: toolCalls.map(toolCall => toolCall.function.name)
+    };
+    toolLoop.limitReached = limitInfo;
+
+    logger.warn(`Tool round limit reached (${toolLoop.maxRounds}), asking model to answer without tools`, limitInfo);
+    if (onToolLimit) {
+      try {
+        onToolLimit(limitInfo);
+      } catch (callbackError) {
+        // Reporting must not break the run
+      }
+    }
+
+    const message = `Tool limit reached: ${toolLoop.maxRounds} rounds of tool calls already ran for this message, so this call was not executed. Do not call more tools; answer the user with the information you already have and say what is still missing.`;
+    return toolCalls.map(toolCall => this.skipToolCall(toolCall, {
+      onToolCall,
+      errorType: 'tool_limit_reached',
+      message
+    }));
+  }
+
+  initialize(llmSettings = {}) {
+    logger.info('Initializing LLM client');
+
+    providerRegistry.configure(llmSettings);
+    this.retryConfig = { ...DEFAULT_RETRY_CONFIG, ...(llmSettings.retry || {}) };
+    this.initialized = true;
+
+    logger.info('LLM client initialized successfully', {
+      defaultProvider: providerRegistry.defaultProviderId,
+      defaultModel: providerRegistry.getProvider().defaultModel
+    });
+  }
+
+  // Rebuild providers after the `llm` settings entry changes
+  reloadConfig(llmSettings = {}) {
+    providerRegistry.configure(llmSettings);
+    this.retryConfig = { ...DEFAULT_RETRY_CONFIG, ...(llmSettings.retry || {}) };
+    logger.info('LLM provider config reloaded');
+  }
+
+  // Resolve which backend answers this request (per-conversation override or default)
+  resolveProvider(options = {}) {
+    return providerRegistry.resolve({ provider: options.provider, model: options.model });
+  }
+
+  // Tool definitions a request with these options would send, for measuring the context
+  getRequestTools(options = {}) {
+    const { provider } = this.resolveProvider(options);
+    if (!provider.capabilities.tools || options.tools === false) {
+      return [];
+    }
+    const { allow } = settingsManager.resolveToolProfile(options.toolProfile, options.defaultToolProfile);
+    return zoMCP.getToolsForLLM({ allow });
+  }
+
+  // Sampling overrides forwarded to the provider (null/undefined = backend default)
+  getRequestParams(options = {}) {
+    return {
+      temperature: options.temperature,
+      topP: options.topP,
+      maxTokens: options.maxTokens
+    };
+  }
+
+  // Options for the follow-up request after tools ran. A forced tool choice
+  // ('required' or a named function) would otherwise loop forever.
+  getFollowUpOptions(options = {}) {
+    if (!options.toolChoice || options.toolChoice === 'auto' || options.toolChoice === 'none') {
+      return options;
+    }
+    return { ...options, toolChoice: 'auto' };
+  }
 
-    // Initialize OpenAI SDK with Z.AI coding endpoint (optimized for tool calling)
-    const apiUrl = process.env.ZAI_API_URL || 'https://api.z.ai/api/coding/paas/v4';
-    this.client = new OpenAI({
-      apiKey: apiKey,
-      baseURL: apiUrl
+  // Wait between attempts; resolves early with an AbortError if the run is cancelled
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        this.throwIfAborted(signal);
+      }
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        try {
+          this.throwIfAborted(signal);
+        } catch (error) {
+          reject(error);
+        }
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
     });
+  }
+
+  // Decide whether a failed model request should be retried and after how long
+  getRetryDecision(error, attempt, signal) {
+    const { maxRetries, baseDelayMs, maxDelayMs } = this.retryConfig;
+
+    if (signal?.aborted || error.name === 'AbortError') {
+      return { retry: false };
+    }
+    // Never replay a response that already reached the user
+    if (error.partialOutput) {
+      return { retry: false };
+    }
+
+    const retryable = RETRYABLE_STATUS_CODES.has(error.status) ||
+      error.status >= 500 ||
+      (!error.status && isNetworkError(error));
+    if (!retryable || attempt >= maxRetries) {
+      return { retry: false, retryable };
+    }
+
+    const retryAfterMs = parseRetryAfter(error.headers);
+    if (retryAfterMs !== null) {
+      // The server told us exactly when to come back; don't wait longer than we allow
+      if (retryAfterMs > maxDelayMs) {
+        return { retry: false, retryable };
+      }
+      return { retry: true, delayMs: retryAfterMs, retryAfterMs };
+    }
+
+    // Exponential backoff with jitter (half fixed, half random)
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    const delayMs = Math.round(exponential / 2 + Math.random() * exponential / 2);
+    return { retry: true, delayMs, retryAfterMs: null };
+  }
 
-    logger.info('LLM client initialized successfully');
+  /**
+   * Run one model request with retries. Only the request itself is repeated:
+   * tools run after a request succeeds and their results travel in `messages`,
+   * so tool calls already executed in this turn are never re-run.
+   */
+  async requestWithRetry(provider, operation, { signal, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (error.headers) {
+          rateLimitTracker.record(provider.id, error.headers);
+        }
+
+        const decision = this.getRetryDecision(error, attempt, signal);
+        if (!decision.retry) {
+          error.attempts = attempt + 1;
+          error.retryable = !!decision.retryable;
+          throw error;
+        }
+
+        const retryInfo = {
+          attempt: attempt + 1,
+          maxRetries: this.retryConfig.maxRetries,
+          delayMs: decision.delayMs,
+          retryAfterMs: decision.retryAfterMs,
+          status: error.status || null,
+          reason: describeRetryReason(error),
+          error: error.message,
+          provider: provider.id
+        };
+
+        logger.warn(`LLM request failed, retrying in ${decision.delayMs}ms`, retryInfo);
+        if (onRetry) {
+          try {
+            onRetry(retryInfo);
+          } catch (callbackError) {
+            // Never let a reporting failure break the retry loop
+          }
+        }
+
+        await this.sleep(decision.delayMs, signal);
+      }
+    }
   }
 
-  async chat(messages, onToolCall) {
-    if (!this.client) {
+  async chat(messages, onToolCall, options = {}) {
+    const { signal } = options;
+
+    if (!this.initialized) {
       throw new Error('LLM client not initialized. Call initialize() first.');
     }
 
+    const { provider, model } = this.resolveProvider(options);
+    const toolLoop = options.toolLoop || this.createToolLoopState(options);
+
     try {
       logger.info('Sending chat request to LLM', {
         messageCount: messages.length,
-        model: this.modelName
+        provider: provider.id,
+        model,
+        toolProfile: toolLoop.toolProfile
       });
 
-      // Get available MCP tools
-      const tools = zoMCP.getToolsForLLM();
+      // Get available MCP tools (only if this backend supports function calling),
+      // narrowed to the conversation's tool profile. Internal requests (summaries,
+      // titles) pass tools: false so no tool schemas are sent at all.
+      const tools = provider.capabilities.tools && options.tools !== false
+        ? zoMCP.getToolsForLLM({ allow: toolLoop.allow })
+        : [];
+
+      // Let the caller trim the request to the model's context window; tool
+      // rounds grow it, so this runs before every request of the loop
+      if (options.fitContext) {
+        messages = options.fitContext(messages, { provider: provider.id, model, tools, maxTokens: options.maxTokens });
+      }
 
       logger.debug('Available tools for LLM:', tools.map(t => t.function.name));
 
       // Create chat completion with function calling
-      const response = await this.client.chat.completions.create({
-        model: this.modelName,
-        messages: messages,
-        tools: tools.length > 0 ? tools : undefined,
-        tool_choice: tools.length > 0 ? 'auto' : undefined
-      });
-
-      const choice = response.choices[0];
+      const response = await this.requestWithRetry(provider, () => provider.createCompletion({
+        model,
+        messages,
+        tools,
+        toolChoice: toolLoop.limitReached ? 'none' : (options.toolChoice || 'auto'),
+        params: this.getRequestParams(options),
+        signal
+      }), { signal, onRetry: options.onRetry });
+      rateLimitTracker.record(provider.id, response.headers);
+      this.recordUsage(provider, model, response.usage, options);
+
+      const choice = {
+        message: response.message,
+        finish_reason: response.finishReason
+      };
       logger.info('LLM response received', {
         finishReason: choice.finish_reason,
         hasToolCalls: !!choice.message.tool_calls
       });
 
       // Handle tool calls
-      if (choice.message.tool_calls && choice.message.tool_calls.length > 0) {
+      if (choice.message.tool_calls && choice.message.tool_calls.length > 0 && !toolLoop.limitReached) {
         logger.info(`LLM requested ${choice.message.tool_calls.length} tool call(s)`);
 
-        // Execute each tool call
-        const toolResults = [];
-        for (const toolCall of choice.message.tool_calls) {
-          const toolName = toolCall.function.name;
-          const toolArgs = JSON.parse(toolCall.function.arguments);
-
-          logger.info(`Executing tool: ${toolName}`, { args: toolArgs });
-
-          try {
-            let result;
-
-            // Check if this is a custom tool
-            if (this.customToolHandlers.has(toolName)) {
-              const handler = this.customToolHandlers.get(toolName);
-              result = await handler(toolArgs);
-            } else {
-              // Default to MCP tool
-              result = await zoMCP.callTool(toolName, toolArgs);
-            }
-
-            toolResults.push({
-              tool_call_id: toolCall.id,
-              role: 'tool',
-              name: toolName,
-              content: JSON.stringify(result)
-            });
-
-            // Call the callback if provided
-            if (onToolCall) {
-              onToolCall({
-                tool_call_id: toolCall.id,
-                toolName,
-                args: toolArgs,
-                result,
-                status: 'completed',
-                success: true
-              });
-            }
-          } catch (error) {
-            logger.error(`Tool execution failed: ${toolName}`, error);
-
-            toolResults.push({
-              tool_call_id: toolCall.id,
-              role: 'tool',
-              name: toolName,
-              content: JSON.stringify({ error: error.message })
-            });
-
-            if (onToolCall) {
-              onToolCall({
-                tool_call_id: toolCall.id,
-                toolName,
-                args: toolArgs,
-                error: error.message,
-                status: 'failed',
-                success: false
-              });
-            }
-          }
-        }
+        const toolResults = await this.runToolRound(choice.message.tool_calls, toolLoop, {
+          signal,
+          onToolCall,
+          onToolLimit: options.onToolLimit,
+          approval: options.approval
+        });
 
         // Continue conversation with tool results
         const updatedMessages = [
           ...messages,
-          choice.message,
+          { role: 'assistant', content: choice.message.content || null, tool_calls: choice.message.tool_calls },
           ...toolResults
         ];
 
         logger.info('Sending tool results back to LLM');
 
         // Recursive call to get final response
-        return await this.chat(updatedMessages, onToolCall);
+        return await this.chat(updatedMessages, onToolCall, { ...this.getFollowUpOptions(options), toolLoop });
+      }
+
+      if (choice.message.tool_calls?.length > 0) {
+        logger.warn('Model requested tools after the tool limit was reached; ignoring them');
       }
 
       // Return final response
       return {
         message: choice.message.content,
         usage: response.usage,
-        finishReason: choice.finish_reason
+        finishReason: choice.finish_reason,
+        provider: provider.id,
+        model,
+        rateLimit: rateLimitTracker.get(provider.id),
+        toolLimit: toolLoop.limitReached
       };
 
     } catch (error) {
+      if (signal?.aborted) {
+        logger.info('LLM chat request cancelled');
+        throw error;
+      }
       logger.error('LLM chat request failed:', error);
       throw error;
     }
   }
 
-  async streamChat(messages, onChunk, onToolCall) {
-    if (!this.client) {
+  async streamChat(messages, onChunk, onToolCall, options = {}) {
+    const { signal } = options;
+
+    if (!this.initialized) {
       throw new Error('LLM client not initialized. Call initialize() first.');
     }
 
+    const { provider, model } = this.resolveProvider(options);
+    const toolLoop = options.toolLoop || this.createToolLoopState(options);
+
     try {
       logger.info('Starting streaming chat request', {
-        messageCount: messages.length
+        messageCount: messages.length,
+        provider: provider.id,
+        model,
+        toolProfile: toolLoop.toolProfile
       });
 
-      const tools = zoMCP.getToolsForLLM();
+      const tools = provider.capabilities.tools && options.tools !== false
+        ? zoMCP.getToolsForLLM({ allow: toolLoop.allow })
+        : [];
 
-      const stream = await this.client.chat.completions.create({
-        model: this.modelName,
-        messages: messages,
-        tools: tools.length > 0 ? tools : undefined,
-        tool_choice: tools.length > 0 ? 'auto' : undefined,
-        stream: true,
-        stream_options: { include_usage: true }
-      });
+      // Let the caller trim the request to the model's context window; tool
+      // rounds grow it, so this runs before every request of the loop
+      if (options.fitContext) {
+        messages = options.fitContext(messages, { provider: provider.id, model, tools, maxTokens: options.maxTokens });
+      }
 
       let fullMessage = '';
       let toolCalls = [];
       let usage = null;
       const notifiedTools = new Set(); // Track which tools we've already notified about
 
-      for await (const chunk of stream) {
-        const delta = chunk.choices[0]?.delta;
+      // Accumulate tool call fragments (streamed) or whole calls (non-streaming fallback)
+      const accumulateToolCall = ({ index, id, name, arguments: args }) => {
+        if (!toolCalls[index]) {
+          toolCalls[index] = {
+            id,
+            type: 'function',
+            function: { name: '', arguments: '' }
+          };
+        }
 
-        // Capture usage from final chunk
-        if (chunk.usage) {
-          usage = chunk.usage;
+        if (id && !toolCalls[index].id) {
+          toolCalls[index].id = id;
         }
 
-        if (delta?.content) {
-          fullMessage += delta.content;
-          if (onChunk) {
-            onChunk({ type: 'content', content: delta.content });
+        if (name) {
+          toolCalls[index].function.name = name;
+
+          // Notify as soon as we get the tool name (only once per tool)
+          const toolKey = `${index}-${name}`;
+          if (!notifiedTools.has(toolKey)) {
+            notifiedTools.add(toolKey);
+            if (onToolCall) {
+              onToolCall({
+                tool_call_id: toolCalls[index].id,
+                toolName: name,
+                args: null, // Args not complete yet
+                status: 'starting',
+                success: undefined
+              });
+            }
           }
         }
+        if (args) {
+          toolCalls[index].function.arguments += args;
+        }
+      };
 
-        if (delta?.tool_calls) {
-          // Accumulate tool calls
-          for (const toolCall of delta.tool_calls) {
-            if (!toolCalls[toolCall.index]) {
-              toolCalls[toolCall.index] = {
-                id: toolCall.id,
-                type: 'function',
-                function: { name: '', arguments: '' }
-              };
-            }
+      const requestOptions = {
+        model,
+        messages,
+        tools,
+        toolChoice: toolLoop.limitReached ? 'none' : (options.toolChoice || 'auto'),
+        params: this.getRequestParams(options),
+        signal
+      };
 
-            if (toolCall.function?.name) {
-              toolCalls[toolCall.index].function.name = toolCall.function.name;
-
-              // Notify as soon as we get the tool name (only once per tool)
-              const toolKey = `${toolCall.index}-${toolCall.function.name}`;
-              if (!notifiedTools.has(toolKey)) {
-                notifiedTools.add(toolKey);
-                if (onToolCall) {
-                  onToolCall({
-                    toolName: toolCall.function.name,
-                    args: null, // Args not complete yet
-                    status: 'starting',
-                    success: undefined
-                  });
+      // One attempt of this round's model request. Once anything has been
+      // forwarded to the caller the attempt is flagged so it isn't retried.
+      const streamOnce = async () => {
+        let receivedOutput = false;
+        try {
+          if (provider.capabilities.streaming) {
+            for await (const chunk of provider.streamCompletion(requestOptions)) {
+              if (chunk.type === 'headers') {
+                rateLimitTracker.record(provider.id, chunk.headers);
+              } else if (chunk.type === 'usage') {
+                usage = chunk.usage;
+              } else if (chunk.type === 'content') {
+                receivedOutput = true;
+                fullMessage += chunk.content;
+                if (onChunk) {
+                  onChunk({ type: 'content', content: chunk.content });
                 }
+              } else if (chunk.type === 'tool_call_delta') {
+                receivedOutput = true;
+                accumulateToolCall(chunk);
               }
             }
-            if (toolCall.function?.arguments) {
-              toolCalls[toolCall.index].function.arguments += toolCall.function.arguments;
+          } else {
+            // Backend can't stream: make a regular request and replay it as one chunk
+            const response = await provider.createCompletion(requestOptions);
+            rateLimitTracker.record(provider.id, response.headers);
+
+            usage = response.usage;
+            receivedOutput = true;
+            if (response.message.content) {
+              fullMessage = response.message.content;
+              if (onChunk) {
+                onChunk({ type: 'content', content: fullMessage });
+              }
             }
+            (response.message.tool_calls || []).forEach((toolCall, index) => {
+              accumulateToolCall({
+                index,
+                id: toolCall.id,
+                name: toolCall.function.name,
+                arguments: toolCall.function.arguments
+              });
+            });
+          }
+        } catch (error) {
+          if (receivedOutput) {
+            error.partialOutput = true;
           }
+          throw error;
         }
-      }
+      };
+
+      await this.requestWithRetry(provider, streamOnce, { signal, onRetry: options.onRetry });
+      this.recordUsage(provider, model, usage, options);
 
       // Handle tool calls if any
-      if (toolCalls.length > 0) {
+      if (toolCalls.length > 0 && !toolLoop.limitReached) {
         logger.info(`Streaming response included ${toolCalls.length} tool call(s)`);
 
-        const toolResults = [];
-        for (const toolCall of toolCalls) {
-          const toolName = toolCall.function.name;
-          const toolArgs = JSON.parse(toolCall.function.arguments);
-
-          // Notify that we're executing the tool
-          if (onToolCall) {
-            onToolCall({
-              toolName,
-              args: toolArgs,
-              status: 'executing',
-              success: undefined
-            });
-          }
-
-          try {
-            let result;
-
-            // Check if this is a custom tool
-            if (this.customToolHandlers.has(toolName)) {
-              const handler = this.customToolHandlers.get(toolName);
-              result = await handler(toolArgs);
-            } else {
-              // Default to MCP tool
-              result = await zoMCP.callTool(toolName, toolArgs);
-            }
-
-            toolResults.push({
-              tool_call_id: toolCall.id,
-              role: 'tool',
-              name: toolName,
-              content: JSON.stringify(result)
-            });
-
-            // Notify success
-            if (onToolCall) {
-              onToolCall({
-                toolName,
-                args: toolArgs,
-                result,
-                status: 'completed',
-                success: true
-              });
-            }
-          } catch (error) {
-            toolResults.push({
-              tool_call_id: toolCall.id,
-              role: 'tool',
-              name: toolName,
-              content: JSON.stringify({ error: error.message })
-            });
-
-            // Notify failure
-            if (onToolCall) {
-              onToolCall({
-                toolName,
-                args: toolArgs,
-                error: error.message,
-                status: 'failed',
-                success: false
-              });
-            }
-          }
-        }
+        const toolResults = await this.runToolRound(toolCalls, toolLoop, {
+          signal,
+          onToolCall,
+          onToolLimit: options.onToolLimit,
+          approval: options.approval
+        });
 
         // Continue with tool results
         const updatedMessages = [
@@ -301,12 +931,36 @@ class LLMClient {
           ...toolResults
         ];
 
-        return await this.streamChat(updatedMessages, onChunk, onToolCall);
+        return await this.streamChat(updatedMessages, onChunk, onToolCall, {
+          ...this.getFollowUpOptions(options),
+          toolLoop
+        });
       }
 
-      return { message: fullMessage, usage };
+      if (toolCalls.length > 0) {
+        // Already announced as 'starting'; close them out so the UI stops waiting
+        logger.warn('Model requested tools after the tool limit was reached; ignoring them');
+        toolCalls.forEach(toolCall => this.skipToolCall(toolCall, {
+          onToolCall,
+          errorType: 'tool_limit_reached',
+          message: 'Not run: the tool limit for this message was already reached.'
+        }));
+      }
+
+      return {
+        message: fullMessage,
+        usage,
+        provider: provider.id,
+        model,
+        rateLimit: rateLimitTracker.get(provider.id),
+        toolLimit: toolLoop.limitReached
+      };
 
     } catch (error) {
+      if (signal?.aborted) {
+        logger.info('Streaming chat cancelled');
+        throw error;
+      }
       logger.error('Streaming chat failed:', error);
       throw error;
     }
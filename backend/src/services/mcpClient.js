@@ -1,13 +1,507 @@
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import {
+  McpError,
+  ToolListChangedNotificationSchema,
+  ResourceListChangedNotificationSchema,
+  PromptListChangedNotificationSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { EventEmitter } from 'events';
+import fs from 'fs';
 import { logger } from '../utils/logger.js';
 
-class ZoMCPClient {
-  constructor() {
+export const MCP_TRANSPORTS = ['http', 'sse', 'stdio'];
+
+// The settings API can't be trusted to start processes or pick which secret goes
+// to which host: stdio servers only come from MCP_SERVERS_FILE, and servers from
+// settings may only send keys from variables named like this
+export const MCP_SETTINGS_TRANSPORTS = ['http', 'sse'];
+export const MCP_KEY_ENV_PATTERN = /^MCP_[A-Z0-9_]+_KEY$/;
+
+// The Zo server backs settings, persona and memory storage, so it is always
+// connected first and its tools keep their plain names
+export const ZO_SERVER_ID = 'zo';
+
+// Tools registered by the app itself (memory tools) rather than an MCP server
+export const CUSTOM_TOOL_SOURCE = 'app';
+
+// Status changes kept per server for /health
+const MAX_STATUS_HISTORY = 50;
+const HEALTH_CHECK_TIMEOUT_MS = 10000;
+// Guard against servers that page forever
+const MAX_LIST_PAGES = 20;
+// Servers often send several list_changed notifications in a row; re-list once
+const LIST_CHANGED_DEBOUNCE_MS = 500;
+
+// What the model sees of a tool; any difference counts as a changed schema
+function toolSignature(server, tool) {
+  return {
+    server: server.id,
+    description: tool.description || '',
+    inputSchema: JSON.stringify(tool.inputSchema || {})
+  };
+}
+
+// Compare two exposed-name -> signature maps
+function diffToolSnapshots(before, after) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [name, signature] of after) {
+    const previous = before.get(name);
+    if (!previous) {
+      added.push({ name, server: signature.server });
+      continue;
+    }
+    const fields = Object.keys(signature).filter(field => signature[field] !== previous[field]);
+    if (fields.length > 0) {
+      changed.push({ name, server: signature.server, fields });
+    }
+  }
+  for (const [name, signature] of before) {
+    if (!after.has(name)) {
+      removed.push({ name, server: signature.server });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+// Follow nextCursor through a paginated list method (listTools, listResources, listPrompts)
+async function listAllPages(list, key) {
+  const items = [];
+  let cursor;
+  for (let page = 0; page < MAX_LIST_PAGES; page++) {
+    const response = await list(cursor ? { cursor } : undefined);
+    items.push(...(response[key] || []));
+    cursor = response.nextCursor;
+    if (!cursor) break;
+  }
+  return items;
+}
+
+function getResourceMaxChars() {
+  return parseInt(process.env.MCP_RESOURCE_MAX_CHARS) || 50000;
+}
+
+function getReconnectConfig() {
+  return {
+    baseDelayMs: parseInt(process.env.MCP_RECONNECT_BASE_MS) || 1000,
+    maxDelayMs: parseInt(process.env.MCP_RECONNECT_MAX_MS) || 60000,
+    // 0 disables the periodic ping
+    healthCheckIntervalMs: parseInt(process.env.MCP_HEALTH_CHECK_INTERVAL_MS ?? '30000', 10)
+  };
+}
+
+function getZoServerDefinition(apiKey) {
+  return {
+    type: 'http',
+    label: 'Zo Computer',
+    url: process.env.ZO_MCP_URL || 'https://api.zo.computer/mcp',
+    apiKey,
+    prefix: null
+  };
+}
+
+// Servers from the local file are trusted as written; a broken file is logged
+// and the settings servers still connect
+function loadLocalServers() {
+  const file = process.env.MCP_SERVERS_FILE;
+  if (!file) return {};
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return parsed.servers || {};
+  } catch (error) {
+    logger.error(`Failed to read MCP servers from ${file}:`, error);
+    return {};
+  }
+}
+
+// settings.json lives on Zo and can be edited outside PUT /settings, so the
+// validation rules are enforced again here
+function isAllowedFromSettings(id, definition) {
+  if (!MCP_SETTINGS_TRANSPORTS.includes(definition.type)) {
+    logger.warn(`Skipping MCP server ${id}: ${definition.type} servers can only be defined in MCP_SERVERS_FILE`);
+    return false;
+  }
+  if (definition.apiKeyEnv !== undefined && !MCP_KEY_ENV_PATTERN.test(definition.apiKeyEnv)) {
+    logger.warn(`Skipping MCP server ${id}: apiKeyEnv ${definition.apiKeyEnv} must look like MCP_<NAME>_KEY`);
+    return false;
+  }
+  return true;
+}
+
+// API keys are read from the environment (apiKeyEnv), never from settings.json
+function getAuthHeaders(definition) {
+  const apiKey = definition.apiKey || (definition.apiKeyEnv ? process.env[definition.apiKeyEnv] : null);
+  return {
+    ...(definition.headers || {}),
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+  };
+}
+
+function createTransport(definition) {
+  switch (definition.type) {
+    case 'http':
+      return new StreamableHTTPClientTransport(new URL(definition.url), {
+        requestInit: { headers: getAuthHeaders(definition) }
+      });
+    case 'sse':
+      return new SSEClientTransport(new URL(definition.url), {
+        requestInit: { headers: getAuthHeaders(definition) }
+      });
+    case 'stdio': {
+      // passEnv copies named variables (e.g. tokens) from our environment into the child
+      const passedEnv = Object.fromEntries(
+        (definition.passEnv || [])
+          .filter(name => process.env[name] !== undefined)
+          .map(name => [name, process.env[name]])
+      );
+      return new StdioClientTransport({
+        command: definition.command,
+        args: definition.args || [],
+        env: { ...passedEnv, ...(definition.env || {}) },
+        cwd: definition.cwd,
+        stderr: 'pipe'
+      });
+    }
+    default:
+      throw new Error(`Unknown MCP transport "${definition.type}"`);
+  }
+}
+
+class MCPServerConnection {
+  constructor(id, definition, { onStatusChange, onCatalogChange } = {}) {
+    this.id = id;
+    this.definition = definition;
+    this.onStatusChange = onStatusChange;
+    this.onCatalogChange = onCatalogChange;
     this.client = null;
     this.tools = [];
-    this.customTools = [];
+    this.resources = [];
+    this.prompts = [];
+    this.isConnected = false;
+    this.status = 'disconnected';
+    this.lastError = null;
+    this.connectedAt = null;
+    this.reconnectAttempt = 0;
+    this.nextRetryAt = null;
+    this.history = [];
+    this.reconnectTimer = null;
+    this.healthTimer = null;
+    this.listChangedTimer = null;
+    // Set once the server is removed or shut down; stops reconnects
+    this.stopped = false;
+  }
+
+  get label() {
+    return this.definition.label || this.id;
+  }
+
+  // Name the model sees; the prefix keeps tools from different servers apart
+  exposedName(toolName) {
+    return this.definition.prefix ? `${this.definition.prefix}_${toolName}` : toolName;
+  }
+
+  setStatus(status, details = {}) {
+    const previous = this.status;
+    this.status = status;
+    if (details.error !== undefined) {
+      this.lastError = details.error;
+    }
+
+    const event = {
+      serverId: this.id,
+      status,
+      previous,
+      at: new Date().toISOString(),
+      ...details
+    };
+    this.history.push(event);
+    if (this.history.length > MAX_STATUS_HISTORY) {
+      this.history.shift();
+    }
+    this.onStatusChange?.(event);
+  }
+
+  async connect() {
+    logger.info(`Connecting to MCP server ${this.id} (${this.definition.type})...`);
+    this.stopped = false;
+    const reconnecting = this.reconnectAttempt > 0;
+    this.setStatus(reconnecting ? 'reconnecting' : 'connecting', reconnecting ? { attempt: this.reconnectAttempt } : {});
+
+    // Drop the old session quietly before starting a new one
+    const previousClient = this.client;
+    this.client = null;
+    await previousClient?.close().catch(() => {});
+
+    const transport = createTransport(this.definition);
+    transport.stderr?.on('data', (chunk) => {
+      logger.debug(`MCP server ${this.id} stderr: ${chunk.toString().trim()}`);
+    });
+
+    const client = new Client(
+      {
+        name: 'zo-chat-client',
+        version: '1.0.0'
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: {},
+          prompts: {}
+        }
+      }
+    );
+
+    // Registered before connecting so a notification sent right after the
+    // handshake isn't missed
+    for (const schema of [
+      ToolListChangedNotificationSchema,
+      ResourceListChangedNotificationSchema,
+      PromptListChangedNotificationSchema
+    ]) {
+      client.setNotificationHandler(schema, (notification) => {
+        if (this.client === client) {
+          this.handleListChanged(notification.method);
+        }
+      });
+    }
+
+    try {
+      await client.connect(transport);
+
+      this.client = client;
+      await this.loadCatalog(client);
+      this.isConnected = true;
+      this.connectedAt = new Date().toISOString();
+      this.reconnectAttempt = 0;
+      this.nextRetryAt = null;
+
+      client.onclose = () => {
+        if (this.client === client) {
+          this.handleConnectionLost('Connection closed');
+        }
+      };
+      client.onerror = (error) => {
+        logger.warn(`MCP server ${this.id} transport error: ${error.message}`);
+      };
+
+      this.setStatus('connected', { error: null, toolCount: this.tools.length, reconnected: reconnecting });
+      this.startHealthChecks();
+
+      logger.info(`Connected to MCP server ${this.id}. Available tools: ${this.tools.length}, resources: ${this.resources.length}, prompts: ${this.prompts.length}`);
+      logger.debug(`Tools from ${this.id}:`, this.tools.map(t => t.name));
+    } catch (error) {
+      this.isConnected = false;
+      this.setStatus('disconnected', { error: error.message });
+      await client.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  // Tools are required; resources and prompts are optional server features, so
+  // a failure listing them only hides them and doesn't fail the connection
+  async loadCatalog(client) {
+    const capabilities = client.getServerCapabilities() || {};
+    this.tools = await listAllPages(params => client.listTools(params), 'tools');
+
+    try {
+      this.resources = capabilities.resources
+        ? await listAllPages(params => client.listResources(params), 'resources')
+        : [];
+    } catch (error) {
+      logger.warn(`Failed to list resources from MCP server ${this.id}: ${error.message}`);
+      this.resources = [];
+    }
+
+    try {
+      this.prompts = capabilities.prompts
+        ? await listAllPages(params => client.listPrompts(params), 'prompts')
+        : [];
+    } catch (error) {
+      logger.warn(`Failed to list prompts from MCP server ${this.id}: ${error.message}`);
+      this.prompts = [];
+    }
+  }
+
+  // Re-list tools, resources and prompts on the live session
+  async refreshCatalog() {
+    if (!this.isConnected || !this.client) {
+      throw this.unavailableError('a refresh');
+    }
+    clearTimeout(this.listChangedTimer);
+    this.listChangedTimer = null;
+
+    try {
+      await this.loadCatalog(this.client);
+    } catch (error) {
+      await this.inspectCallError(error);
+      throw error;
+    }
+  }
+
+  // tools/list_changed and friends: re-list after the burst settles
+  handleListChanged(method) {
+    logger.info(`MCP server ${this.id} sent ${method}`);
+    clearTimeout(this.listChangedTimer);
+    this.listChangedTimer = setTimeout(async () => {
+      this.listChangedTimer = null;
+      try {
+        await this.refreshCatalog();
+        this.onCatalogChange?.({ reason: 'list_changed', serverId: this.id, notification: method });
+      } catch (error) {
+        logger.warn(`Failed to re-list tools from MCP server ${this.id}: ${error.message}`);
+      }
+    }, LIST_CHANGED_DEBOUNCE_MS);
+    this.listChangedTimer.unref?.();
+  }
+
+  // Called when the transport closes, a health check fails or a call hits a dead
+  // connection. Marks the server down and starts the reconnect loop.
+  handleConnectionLost(reason) {
+    if (this.stopped || this.reconnectTimer) return;
+
+    logger.warn(`MCP server ${this.id} connection lost: ${reason}`);
     this.isConnected = false;
+    this.stopHealthChecks();
+    this.setStatus('disconnected', { error: reason });
+    this.scheduleReconnect();
+  }
+
+  // Exponential backoff with jitter, capped at MCP_RECONNECT_MAX_MS; retries forever
+  scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) return;
+
+    this.reconnectAttempt += 1;
+    const { baseDelayMs, maxDelayMs } = getReconnectConfig();
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (this.reconnectAttempt - 1));
+    const delayMs = Math.round(exponential / 2 + Math.random() * exponential / 2);
+    this.nextRetryAt = new Date(Date.now() + delayMs).toISOString();
+
+    logger.info(`Reconnecting to MCP server ${this.id} in ${delayMs}ms (attempt ${this.reconnectAttempt})`);
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.connect();
+      } catch (error) {
+        logger.warn(`Reconnect to MCP server ${this.id} failed: ${error.message}`);
+        this.scheduleReconnect();
+      }
+    }, delayMs);
+    this.reconnectTimer.unref?.();
+  }
+
+  // Stateless HTTP sessions don't report a drop until the next request, so ping periodically
+  startHealthChecks() {
+    this.stopHealthChecks();
+    const { healthCheckIntervalMs } = getReconnectConfig();
+    if (!healthCheckIntervalMs) return;
+
+    this.healthTimer = setInterval(() => this.checkConnection(), healthCheckIntervalMs);
+    this.healthTimer.unref?.();
+  }
+
+  stopHealthChecks() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  async checkConnection() {
+    if (!this.isConnected || !this.client) return false;
+    try {
+      await this.client.ping({ timeout: HEALTH_CHECK_TIMEOUT_MS });
+      return true;
+    } catch (error) {
+      this.handleConnectionLost(`Health check failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Protocol errors (bad arguments, tool failures, request timeouts) come back as
+  // McpError and say nothing about the connection; anything else might be a dead session
+  async inspectCallError(error) {
+    if (error instanceof McpError) return;
+    await this.checkConnection();
+  }
+
+  async disconnect() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    clearTimeout(this.listChangedTimer);
+    this.listChangedTimer = null;
+    this.stopHealthChecks();
+    this.nextRetryAt = null;
+
+    if (!this.client) return;
+    const client = this.client;
+    this.client = null;
+    try {
+      await client.close();
+      logger.info(`Disconnected from MCP server ${this.id}`);
+    } catch (error) {
+      logger.error(`Error disconnecting from MCP server ${this.id}:`, error);
+    } finally {
+      this.isConnected = false;
+    }
+  }
+
+  unavailableError(toolName) {
+    const retry = this.reconnectAttempt > 0
+      ? ` Reconnecting (attempt ${this.reconnectAttempt})${this.nextRetryAt ? `, next try at ${this.nextRetryAt}` : ''}.`
+      : '';
+    const cause = this.lastError ? ` Last error: ${this.lastError}.` : '';
+    const error = new Error(`MCP server "${this.label}" is disconnected, so ${toolName} cannot run.${cause}${retry}`);
+    error.code = 'MCP_DISCONNECTED';
+    error.serverId = this.id;
+    return error;
+  }
+
+  describe({ includeHistory = false } = {}) {
+    return {
+      id: this.id,
+      label: this.label,
+      type: this.definition.type,
+      prefix: this.definition.prefix || null,
+      enabled: true,
+      connected: this.isConnected,
+      status: this.status,
+      toolCount: this.tools.length,
+      resourceCount: this.resources.length,
+      promptCount: this.prompts.length,
+      error: this.lastError,
+      connectedAt: this.connectedAt,
+      reconnectAttempt: this.reconnectAttempt,
+      nextRetryAt: this.nextRetryAt,
+      ...(includeHistory ? { history: this.history } : {})
+    };
+  }
+}
+
+// Emits 'status' with { serverId, status, previous, at, error?, attempt?, reconnected? }
+// whenever a server connects, drops or starts reconnecting
+class ZoMCPClient extends EventEmitter {
+  constructor() {
+    super();
+    // Connected servers keyed by id, Zo first; tool and prompt names route through
+    // toolRoutes/promptRoutes
+    this.servers = new Map();
+    this.toolRoutes = new Map();
+    this.promptRoutes = new Map();
+    this.customTools = [];
+    this.disabledServers = [];
+    // Exposed tool name -> signature as of the last route rebuild, for change reports
+    this.toolSnapshot = null;
+    this.configuring = Promise.resolve();
+  }
+
+  get isConnected() {
+    return !!this.servers.get(ZO_SERVER_ID)?.isConnected;
   }
 
   // Register custom tools (non-MCP tools handled by our application)
@@ -16,87 +510,353 @@ class ZoMCPClient {
     logger.info(`Registered ${tools.length} custom tools`);
   }
 
+  createServer(id, definition) {
+    return new MCPServerConnection(id, definition, {
+      onStatusChange: (event) => {
+        // Re-listed tools take effect as soon as a server (re)connects
+        if (event.status === 'connected' && this.servers.get(id)?.definition === definition) {
+          this.rebuildRoutes({ reason: event.reconnected ? 'reconnected' : 'connected', serverId: id });
+        }
+        this.emit('status', { ...event, label: definition.label || id });
+      },
+      onCatalogChange: (context) => {
+        if (this.servers.get(id)?.definition === definition) {
+          this.rebuildRoutes(context);
+        }
+      }
+    });
+  }
+
+  // Connect the Zo server. Failure here is fatal because storage depends on it;
+  // once connected, drops are handled by the reconnect loop.
   async connect(apiKey) {
+    const server = this.createServer(ZO_SERVER_ID, getZoServerDefinition(apiKey));
     try {
-      logger.info('Connecting to Zo MCP server...');
-
-      // Create HTTP transport for Zo's HTTP MCP endpoint
-      const mcpUrl = process.env.ZO_MCP_URL || 'https://api.zo.computer/mcp';
-      const transport = new StreamableHTTPClientTransport(
-        new URL(mcpUrl),
-        {
-          requestInit: {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`
-            }
-          }
+      await server.connect();
+    } catch (error) {
+      logger.error('Failed to connect to Zo MCP server:', error);
+      throw error;
+    }
+
+    await this.servers.get(ZO_SERVER_ID)?.disconnect();
+    this.servers.set(ZO_SERVER_ID, server);
+    this.rebuildRoutes();
+    return true;
+  }
+
+  /**
+   * Sync the extra servers with MCP_SERVERS_FILE and the `mcp.servers` settings
+   * entry; a file server wins over a settings server with the same id.
+   * Unchanged servers keep their connection; a server that fails to connect is
+   * logged and retried in the background without affecting the others.
+   * Never rejects: a failed sync is logged, and the next call syncs again.
+   * @param {Object} mcpSettings - { servers: { [id]: definition } }
+   */
+  configureServers(mcpSettings = {}) {
+    // Settings saves can overlap; apply them one after another
+    this.configuring = this.configuring
+      .then(() => this.syncServers(mcpSettings))
+      .catch(error => logger.error('Failed to sync MCP servers with settings:', error));
+    return this.configuring;
+  }
+
+  async syncServers(mcpSettings) {
+    const localServers = loadLocalServers();
+    const settingsEntries = Object.entries(mcpSettings.servers || {})
+      .filter(([id, definition]) => !(id in localServers) && isAllowedFromSettings(id, definition));
+    const entries = [...Object.entries(localServers), ...settingsEntries]
+      .filter(([id]) => id !== ZO_SERVER_ID);
+    const definitions = entries.filter(([, definition]) => definition.enabled !== false);
+    const wanted = new Map(definitions);
+    this.disabledServers = entries
+      .filter(([, definition]) => definition.enabled === false)
+      .map(([id, definition]) => ({
+        id,
+        label: definition.label || id,
+        type: definition.type,
+        prefix: definition.prefix || null,
+        enabled: false,
+        connected: false,
+        status: 'disabled',
+        toolCount: 0,
+        error: null
+      }));
+
+    for (const [id, server] of this.servers) {
+      if (id === ZO_SERVER_ID) continue;
+      // Changed or removed servers are dropped; changed ones reconnect below
+      if (JSON.stringify(wanted.get(id)) !== JSON.stringify(server.definition)) {
+        await server.disconnect();
+        this.servers.delete(id);
+      }
+    }
+
+    await Promise.all(definitions
+      .filter(([id]) => !this.servers.has(id))
+      .map(async ([id, definition]) => {
+        const server = this.createServer(id, definition);
+        this.servers.set(id, server);
+        try {
+          await server.connect();
+        } catch (error) {
+          logger.error(`Failed to connect to MCP server ${id}:`, error);
+          server.scheduleReconnect();
         }
-      );
+      }));
+
+    // Keep file then settings order so earlier servers win name collisions
+    const zo = this.servers.get(ZO_SERVER_ID);
+    const ordered = definitions.map(([id]) => [id, this.servers.get(id)]);
+    this.servers = new Map([...(zo ? [[ZO_SERVER_ID, zo]] : []), ...ordered]);
+
+    this.rebuildRoutes({ reason: 'settings' });
+  }
+
+  /**
+   * Re-list tools, resources and prompts without reconnecting.
+   * @param {Object} options
+   * @param {string} [options.serverId] - Only refresh this server (default: every connected server)
+   * @returns {Promise<Object>} Tool diff ({ added, removed, changed }), tool count and per-server errors
+   */
+  async refreshTools({ serverId = null } = {}) {
+    const servers = serverId
+      ? [this.getConnectedServer(serverId)]
+      : [...this.servers.values()].filter(server => server.isConnected);
+
+    const results = await Promise.allSettled(servers.map(server => server.refreshCatalog()));
+    const errors = results.flatMap((result, index) => (
+      result.status === 'rejected' ? [{ server: servers[index].id, error: result.reason.message }] : []
+    ));
+    for (const { server, error } of errors) {
+      logger.warn(`Failed to refresh tools from MCP server ${server}: ${error}`);
+    }
+
+    const diff = this.rebuildRoutes({ reason: 'manual', serverId });
+    return {
+      ...diff,
+      refreshed: servers.map(server => server.id).filter(id => !errors.some(error => error.server === id)),
+      errors,
+      toolCount: this.toolRoutes.size
+    };
+  }
+
+  // Rebuilds name routing and reports any change to the exposed tool set as a
+  // 'tools_changed' event (not on the very first build)
+  rebuildRoutes(context = {}) {
+    this.toolRoutes.clear();
+    this.promptRoutes.clear();
 
-      // Initialize MCP client
-      this.client = new Client(
-        {
-          name: 'zo-chat-client',
-          version: '1.0.0'
-        },
-        {
-          capabilities: {
-            tools: {}
-          }
+    for (const server of this.servers.values()) {
+      for (const tool of server.tools) {
+        const name = server.exposedName(tool.name);
+        const existing = this.toolRoutes.get(name);
+        if (existing) {
+          logger.warn(`MCP tool ${name} from ${server.id} is hidden by the one from ${existing.server.id}; set a prefix on ${server.id}`);
+          continue;
         }
-      );
+        this.toolRoutes.set(name, { server, tool });
+      }
 
-      await this.client.connect(transport);
+      for (const prompt of server.prompts) {
+        const name = server.exposedName(prompt.name);
+        if (!this.promptRoutes.has(name)) {
+          this.promptRoutes.set(name, { server, prompt });
+        }
+      }
+    }
 
-      // List available tools
-      const toolsResponse = await this.client.listTools();
-      this.tools = toolsResponse.tools || [];
-      this.isConnected = true;
+    const snapshot = new Map([...this.toolRoutes].map(([name, { server, tool }]) => [name, toolSignature(server, tool)]));
+    const diff = this.toolSnapshot
+      ? diffToolSnapshots(this.toolSnapshot, snapshot)
+      : { added: [], removed: [], changed: [] };
+    this.toolSnapshot = snapshot;
 
-      logger.info(`Connected to Zo MCP server. Available tools: ${this.tools.length}`);
-      logger.debug('Available tools:', this.tools.map(t => t.name));
+    if (diff.added.length || diff.removed.length || diff.changed.length) {
+      logger.info(`MCP tools changed (${context.reason || 'update'}): +${diff.added.length} -${diff.removed.length} ~${diff.changed.length}`);
+      this.emit('tools_changed', { ...context, ...diff, toolCount: snapshot.size });
+    }
+    return diff;
+  }
 
-      return true;
-    } catch (error) {
-      logger.error('Failed to connect to Zo MCP server:', error);
-      this.isConnected = false;
+  getConnectedServer(serverId) {
+    const server = this.servers.get(serverId);
+    if (!server) {
+      const error = new Error(`Unknown MCP server: ${serverId}`);
+      error.code = 'MCP_UNKNOWN_SERVER';
       throw error;
     }
+    if (!server.isConnected) {
+      throw server.unavailableError('this request');
+    }
+    return server;
   }
 
-  async callTool(toolName, args) {
-    if (!this.isConnected) {
-      throw new Error('MCP client not connected. Call connect() first.');
+  // Resources keep their server id; a URI is only unique within its server
+  listResources() {
+    return [...this.servers.values()].flatMap(server => (
+      server.resources.map(resource => ({ ...resource, server: server.id }))
+    ));
+  }
+
+  async readResource(serverId, uri, { signal } = {}) {
+    const server = this.getConnectedServer(serverId);
+    logger.info(`Reading MCP resource ${uri}`, { server: serverId });
+    const result = await server.client.readResource({ uri }, { signal });
+    return result.contents || [];
+  }
+
+  /**
+   * Read a resource and flatten it to text for a chat message. Binary parts are
+   * described rather than inlined, and long text is cut at maxChars.
+   * @returns {{ server, uri, name, mimeType, text, truncated }}
+   */
+  async readResourceText(serverId, uri, { maxChars = getResourceMaxChars(), signal } = {}) {
+    const contents = await this.readResource(serverId, uri, { signal });
+    const resource = this.servers.get(serverId).resources.find(item => item.uri === uri);
+
+    let text = contents.map(part => (
+      part.text !== undefined
+        ? part.text
+        : `[binary content omitted: ${part.mimeType || 'unknown type'}, ${Math.round((part.blob?.length || 0) * 3 / 4)} bytes]`
+    )).join('\n\n');
+
+    const truncated = text.length > maxChars;
+    if (truncated) {
+      text = text.slice(0, maxChars);
+    }
+
+    return {
+      server: serverId,
+      uri,
+      name: resource?.name || uri,
+      mimeType: contents[0]?.mimeType || resource?.mimeType || null,
+      text,
+      truncated
+    };
+  }
+
+  listPrompts() {
+    return [...this.promptRoutes.entries()].map(([name, { server, prompt }]) => ({
+      ...prompt,
+      name,
+      server: server.id
+    }));
+  }
+
+  /**
+   * Render a prompt template. Returns the server's messages plus `text`, the
+   * messages joined into one block that can be sent as a user message.
+   */
+  async getPrompt(name, args = {}, { signal } = {}) {
+    const route = this.promptRoutes.get(name);
+    if (!route) {
+      const error = new Error(`Unknown MCP prompt: ${name}`);
+      error.code = 'MCP_UNKNOWN_PROMPT';
+      throw error;
+    }
+
+    const server = this.getConnectedServer(route.server.id);
+    const result = await server.client.getPrompt({ name: route.prompt.name, arguments: args }, { signal });
+    const messages = result.messages || [];
+
+    const text = messages.map(({ content }) => {
+      if (content?.type === 'text') return content.text;
+      if (content?.type === 'resource') {
+        return content.resource?.text ?? `[resource ${content.resource?.uri} omitted]`;
+      }
+      return `[${content?.type || 'unknown'} content omitted]`;
+    }).join('\n\n');
+
+    return {
+      name,
+      server: server.id,
+      description: result.description || route.prompt.description || null,
+      messages,
+      text
+    };
+  }
+
+  async callTool(toolName, args, { signal, timeoutMs } = {}) {
+    const route = this.toolRoutes.get(toolName);
+    if (!route) {
+      if (!this.isConnected) {
+        throw new Error('MCP client not connected. Call connect() first.');
+      }
+      throw new Error(`Unknown MCP tool: ${toolName}`);
+    }
+
+    const { server, tool } = route;
+    if (!server.isConnected) {
+      throw server.unavailableError(toolName);
     }
 
     try {
-      logger.info(`Calling MCP tool: ${toolName}`, { args });
+      logger.info(`Calling MCP tool: ${toolName}`, { server: server.id, args });
 
-      const result = await this.client.callTool({
-        name: toolName,
+      const result = await server.client.callTool({
+        name: tool.name,
         arguments: args
-      });
+      }, undefined, timeoutMs ? { signal, timeout: timeoutMs } : { signal });
 
       logger.info(`MCP tool ${toolName} completed successfully`);
       logger.debug('Tool result:', result);
 
       return result;
     } catch (error) {
+      if (signal?.aborted) {
+        logger.info(`MCP tool ${toolName} cancelled`);
+        throw error;
+      }
       logger.error(`MCP tool ${toolName} failed:`, error);
+
+      // If the call failed because the session died, say so instead of surfacing a transport error
+      await server.inspectCallError(error);
+      if (!server.isConnected) {
+        throw server.unavailableError(toolName);
+      }
       throw error;
     }
   }
 
+  listServers({ includeHistory = false } = {}) {
+    return [
+      ...[...this.servers.values()].map(server => server.describe({ includeHistory })),
+      ...this.disabledServers
+    ];
+  }
+
+  // Every tool with the server it comes from; MCP tools use their exposed (prefixed) name
   getAvailableTools() {
-    return [...this.tools, ...this.customTools];
+    const mcpTools = [...this.toolRoutes.entries()].map(([name, { server, tool }]) => ({
+      ...tool,
+      name,
+      server: server.id
+    }));
+    const customTools = this.customTools.map(tool => ({ ...tool, server: CUSTOM_TOOL_SOURCE }));
+    return [...mcpTools, ...customTools];
+  }
+
+  // Server id an exposed tool routes to, CUSTOM_TOOL_SOURCE for app tools, else null
+  getToolSource(toolName) {
+    const route = this.toolRoutes.get(toolName);
+    if (route) return route.server.id;
+    return this.customTools.some(tool => tool.function?.name === toolName) ? CUSTOM_TOOL_SOURCE : null;
+  }
+
+  // Input schema of an exposed tool (MCP or custom), or null if unknown
+  getInputSchema(toolName) {
+    const route = this.toolRoutes.get(toolName);
+    if (route) return route.tool.inputSchema || null;
+    return this.customTools.find(tool => tool.function?.name === toolName)?.function.parameters || null;
   }
 
-  getToolsForLLM() {
+  // `allow` is a tool profile's list of names (a trailing * matches a prefix); null = every tool
+  getToolsForLLM({ allow = null } = {}) {
     // Convert MCP tools to OpenAI function calling format
-    const mcpTools = this.tools.map(tool => ({
+    const mcpTools = [...this.toolRoutes.entries()].map(([name, { tool }]) => ({
       type: 'function',
       function: {
-        name: tool.name,
+        name,
         description: tool.description || '',
         parameters: tool.inputSchema || {
           type: 'object',
@@ -109,21 +869,22 @@ class ZoMCPClient {
     // Add custom tools (already in OpenAI format)
     const allTools = [...mcpTools, ...this.customTools];
 
-    return allTools;
+    return allTools.filter(tool => isToolAllowed(tool.function.name, allow));
   }
 
   async disconnect() {
-    if (this.client) {
-      try {
-        await this.client.close();
-        this.isConnected = false;
-        logger.info('Disconnected from Zo MCP server');
-      } catch (error) {
-        logger.error('Error disconnecting from Zo MCP server:', error);
-      }
+    for (const server of this.servers.values()) {
+      await server.disconnect();
     }
   }
 }
 
+export function isToolAllowed(toolName, allow) {
+  if (!allow) return true;
+  return allow.some(pattern => (
+    pattern.endsWith('*') ? toolName.startsWith(pattern.slice(0, -1)) : pattern === toolName
+  ));
+}
+
 // Singleton instance
 export const zoMCP = new ZoMCPClient();
@@ -143,16 +143,20 @@ class MemoryManager {
     return this.memories || [];
   }
 
+  // Memories where includeInSystemMessage !== false
+  getSystemMessageMemories() {
+    return (this.memories || []).filter(memory => memory.includeInSystemMessage !== false);
+  }
+
   // Format memories as a string for inclusion in system message
-  // Only includes memories where includeInSystemMessage !== false
-  getMemoriesAsText() {
+  // Only includes memories where includeInSystemMessage !== false, minus excludeIds
+  getMemoriesAsText(excludeIds = []) {
     if (!this.memories || this.memories.length === 0) {
       return '';
     }
 
-    // Filter memories to include only those with includeInSystemMessage !== false
-    const includedMemories = this.memories.filter(
-      memory => memory.includeInSystemMessage !== false
+    const includedMemories = this.getSystemMessageMemories().filter(
+      memory => !excludeIds.includes(memory.id)
     );
 
     if (includedMemories.length === 0) {
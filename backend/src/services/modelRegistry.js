@@ -0,0 +1,49 @@
+import { settingsManager } from './settingsManager.js';
+
+// Used for models that are neither listed below nor in llm.contextWindows
+export const DEFAULT_CONTEXT_WINDOW = 128000;
+
+// Built-in context windows (tokens, prompt + completion). First match wins.
+const MODEL_CONTEXT_WINDOWS = [
+  { pattern: /^glm-4-long/i, contextWindow: 1000000 },
+  { pattern: /^glm-(5|4\.[5-9])/i, contextWindow: 200000 },
+  { pattern: /^glm-4/i, contextWindow: 128000 },
+  { pattern: /^claude-/i, contextWindow: 200000 },
+  { pattern: /^(gpt-4\.1|gpt-5)/i, contextWindow: 400000 },
+  { pattern: /^(gpt-4o|o\d)/i, contextWindow: 128000 },
+  { pattern: /^gpt-4-turbo/i, contextWindow: 128000 },
+  { pattern: /^gpt-4/i, contextWindow: 8192 },
+  { pattern: /^gpt-3\.5/i, contextWindow: 16385 },
+  { pattern: /^llama3\.[1-3]/i, contextWindow: 128000 }
+];
+
+class ModelRegistry {
+  /**
+   * Context window of a model: a "provider/model" entry in llm.contextWindows
+   * wins over a plain model entry, then the built-in table applies.
+   * @returns {number} Tokens
+   */
+  getContextWindow(provider = null, model = null) {
+    const overrides = settingsManager.getSettings().llm.contextWindows || {};
+    const configured = (provider && model && overrides[`${provider}/${model}`]) || (model && overrides[model]);
+    if (configured) {
+      return configured;
+    }
+    return MODEL_CONTEXT_WINDOWS.find(({ pattern }) => pattern.test(model || ''))?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+  }
+
+  /**
+   * Everything known about a model
+   * @returns {Object} { provider, model, contextWindow }
+   */
+  getModelInfo(provider = null, model = null) {
+    return {
+      provider,
+      model,
+      contextWindow: this.getContextWindow(provider, model)
+    };
+  }
+}
+
+// Singleton instance
+export const modelRegistry = new ModelRegistry();
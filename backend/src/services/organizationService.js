@@ -0,0 +1,215 @@
+import { databaseManager } from './database.js';
+import { logger } from '../utils/logger.js';
+
+export const MAX_FOLDER_NAME_LENGTH = 60;
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 32;
+
+const FOLDER_COLUMNS = `
+  f.id, f.name, f.created_at AS createdAt, f.updated_at AS updatedAt
+`;
+
+function organizationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isUniqueViolation(error) {
+  return error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY';
+}
+
+/**
+ * Trim tags, collapse inner whitespace and drop duplicates (case-insensitive, first spelling wins)
+ * @param {Array<string>} tags
+ * @returns {Array<string>}
+ */
+export function normalizeTags(tags) {
+  const seen = new Set();
+  const result = [];
+  for (const tag of tags) {
+    const value = tag.trim().replace(/\s+/g, ' ');
+    if (value && !seen.has(value.toLowerCase())) {
+      seen.add(value.toLowerCase());
+      result.push(value);
+    }
+  }
+  return result;
+}
+
+class OrganizationService {
+  /**
+   * Folders by name, with the number of listed (not archived or deleted) conversations in each
+   * @returns {Array} { id, name, createdAt, updatedAt, conversationCount }
+   */
+  listFolders() {
+    return databaseManager.getConnection().prepare(`
+      SELECT ${FOLDER_COLUMNS}, COUNT(c.id) AS conversationCount
+      FROM folders f
+      LEFT JOIN conversation_organization o ON o.folder_id = f.id AND o.archived_at IS NULL
+      LEFT JOIN conversations c ON c.id = o.conversation_id AND c.deleted_at IS NULL
+      GROUP BY f.id
+      ORDER BY f.name COLLATE NOCASE
+    `).all();
+  }
+
+  /**
+   * @throws {Error} code NOT_FOUND
+   */
+  getFolder(id) {
+    const folder = databaseManager.getConnection().prepare(`
+      SELECT ${FOLDER_COLUMNS} FROM folders f WHERE f.id = ?
+    `).get(id);
+    if (!folder) {
+      throw organizationError('NOT_FOUND', `Folder ${id} not found`);
+    }
+    return folder;
+  }
+
+  /**
+   * @returns {Object} The new folder
+   * @throws {Error} code FOLDER_EXISTS if a folder has this name (case-insensitive)
+   */
+  createFolder(name) {
+    try {
+      const { lastInsertRowid } = databaseManager.getConnection().prepare(
+        'INSERT INTO folders (name, created_at) VALUES (?, ?)'
+      ).run(name, new Date().toISOString());
+      logger.info(`Folder created: ${name}`);
+      return this.getFolder(lastInsertRowid);
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw organizationError('FOLDER_EXISTS', `Folder "${name}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Object} The renamed folder
+   * @throws {Error} code NOT_FOUND, or FOLDER_EXISTS
+   */
+  renameFolder(id, name) {
+    this.getFolder(id);
+    try {
+      databaseManager.getConnection().prepare(
+        'UPDATE folders SET name = ?, updated_at = ? WHERE id = ?'
+      ).run(name, new Date().toISOString(), id);
+      return this.getFolder(id);
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw organizationError('FOLDER_EXISTS', `Folder "${name}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a folder; its conversations stay, in no folder
+   * @throws {Error} code NOT_FOUND
+   */
+  deleteFolder(id) {
+    const folder = this.getFolder(id);
+    databaseManager.getConnection().prepare('DELETE FROM folders WHERE id = ?').run(id);
+    logger.info(`Folder deleted: ${folder.name}`);
+  }
+
+  /**
+   * Tags in use by conversations that are not deleted, most used first
+   * @returns {Array} { tag, count }
+   */
+  listTags() {
+    return databaseManager.getConnection().prepare(`
+      SELECT t.tag, COUNT(*) AS count
+      FROM conversation_tags t
+      JOIN conversations c ON c.id = t.conversation_id AND c.deleted_at IS NULL
+      GROUP BY t.tag
+      ORDER BY count DESC, t.tag COLLATE NOCASE
+    `).all();
+  }
+
+  /**
+   * Organization of one conversation
+   * @returns {Object} { folderId, pinned, pinnedAt, archived, archivedAt, tags }
+   */
+  getOrganization(conversationId) {
+    const db = databaseManager.getConnection();
+    const row = db.prepare(`
+      SELECT folder_id, pinned_at, archived_at FROM conversation_organization WHERE conversation_id = ?
+    `).get(conversationId);
+    const tags = db.prepare(`
+      SELECT tag FROM conversation_tags WHERE conversation_id = ? ORDER BY rowid
+    `).all(conversationId).map(({ tag }) => tag);
+
+    return {
+      folderId: row?.folder_id ?? null,
+      pinned: !!row?.pinned_at,
+      pinnedAt: row?.pinned_at || null,
+      archived: !!row?.archived_at,
+      archivedAt: row?.archived_at || null,
+      tags
+    };
+  }
+
+  /**
+   * Change how a conversation is organized; fields left undefined are kept
+   * @param {Object} changes
+   * @param {boolean} [changes.pinned]
+   * @param {boolean} [changes.archived]
+   * @param {number|null} [changes.folderId] - null takes it out of its folder
+   * @param {Array<string>} [changes.tags] - Replaces all tags
+   * @returns {Object} Same as getOrganization()
+   * @throws {Error} code NOT_FOUND if the conversation is not saved or deleted, FOLDER_NOT_FOUND
+   */
+  updateConversation(conversationId, { pinned, archived, folderId, tags } = {}) {
+    const db = databaseManager.getConnection();
+
+    const conversation = db.prepare('SELECT id FROM conversations WHERE id = ? AND deleted_at IS NULL').get(conversationId);
+    if (!conversation) {
+      throw organizationError('NOT_FOUND', `Conversation ${conversationId} not found`);
+    }
+    if (folderId !== undefined && folderId !== null && !db.prepare('SELECT 1 FROM folders WHERE id = ?').get(folderId)) {
+      throw organizationError('FOLDER_NOT_FOUND', `Folder ${folderId} not found`);
+    }
+
+    const current = this.getOrganization(conversationId);
+    const now = new Date().toISOString();
+    // Pinning or archiving again keeps the original time
+    const timestamp = (value, previous) => {
+      if (value === undefined) return previous;
+      return value ? (previous || now) : null;
+    };
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO conversation_organization (conversation_id, folder_id, pinned_at, archived_at, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(conversation_id) DO UPDATE SET
+          folder_id = excluded.folder_id,
+          pinned_at = excluded.pinned_at,
+          archived_at = excluded.archived_at,
+          updated_at = excluded.updated_at
+      `).run(
+        conversationId,
+        folderId === undefined ? current.folderId : folderId,
+        timestamp(pinned, current.pinnedAt),
+        timestamp(archived, current.archivedAt),
+        now
+      );
+
+      if (tags !== undefined) {
+        db.prepare('DELETE FROM conversation_tags WHERE conversation_id = ?').run(conversationId);
+        const insertTag = db.prepare('INSERT INTO conversation_tags (conversation_id, tag, created_at) VALUES (?, ?, ?)');
+        for (const tag of normalizeTags(tags)) {
+          insertTag.run(conversationId, tag, now);
+        }
+      }
+    })();
+
+    logger.info(`Conversation organization updated: ${conversationId}`, { pinned, archived, folderId, tags });
+    return this.getOrganization(conversationId);
+  }
+}
+
+// Singleton instance
+export const organizationService = new OrganizationService();
@@ -1,6 +1,8 @@
 import { logger } from '../utils/logger.js';
 import { runProactiveTrigger, PROACTIVE_CONVERSATION_ID } from './proactiveService.js';
 import { activeChatManager } from './activeChatManager.js';
+import { usageService } from './usageService.js';
+import { addLog } from './logStore.js';
 
 class ProactiveScheduler {
   constructor() {
@@ -49,6 +51,15 @@ class ProactiveScheduler {
         return;
       }
 
+      // Unattended runs stop spending once a usage budget is used up; manual triggers still run
+      const { exceeded } = usageService.getBudgetStatus();
+      if (exceeded.length > 0) {
+        logger.warn('Proactive trigger skipped (usage budget exceeded)', { exceeded });
+        addLog('proactive_skipped', { reason: 'budget_exceeded', exceeded });
+        this.nextTriggerAt = new Date(Date.now() + intervalMs).toISOString();
+        return;
+      }
+
       const lock = activeChatManager.tryAcquire({
         source: 'proactive',
         conversationId: PROACTIVE_CONVERSATION_ID,
@@ -63,7 +74,7 @@ class ProactiveScheduler {
 
       this.isTriggering = true;
       try {
-        await runProactiveTrigger({ source: 'scheduled' });
+        await runProactiveTrigger({ source: 'scheduled', signal: lock.signal });
         this.lastTriggered = new Date().toISOString();
         this.nextTriggerAt = new Date(Date.now() + intervalMs).toISOString();
       } catch (error) {
@@ -108,7 +119,7 @@ class ProactiveScheduler {
 
     this.isTriggering = true;
     try {
-      const result = await runProactiveTrigger({ source: 'manual' });
+      const result = await runProactiveTrigger({ source: 'manual', signal: lock.signal });
       this.lastTriggered = new Date().toISOString();
       return result;
     } finally {
@@ -128,7 +139,8 @@ class ProactiveScheduler {
       lastTriggered: this.lastTriggered,
       nextTriggerAt: this.nextTriggerAt,
       isRunning: Boolean(this.timer),
-      isTriggering: this.isTriggering
+      isTriggering: this.isTriggering,
+      budgetExceeded: usageService.getBudgetStatus().exceeded
     };
   }
 }
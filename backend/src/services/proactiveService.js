@@ -1,11 +1,12 @@
 import { logger } from '../utils/logger.js';
 import { runChatCompletion } from './chatPipeline.js';
 import { proactivePersonaManager } from './proactivePersonaManager.js';
+import { settingsManager } from './settingsManager.js';
 
 export const PROACTIVE_CONVERSATION_ID = 'proactive';
 export const PROACTIVE_TRIGGER_MESSAGE = '[System message sent by the backend in place of the user] Proactive trigger: decide whether to act or go back to sleep. If you are going to act, acknowledge this message by sending a message back to the user FIRST.';
 
-export async function runProactiveTrigger({ source = 'scheduled' } = {}) {
+export async function runProactiveTrigger({ source = 'scheduled', signal = null } = {}) {
   const conversationId = PROACTIVE_CONVERSATION_ID;
   const systemMessage = proactivePersonaManager.getProactiveSystemMessage();
 
@@ -40,7 +41,11 @@ export async function runProactiveTrigger({ source = 'scheduled' } = {}) {
     compressionLogMeta: {
       proactive: true,
       source: 'compression_summary'
-    }
+    },
+    maxToolRounds: settingsManager.getSettings().proactive.maxToolRounds,
+    approvalPolicy: 'proactive',
+    defaultToolProfile: settingsManager.getSettings().proactive.toolProfile,
+    signal
   });
 }
 /*
@@ -0,0 +1,177 @@
+import { logger } from '../utils/logger.js';
+import { OpenAICompatibleProvider } from './providers/openaiCompatibleProvider.js';
+import { AnthropicProvider } from './providers/anthropicProvider.js';
+
+const PROVIDER_TYPES = {
+  openai: OpenAICompatibleProvider,
+  anthropic: AnthropicProvider
+};
+
+// Settings can be changed through the API, so they must not be able to send a key
+// to a host of their choosing: built-in providers keep the URL and key from the
+// environment, and extra providers may only read keys from variables named like this
+export const LLM_KEY_ENV_PATTERN = /^LLM_[A-Z0-9_]+_KEY$/;
+export const LOCKED_BUILT_IN_FIELDS = ['baseURL', 'apiKeyEnv'];
+export const BUILT_IN_PROVIDER_IDS = Object.keys(getBuiltInProviders());
+
+// Built-in provider definitions. Keys are always read from the environment
+// (apiKeyEnv) so they never end up in settings.json on the Zo filesystem.
+function getBuiltInProviders() {
+  const zaiModel = process.env.MODEL_NAME || 'glm-5';
+
+  return {
+    zai: {
+      type: 'openai',
+      label: 'Z.AI',
+      // Z.AI coding endpoint (optimized for tool calling)
+      baseURL: process.env.ZAI_API_URL || 'https://api.z.ai/api/coding/paas/v4',
+      apiKeyEnv: 'ZAI_API_KEY',
+      defaultModel: zaiModel,
+      models: [zaiModel, 'glm-4.7', 'glm-4-flash', 'glm-4-plus', 'glm-4-air', 'glm-4-long'],
+      capabilities: { tools: true, streaming: true, usage: true }
+    },
+    openai: {
+      type: 'openai',
+      label: 'OpenAI-compatible',
+      baseURL: process.env.OPENAI_API_URL || 'https://api.openai.com/v1',
+      apiKeyEnv: 'OPENAI_API_KEY',
+      defaultModel: process.env.OPENAI_MODEL_NAME || 'gpt-4o-mini',
+      models: ['gpt-4o', 'gpt-4o-mini'],
+      capabilities: { tools: true, streaming: true, usage: true }
+    },
+    anthropic: {
+      type: 'anthropic',
+      label: 'Anthropic',
+      baseURL: process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com',
+      apiKeyEnv: 'ANTHROPIC_API_KEY',
+      defaultModel: process.env.ANTHROPIC_MODEL_NAME || 'claude-sonnet-4-5',
+      models: ['claude-sonnet-4-5', 'claude-haiku-4-5'],
+      capabilities: { tools: true, streaming: true, usage: true }
+    },
+    local: {
+      type: 'openai',
+      label: 'Local (llama.cpp / Ollama)',
+      baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+      requiresApiKey: false,
+      // Only enabled when a local server URL is configured
+      enabled: !!process.env.LOCAL_LLM_URL,
+      defaultModel: process.env.LOCAL_MODEL_NAME || 'llama3.1',
+      models: [],
+      capabilities: { tools: true, streaming: true, usage: false }
+    }
+  };
+}
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultProviderId = 'zai';
+  }
+
+  /**
+   * (Re)build the provider instances from built-ins merged with the `llm` settings entry
+   * @param {Object} llmSettings - { defaultProvider, providers: { [id]: definition } }
+   */
+  configure(llmSettings = {}) {
+    const definitions = getBuiltInProviders();
+
+    // settings.json lives on Zo and can be edited outside PUT /settings, so the
+    // validation rules are enforced again here
+    for (const [id, definition] of Object.entries(llmSettings.providers || {})) {
+      const builtIn = definitions[id];
+      if (builtIn) {
+        const locked = LOCKED_BUILT_IN_FIELDS.filter(field => field in definition);
+        if (locked.length > 0) {
+          logger.warn(`Ignoring ${locked.join(', ')} for built-in LLM provider ${id}: set them in the environment`);
+        }
+      } else if (definition.apiKeyEnv !== undefined && !LLM_KEY_ENV_PATTERN.test(definition.apiKeyEnv)) {
+        logger.warn(`Skipping LLM provider ${id}: apiKeyEnv ${definition.apiKeyEnv} must look like LLM_<NAME>_KEY`);
+        continue;
+      }
+
+      definitions[id] = {
+        ...(builtIn || {}),
+        ...definition,
+        capabilities: {
+          ...(builtIn?.capabilities || {}),
+          ...(definition.capabilities || {})
+        }
+      };
+      if (builtIn) {
+        for (const field of LOCKED_BUILT_IN_FIELDS) {
+          definitions[id][field] = builtIn[field];
+        }
+      }
+    }
+
+    this.providers.clear();
+
+    for (const [id, definition] of Object.entries(definitions)) {
+      if (definition.enabled === false) {
+        continue;
+      }
+
+      const ProviderClass = PROVIDER_TYPES[definition.type];
+      if (!ProviderClass) {
+        logger.warn(`Skipping LLM provider ${id}: unknown type "${definition.type}"`);
+        continue;
+      }
+
+      const apiKey = definition.apiKeyEnv ? process.env[definition.apiKeyEnv] : undefined;
+      if (definition.requiresApiKey !== false && !apiKey) {
+        logger.debug(`Skipping LLM provider ${id}: ${definition.apiKeyEnv || 'API key'} not set`);
+        continue;
+      }
+
+      this.providers.set(id, new ProviderClass({ ...definition, id, apiKey }));
+    }
+
+    if (this.providers.size === 0) {
+      throw new Error('No LLM providers configured. Set ZAI_API_KEY (or another provider key) in environment variables');
+    }
+
+    const requestedDefault = llmSettings.defaultProvider;
+    if (requestedDefault && this.providers.has(requestedDefault)) {
+      this.defaultProviderId = requestedDefault;
+    } else {
+      if (requestedDefault) {
+        logger.warn(`Default LLM provider "${requestedDefault}" is not available, falling back`);
+      }
+      this.defaultProviderId = this.providers.has('zai') ? 'zai' : this.providers.keys().next().value;
+    }
+
+    logger.info('LLM providers configured', {
+      providers: [...this.providers.keys()],
+      defaultProvider: this.defaultProviderId
+    });
+  }
+
+  has(providerId) {
+    return this.providers.has(providerId);
+  }
+
+  getProvider(providerId = null) {
+    const id = providerId || this.defaultProviderId;
+    const provider = this.providers.get(id);
+    if (!provider) {
+      throw new Error(`LLM provider "${id}" is not configured`);
+    }
+    return provider;
+  }
+
+  // Pick the provider and model for a request, falling back to defaults
+  resolve({ provider = null, model = null } = {}) {
+    const resolvedProvider = this.getProvider(provider);
+    return {
+      provider: resolvedProvider,
+      model: model || resolvedProvider.defaultModel
+    };
+  }
+
+  listProviders() {
+    return [...this.providers.values()].map(provider => provider.describe());
+  }
+}
+
+// Singleton instance
+export const providerRegistry = new ProviderRegistry();
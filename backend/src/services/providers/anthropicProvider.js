@@ -0,0 +1,254 @@
+import { BaseProvider } from './baseProvider.js';
+import { headersToObject } from '../rateLimitTracker.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+const STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  tool_use: 'tool_calls',
+  max_tokens: 'length'
+};
+
+function parseToolInput(rawArguments) {
+  if (!rawArguments) return {};
+  try {
+    return JSON.parse(rawArguments);
+  } catch {
+    return {};
+  }
+}
+
+// Anthropic requires strictly alternating user/assistant turns, so consecutive
+// messages of the same role (e.g. several tool results) are merged into one.
+function pushMessage(output, role, blocks) {
+  if (blocks.length === 0) return;
+  const last = output[output.length - 1];
+  if (last && last.role === role) {
+    last.content.push(...blocks);
+  } else {
+    output.push({ role, content: blocks });
+  }
+}
+
+function toAnthropicMessages(messages) {
+  const systemParts = [];
+  const output = [];
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      if (message.content) systemParts.push(message.content);
+      continue;
+    }
+
+    if (message.role === 'tool') {
+      pushMessage(output, 'user', [{
+        type: 'tool_result',
+        tool_use_id: message.tool_call_id,
+        content: message.content || ''
+      }]);
+      continue;
+    }
+
+    const blocks = [];
+    if (message.content) {
+      blocks.push({ type: 'text', text: message.content });
+    }
+
+    if (message.role === 'assistant' && message.tool_calls) {
+      for (const toolCall of message.tool_calls) {
+        blocks.push({
+          type: 'tool_use',
+          id: toolCall.id,
+          name: toolCall.function.name,
+          input: parseToolInput(toolCall.function.arguments)
+        });
+      }
+    }
+
+    pushMessage(output, message.role === 'assistant' ? 'assistant' : 'user', blocks);
+  }
+
+  return { system: systemParts.join('\n\n'), messages: output };
+}
+
+function toAnthropicTools(tools) {
+  return tools.map(tool => ({
+    name: tool.function.name,
+    description: tool.function.description || '',
+    input_schema: tool.function.parameters || { type: 'object', properties: {} }
+  }));
+}
+
+function toAnthropicToolChoice(toolChoice) {
+  if (!toolChoice || toolChoice === 'auto') return { type: 'auto' };
+  if (toolChoice === 'none') return { type: 'none' };
+  if (toolChoice === 'required') return { type: 'any' };
+  if (toolChoice?.function?.name) return { type: 'tool', name: toolChoice.function.name };
+  return { type: 'auto' };
+}
+
+function toUsage(inputTokens, outputTokens) {
+  return {
+    prompt_tokens: inputTokens,
+    completion_tokens: outputTokens,
+    total_tokens: inputTokens + outputTokens
+  };
+}
+
+/**
+ * Adapter for Anthropic-style Messages APIs (POST /v1/messages).
+ * Translates OpenAI-format messages and tools in both directions.
+ */
+export class AnthropicProvider extends BaseProvider {
+  constructor(config) {
+    super({ ...config, type: 'anthropic' });
+    this.maxTokens = config.maxTokens || DEFAULT_MAX_TOKENS;
+  }
+
+  buildRequest({ model, messages, tools, toolChoice, params = {}, stream = false }) {
+    const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+    const hasTools = this.capabilities.tools && tools?.length > 0;
+
+    return {
+      model,
+      // max_tokens is mandatory for this API, so fall back to the provider default
+      max_tokens: params.maxTokens ?? this.maxTokens,
+      temperature: params.temperature ?? undefined,
+      top_p: params.topP ?? undefined,
+      system: system || undefined,
+      messages: anthropicMessages,
+      tools: hasTools ? toAnthropicTools(tools) : undefined,
+      tool_choice: hasTools ? toAnthropicToolChoice(toolChoice) : undefined,
+      stream
+    };
+  }
+
+  async request(body, signal) {
+    const response = await fetch(`${this.baseURL.replace(/\/$/, '')}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      let detail = '';
+      try {
+        const errorBody = await response.json();
+        detail = errorBody.error?.message || JSON.stringify(errorBody);
+      } catch {
+        // Ignore JSON parsing errors
+      }
+      // Same fields the OpenAI SDK exposes on its API errors
+      const error = new Error(`${response.status} ${detail || response.statusText}`);
+      error.status = response.status;
+      error.headers = headersToObject(response.headers);
+      throw error;
+    }
+
+    return response;
+  }
+
+  async createCompletion({ model, messages, tools, toolChoice, params, signal }) {
+    const response = await this.request(this.buildRequest({ model, messages, tools, toolChoice, params }), signal);
+    const data = await response.json();
+
+    const text = data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const toolCalls = data.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      }));
+
+    return {
+      message: {
+        content: text || null,
+        tool_calls: toolCalls.length > 0 ? toolCalls : undefined
+      },
+      finishReason: STOP_REASONS[data.stop_reason] || data.stop_reason,
+      usage: this.capabilities.usage && data.usage
+        ? toUsage(data.usage.input_tokens || 0, data.usage.output_tokens || 0)
+        : null,
+      headers: headersToObject(response.headers)
+    };
+  }
+
+  async *streamCompletion({ model, messages, tools, toolChoice, params, signal }) {
+    const response = await this.request(
+      this.buildRequest({ model, messages, tools, toolChoice, params, stream: true }),
+      signal
+    );
+
+    yield { type: 'headers', headers: headersToObject(response.headers) };
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+    // Anthropic indexes all content blocks; tool calls get their own dense index
+    const toolIndexByBlock = new Map();
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop() || '';
+
+        for (const rawEvent of events) {
+          const dataLine = rawEvent.split('\n').find(line => line.startsWith('data: '));
+          if (!dataLine) continue;
+
+          const event = JSON.parse(dataLine.slice(6));
+
+          if (event.type === 'message_start') {
+            inputTokens = event.message?.usage?.input_tokens || 0;
+          } else if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+            const toolIndex = toolIndexByBlock.size;
+            toolIndexByBlock.set(event.index, toolIndex);
+            yield {
+              type: 'tool_call_delta',
+              index: toolIndex,
+              id: event.content_block.id,
+              name: event.content_block.name
+            };
+          } else if (event.type === 'content_block_delta') {
+            if (event.delta?.type === 'text_delta' && event.delta.text) {
+              yield { type: 'content', content: event.delta.text };
+            } else if (event.delta?.type === 'input_json_delta' && toolIndexByBlock.has(event.index)) {
+              yield {
+                type: 'tool_call_delta',
+                index: toolIndexByBlock.get(event.index),
+                arguments: event.delta.partial_json
+              };
+            }
+          } else if (event.type === 'message_delta') {
+            outputTokens = event.usage?.output_tokens || outputTokens;
+          } else if (event.type === 'error') {
+            throw new Error(event.error?.message || 'Anthropic stream error');
+          }
+        }
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+
+    if (this.capabilities.usage) {
+      yield { type: 'usage', usage: toUsage(inputTokens, outputTokens) };
+    }
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Common shape shared by every LLM provider adapter.
+ *
+ * Adapters normalize their backend to the OpenAI chat format used across the app.
+ * Both calls receive { model, messages, tools, toolChoice, params, signal } where
+ * params holds optional sampling overrides { temperature, topP, maxTokens }.
+ * - createCompletion() resolves to { message: { content, tool_calls }, finishReason, usage, headers }
+ * - streamCompletion() yields { type: 'headers' | 'content' | 'tool_call_delta' | 'usage', ... } chunks
+ * Failed requests throw errors carrying `status` and `headers` so llmClient can decide whether to retry.
+ * Usage is always reported as { prompt_tokens, completion_tokens, total_tokens } (or null).
+ */
+export class BaseProvider {
+  constructor({
+    id,
+    label,
+    type,
+    baseURL,
+    apiKey,
+    models = [],
+    defaultModel,
+    capabilities = {}
+  }) {
+    this.id = id;
+    this.label = label || id;
+    this.type = type;
+    this.baseURL = baseURL;
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel || models[0] || null;
+    this.models = [...new Set([...(this.defaultModel ? [this.defaultModel] : []), ...models])];
+    this.capabilities = {
+      tools: true,
+      streaming: true,
+      usage: true,
+      ...capabilities
+    };
+  }
+
+  async createCompletion() {
+    throw new Error(`Provider ${this.id} does not implement createCompletion()`);
+  }
+
+  async *streamCompletion() {
+    throw new Error(`Provider ${this.id} does not implement streamCompletion()`);
+  }
+
+  // Public description (never includes the API key)
+  describe() {
+    return {
+      id: this.id,
+      label: this.label,
+      type: this.type,
+      baseURL: this.baseURL,
+      models: this.models,
+      defaultModel: this.defaultModel,
+      capabilities: this.capabilities
+    };
+  }
+}
@@ -0,0 +1,103 @@
+import OpenAI from 'openai';
+import { BaseProvider } from './baseProvider.js';
+import { headersToObject } from '../rateLimitTracker.js';
+
+// Only these keys are part of the chat completions message format. Conversation
+// messages also carry UI-only fields (segments, toolCalls, ...) which strict
+// OpenAI-compatible servers reject.
+const MESSAGE_KEYS = ['role', 'content', 'name', 'tool_calls', 'tool_call_id'];
+
+function toOpenAIMessages(messages) {
+  return messages.map(message => {
+    const cleaned = {};
+    for (const key of MESSAGE_KEYS) {
+      if (message[key] !== undefined) {
+        cleaned[key] = message[key];
+      }
+    }
+    return cleaned;
+  });
+}
+
+/**
+ * Adapter for any server speaking the OpenAI chat completions API:
+ * Z.AI, OpenAI itself, and local llama.cpp / Ollama servers.
+ */
+export class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config) {
+    super({ ...config, type: 'openai' });
+    this.client = new OpenAI({
+      // Local servers usually ignore the key, but the SDK requires one
+      apiKey: this.apiKey || 'not-needed',
+      baseURL: this.baseURL,
+      // Retries are handled by llmClient so they can be reported to the UI
+      maxRetries: 0
+    });
+  }
+
+  buildRequest({ model, messages, tools, toolChoice, params = {} }) {
+    const hasTools = this.capabilities.tools && tools?.length > 0;
+    return {
+      model,
+      messages: toOpenAIMessages(messages),
+      tools: hasTools ? tools : undefined,
+      tool_choice: hasTools ? (toolChoice || 'auto') : undefined,
+      temperature: params.temperature ?? undefined,
+      top_p: params.topP ?? undefined,
+      max_tokens: params.maxTokens ?? undefined
+    };
+  }
+
+  async createCompletion({ model, messages, tools, toolChoice, params, signal }) {
+    const { data: response, response: rawResponse } = await this.client.chat.completions.create(
+      this.buildRequest({ model, messages, tools, toolChoice, params }),
+      { signal }
+    ).withResponse();
+
+    const choice = response.choices[0];
+    return {
+      message: {
+        content: choice.message.content,
+        tool_calls: choice.message.tool_calls
+      },
+      finishReason: choice.finish_reason,
+      usage: this.capabilities.usage ? (response.usage || null) : null,
+      headers: headersToObject(rawResponse.headers)
+    };
+  }
+
+  async *streamCompletion({ model, messages, tools, toolChoice, params, signal }) {
+    const { data: stream, response: rawResponse } = await this.client.chat.completions.create({
+      ...this.buildRequest({ model, messages, tools, toolChoice, params }),
+      stream: true,
+      stream_options: this.capabilities.usage ? { include_usage: true } : undefined
+    }, { signal }).withResponse();
+
+    yield { type: 'headers', headers: headersToObject(rawResponse.headers) };
+
+    for await (const chunk of stream) {
+      // Capture usage from final chunk
+      if (chunk.usage) {
+        yield { type: 'usage', usage: chunk.usage };
+      }
+
+      const delta = chunk.choices[0]?.delta;
+
+      if (delta?.content) {
+        yield { type: 'content', content: delta.content };
+      }
+
+      if (delta?.tool_calls) {
+        for (const toolCall of delta.tool_calls) {
+          yield {
+            type: 'tool_call_delta',
+            index: toolCall.index,
+            id: toolCall.id,
+            name: toolCall.function?.name,
+            arguments: toolCall.function?.arguments
+          };
+        }
+      }
+    }
+  }
+}
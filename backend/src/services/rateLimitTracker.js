@@ -0,0 +1,117 @@
+import { logger } from '../utils/logger.js';
+
+// Header names differ per backend: OpenAI-style (x-ratelimit-*) and
+// Anthropic-style (anthropic-ratelimit-*). Each maps to { limit, remaining, reset }.
+const HEADER_SETS = [
+  {
+    requests: ['x-ratelimit-limit-requests', 'x-ratelimit-remaining-requests', 'x-ratelimit-reset-requests'],
+    tokens: ['x-ratelimit-limit-tokens', 'x-ratelimit-remaining-tokens', 'x-ratelimit-reset-tokens']
+  },
+  {
+    requests: ['anthropic-ratelimit-requests-limit', 'anthropic-ratelimit-requests-remaining', 'anthropic-ratelimit-requests-reset'],
+    tokens: ['anthropic-ratelimit-tokens-limit', 'anthropic-ratelimit-tokens-remaining', 'anthropic-ratelimit-tokens-reset']
+  }
+];
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Normalize Headers instances and plain objects to a lowercase-keyed object
+export function headersToObject(headers) {
+  if (!headers) return {};
+  if (typeof headers.entries === 'function' && typeof headers.get === 'function') {
+    return Object.fromEntries(headers.entries());
+  }
+  return Object.fromEntries(
+    Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])
+  );
+}
+
+/**
+ * Parse a Retry-After style value into milliseconds.
+ * Accepts `retry-after-ms`, delta seconds, or an HTTP date.
+ */
+export function parseRetryAfter(headers) {
+  const normalized = headersToObject(headers);
+
+  const retryAfterMs = toNumber(normalized['retry-after-ms']);
+  if (retryAfterMs !== null) {
+    return Math.max(0, retryAfterMs);
+  }
+
+  const retryAfter = normalized['retry-after'];
+  if (!retryAfter) return null;
+
+  const seconds = toNumber(retryAfter);
+  if (seconds !== null) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class RateLimitTracker {
+  constructor() {
+    this.limits = new Map();
+  }
+
+  /**
+   * Record rate-limit headers from a provider response (successful or failed)
+   * @param {string} providerId - Provider that answered
+   * @param {Object|Headers} headers - Response headers
+   */
+  record(providerId, headers) {
+    const normalized = headersToObject(headers);
+    const snapshot = { requests: null, tokens: null };
+
+    for (const headerSet of HEADER_SETS) {
+      for (const kind of ['requests', 'tokens']) {
+        const [limitKey, remainingKey, resetKey] = headerSet[kind];
+        const limit = toNumber(normalized[limitKey]);
+        const remaining = toNumber(normalized[remainingKey]);
+        if (limit === null && remaining === null) continue;
+
+        snapshot[kind] = {
+          limit,
+          remaining,
+          reset: normalized[resetKey] || null
+        };
+      }
+    }
+
+    const retryAfterMs = parseRetryAfter(normalized);
+
+    if (!snapshot.requests && !snapshot.tokens && retryAfterMs === null) {
+      return null;
+    }
+
+    const entry = {
+      provider: providerId,
+      ...snapshot,
+      retryAfterMs,
+      updatedAt: new Date().toISOString()
+    };
+    this.limits.set(providerId, entry);
+
+    if (snapshot.requests?.remaining === 0 || snapshot.tokens?.remaining === 0) {
+      logger.warn(`Rate limit budget exhausted for provider ${providerId}`, entry);
+    }
+
+    return entry;
+  }
+
+  get(providerId) {
+    return this.limits.get(providerId) || null;
+  }
+
+  getAll() {
+    return Object.fromEntries(this.limits);
+  }
+}
+
+// Singleton instance
+export const rateLimitTracker = new RateLimitTracker();
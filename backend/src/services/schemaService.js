@@ -1,5 +1,6 @@
 import { databaseManager } from './database.js';
 import { logger } from '../utils/logger.js';
+import { searchService } from './searchService.js';
 
 class SchemaService {
   createSchema() {
@@ -20,7 +21,16 @@ class SchemaService {
             updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
             compression_summary TEXT DEFAULT NULL,
             compressed_at TEXT DEFAULT NULL,
-            compressed_message_count INTEGER DEFAULT 0
+            compressed_message_count INTEGER DEFAULT 0,
+            provider TEXT DEFAULT NULL,
+            model TEXT DEFAULT NULL,
+            temperature REAL DEFAULT NULL,
+            top_p REAL DEFAULT NULL,
+            max_tokens INTEGER DEFAULT NULL,
+            tool_choice TEXT DEFAULT NULL,
+            tool_profile TEXT DEFAULT NULL,
+            title TEXT DEFAULT NULL,
+            short_summary TEXT DEFAULT NULL
           )
         `);
 
@@ -39,6 +49,133 @@ class SchemaService {
             sequence_number INTEGER NOT NULL,
             created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
             is_compressed INTEGER DEFAULT 0,
+            is_cancelled INTEGER DEFAULT 0,
+            FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+          )
+        `);
+
+        // One row per tool call outcome, for /api/stats/tools. Not tied to
+        // conversations by a foreign key so stats survive deleting a chat.
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS tool_executions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tool_name TEXT NOT NULL,
+            server TEXT,
+            conversation_id TEXT,
+            source TEXT,
+            status TEXT NOT NULL,
+            success INTEGER NOT NULL DEFAULT 0,
+            error TEXT,
+            duration_ms INTEGER,
+            args_size INTEGER,
+            result_size INTEGER,
+            truncated INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT NOT NULL
+          )
+        `);
+
+        // One row per model request (chat turns, tool rounds, compression
+        // summaries), for /api/stats/usage. Cost is fixed at request time so
+        // later price changes don't rewrite history.
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS llm_usage (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            conversation_id TEXT,
+            source TEXT NOT NULL,
+            provider TEXT NOT NULL,
+            model TEXT,
+            prompt_tokens INTEGER NOT NULL DEFAULT 0,
+            completion_tokens INTEGER NOT NULL DEFAULT 0,
+            total_tokens INTEGER NOT NULL DEFAULT 0,
+            cost_usd REAL,
+            created_at TEXT NOT NULL
+          )
+        `);
+
+        // Every compression of a conversation. `rolling` rows are the summary the
+        // model sees: they cover messages 0..end_index and extend previous_id with
+        // the newly aged messages start_index..end_index. `chunk` rows summarize only
+        // those newly aged messages and point at the rolling row they were merged
+        // into. One rolling row per conversation is active; rolling one back
+        // re-activates the one it extended.
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS compression_summaries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            conversation_id TEXT NOT NULL,
+            kind TEXT NOT NULL,
+            parent_id INTEGER,
+            previous_id INTEGER,
+            start_index INTEGER NOT NULL,
+            end_index INTEGER NOT NULL,
+            summary TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'active',
+            created_at TEXT NOT NULL,
+            updated_at TEXT
+          )
+        `);
+
+        // Snapshot of a compression summary after each change to its text or
+        // status. actor is who made the change ('user' or 'system'), model the
+        // provider/model that wrote the text (NULL for hand edits).
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS compression_summary_versions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            summary_id INTEGER NOT NULL,
+            conversation_id TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            summary TEXT NOT NULL,
+            status TEXT NOT NULL,
+            change TEXT NOT NULL,
+            actor TEXT NOT NULL,
+            model TEXT,
+            instruction TEXT,
+            created_at TEXT NOT NULL
+          )
+        `);
+
+        // Full-text index of messages. rowid is messages.id; tool_text holds the
+        // tool names, arguments and results of a message's tool calls.
+        // Maintained by chatPersistence.saveConversation via searchService.
+        db.exec(`
+          CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+            content,
+            tool_text,
+            tokenize = 'porter unicode61'
+          )
+        `);
+
+        // User-defined folders for organizing conversations in the sidebar
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS folders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            created_at TEXT NOT NULL,
+            updated_at TEXT
+          )
+        `);
+
+        // Pinned/archived state and folder of a conversation; no row means
+        // unpinned, not archived and in no folder. Archiving only hides a
+        // conversation from the default list, unlike deleted_at.
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS conversation_organization (
+            conversation_id TEXT PRIMARY KEY,
+            folder_id INTEGER,
+            pinned_at TEXT,
+            archived_at TEXT,
+            updated_at TEXT NOT NULL,
+            FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+            FOREIGN KEY (folder_id) REFERENCES folders(id) ON DELETE SET NULL
+          )
+        `);
+
+        // Free-form tags, one row per conversation and tag
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS conversation_tags (
+            conversation_id TEXT NOT NULL,
+            tag TEXT NOT NULL COLLATE NOCASE,
+            created_at TEXT NOT NULL,
+            PRIMARY KEY (conversation_id, tag),
             FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
           )
         `);
@@ -58,6 +195,46 @@ class SchemaService {
           CREATE INDEX IF NOT EXISTS idx_conversations_deleted
           ON conversations(deleted_at)
         `);
+
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_tool_executions_created
+          ON tool_executions(created_at)
+        `);
+
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_tool_executions_tool
+          ON tool_executions(tool_name, created_at)
+        `);
+
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_llm_usage_created
+          ON llm_usage(created_at)
+        `);
+
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_llm_usage_conversation
+          ON llm_usage(conversation_id)
+        `);
+
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_compression_summaries_conversation
+          ON compression_summaries(conversation_id, id)
+        `);
+
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_compression_summary_versions_summary
+          ON compression_summary_versions(summary_id, version)
+        `);
+
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_conversation_organization_folder
+          ON conversation_organization(folder_id)
+        `);
+
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_conversation_tags_tag
+          ON conversation_tags(tag)
+        `);
       });
 
       createTables();
@@ -89,6 +266,42 @@ class SchemaService {
         `);
       }
 
+      const hasProvider = conversationsInfo.some(col => col.name === 'provider');
+
+      if (!hasProvider) {
+        logger.info('Running migration: adding provider column to conversations table');
+        db.exec(`
+          ALTER TABLE conversations ADD COLUMN provider TEXT DEFAULT NULL;
+        `);
+      }
+
+      const modelOptionColumns = [
+        ['model', 'TEXT'],
+        ['temperature', 'REAL'],
+        ['top_p', 'REAL'],
+        ['max_tokens', 'INTEGER'],
+        ['tool_choice', 'TEXT'],
+        ['tool_profile', 'TEXT']
+      ];
+
+      for (const [column, type] of modelOptionColumns) {
+        if (!conversationsInfo.some(col => col.name === column)) {
+          logger.info(`Running migration: adding ${column} column to conversations table`);
+          db.exec(`
+            ALTER TABLE conversations ADD COLUMN ${column} ${type} DEFAULT NULL;
+          `);
+        }
+      }
+
+      for (const column of ['title', 'short_summary']) {
+        if (!conversationsInfo.some(col => col.name === column)) {
+          logger.info(`Running migration: adding ${column} column to conversations table`);
+          db.exec(`
+            ALTER TABLE conversations ADD COLUMN ${column} TEXT DEFAULT NULL;
+          `);
+        }
+      }
+
       const messagesInfo = db.pragma('table_info(messages)');
       const hasIsCompressed = messagesInfo.some(col => col.name === 'is_compressed');
 
@@ -108,6 +321,22 @@ class SchemaService {
         `);
       }
 
+      const hasIsCancelled = messagesInfo.some(col => col.name === 'is_cancelled');
+
+      if (!hasIsCancelled) {
+        logger.info('Running migration: adding is_cancelled column to messages table');
+        db.exec(`
+          ALTER TABLE messages ADD COLUMN is_cancelled INTEGER DEFAULT 0;
+        `);
+      }
+
+      // Databases from before search existed have messages but an empty index
+      const { indexed } = db.prepare('SELECT COUNT(*) AS indexed FROM messages_fts').get();
+      if (indexed === 0 && db.prepare('SELECT 1 FROM messages LIMIT 1').get()) {
+        logger.info('Running migration: building the message search index');
+        searchService.rebuildIndex();
+      }
+
       logger.info('Schema migration completed successfully');
     } catch (error) {
       logger.error('Failed to migrate database schema:', error);
@@ -0,0 +1,212 @@
+import { databaseManager } from './database.js';
+import { logger } from '../utils/logger.js';
+
+// Same id as proactiveService's; importing it from there would be circular
+const PROACTIVE_CONVERSATION_ID = 'proactive';
+
+// snippet() wraps matches in these; they are split into { text, match } parts
+// before leaving the server so clients never have to render markup
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+const SNIPPET_TOKENS = 16;
+
+export const SEARCH_ROLES = ['user', 'assistant', 'tool', 'system'];
+export const SEARCH_SOURCES = ['chat', 'proactive'];
+
+// Tool results are stored as whatever the MCP server returned; index their text
+function resultText(result) {
+  if (result === null || result === undefined) return '';
+  if (typeof result === 'string') return result;
+  if (Array.isArray(result?.content)) {
+    return result.content
+      .map(item => (typeof item?.text === 'string' ? item.text : ''))
+      .filter(Boolean)
+      .join('\n');
+  }
+  return JSON.stringify(result);
+}
+
+// Text of a message's tool calls (name, arguments, result), or of a tool result message
+function toolText(message) {
+  if (message.role === 'tool') {
+    return [message.name, message.content].filter(Boolean).join('\n');
+  }
+  return (message.toolCalls || [])
+    .map(call => [
+      call.toolName,
+      call.args ? JSON.stringify(call.args) : '',
+      resultText(call.result),
+      call.error || ''
+    ].filter(Boolean).join('\n'))
+    .join('\n\n');
+}
+
+// Every word is matched as a literal term (FTS5 operators in user input are
+// not interpreted); the last one as a prefix so results follow typing
+function toMatchQuery(query) {
+  const terms = query.trim().split(/\s+/).filter(Boolean).map(term => `"${term.replace(/"/g, '""')}"`);
+  if (terms.length === 0) {
+    return null;
+  }
+  terms[terms.length - 1] += '*';
+  return terms.join(' ');
+}
+
+function toSnippetParts(snippet) {
+  const parts = [];
+  let rest = snippet || '';
+  while (rest) {
+    const start = rest.indexOf(MATCH_START);
+    if (start < 0) {
+      parts.push({ text: rest, match: false });
+      break;
+    }
+    if (start > 0) {
+      parts.push({ text: rest.slice(0, start), match: false });
+    }
+    const end = rest.indexOf(MATCH_END, start);
+    const stop = end < 0 ? rest.length : end;
+    parts.push({ text: rest.slice(start + 1, stop), match: true });
+    rest = rest.slice(stop + 1);
+  }
+  return parts;
+}
+
+// Rows from before created_at was set explicitly use SQLite's UTC "YYYY-MM-DD HH:MM:SS"
+function toIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value || '') ? `${value.replace(' ', 'T')}Z` : value;
+}
+
+class SearchService {
+  /**
+   * Add messages to the index. Called by chatPersistence inside the transaction that saves them.
+   * @param {Array} entries - { id, message } with id the messages row id
+   */
+  indexMessages(entries) {
+    const insert = databaseManager.getConnection().prepare(
+      'INSERT INTO messages_fts (rowid, content, tool_text) VALUES (?, ?, ?)'
+    );
+    for (const { id, message } of entries) {
+      insert.run(id, message.content || '', toolText(message));
+    }
+  }
+
+  /**
+   * Drop a conversation's messages from the index; call before deleting its message rows
+   */
+  removeConversation(conversationId) {
+    databaseManager.getConnection().prepare(`
+      DELETE FROM messages_fts
+      WHERE rowid IN (SELECT id FROM messages WHERE conversation_id = ?)
+    `).run(conversationId);
+  }
+
+  /**
+   * Rebuild the index from the messages table (for databases from before search existed)
+   * @returns {number} Messages indexed
+   */
+  rebuildIndex() {
+    const db = databaseManager.getConnection();
+    const rows = db.prepare('SELECT id, role, content, tool_calls, name FROM messages').all();
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM messages_fts').run();
+      this.indexMessages(rows.map(row => ({
+        id: row.id,
+        message: {
+          role: row.role,
+          content: row.content,
+          name: row.name,
+          toolCalls: row.tool_calls ? JSON.parse(row.tool_calls) : null
+        }
+      })));
+    })();
+
+    logger.info(`Search index rebuilt with ${rows.length} messages`);
+    return rows.length;
+  }
+
+  /**
+   * Search message text and tool calls of all conversations that are not deleted
+   * @param {string} query - Words to find; all must occur
+   * @param {Object} [filters]
+   * @param {string} [filters.from] - Messages created at or after this date/time
+   * @param {string} [filters.to] - Messages created at or before this date/time; a date alone includes that whole day
+   * @param {string} [filters.role] - One of SEARCH_ROLES
+   * @param {boolean} [filters.hasToolCall] - Only messages with (true) or without (false) tool calls
+   * @param {string} [filters.source] - 'chat' or 'proactive'
+   * @returns {Object} { results, total } with results best match first; each has
+   *   { conversationId, messageIndex, role, createdAt, source, field, hasToolCall, snippet: [{ text, match }] }
+   */
+  search(query, { from = null, to = null, role = null, hasToolCall = null, source = null, limit = 20, offset = 0 } = {}) {
+    const match = toMatchQuery(query || '');
+    if (!match) {
+      return { results: [], total: 0 };
+    }
+
+    const conditions = ['messages_fts MATCH ?', 'c.deleted_at IS NULL'];
+    const params = [match];
+    if (from) {
+      conditions.push('datetime(m.created_at) >= datetime(?)');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('datetime(m.created_at) <= datetime(?)');
+      params.push(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to} 23:59:59` : to);
+    }
+    if (role) {
+      conditions.push('m.role = ?');
+      params.push(role);
+    }
+    const toolCallCondition = "(m.role = 'tool' OR (m.tool_calls IS NOT NULL AND m.tool_calls != '[]') OR m.tool_calls_llm IS NOT NULL)";
+    if (hasToolCall !== null) {
+      conditions.push(hasToolCall ? toolCallCondition : `NOT ${toolCallCondition}`);
+    }
+    if (source) {
+      conditions.push(source === 'proactive' ? 'm.conversation_id = ?' : 'm.conversation_id != ?');
+      params.push(PROACTIVE_CONVERSATION_ID);
+    }
+
+    const db = databaseManager.getConnection();
+    const fromClause = `
+      FROM messages_fts
+      JOIN messages m ON m.id = messages_fts.rowid
+      JOIN conversations c ON c.id = m.conversation_id
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total ${fromClause}`).get(...params);
+    const rows = db.prepare(`
+      SELECT m.conversation_id, m.sequence_number, m.role, m.created_at,
+        ${toolCallCondition} AS has_tool_call,
+        snippet(messages_fts, 0, '${MATCH_START}', '${MATCH_END}', '…', ${SNIPPET_TOKENS}) AS content_snippet,
+        snippet(messages_fts, 1, '${MATCH_START}', '${MATCH_END}', '…', ${SNIPPET_TOKENS}) AS tool_snippet
+      ${fromClause}
+      ORDER BY bm25(messages_fts), m.created_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      total,
+      results: rows.map(row => {
+        // A match only in the tool calls is shown from there, anything else from the message text
+        const field = !row.content_snippet?.includes(MATCH_START) && row.tool_snippet?.includes(MATCH_START)
+          ? 'tool'
+          : 'content';
+        return {
+          conversationId: row.conversation_id,
+          messageIndex: row.sequence_number,
+          role: row.role,
+          createdAt: toIsoDate(row.created_at),
+          source: row.conversation_id === PROACTIVE_CONVERSATION_ID ? 'proactive' : 'chat',
+          field,
+          hasToolCall: !!row.has_tool_call,
+          snippet: toSnippetParts(field === 'tool' ? row.tool_snippet : row.content_snippet)
+        };
+      })
+    };
+  }
+}
+
+// Singleton instance
+export const searchService = new SearchService();
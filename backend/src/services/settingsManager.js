@@ -1,9 +1,15 @@
-import { zoMCP } from './mcpClient.js';
+import { zoMCP, MCP_SETTINGS_TRANSPORTS, MCP_KEY_ENV_PATTERN, ZO_SERVER_ID } from './mcpClient.js';
+import { BUILT_IN_PROVIDER_IDS, LLM_KEY_ENV_PATTERN, LOCKED_BUILT_IN_FIELDS } from './providerRegistry.js';
 import { logger } from '../utils/logger.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+export const APPROVAL_MODES = ['auto', 'ask', 'deny'];
+
+// Reserved profile id that always means "every tool", even when a default profile is set
+export const ALL_TOOLS_PROFILE = 'all';
+
 class SettingsManager {
   constructor() {
     this.settings = null;
@@ -79,11 +85,114 @@ class SettingsManager {
     return {
       compression: {
         threshold: threshold,
-        keepRecentMessages: keepRecent
+        keepRecentMessages: keepRecent,
+        // Summaries can run on a cheaper model; null = default provider/model
+        summarizerProvider: process.env.COMPRESSION_PROVIDER || null,
+        summarizerModel: process.env.COMPRESSION_MODEL || null,
+        // Also keep a summary of each batch of newly aged messages next to the
+        // rolling summary (one extra model call per compression)
+        hierarchical: process.env.COMPRESSION_HIERARCHICAL === 'true'
       },
       proactive: {
         enabled: false,
-        intervalMinutes: 15
+        intervalMinutes: 15,
+        // Unattended runs get a tighter tool-round budget than interactive chats
+        maxToolRounds: 5,
+        // Tool profile for proactive runs; null = tools.defaultProfile
+        toolProfile: null,
+        // Applied on top of tools.approval; the stricter mode wins. Nobody is
+        // around to approve scheduled runs, so "ask" denies them there.
+        toolApproval: {
+          default: 'ask',
+          rules: {
+            add_memory: 'auto',
+            remove_memory: 'auto',
+            list_memories: 'auto',
+            get_memory: 'auto'
+          }
+        }
+      },
+      llm: {
+        defaultProvider: process.env.LLM_PROVIDER || 'zai',
+        // Extra/overridden provider definitions keyed by id. API keys are never
+        // stored here; extra providers name an LLM_<NAME>_KEY variable in apiKeyEnv.
+        // Built-in providers keep their baseURL and key from the environment.
+        providers: {},
+        // Tokenizer used to count context tokens, keyed by "provider/model" or
+        // model name (e.g. { "glm-5": "cl100k_base" }); unlisted models use a default
+        tokenizers: {},
+        // Context window in tokens, keyed the same way, for models the built-in
+        // registry doesn't know or gets wrong (e.g. { "local/qwen3": 32768 })
+        contextWindows: {},
+        // Retries for 429/5xx/network errors (exponential backoff with jitter)
+        retry: {
+          maxRetries: process.env.LLM_MAX_RETRIES === '0' ? 0 : parseInt(process.env.LLM_MAX_RETRIES) || 3,
+          baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_MS) || 1000,
+          maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_MS) || 30000
+        }
+      },
+      tools: {
+        // Tool calls from one model turn run in parallel, at most this many at once
+        maxConcurrency: parseInt(process.env.TOOL_MAX_CONCURRENCY) || 4,
+        timeoutMs: parseInt(process.env.TOOL_TIMEOUT_MS) || 60000,
+        // Per-tool timeout overrides keyed by tool name
+        timeouts: {},
+        // Tool results larger than this are truncated before the model sees them
+        // (the UI still gets the full result); rows cap tabular text and arrays
+        maxResultChars: parseInt(process.env.TOOL_MAX_RESULT_CHARS) || 20000,
+        maxResultRows: parseInt(process.env.TOOL_MAX_RESULT_ROWS) || 200,
+        // Per-tool overrides keyed by tool name: { maxChars, maxRows }
+        resultLimits: {},
+        // Model requests that may run tools within one user turn
+        maxRounds: parseInt(process.env.TOOL_MAX_ROUNDS) || 10,
+        // Identical calls (same tool, same args) allowed per turn before they are skipped
+        maxIdenticalCalls: parseInt(process.env.TOOL_MAX_IDENTICAL_CALLS) || 2,
+        // Named tool subsets; only the selected profile's tools are sent to the model.
+        // Entries are tool names, a trailing * matches a prefix.
+        profiles: {
+          memory: {
+            label: 'Memory only',
+            tools: ['add_memory', 'remove_memory', 'list_memories', 'get_memory']
+          },
+          files: {
+            label: 'Files only',
+            tools: ['read_file', 'create_or_rewrite_file', 'add_memory', 'list_memories', 'get_memory']
+          }
+        },
+        // Profile used when a conversation doesn't pick one; null = every tool
+        defaultProfile: null,
+        // auto = run, ask = wait for the user to approve, deny = never run.
+        // Rules are keyed by tool name; a trailing * matches a prefix.
+        approval: {
+          default: process.env.TOOL_APPROVAL_DEFAULT || 'auto',
+          rules: {},
+          // Pending approvals are denied after this long
+          timeoutMs: parseInt(process.env.TOOL_APPROVAL_TIMEOUT_MS) || 600000
+        }
+      },
+      usage: {
+        // USD per million tokens, keyed by model id or "provider/model":
+        // { "some-model": { input: 0.5, output: 1.5 } }. Requests to models
+        // without a price are counted but not costed.
+        prices: {},
+        // Scheduled proactive runs are skipped once any budget is used up
+        // (UTC day/month, all sources count); null = no limit
+        budgets: {
+          dailyCostUsd: parseFloat(process.env.USAGE_DAILY_BUDGET_USD) || null,
+          monthlyCostUsd: parseFloat(process.env.USAGE_MONTHLY_BUDGET_USD) || null,
+          dailyTokens: parseInt(process.env.USAGE_DAILY_TOKEN_BUDGET) || null
+        }
+      },
+      trash: {
+        // Deleted conversations are purged for good this many days after
+        // deletion; 0 keeps them in the trash until emptied by hand
+        retentionDays: process.env.TRASH_RETENTION_DAYS === '0' ? 0 : parseInt(process.env.TRASH_RETENTION_DAYS) || 30
+      },
+      mcp: {
+        // Extra HTTP/SSE servers keyed by id, connected alongside Zo. Like LLM providers,
+        // keys are never stored here; apiKeyEnv names an MCP_<NAME>_KEY variable.
+        // stdio servers are only read from MCP_SERVERS_FILE.
+        servers: {}
       },
       metadata: {
         createdAt: now,
@@ -123,7 +232,43 @@ class SettingsManager {
       },
       proactive: {
         ...defaults.proactive,
-        ...(settings?.proactive || {})
+        ...(settings?.proactive || {}),
+        toolApproval: {
+          ...defaults.proactive.toolApproval,
+          ...(settings?.proactive?.toolApproval || {})
+        }
+      },
+      llm: {
+        ...defaults.llm,
+        ...(settings?.llm || {}),
+        retry: {
+          ...defaults.llm.retry,
+          ...(settings?.llm?.retry || {})
+        }
+      },
+      tools: {
+        ...defaults.tools,
+        ...(settings?.tools || {}),
+        approval: {
+          ...defaults.tools.approval,
+          ...(settings?.tools?.approval || {})
+        }
+      },
+      usage: {
+        ...defaults.usage,
+        ...(settings?.usage || {}),
+        budgets: {
+          ...defaults.usage.budgets,
+          ...(settings?.usage?.budgets || {})
+        }
+      },
+      trash: {
+        ...defaults.trash,
+        ...(settings?.trash || {})
+      },
+      mcp: {
+        ...defaults.mcp,
+        ...(settings?.mcp || {})
       },
       metadata: {
         ...defaults.metadata,
@@ -145,6 +290,52 @@ class SettingsManager {
     };
   }
 
+  getToolSettings() {
+    return this.getSettings().tools;
+  }
+
+  // Timeout for one tool call: per-tool override, else the global default
+  getToolTimeout(toolName) {
+    const tools = this.getToolSettings();
+    return tools.timeouts?.[toolName] ?? tools.timeoutMs;
+  }
+
+  // Result size limits for one tool: per-tool overrides, else the global defaults
+  getToolResultLimits(toolName) {
+    const tools = this.getToolSettings();
+    const override = tools.resultLimits?.[toolName] || {};
+    return {
+      maxChars: override.maxChars ?? tools.maxResultChars,
+      maxRows: override.maxRows ?? tools.maxResultRows
+    };
+  }
+
+  /**
+   * Resolve the tool allow-list for a request.
+   * Falls through the given profile ids in order (e.g. conversation, proactive),
+   * then tools.defaultProfile. ALL_TOOLS_PROFILE or no profile means every tool.
+   * @returns {{ profile: string|null, allow: string[]|null }}
+   */
+  resolveToolProfile(...profileIds) {
+    const tools = this.getToolSettings();
+    const profileId = [...profileIds, tools.defaultProfile].find(Boolean) || null;
+
+    if (!profileId || profileId === ALL_TOOLS_PROFILE) {
+      return { profile: profileId, allow: null };
+    }
+
+    const profile = tools.profiles?.[profileId];
+    if (!profile) {
+      logger.warn(`Unknown tool profile "${profileId}", sending all tools`);
+      return { profile: null, allow: null };
+    }
+    return { profile: profileId, allow: profile.tools };
+  }
+
+  hasToolProfile(profileId) {
+    return profileId === ALL_TOOLS_PROFILE || !!this.getToolSettings().profiles?.[profileId];
+  }
+
   validateCompressionSettings(compression) {
     if (!compression) {
       throw new Error('Compression settings are required');
@@ -160,6 +351,17 @@ class SettingsManager {
       throw new Error('keepRecentMessages must be a number between 0 and 100');
     }
 
+    for (const field of ['summarizerProvider', 'summarizerModel']) {
+      const value = compression[field];
+      if (value !== undefined && value !== null && (typeof value !== 'string' || !value)) {
+        throw new Error(`${field} must be a non-empty string or null`);
+      }
+    }
+
+    if (compression.hierarchical !== undefined && typeof compression.hierarchical !== 'boolean') {
+      throw new Error('Compression hierarchical must be a boolean');
+    }
+
     return true;
   }
 
@@ -178,6 +380,302 @@ class SettingsManager {
       throw new Error('Proactive intervalMinutes must be a number between 1 and 120');
     }
 
+    if (proactive.maxToolRounds !== undefined &&
+        (!Number.isInteger(proactive.maxToolRounds) ||
+          proactive.maxToolRounds < 1 ||
+          proactive.maxToolRounds > 100)) {
+      throw new Error('Proactive maxToolRounds must be an integer between 1 and 100');
+    }
+
+    if (proactive.toolProfile !== undefined && proactive.toolProfile !== null &&
+        typeof proactive.toolProfile !== 'string') {
+      throw new Error('Proactive toolProfile must be a profile id or null');
+    }
+
+    if (proactive.toolApproval !== undefined) {
+      this.validateApprovalPolicy(proactive.toolApproval, 'Proactive toolApproval');
+    }
+
+    return true;
+  }
+
+  validateLlmSettings(llm) {
+    if (!llm) {
+      throw new Error('LLM settings are required');
+    }
+
+    if (typeof llm.defaultProvider !== 'string' || !llm.defaultProvider) {
+      throw new Error('LLM defaultProvider must be a non-empty string');
+    }
+
+    if (typeof llm.providers !== 'object' || llm.providers === null || Array.isArray(llm.providers)) {
+      throw new Error('LLM providers must be an object keyed by provider id');
+    }
+
+    const tokenizers = llm.tokenizers ?? {};
+    if (typeof tokenizers !== 'object' || tokenizers === null || Array.isArray(tokenizers)) {
+      throw new Error('LLM tokenizers must be an object keyed by model');
+    }
+    for (const [model, tokenizer] of Object.entries(tokenizers)) {
+      if (typeof tokenizer !== 'string' || !tokenizer) {
+        throw new Error(`LLM tokenizer for ${model} must be a non-empty string`);
+      }
+    }
+
+    const contextWindows = llm.contextWindows ?? {};
+    if (typeof contextWindows !== 'object' || contextWindows === null || Array.isArray(contextWindows)) {
+      throw new Error('LLM contextWindows must be an object keyed by model');
+    }
+    for (const [model, contextWindow] of Object.entries(contextWindows)) {
+      if (!Number.isInteger(contextWindow) || contextWindow < 1024) {
+        throw new Error(`LLM context window for ${model} must be an integer >= 1024`);
+      }
+    }
+
+    const retry = llm.retry || {};
+    if (!Number.isInteger(retry.maxRetries) || retry.maxRetries < 0 || retry.maxRetries > 10) {
+      throw new Error('LLM retry maxRetries must be an integer between 0 and 10');
+    }
+    if (typeof retry.baseDelayMs !== 'number' || retry.baseDelayMs < 100) {
+      throw new Error('LLM retry baseDelayMs must be a number >= 100');
+    }
+    if (typeof retry.maxDelayMs !== 'number' || retry.maxDelayMs < retry.baseDelayMs) {
+      throw new Error('LLM retry maxDelayMs must be a number >= baseDelayMs');
+    }
+
+    for (const [id, provider] of Object.entries(llm.providers)) {
+      if ('apiKey' in provider) {
+        throw new Error(`LLM provider ${id}: apiKey must be provided through apiKeyEnv, not stored in settings`);
+      }
+      if (provider.type && !['openai', 'anthropic'].includes(provider.type)) {
+        throw new Error(`LLM provider ${id}: type must be "openai" or "anthropic"`);
+      }
+      if (BUILT_IN_PROVIDER_IDS.includes(id)) {
+        const locked = LOCKED_BUILT_IN_FIELDS.find(field => field in provider);
+        if (locked) {
+          throw new Error(`LLM provider ${id}: ${locked} of a built-in provider can only be set in the environment`);
+        }
+      } else if (provider.apiKeyEnv !== undefined &&
+          (typeof provider.apiKeyEnv !== 'string' || !LLM_KEY_ENV_PATTERN.test(provider.apiKeyEnv))) {
+        throw new Error(`LLM provider ${id}: apiKeyEnv must name an environment variable like LLM_<NAME>_KEY`);
+      }
+    }
+
+    return true;
+  }
+
+  validateToolSettings(tools) {
+    if (!tools) {
+      throw new Error('Tool settings are required');
+    }
+
+    if (!Number.isInteger(tools.maxConcurrency) || tools.maxConcurrency < 1 || tools.maxConcurrency > 32) {
+      throw new Error('Tool maxConcurrency must be an integer between 1 and 32');
+    }
+
+    if (typeof tools.timeoutMs !== 'number' || tools.timeoutMs < 1000) {
+      throw new Error('Tool timeoutMs must be a number >= 1000');
+    }
+
+    if (typeof tools.timeouts !== 'object' || tools.timeouts === null || Array.isArray(tools.timeouts)) {
+      throw new Error('Tool timeouts must be an object keyed by tool name');
+    }
+
+    if (!Number.isInteger(tools.maxRounds) || tools.maxRounds < 1 || tools.maxRounds > 100) {
+      throw new Error('Tool maxRounds must be an integer between 1 and 100');
+    }
+
+    if (!Number.isInteger(tools.maxIdenticalCalls) || tools.maxIdenticalCalls < 1 || tools.maxIdenticalCalls > 20) {
+      throw new Error('Tool maxIdenticalCalls must be an integer between 1 and 20');
+    }
+
+    for (const [toolName, timeoutMs] of Object.entries(tools.timeouts)) {
+      if (typeof timeoutMs !== 'number' || timeoutMs < 1000) {
+        throw new Error(`Tool timeout for ${toolName} must be a number >= 1000`);
+      }
+    }
+
+    if (!Number.isInteger(tools.maxResultChars) || tools.maxResultChars < 1000) {
+      throw new Error('Tool maxResultChars must be an integer >= 1000');
+    }
+
+    if (!Number.isInteger(tools.maxResultRows) || tools.maxResultRows < 1) {
+      throw new Error('Tool maxResultRows must be an integer >= 1');
+    }
+
+    if (typeof tools.resultLimits !== 'object' || tools.resultLimits === null || Array.isArray(tools.resultLimits)) {
+      throw new Error('Tool resultLimits must be an object keyed by tool name');
+    }
+
+    for (const [toolName, limits] of Object.entries(tools.resultLimits)) {
+      if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        throw new Error(`Tool result limits for ${toolName} must be an object with maxChars and/or maxRows`);
+      }
+      if (limits.maxChars !== undefined && (!Number.isInteger(limits.maxChars) || limits.maxChars < 1000)) {
+        throw new Error(`Tool result maxChars for ${toolName} must be an integer >= 1000`);
+      }
+      if (limits.maxRows !== undefined && (!Number.isInteger(limits.maxRows) || limits.maxRows < 1)) {
+        throw new Error(`Tool result maxRows for ${toolName} must be an integer >= 1`);
+      }
+    }
+
+    if (typeof tools.profiles !== 'object' || tools.profiles === null || Array.isArray(tools.profiles)) {
+      throw new Error('Tool profiles must be an object keyed by profile id');
+    }
+
+    for (const [profileId, profile] of Object.entries(tools.profiles)) {
+      if (profileId === ALL_TOOLS_PROFILE) {
+        throw new Error(`Tool profile id must be something other than "${ALL_TOOLS_PROFILE}", which means every tool`);
+      }
+      if (!profile || typeof profile.label !== 'string' || !profile.label.trim()) {
+        throw new Error(`Tool profile ${profileId} label must be a non-empty string`);
+      }
+      if (!Array.isArray(profile.tools) || profile.tools.some(name => typeof name !== 'string' || !name)) {
+        throw new Error(`Tool profile ${profileId} tools must be an array of tool names`);
+      }
+    }
+
+    if (tools.defaultProfile !== null && tools.defaultProfile !== ALL_TOOLS_PROFILE &&
+        !tools.profiles[tools.defaultProfile]) {
+      throw new Error(`Tool defaultProfile must be null or an existing profile id`);
+    }
+
+    this.validateApprovalPolicy(tools.approval, 'Tool approval');
+    if (typeof tools.approval.timeoutMs !== 'number' || tools.approval.timeoutMs < 10000) {
+      throw new Error('Tool approval timeoutMs must be a number >= 10000');
+    }
+
+    return true;
+  }
+
+  validateUsageSettings(usage) {
+    if (!usage) {
+      throw new Error('Usage settings are required');
+    }
+
+    if (typeof usage.prices !== 'object' || usage.prices === null || Array.isArray(usage.prices)) {
+      throw new Error('Usage prices must be an object keyed by model id');
+    }
+
+    for (const [model, price] of Object.entries(usage.prices)) {
+      if (!price || typeof price !== 'object' ||
+          typeof price.input !== 'number' || price.input < 0 ||
+          typeof price.output !== 'number' || price.output < 0) {
+        throw new Error(`Usage price for ${model} must be { input, output } in USD per million tokens (numbers >= 0)`);
+      }
+    }
+
+    if (!usage.budgets || typeof usage.budgets !== 'object') {
+      throw new Error('Usage budgets are required');
+    }
+
+    for (const name of ['dailyCostUsd', 'monthlyCostUsd', 'dailyTokens']) {
+      const value = usage.budgets[name];
+      if (value !== null && value !== undefined && (typeof value !== 'number' || value <= 0)) {
+        throw new Error(`Usage budget ${name} must be a positive number or null`);
+      }
+    }
+
+    return true;
+  }
+
+  validateTrashSettings(trash) {
+    const { retentionDays } = trash;
+    if (!Number.isInteger(retentionDays) || retentionDays < 0 || retentionDays > 3650) {
+      throw new Error('Trash retentionDays must be an integer between 0 and 3650');
+    }
+
+    return true;
+  }
+
+  validateMcpSettings(mcp) {
+    if (!mcp) {
+      throw new Error('MCP settings are required');
+    }
+
+    if (typeof mcp.servers !== 'object' || mcp.servers === null || Array.isArray(mcp.servers)) {
+      throw new Error('MCP servers must be an object keyed by server id');
+    }
+
+    const isStringMap = (value) => value === undefined || (
+      typeof value === 'object' && value !== null && !Array.isArray(value) &&
+      Object.values(value).every(item => typeof item === 'string')
+    );
+    const prefixes = new Set();
+
+    for (const [id, server] of Object.entries(mcp.servers)) {
+      if (id === ZO_SERVER_ID) {
+        throw new Error(`MCP server id must be something other than "${ZO_SERVER_ID}", which is the built-in Zo server`);
+      }
+      if (!/^[a-zA-Z0-9_-]+$/.test(id)) {
+        throw new Error(`MCP server id ${id} must only contain letters, digits, _ and -`);
+      }
+      if (!server || typeof server !== 'object') {
+        throw new Error(`MCP server ${id} must be an object`);
+      }
+      if ('apiKey' in server) {
+        throw new Error(`MCP server ${id}: apiKey must be provided through apiKeyEnv, not stored in settings`);
+      }
+      if (!MCP_SETTINGS_TRANSPORTS.includes(server.type)) {
+        throw new Error(`MCP server ${id}: type must be one of: ${MCP_SETTINGS_TRANSPORTS.join(', ')} (stdio servers are defined in MCP_SERVERS_FILE)`);
+      }
+      for (const field of ['command', 'args', 'cwd', 'env', 'passEnv']) {
+        if (field in server) {
+          throw new Error(`MCP server ${id}: ${field} can only be set in MCP_SERVERS_FILE`);
+        }
+      }
+
+      try {
+        new URL(server.url);
+      } catch {
+        throw new Error(`MCP server ${id}: url must be a valid URL`);
+      }
+      if (!isStringMap(server.headers)) {
+        throw new Error(`MCP server ${id}: headers must be an object of string values`);
+      }
+      if (server.apiKeyEnv !== undefined &&
+          (typeof server.apiKeyEnv !== 'string' || !MCP_KEY_ENV_PATTERN.test(server.apiKeyEnv))) {
+        throw new Error(`MCP server ${id}: apiKeyEnv must name an environment variable like MCP_<NAME>_KEY`);
+      }
+
+      // Prefixed names must still fit the model's tool name rules
+      if (server.prefix !== undefined && server.prefix !== null) {
+        if (typeof server.prefix !== 'string' || !/^[a-zA-Z0-9-]{1,20}$/.test(server.prefix)) {
+          throw new Error(`MCP server ${id}: prefix must be 1-20 letters, digits or -`);
+        }
+        if (prefixes.has(server.prefix)) {
+          throw new Error(`MCP server ${id}: prefix must be unique, "${server.prefix}" is already used`);
+        }
+        prefixes.add(server.prefix);
+      }
+
+      if (server.enabled !== undefined && typeof server.enabled !== 'boolean') {
+        throw new Error(`MCP server ${id}: enabled must be a boolean`);
+      }
+    }
+
+    return true;
+  }
+
+  validateApprovalPolicy(policy, label) {
+    if (!policy || typeof policy !== 'object') {
+      throw new Error(`${label} settings are required`);
+    }
+
+    if (!APPROVAL_MODES.includes(policy.default)) {
+      throw new Error(`${label} default must be one of: ${APPROVAL_MODES.join(', ')}`);
+    }
+
+    if (typeof policy.rules !== 'object' || policy.rules === null || Array.isArray(policy.rules)) {
+      throw new Error(`${label} rules must be an object keyed by tool name`);
+    }
+
+    for (const [toolName, mode] of Object.entries(policy.rules)) {
+      if (!APPROVAL_MODES.includes(mode)) {
+        throw new Error(`${label} rule for ${toolName} must be one of: ${APPROVAL_MODES.join(', ')}`);
+      }
+    }
+
     return true;
   }
 
@@ -194,7 +692,43 @@ class SettingsManager {
         },
         proactive: {
           ...currentSettings.proactive,
-          ...(updates.proactive || {})
+          ...(updates.proactive || {}),
+          toolApproval: {
+            ...currentSettings.proactive.toolApproval,
+            ...(updates.proactive?.toolApproval || {})
+          }
+        },
+        llm: {
+          ...currentSettings.llm,
+          ...(updates.llm || {}),
+          retry: {
+            ...currentSettings.llm.retry,
+            ...(updates.llm?.retry || {})
+          }
+        },
+        tools: {
+          ...currentSettings.tools,
+          ...(updates.tools || {}),
+          approval: {
+            ...currentSettings.tools.approval,
+            ...(updates.tools?.approval || {})
+          }
+        },
+        usage: {
+          ...currentSettings.usage,
+          ...(updates.usage || {}),
+          budgets: {
+            ...currentSettings.usage.budgets,
+            ...(updates.usage?.budgets || {})
+          }
+        },
+        trash: {
+          ...currentSettings.trash,
+          ...(updates.trash || {})
+        },
+        mcp: {
+          ...currentSettings.mcp,
+          ...(updates.mcp || {})
         },
         metadata: {
           ...currentSettings.metadata,
@@ -211,6 +745,33 @@ class SettingsManager {
         this.validateProactiveSettings(newSettings.proactive);
       }
 
+      if (updates.llm) {
+        this.validateLlmSettings(newSettings.llm);
+      }
+
+      if (updates.tools) {
+        this.validateToolSettings(newSettings.tools);
+      }
+
+      if (updates.mcp) {
+        this.validateMcpSettings(newSettings.mcp);
+      }
+
+      if (updates.usage) {
+        this.validateUsageSettings(newSettings.usage);
+      }
+
+      if (updates.trash) {
+        this.validateTrashSettings(newSettings.trash);
+      }
+
+      // Either side may change: a renamed profile or a new proactive selection
+      const proactiveProfile = newSettings.proactive.toolProfile;
+      if ((updates.tools || updates.proactive) && proactiveProfile &&
+          proactiveProfile !== ALL_TOOLS_PROFILE && !newSettings.tools.profiles[proactiveProfile]) {
+        throw new Error('Proactive toolProfile must be null or an existing profile id');
+      }
+
       // Save to file
       await this.saveSettings(newSettings);
 
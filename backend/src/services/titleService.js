@@ -0,0 +1,91 @@
+import { llmClient } from './llmClient.js';
+import { compressionService } from './compressionService.js';
+import { logger } from '../utils/logger.js';
+
+export const MAX_TITLE_LENGTH = 120;
+export const MAX_SHORT_SUMMARY_LENGTH = 300;
+
+// Keeps the request small: long chats are described from their latest messages
+// (and compression summary), each cut down to its head
+const MAX_TITLE_MESSAGES = 20;
+const MAX_MESSAGE_CHARS = 1000;
+
+const TITLE_PROMPT = `You name conversations for a chat history sidebar.
+
+Reply with JSON only, no code fence: {"title": "...", "summary": "..."}
+- title: at most 8 words, no quotes or trailing period, in the language of the conversation
+- summary: one sentence of at most 30 words saying what the conversation is about`;
+
+function clip(text, length) {
+  const value = (text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length - 1).trimEnd()}…` : value;
+}
+
+// Models often wrap JSON in a fence or add a sentence around it; fall back to
+// using the first line as the title
+function parseTitle(text) {
+  const json = text.match(/\{[\s\S]*\}/);
+  if (json) {
+    try {
+      const parsed = JSON.parse(json[0]);
+      if (typeof parsed.title === 'string' && parsed.title.trim()) {
+        return { title: parsed.title, shortSummary: typeof parsed.summary === 'string' ? parsed.summary : null };
+      }
+    } catch (error) {
+      // Not valid JSON after all
+    }
+  }
+  const firstLine = text.split('\n').map(line => line.trim()).find(Boolean);
+  return { title: firstLine || null, shortSummary: null };
+}
+
+class TitleService {
+  /**
+   * Write a title and one-sentence summary for a conversation with the summarizer model
+   * @param {Array} messages - The conversation's messages
+   * @param {Object} [context]
+   * @param {string} [context.conversationId] - The request's token usage is booked to it
+   * @param {string} [context.compressionSummary] - Summary of messages no longer sent in full
+   * @returns {Promise<Object>} { title, shortSummary } with shortSummary possibly null
+   * @throws {Error} If the conversation has no text or the model returns no title
+   */
+  async generateTitle(messages, { conversationId = null, compressionSummary = null } = {}) {
+    const textMessages = messages
+      .filter(message => (message.role === 'user' || message.role === 'assistant') && message.content)
+      .slice(-MAX_TITLE_MESSAGES)
+      .map(message => ({ role: message.role, content: clip(message.content, MAX_MESSAGE_CHARS) }));
+
+    if (textMessages.length === 0) {
+      throw new Error('Conversation has no messages to title');
+    }
+
+    const conversationText = [
+      compressionSummary ? `Summary of earlier messages:\n${clip(compressionSummary, MAX_MESSAGE_CHARS * 2)}` : null,
+      compressionService.formatMessages(textMessages)
+    ].filter(Boolean).join('\n\n');
+
+    const result = await llmClient.chat([
+      { role: 'system', content: TITLE_PROMPT },
+      { role: 'user', content: conversationText }
+    ], null, {
+      ...compressionService.getSummarizerOptions(),
+      tools: false,
+      usageContext: { conversationId, source: 'title' }
+    });
+
+    const { title, shortSummary } = parseTitle(result.message || '');
+    if (!title) {
+      throw new Error('Model returned no title');
+    }
+
+    const generated = {
+      title: clip(title.replace(/^["'“]+|["'”.]+$/g, ''), MAX_TITLE_LENGTH),
+      shortSummary: shortSummary ? clip(shortSummary, MAX_SHORT_SUMMARY_LENGTH) : null
+    };
+    logger.info(`Generated title for ${conversationId}: ${generated.title}`);
+    return generated;
+  }
+}
+
+// Singleton instance
+export const titleService = new TitleService();
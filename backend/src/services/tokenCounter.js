@@ -0,0 +1,140 @@
+import { Tiktoken } from 'js-tiktoken/lite';
+import o200kBase from 'js-tiktoken/ranks/o200k_base';
+import cl100kBase from 'js-tiktoken/ranks/cl100k_base';
+import { settingsManager } from './settingsManager.js';
+import { logger } from '../utils/logger.js';
+
+// Chat formats wrap every message in a few special tokens, and the reply is
+// primed with a few more (the figures OpenAI documents for its chat models)
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_NAME = 1;
+export const REPLY_PRIMING_TOKENS = 3;
+// Tool definitions are rendered into the prompt with some framing per function
+const TOKENS_PER_TOOL = 8;
+
+const DEFAULT_TOKENIZER = 'o200k_base';
+
+// Built-in tokenizer for a model when llm.tokenizers has no entry for it.
+// First match wins; anything unknown falls back to DEFAULT_TOKENIZER, which is
+// close enough for models that do not publish their tokenizer.
+const MODEL_TOKENIZERS = [
+  { pattern: /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o\d)/i, tokenizer: 'o200k_base' },
+  { pattern: /^(gpt-4|gpt-3\.5|text-embedding)/i, tokenizer: 'cl100k_base' }
+];
+
+function tiktoken(ranks) {
+  let encoder = null;
+  return {
+    count(text) {
+      // Building the encoder parses the rank table, so do it on first use only
+      encoder ??= new Tiktoken(ranks);
+      return encoder.encode(text, [], []).length;
+    }
+  };
+}
+
+class TokenCounter {
+  constructor() {
+    this.tokenizers = new Map([
+      ['o200k_base', tiktoken(o200kBase)],
+      ['cl100k_base', tiktoken(cl100kBase)],
+      // Same heuristic the counter used before it had real tokenizers
+      ['chars4', { count: (text) => Math.ceil(text.length / 4) }]
+    ]);
+    this.warnedTokenizers = new Set();
+  }
+
+  /**
+   * Register a tokenizer that models can be mapped to in llm.tokenizers.
+   * @param {string} name
+   * @param {{ count: (text: string) => number }} tokenizer
+   */
+  registerTokenizer(name, tokenizer) {
+    if (typeof tokenizer?.count !== 'function') {
+      throw new Error(`Tokenizer ${name} must have a count(text) function`);
+    }
+    this.tokenizers.set(name, tokenizer);
+  }
+
+  listTokenizers() {
+    return [...this.tokenizers.keys()];
+  }
+
+  /**
+   * Tokenizer name for a model: a "provider/model" entry in llm.tokenizers
+   * wins over a plain model entry, then the built-in patterns apply.
+   */
+  getTokenizerName(provider = null, model = null) {
+    const overrides = settingsManager.getSettings().llm.tokenizers || {};
+    const configured = (provider && model && overrides[`${provider}/${model}`]) || (model && overrides[model]);
+    if (configured) {
+      return configured;
+    }
+    return MODEL_TOKENIZERS.find(({ pattern }) => pattern.test(model || ''))?.tokenizer || DEFAULT_TOKENIZER;
+  }
+
+  getTokenizer(provider = null, model = null) {
+    const name = this.getTokenizerName(provider, model);
+    if (this.tokenizers.has(name)) {
+      return this.tokenizers.get(name);
+    }
+    if (!this.warnedTokenizers.has(name)) {
+      this.warnedTokenizers.add(name);
+      logger.warn(`Unknown tokenizer "${name}" for ${provider}/${model}, using ${DEFAULT_TOKENIZER}`);
+    }
+    return this.tokenizers.get(DEFAULT_TOKENIZER);
+  }
+
+  /**
+   * Tokens in a piece of text
+   * @param {string} text
+   * @param {Object} [model] - { provider, model } selecting the tokenizer
+   */
+  countText(text, { provider = null, model = null } = {}) {
+    if (!text) return 0;
+    return this.getTokenizer(provider, model).count(String(text));
+  }
+
+  /**
+   * Tokens of one chat message including its framing, tool calls and tool call id
+   */
+  countMessage(message, model = {}) {
+    let tokens = TOKENS_PER_MESSAGE + this.countText(message.role, model);
+    if (typeof message.content === 'string') {
+      tokens += this.countText(message.content, model);
+    } else if (message.content) {
+      tokens += this.countText(JSON.stringify(message.content), model);
+    }
+    if (message.name) {
+      tokens += TOKENS_PER_NAME + this.countText(message.name, model);
+    }
+    if (message.tool_calls) {
+      tokens += this.countText(JSON.stringify(message.tool_calls), model);
+    }
+    if (message.tool_call_id) {
+      tokens += this.countText(message.tool_call_id, model);
+    }
+    return tokens;
+  }
+
+  /**
+   * Tokens of a message list as sent to the model, including reply priming
+   */
+  countMessages(messages, model = {}) {
+    if (messages.length === 0) return 0;
+    return messages.reduce((sum, message) => sum + this.countMessage(message, model), REPLY_PRIMING_TOKENS);
+  }
+
+  /**
+   * Tokens taken by tool definitions ({ type: 'function', function: {...} } entries)
+   */
+  countTools(tools, model = {}) {
+    return tools.reduce(
+      (sum, tool) => sum + TOKENS_PER_TOOL + this.countText(JSON.stringify(tool.function || tool), model),
+      0
+    );
+  }
+}
+
+// Singleton instance
+export const tokenCounter = new TokenCounter();
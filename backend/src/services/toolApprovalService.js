@@ -0,0 +1,136 @@
+import { logger } from '../utils/logger.js';
+import { settingsManager, APPROVAL_MODES } from './settingsManager.js';
+
+// Later entries are stricter; combining two policies keeps the stricter mode
+const STRICTNESS = APPROVAL_MODES;
+
+function stricter(a, b) {
+  return STRICTNESS.indexOf(a) >= STRICTNESS.indexOf(b) ? a : b;
+}
+
+// Exact rule first, then the longest matching `prefix*` rule, then the default
+function matchPolicy(policy, toolName) {
+  const rules = policy?.rules || {};
+  if (rules[toolName]) {
+    return rules[toolName];
+  }
+
+  let best = null;
+  for (const [pattern, mode] of Object.entries(rules)) {
+    if (!pattern.endsWith('*')) continue;
+    const prefix = pattern.slice(0, -1);
+    if (toolName.startsWith(prefix) && (!best || prefix.length > best.prefix.length)) {
+      best = { prefix, mode };
+    }
+  }
+
+  return best ? best.mode : (policy?.default || 'auto');
+}
+
+function abortError() {
+  const error = new Error('Request was aborted.');
+  error.name = 'AbortError';
+  return error;
+}
+
+class ToolApprovalService {
+  constructor() {
+    this.pending = new Map();
+  }
+
+  /**
+   * Resolve the approval mode for a tool call
+   * @param {string} toolName - Tool being called
+   * @param {string} policy - 'chat' or 'proactive' (proactive also applies the chat rules)
+   * @returns {'auto'|'ask'|'deny'}
+   */
+  getMode(toolName, policy = 'chat') {
+    const settings = settingsManager.getSettings();
+    const chatMode = matchPolicy(settings.tools.approval, toolName);
+
+    if (policy !== 'proactive') {
+      return chatMode;
+    }
+    return stricter(chatMode, matchPolicy(settings.proactive.toolApproval, toolName));
+  }
+
+  /**
+   * Register a tool call that needs the user's decision.
+   * Returns the approval id and a promise resolving to { approved, args, reason };
+   * the promise rejects with an AbortError if the run is cancelled.
+   */
+  request({ conversationId, toolCallId, toolName, args, signal }) {
+    if (signal?.aborted) {
+      throw abortError();
+    }
+
+    const approvalId = `approval_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+    const { timeoutMs } = settingsManager.getToolSettings().approval;
+
+    let settle;
+    const promise = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        logger.warn(`Tool approval timed out: ${toolName}`, { approvalId, timeoutMs });
+        settle(() => resolve({
+          approved: false,
+          args,
+          reason: `No response within ${Math.round(timeoutMs / 1000)}s`
+        }));
+      }, timeoutMs);
+
+      const onAbort = () => settle(() => reject(abortError()));
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      settle = (finish) => {
+        if (!this.pending.has(approvalId)) return;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(approvalId);
+        finish();
+      };
+
+      this.pending.set(approvalId, {
+        approvalId,
+        conversationId,
+        toolCallId,
+        toolName,
+        args,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + timeoutMs).toISOString(),
+        decide: (decision) => settle(() => resolve(decision))
+      });
+    });
+
+    return { approvalId, promise };
+  }
+
+  /**
+   * Answer a pending approval
+   * @param {string} approvalId - Id from the approval_required event
+   * @param {Object} decision - { approved: boolean, args?: Object, reason?: string }
+   * @returns {Object|null} The approval that was answered, or null if it is unknown or already settled
+   */
+  resolve(approvalId, { approved, args, reason = null }) {
+    const entry = this.pending.get(approvalId);
+    if (!entry) {
+      return null;
+    }
+
+    const { decide, ...approval } = entry;
+    decide({
+      approved,
+      args: args === undefined ? entry.args : args,
+      reason
+    });
+    return approval;
+  }
+
+  listPending(conversationId = null) {
+    return [...this.pending.values()]
+      .filter(entry => !conversationId || entry.conversationId === conversationId)
+      .map(({ decide, ...approval }) => approval);
+  }
+}
+
+// Singleton instance
+export const toolApprovalService = new ToolApprovalService();
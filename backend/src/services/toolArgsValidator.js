@@ -0,0 +1,239 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { logger } from '../utils/logger.js';
+
+// Compiled validators keyed by the serialized schema; tool lists change rarely
+const MAX_CACHED_VALIDATORS = 500;
+// How much of unparseable arguments to quote back to the model
+const RAW_EXCERPT_CHARS = 300;
+
+const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: true });
+addFormats(ajv);
+const validators = new Map();
+
+// Returns null for a schema that doesn't compile (remembered, so it's logged once)
+function getValidator(schema) {
+  const key = JSON.stringify(schema);
+  if (validators.has(key)) {
+    return validators.get(key);
+  }
+
+  if (validators.size >= MAX_CACHED_VALIDATORS) {
+    validators.delete(validators.keys().next().value);
+  }
+  let validate = null;
+  try {
+    validate = ajv.compile(schema);
+  } catch (error) {
+    // A server's broken schema shouldn't block its tool
+    logger.warn(`Skipping argument validation, tool schema does not compile: ${error.message}`);
+  }
+  validators.set(key, validate);
+  return validate;
+}
+
+// Single pass over the text fixing what models commonly get wrong: single-quoted
+// strings, unquoted keys, Python literals, trailing commas, raw newlines in
+// strings, and output cut off before the closing quotes/brackets
+function repairJsonText(text) {
+  let output = '';
+  const stack = [];
+  let quote = null;
+  let index = 0;
+
+  const lastSignificant = () => output.trimEnd().slice(-1);
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (quote) {
+      if (char === '\\') {
+        // \' is only an escape inside single quotes; JSON doesn't allow it
+        const next = text[index + 1] ?? '';
+        output += next === "'" ? next : char + next;
+        index += 2;
+        continue;
+      }
+      if (char === quote) {
+        output += '"';
+        quote = null;
+      } else if (char === '"') {
+        output += '\\"';
+      } else if (char === '\n') {
+        output += '\\n';
+      } else if (char === '\r') {
+        output += '\\r';
+      } else if (char === '\t') {
+        output += '\\t';
+      } else {
+        output += char;
+      }
+      index++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = char;
+      output += '"';
+      index++;
+      continue;
+    }
+
+    if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+      output += char;
+      index++;
+      continue;
+    }
+
+    if (char === '}' || char === ']') {
+      // Drop a trailing comma before the closing bracket
+      if (lastSignificant() === ',') {
+        output = output.trimEnd().slice(0, -1);
+      }
+      stack.pop();
+      output += char;
+      index++;
+      continue;
+    }
+
+    // Bare words: keys to quote, or Python/JS literals to translate
+    const word = /^[A-Za-z_$][\w$-]*/.exec(text.slice(index))?.[0];
+    if (word) {
+      const isKey = /^\s*:/.test(text.slice(index + word.length)) && ['{', ','].includes(lastSignificant());
+      if (isKey) {
+        output += JSON.stringify(word);
+      } else {
+        output += { True: 'true', False: 'false', None: 'null', undefined: 'null' }[word] ?? word;
+      }
+      index += word.length;
+      continue;
+    }
+
+    output += char;
+    index++;
+  }
+
+  // Cut off mid-output: close the open string, drop a dangling comma or colon, close brackets
+  if (quote) {
+    output += '"';
+  }
+  output = output.trimEnd();
+  if (output.endsWith(',')) {
+    output = output.slice(0, -1);
+  } else if (output.endsWith(':')) {
+    output += 'null';
+  }
+  while (stack.length > 0) {
+    output += stack.pop();
+  }
+  return output;
+}
+
+/**
+ * Parse tool call arguments as sent by the model, repairing common mistakes.
+ * @param {string|Object} raw - `tool_call.function.arguments`
+ * @returns {{ args: *, repaired: boolean }}
+ * @throws {Error} code TOOL_ARGS_INVALID_JSON when the text can't be repaired
+ */
+export function parseToolArguments(raw) {
+  if (raw && typeof raw === 'object') {
+    return { args: raw, repaired: false };
+  }
+
+  const text = (raw ?? '').trim();
+  if (!text) {
+    return { args: {}, repaired: false };
+  }
+
+  let parsed;
+  let repaired = false;
+  try {
+    parsed = JSON.parse(text);
+  } catch (parseError) {
+    // Strip a markdown fence and any prose before the object
+    const unfenced = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    const start = unfenced.search(/[{[]/);
+    const candidate = start > 0 ? unfenced.slice(start) : unfenced;
+
+    try {
+      parsed = JSON.parse(repairJsonText(candidate));
+      repaired = true;
+    } catch {
+      const error = new Error(`Arguments are not valid JSON: ${parseError.message}`);
+      error.code = 'TOOL_ARGS_INVALID_JSON';
+      throw error;
+    }
+  }
+
+  // Some models double-encode: the arguments are a JSON string holding the object
+  if (typeof parsed === 'string' && /^\s*[{[]/.test(parsed)) {
+    try {
+      return { args: parseToolArguments(parsed).args, repaired: true };
+    } catch {
+      // Leave it as a string; schema validation will report it
+    }
+  }
+
+  return { args: parsed, repaired };
+}
+
+/**
+ * Check arguments against a tool's JSON Schema.
+ * @param {*} args
+ * @param {Object|null} schema - MCP inputSchema / OpenAI function parameters
+ * @returns {Array<{ path: string, message: string }>} Empty when valid (or no schema)
+ */
+export function validateToolArguments(args, schema) {
+  if (!schema || typeof schema !== 'object') return [];
+
+  const validate = getValidator(schema);
+  if (!validate || validate(args)) return [];
+  return validate.errors.map(error => ({
+    path: error.instancePath || '(root)',
+    message: error.keyword === 'additionalProperties'
+      ? `unknown property "${error.params.additionalProperty}"`
+      : error.keyword === 'enum'
+        ? `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`
+        : error.message
+  }));
+}
+
+/**
+ * Parse and validate arguments in one go.
+ * @returns {{ args: *, repaired: boolean, error: Object|null }} `error` is the
+ *   structured validation error to return to the model, or null when the call can run
+ */
+export function prepareToolArguments(toolName, raw, schema) {
+  let parsed;
+  try {
+    parsed = parseToolArguments(raw);
+  } catch (error) {
+    const excerpt = String(raw).slice(0, RAW_EXCERPT_CHARS);
+    return {
+      args: null,
+      repaired: false,
+      error: {
+        type: 'invalid_arguments',
+        tool: toolName,
+        message: `${error.message}. The call was not run. Send the arguments again as a single valid JSON object.`,
+        received: excerpt
+      }
+    };
+  }
+
+  const errors = validateToolArguments(parsed.args, schema);
+  if (errors.length > 0) {
+    return {
+      ...parsed,
+      error: {
+        type: 'invalid_arguments',
+        tool: toolName,
+        message: `Arguments do not match the ${toolName} input schema, so the call was not run. Fix the listed problems and call it again.`,
+        errors
+      }
+    };
+  }
+
+  return { ...parsed, error: null };
+}
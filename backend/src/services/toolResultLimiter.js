@@ -0,0 +1,172 @@
+// Shrinks tool results before they are sent back to the model. The full result
+// still goes to onToolCall (and from there into the message segments), so the
+// UI always shows everything; only the model's copy is cut.
+
+// Below this a cut isn't worth the marker text it adds
+const MIN_STRING_BUDGET = 200;
+// Room reserved for the _truncated note
+const NOTE_BUDGET = 600;
+const PAGING_PARAM_PATTERN = /^(offset|limit|page|page_?size|cursor|start|end|start_?line|end_?line|line_?start|line_?end|lines|max_?results|count|top|head|tail)$/i;
+
+function size(value) {
+  return JSON.stringify(value)?.length ?? 0;
+}
+
+// Give every part its full size if it fits a fair share; split what is left
+// evenly between the parts that don't
+function allocate(sizes, budget) {
+  const budgets = new Array(sizes.length);
+  const order = sizes.map((itemSize, index) => index).sort((a, b) => sizes[a] - sizes[b]);
+  let remaining = budget;
+
+  order.forEach((index, position) => {
+    const share = Math.floor(remaining / (order.length - position));
+    budgets[index] = Math.min(sizes[index], share);
+    remaining -= budgets[index];
+  });
+  return budgets;
+}
+
+function headTail(text, budget) {
+  const omitted = text.length - budget;
+  const marker = `\n\n[... ${omitted} characters omitted ...]\n\n`;
+  const keep = Math.max(0, budget - marker.length);
+  const head = Math.ceil(keep * 2 / 3);
+  const tail = keep - head;
+  return text.slice(0, head) + marker + (tail > 0 ? text.slice(-tail) : '');
+}
+
+// CSV/TSV, markdown tables and similar: most lines share the same delimiter count
+function isTabular(lines) {
+  const sample = lines.filter(line => line.trim()).slice(0, 20);
+  if (sample.length < 3) return false;
+
+  return ['\t', '|', ','].some(delimiter => {
+    const counts = sample.map(line => line.split(delimiter).length - 1);
+    const matching = counts.filter(count => count > 0 && count === counts[0]).length;
+    return matching / sample.length >= 0.8;
+  });
+}
+
+function limitRows(text, maxRows, stats) {
+  const lines = text.split('\n');
+  // Header row plus maxRows data rows
+  if (lines.length <= maxRows + 1 || !isTabular(lines)) return text;
+
+  const omitted = lines.length - maxRows - 1;
+  stats.omittedRows += omitted;
+  return [...lines.slice(0, maxRows + 1), `[... ${omitted} more rows omitted ...]`].join('\n');
+}
+
+function shrinkString(text, budget, limits, stats) {
+  let value = limitRows(text, limits.maxRows, stats);
+
+  // Text content that is really a JSON document gets the structured treatment
+  if (value.length > budget && /^\s*[[{]/.test(value)) {
+    try {
+      const parsed = JSON.parse(value);
+      value = JSON.stringify(shrink(parsed, budget, limits, stats));
+    } catch {
+      // Not JSON after all
+    }
+  }
+
+  if (value.length > budget) {
+    value = headTail(value, Math.max(budget, MIN_STRING_BUDGET));
+  }
+  return value;
+}
+
+function shrinkArray(items, budget, limits, stats) {
+  let kept = items;
+  let omitted = 0;
+  if (items.length > limits.maxRows) {
+    kept = items.slice(0, limits.maxRows);
+    omitted = items.length - limits.maxRows;
+    stats.omittedRows += omitted;
+  }
+
+  const budgets = allocate(kept.map(size), budget);
+  const shrunk = kept.map((item, index) => shrink(item, budgets[index], limits, stats));
+  return omitted > 0 ? [...shrunk, `[... ${omitted} more items omitted ...]`] : shrunk;
+}
+
+function shrinkObject(object, budget, limits, stats) {
+  // Base64 images and audio are useless to the model as text
+  if ((object.type === 'image' || object.type === 'audio') && typeof object.data === 'string') {
+    return { ...object, data: `[${object.data.length} characters of base64 ${object.type} data omitted]` };
+  }
+
+  const entries = Object.entries(object);
+  const budgets = allocate(entries.map(([, value]) => size(value)), budget);
+  return Object.fromEntries(entries.map(([key, value], index) => [key, shrink(value, budgets[index], limits, stats)]));
+}
+
+function shrink(value, budget, limits, stats) {
+  if (typeof value === 'string') return shrinkString(value, budget, limits, stats);
+  if (Array.isArray(value)) return shrinkArray(value, budget, limits, stats);
+  if (value && typeof value === 'object') return shrinkObject(value, budget, limits, stats);
+  return value;
+}
+
+// Tell the model how to get the rest: name the tool's paging arguments if it has any
+function describeTruncation(toolName, { originalChars, keptChars, omittedRows }, inputSchema) {
+  const pagingParams = Object.keys(inputSchema?.properties || {}).filter(name => PAGING_PARAM_PATTERN.test(name));
+  const rows = omittedRows > 0 ? ` and ${omittedRows} rows/items` : '';
+  const howToFetch = pagingParams.length > 0
+    ? `call ${toolName} again using ${pagingParams.join(', ')} to fetch the part you need`
+    : `call ${toolName} again with a narrower request (a smaller range, a filter or a more specific query)`;
+  return `This result was truncated from ${originalChars} to about ${keptChars} characters${rows} to fit the context window. If the omitted part matters, ${howToFetch}. Do not assume the omitted part is empty.`;
+}
+
+/**
+ * Fit a tool result within the configured limits.
+ * Results over maxChars are cut: text keeps its head and tail, tabular text and
+ * arrays keep their first maxRows rows, and a `_truncated` note tells the model
+ * what was cut and how to fetch more.
+ * @param {*} result - Raw tool result
+ * @param {Object} options
+ * @param {string} options.toolName
+ * @param {number} options.maxChars - Budget for the serialized result
+ * @param {number} options.maxRows - Rows/items kept from tabular text and arrays
+ * @param {Object} [options.inputSchema] - Tool input schema, used to suggest paging arguments
+ * @returns {{ content: string, truncation: Object|null }} Serialized result for the model and,
+ *   when it was cut, { originalChars, keptChars, omittedRows }
+ */
+export function limitToolResult(result, { toolName, maxChars, maxRows, inputSchema = null }) {
+  const serialized = JSON.stringify(result) ?? 'null';
+  if (serialized.length <= maxChars) {
+    return { content: serialized, truncation: null };
+  }
+
+  // Leave room for the note; escaping makes strings a little longer once
+  // serialized, so shrink the target until the result fits
+  const budget = Math.max(MIN_STRING_BUDGET, maxChars - NOTE_BUDGET);
+  let target = budget;
+  let limited;
+  let stats;
+  for (let attempt = 0; attempt < 3; attempt++) {
+    stats = { omittedRows: 0 };
+    limited = shrink(result, target, { maxRows }, stats);
+    const actual = size(limited);
+    if (actual <= budget) break;
+    target = Math.floor(target * (budget / actual) * 0.95);
+  }
+
+  // Keys and structure alone can exceed the budget (thousands of tiny fields)
+  if (size(limited) > budget) {
+    limited = { output: headTail(JSON.stringify(limited), budget) };
+  }
+
+  const truncation = {
+    originalChars: serialized.length,
+    keptChars: size(limited),
+    omittedRows: stats.omittedRows
+  };
+  const note = describeTruncation(toolName, truncation, inputSchema);
+  const wrapped = limited && typeof limited === 'object' && !Array.isArray(limited)
+    ? { ...limited, _truncated: note }
+    : { result: limited, _truncated: note };
+
+  return { content: JSON.stringify(wrapped), truncation };
+}
@@ -0,0 +1,290 @@
+import { databaseManager } from './database.js';
+import { logger } from '../utils/logger.js';
+
+// Outcomes where the tool actually ran. Everything else (denied, invalid_arguments)
+// was refused before running and counts as rejected, not as a failure.
+const EXECUTED_STATUSES = ['success', 'error', 'timeout', 'unavailable'];
+const FAILED_STATUSES = ['error', 'timeout', 'unavailable'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Ranges accepted by getToolStats; `all` starts at the oldest recorded call
+export const STATS_RANGES = {
+  '1h': HOUR_MS,
+  '24h': DAY_MS,
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS,
+  '90d': 90 * DAY_MS,
+  all: null
+};
+
+// Up to two days is charted per hour, anything longer per day
+const HOURLY_BUCKET_MAX_MS = 2 * DAY_MS;
+const BUCKET_FORMATS = {
+  hour: '%Y-%m-%dT%H:00:00Z',
+  day: '%Y-%m-%d'
+};
+const RECENT_FAILURES_LIMIT = 20;
+
+const inList = (statuses) => statuses.map(status => `'${status}'`).join(', ');
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function latencySummary(durations) {
+  durations.sort((a, b) => a - b);
+  return {
+    p50: percentile(durations, 50),
+    p90: percentile(durations, 90),
+    p95: percentile(durations, 95),
+    p99: percentile(durations, 99)
+  };
+}
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value);
+}
+
+function toBucketKey(date, bucket) {
+  const iso = date.toISOString();
+  return bucket === 'hour' ? `${iso.slice(0, 13)}:00:00Z` : iso.slice(0, 10);
+}
+
+// Every bucket between from and to, so gaps show up as zero in charts
+function listBuckets(from, to, bucket) {
+  const keys = [];
+  const cursor = new Date(from);
+  if (bucket === 'hour') {
+    cursor.setUTCMinutes(0, 0, 0);
+  } else {
+    cursor.setUTCHours(0, 0, 0, 0);
+  }
+  while (cursor <= to) {
+    keys.push(toBucketKey(cursor, bucket));
+    cursor.setTime(cursor.getTime() + (bucket === 'hour' ? HOUR_MS : DAY_MS));
+  }
+  return keys;
+}
+
+class ToolStatsService {
+  /**
+   * Record one tool call outcome. Never throws: stats must not break a run.
+   * @param {Object} entry
+   * @param {string} entry.toolName
+   * @param {string} entry.status - success | error | timeout | unavailable | denied | invalid_arguments
+   */
+  record({
+    toolName,
+    server = null,
+    conversationId = null,
+    source = null,
+    status,
+    error = null,
+    durationMs = null,
+    argsSize = null,
+    resultSize = null,
+    truncated = false
+  }) {
+    if (!databaseManager.isConnected()) return;
+
+    try {
+      databaseManager.getConnection().prepare(`
+        INSERT INTO tool_executions (
+          tool_name, server, conversation_id, source, status, success, error,
+          duration_ms, args_size, result_size, truncated, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        toolName,
+        server,
+        conversationId,
+        source,
+        status,
+        status === 'success' ? 1 : 0,
+        error,
+        durationMs,
+        argsSize,
+        resultSize,
+        truncated ? 1 : 0,
+        new Date().toISOString()
+      );
+    } catch (recordError) {
+      logger.warn(`Failed to record tool execution for ${toolName}: ${recordError.message}`);
+    }
+  }
+
+  resolveRange({ range = '7d', from = null, to = null } = {}) {
+    const end = to ? new Date(to) : new Date();
+    let start = from ? new Date(from) : null;
+
+    if (!start && STATS_RANGES[range]) {
+      start = new Date(end.getTime() - STATS_RANGES[range]);
+    }
+    if (!start) {
+      const oldest = databaseManager.getConnection()
+        .prepare('SELECT MIN(created_at) AS createdAt FROM tool_executions')
+        .get();
+      start = oldest?.createdAt ? new Date(oldest.createdAt) : end;
+    }
+
+    const bucket = end - start <= HOURLY_BUCKET_MAX_MS ? 'hour' : 'day';
+    return { from: start, to: end, bucket };
+  }
+
+  /**
+   * Aggregated tool call stats for a time range.
+   * @param {Object} options
+   * @param {string} [options.range] - Key of STATS_RANGES (ignored when `from` is set)
+   * @param {string} [options.from] - ISO start
+   * @param {string} [options.to] - ISO end (default now)
+   * @param {string} [options.tool] - Only this tool
+   * @returns {Object} { range, totals, tools, timeline, recentFailures }
+   */
+  getToolStats(options = {}) {
+    const db = databaseManager.getConnection();
+    const { from, to, bucket } = this.resolveRange(options);
+
+    const conditions = ['created_at >= ?', 'created_at <= ?'];
+    const params = [from.toISOString(), to.toISOString()];
+    if (options.tool) {
+      conditions.push('tool_name = ?');
+      params.push(options.tool);
+    }
+    const where = conditions.join(' AND ');
+
+    const aggregates = `
+      COUNT(*) AS calls,
+      SUM(status IN (${inList(EXECUTED_STATUSES)})) AS executed,
+      SUM(success) AS successes,
+      SUM(status IN (${inList(FAILED_STATUSES)})) AS failures,
+      SUM(status = 'timeout') AS timeouts,
+      SUM(status NOT IN (${inList(EXECUTED_STATUSES)})) AS rejected,
+      AVG(duration_ms) AS avgDurationMs,
+      MAX(duration_ms) AS maxDurationMs,
+      AVG(args_size) AS avgArgsSize,
+      AVG(result_size) AS avgResultSize,
+      SUM(truncated) AS truncated
+    `;
+
+    const totalsRow = db.prepare(`SELECT ${aggregates} FROM tool_executions WHERE ${where}`).get(...params);
+    const toolRows = db.prepare(`
+      SELECT tool_name AS tool, ${aggregates}, MAX(created_at) AS lastUsedAt
+      FROM tool_executions
+      WHERE ${where}
+      GROUP BY tool_name
+      ORDER BY calls DESC, tool_name
+    `).all(...params);
+    const timelineRows = db.prepare(`
+      SELECT
+        strftime('${BUCKET_FORMATS[bucket]}', created_at) AS bucket,
+        COUNT(*) AS calls,
+        SUM(status IN (${inList(FAILED_STATUSES)})) AS failures,
+        SUM(status NOT IN (${inList(EXECUTED_STATUSES)})) AS rejected
+      FROM tool_executions
+      WHERE ${where}
+      GROUP BY bucket
+    `).all(...params);
+
+    // SQLite has no percentile function; pull executed durations once and
+    // group them by tool and by time bucket
+    const durationRows = db.prepare(`
+      SELECT tool_name AS tool, strftime('${BUCKET_FORMATS[bucket]}', created_at) AS bucket, duration_ms AS durationMs
+      FROM tool_executions
+      WHERE ${where} AND duration_ms IS NOT NULL AND status IN (${inList(EXECUTED_STATUSES)})
+    `).all(...params);
+
+    const byTool = new Map();
+    const byBucket = new Map();
+    for (const row of durationRows) {
+      if (!byTool.has(row.tool)) byTool.set(row.tool, []);
+      if (!byBucket.has(row.bucket)) byBucket.set(row.bucket, []);
+      byTool.get(row.tool).push(row.durationMs);
+      byBucket.get(row.bucket).push(row.durationMs);
+    }
+
+    // Server (from the newest row) and latest error per tool
+    const latestRows = db.prepare(`
+      SELECT tool_name AS tool, server
+      FROM tool_executions
+      WHERE id IN (
+        SELECT MAX(id) FROM tool_executions WHERE ${where} GROUP BY tool_name
+      )
+    `).all(...params);
+    const lastErrors = db.prepare(`
+      SELECT tool_name AS tool, error
+      FROM tool_executions
+      WHERE id IN (
+        SELECT MAX(id) FROM tool_executions
+        WHERE ${where} AND status IN (${inList(FAILED_STATUSES)})
+        GROUP BY tool_name
+      )
+    `).all(...params);
+    const servers = new Map(latestRows.map(row => [row.tool, row.server]));
+    const errors = new Map(lastErrors.map(row => [row.tool, row.error]));
+
+    const summarize = (row, durations) => ({
+      calls: row.calls || 0,
+      executed: row.executed || 0,
+      successes: row.successes || 0,
+      failures: row.failures || 0,
+      timeouts: row.timeouts || 0,
+      rejected: row.rejected || 0,
+      failureRate: row.executed ? row.failures / row.executed : null,
+      avgDurationMs: round(row.avgDurationMs),
+      maxDurationMs: row.maxDurationMs ?? null,
+      ...latencySummary(durations),
+      avgArgsSize: round(row.avgArgsSize),
+      avgResultSize: round(row.avgResultSize),
+      truncated: row.truncated || 0
+    });
+
+    const timelineByBucket = new Map(timelineRows.map(row => [row.bucket, row]));
+    const bucketKeys = listBuckets(from, to, bucket);
+    for (const key of timelineByBucket.keys()) {
+      if (!bucketKeys.includes(key)) bucketKeys.push(key);
+    }
+
+    const recentFailures = db.prepare(`
+      SELECT tool_name AS tool, server, conversation_id AS conversationId, status, error,
+        duration_ms AS durationMs, created_at AS createdAt
+      FROM tool_executions
+      WHERE ${where} AND status IN (${inList(FAILED_STATUSES)})
+      ORDER BY created_at DESC
+      LIMIT ${RECENT_FAILURES_LIMIT}
+    `).all(...params);
+
+    return {
+      range: {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        bucket
+      },
+      totals: summarize(totalsRow, durationRows.map(row => row.durationMs)),
+      tools: toolRows.map(row => ({
+        tool: row.tool,
+        server: servers.get(row.tool) ?? null,
+        ...summarize(row, byTool.get(row.tool) || []),
+        lastUsedAt: row.lastUsedAt,
+        lastError: errors.get(row.tool) ?? null
+      })),
+      timeline: bucketKeys.sort().map(key => {
+        const row = timelineByBucket.get(key) || {};
+        const durations = byBucket.get(key) || [];
+        return {
+          bucket: key,
+          calls: row.calls || 0,
+          failures: row.failures || 0,
+          rejected: row.rejected || 0,
+          ...latencySummary(durations)
+        };
+      }),
+      recentFailures
+    };
+  }
+}
+
+// Singleton instance
+export const toolStatsService = new ToolStatsService();
@@ -0,0 +1,94 @@
+import { chatPersistence } from './chatPersistence.js';
+import { logger } from '../utils/logger.js';
+import { addLog } from './logStore.js';
+
+// Retention is counted in days, so checking hourly purges close enough to on time
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+class TrashService {
+  constructor() {
+    this.retentionDays = 0;
+    this.timer = null;
+    this.isPurging = false;
+  }
+
+  /**
+   * Apply the `trash` settings section and (re)start the hourly purge.
+   * A retention of 0 keeps trashed conversations until emptied by hand; an invalid
+   * value is logged and the default retention is used.
+   * @param {Object} settings - { retentionDays }
+   */
+  configure(settings = {}) {
+    const { retentionDays } = settings;
+    if (Number.isInteger(retentionDays) && retentionDays >= 0) {
+      this.retentionDays = retentionDays;
+    } else {
+      logger.warn(`Invalid trash retentionDays ${settings.retentionDays}, using ${DEFAULT_RETENTION_DAYS}`);
+      this.retentionDays = DEFAULT_RETENTION_DAYS;
+    }
+
+    this.stop();
+    if (this.retentionDays === 0) {
+      logger.info('Trash purge disabled (conversations stay in the trash until emptied)');
+      return;
+    }
+
+    this.timer = setInterval(() => this.purgeExpired(), PURGE_INTERVAL_MS);
+    this.timer.unref?.();
+    logger.info(`Trash purge started (${this.retentionDays} day retention)`);
+    this.purgeExpired();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getRetentionDays() {
+    return this.retentionDays;
+  }
+
+  /**
+   * When a conversation deleted at deletedAt will be purged, or null if never
+   * @param {string} deletedAt - ISO date
+   * @returns {string|null}
+   */
+  getPurgeAt(deletedAt) {
+    if (this.retentionDays === 0 || !deletedAt) {
+      return null;
+    }
+    return new Date(new Date(deletedAt).getTime() + this.retentionDays * DAY_MS).toISOString();
+  }
+
+  /**
+   * Permanently delete conversations that have been in the trash longer than the retention period
+   * @returns {Promise<Array<string>>} Ids of the purged conversations
+   */
+  async purgeExpired() {
+    if (this.retentionDays === 0 || this.isPurging) {
+      return [];
+    }
+
+    this.isPurging = true;
+    try {
+      const purged = await chatPersistence.purgeDeletedConversations(this.retentionDays);
+      if (purged.length > 0) {
+        logger.info(`Purged ${purged.length} conversation(s) from the trash`);
+        addLog('trash_purged', { conversationIds: purged, retentionDays: this.retentionDays });
+      }
+      return purged;
+    } catch (error) {
+      logger.error('Failed to purge expired conversations from the trash:', error);
+      return [];
+    } finally {
+      this.isPurging = false;
+    }
+  }
+}
+
+// Singleton instance
+export const trashService = new TrashService();
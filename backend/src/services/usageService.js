@@ -0,0 +1,223 @@
+import { databaseManager } from './database.js';
+import { settingsManager } from './settingsManager.js';
+import { STATS_RANGES } from './toolStatsService.js';
+import { logger } from '../utils/logger.js';
+
+// Prices in settings are USD per million tokens
+const PRICE_UNIT_TOKENS = 1_000_000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_CONVERSATIONS_LIMIT = 20;
+
+// Budgets that can be set under usage.budgets, and what each one measures
+const BUDGETS = {
+  dailyCostUsd: { period: 'day', field: 'costUsd' },
+  monthlyCostUsd: { period: 'month', field: 'costUsd' },
+  dailyTokens: { period: 'day', field: 'totalTokens' }
+};
+
+const TOTALS_COLUMNS = `
+  COUNT(*) AS requests,
+  SUM(prompt_tokens) AS promptTokens,
+  SUM(completion_tokens) AS completionTokens,
+  SUM(total_tokens) AS totalTokens,
+  SUM(cost_usd) AS costUsd,
+  SUM(cost_usd IS NULL) AS unpricedRequests
+`;
+
+function toTotals(row = {}) {
+  return {
+    requests: row.requests || 0,
+    promptTokens: row.promptTokens || 0,
+    completionTokens: row.completionTokens || 0,
+    totalTokens: row.totalTokens || 0,
+    costUsd: row.costUsd || 0,
+    unpricedRequests: row.unpricedRequests || 0
+  };
+}
+
+// Every UTC day between from and to, so days without requests chart as zero
+function listDays(from, to) {
+  const days = [];
+  const cursor = new Date(from);
+  cursor.setUTCHours(0, 0, 0, 0);
+  while (cursor <= to) {
+    days.push(cursor.toISOString().slice(0, 10));
+    cursor.setTime(cursor.getTime() + DAY_MS);
+  }
+  return days;
+}
+
+class UsageService {
+  /**
+   * Price for a model: a "provider/model" entry wins over a plain model entry.
+   * @returns {{ input: number, output: number }|null} USD per million tokens
+   */
+  getPrice(provider, model) {
+    const prices = settingsManager.getSettings().usage.prices || {};
+    return prices[`${provider}/${model}`] ?? prices[model] ?? null;
+  }
+
+  /**
+   * Record the token usage of one model request. Never throws: accounting
+   * must not break a run.
+   * @param {Object} entry
+   * @param {string} entry.source - chat | proactive | compression | title
+   * @param {Object} entry.usage - { prompt_tokens, completion_tokens, total_tokens } as reported by the provider
+   */
+  record({ conversationId = null, source = 'chat', provider, model, usage }) {
+    if (!usage || !databaseManager.isConnected()) return;
+
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    const price = this.getPrice(provider, model);
+    const costUsd = price
+      ? (promptTokens * price.input + completionTokens * price.output) / PRICE_UNIT_TOKENS
+      : null;
+
+    try {
+      databaseManager.getConnection().prepare(`
+        INSERT INTO llm_usage (
+          conversation_id, source, provider, model,
+          prompt_tokens, completion_tokens, total_tokens, cost_usd, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        conversationId,
+        source,
+        provider,
+        model,
+        promptTokens,
+        completionTokens,
+        usage.total_tokens || promptTokens + completionTokens,
+        costUsd,
+        new Date().toISOString()
+      );
+    } catch (recordError) {
+      logger.warn(`Failed to record LLM usage for ${provider}/${model}: ${recordError.message}`);
+    }
+  }
+
+  resolveRange({ range = '30d', from = null, to = null } = {}) {
+    const end = to ? new Date(to) : new Date();
+    let start = from ? new Date(from) : null;
+
+    if (!start && STATS_RANGES[range]) {
+      start = new Date(end.getTime() - STATS_RANGES[range]);
+    }
+    if (!start) {
+      const oldest = databaseManager.getConnection()
+        .prepare('SELECT MIN(created_at) AS createdAt FROM llm_usage')
+        .get();
+      start = oldest?.createdAt ? new Date(oldest.createdAt) : end;
+    }
+    return { from: start, to: end };
+  }
+
+  /**
+   * Usage totals for a time range, broken down by source, model, day and conversation.
+   * @param {Object} options
+   * @param {string} [options.range] - Key of STATS_RANGES (ignored when `from` is set)
+   * @param {string} [options.from] - ISO start
+   * @param {string} [options.to] - ISO end (default now)
+   * @returns {Object} { range, totals, bySource, byModel, byDay, conversations, budget }
+   */
+  getUsage(options = {}) {
+    const db = databaseManager.getConnection();
+    const { from, to } = this.resolveRange(options);
+    const where = 'created_at >= ? AND created_at <= ?';
+    const params = [from.toISOString(), to.toISOString()];
+
+    const totals = db.prepare(`SELECT ${TOTALS_COLUMNS} FROM llm_usage WHERE ${where}`).get(...params);
+    const bySource = db.prepare(`
+      SELECT source, ${TOTALS_COLUMNS}
+      FROM llm_usage WHERE ${where}
+      GROUP BY source ORDER BY totalTokens DESC
+    `).all(...params);
+    const byModel = db.prepare(`
+      SELECT provider, model, ${TOTALS_COLUMNS}
+      FROM llm_usage WHERE ${where}
+      GROUP BY provider, model ORDER BY totalTokens DESC
+    `).all(...params);
+    const byDay = new Map(db.prepare(`
+      SELECT substr(created_at, 1, 10) AS day, ${TOTALS_COLUMNS}
+      FROM llm_usage WHERE ${where}
+      GROUP BY day
+    `).all(...params).map(row => [row.day, row]));
+    const conversations = db.prepare(`
+      SELECT conversation_id AS conversationId, ${TOTALS_COLUMNS}, MAX(created_at) AS lastUsedAt
+      FROM llm_usage WHERE ${where} AND conversation_id IS NOT NULL
+      GROUP BY conversation_id ORDER BY totalTokens DESC
+      LIMIT ${TOP_CONVERSATIONS_LIMIT}
+    `).all(...params);
+
+    const days = listDays(from, to);
+    for (const day of byDay.keys()) {
+      if (!days.includes(day)) days.push(day);
+    }
+
+    return {
+      range: { from: from.toISOString(), to: to.toISOString() },
+      totals: toTotals(totals),
+      bySource: bySource.map(row => ({ source: row.source, ...toTotals(row) })),
+      byModel: byModel.map(row => ({ provider: row.provider, model: row.model, ...toTotals(row) })),
+      byDay: days.sort().map(day => ({ day, ...toTotals(byDay.get(day)) })),
+      conversations: conversations.map(row => ({
+        conversationId: row.conversationId,
+        ...toTotals(row),
+        lastUsedAt: row.lastUsedAt
+      })),
+      budget: this.getBudgetStatus()
+    };
+  }
+
+  /**
+   * All-time usage of one conversation (chat turns, tool rounds and its compression summaries).
+   * @returns {Object} { conversationId, totals, bySource }
+   */
+  getConversationUsage(conversationId) {
+    const db = databaseManager.getConnection();
+    const totals = db.prepare(`SELECT ${TOTALS_COLUMNS} FROM llm_usage WHERE conversation_id = ?`).get(conversationId);
+    const bySource = db.prepare(`
+      SELECT source, ${TOTALS_COLUMNS}
+      FROM llm_usage WHERE conversation_id = ?
+      GROUP BY source ORDER BY totalTokens DESC
+    `).all(conversationId);
+
+    return {
+      conversationId,
+      totals: toTotals(totals),
+      bySource: bySource.map(row => ({ source: row.source, ...toTotals(row) }))
+    };
+  }
+
+  /**
+   * Spend so far this UTC day and month against usage.budgets.
+   * @returns {Object} { budgets, today, month, exceeded } where `exceeded`
+   *   lists the names of budgets that are used up
+   */
+  getBudgetStatus() {
+    const budgets = settingsManager.getSettings().usage.budgets;
+    const now = new Date();
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+    let spent = { day: toTotals(), month: toTotals() };
+    if (databaseManager.isConnected()) {
+      const query = databaseManager.getConnection()
+        .prepare(`SELECT ${TOTALS_COLUMNS} FROM llm_usage WHERE created_at >= ?`);
+      spent = {
+        day: toTotals(query.get(dayStart.toISOString())),
+        month: toTotals(query.get(monthStart.toISOString()))
+      };
+    }
+
+    const exceeded = Object.entries(BUDGETS)
+      .filter(([name, { period, field }]) => budgets[name] !== null && budgets[name] !== undefined &&
+        spent[period][field] >= budgets[name])
+      .map(([name]) => name);
+
+    return { budgets, today: spent.day, month: spent.month, exceeded };
+  }
+}
+
+// Singleton instance
+export const usageService = new UsageService();
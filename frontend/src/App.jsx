@@ -5,6 +5,8 @@ import LogsViewer from "./components/LogsViewer";
 import ChatHistory from "./components/ChatHistory";
 import FaceTimeView from "./components/FaceTimeView";
 import MemoriesTab from "./components/MemoriesTab";
+import ToolStatsTab from "./components/ToolStatsTab";
+import UsageTab from "./components/UsageTab";
 import SettingsTab from "./components/SettingsTab";
 import Toast, { showToast } from "./components/Toast";
 import { API_URL, api } from "./services/api";
@@ -26,6 +28,10 @@ function App() {
     compressedAt: null,
     compressedMessageCount: 0
   });
+  const [conversationOptions, setConversationOptions] = useState(null);
+  // Message to scroll to after opening a search result: { index, key }
+  const [focusMessage, setFocusMessage] = useState(null);
+  const [proactiveFocusMessage, setProactiveFocusMessage] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [authEnabled, setAuthEnabled] = useState(true);
@@ -42,6 +48,7 @@ function App() {
     compressedAt: null,
     compressedMessageCount: 0
   });
+  const [proactiveOptions, setProactiveOptions] = useState(null);
   const [isProactiveProcessing, setIsProactiveProcessing] = useState(false);
   const [proactiveStreamingState, setProactiveStreamingState] = useState({
     status: "idle",
@@ -88,6 +95,11 @@ function App() {
     chatHistoryRef.current?.refresh();
   };
 
+  // Show a generated title in the sidebar without waiting for the next refresh
+  const handleTitleChange = ({ conversationId: titledId, title, shortSummary }) => {
+    chatHistoryRef.current?.updateConversation(titledId, { title, shortSummary });
+  };
+
   const loadProactiveConversation = useCallback(async () => {
     try {
       const data = await api.getConversationHistory(PROACTIVE_CONVERSATION_ID);
@@ -100,6 +112,7 @@ function App() {
       setProactiveDisplayMessages(data.messages || []);
       setProactiveUsage(data.usage || null);
       setProactiveCompressionInfo(compressionData);
+      setProactiveOptions(data.options || null);
     } catch (error) {
       console.warn("Failed to load proactive conversation:", error.message);
       setProactiveLoadedMessages([]);
@@ -110,6 +123,7 @@ function App() {
         compressedAt: null,
         compressedMessageCount: 0
       });
+      setProactiveOptions(null);
     }
   }, []);
 
@@ -150,6 +164,7 @@ function App() {
         compressedAt: null,
         compressedMessageCount: 0
       });
+      setProactiveOptions(null);
       showToast("Proactive chat cleared", "success");
     } catch (error) {
       showToast(error.message || "Failed to clear proactive chat", "error");
@@ -206,6 +221,7 @@ function App() {
         compressedAt: null,
         compressedMessageCount: 0
       });
+      setConversationOptions(null);
     } catch (err) {
       console.error("Failed to create new conversation:", err);
       alert(`Failed to create new conversation: ${err.message}`);
@@ -213,8 +229,15 @@ function App() {
   };
 
   // Select existing conversation
-  const handleSelectConversation = (id, loadedMsgs, loadedUsage, loadedCompressionInfo) => {
+  const handleSelectConversation = (id, loadedMsgs, loadedUsage, loadedCompressionInfo, loadedOptions, focusIndex = null) => {
+    if (focusIndex !== null) {
+      // The message can only be scrolled to while the chat tab is shown
+      setActiveTab("chat");
+      setPreferredConversationMode("chat");
+    }
+    setFocusMessage(focusIndex === null ? null : { index: focusIndex, key: Date.now() });
     setConversationId(id);
+    setConversationOptions(loadedOptions || null);
     setLoadedMessages(loadedMsgs);
     setDisplayMessages(loadedMsgs);
     setUsage(loadedUsage);
@@ -225,6 +248,14 @@ function App() {
     });
   };
 
+  // Open the proactive conversation at a message found in search
+  const handleSelectProactiveMessage = async (index) => {
+    setActiveTab("proactive");
+    setPreferredConversationMode("proactive");
+    await loadProactiveConversation();
+    setProactiveFocusMessage({ index, key: Date.now() });
+  };
+
   // Handle streaming state changes from ChatInterface
   const handleStreamingStateChange = (status) => {
     setStreamingState({
@@ -316,6 +347,7 @@ function App() {
         ref={chatHistoryRef}
         currentConversationId={conversationId}
         onSelectConversation={handleSelectConversation}
+        onSelectProactiveMessage={handleSelectProactiveMessage}
         onNewConversation={handleNewConversation}
         onToggle={setSidebarOpen}
         isOpen={sidebarOpen}
@@ -365,6 +397,18 @@ function App() {
         >
           Memories
         </button>
+        <button
+          className={`tab ${activeTab === "tools" ? "active" : ""}`}
+          onClick={() => setActiveTab("tools")}
+        >
+          Tools
+        </button>
+        <button
+          className={`tab ${activeTab === "usage" ? "active" : ""}`}
+          onClick={() => setActiveTab("usage")}
+        >
+          Usage
+        </button>
         <button
           className={`tab ${activeTab === "settings" ? "active" : ""}`}
           onClick={() => setActiveTab("settings")}
@@ -384,8 +428,11 @@ function App() {
             initialMessages={loadedMessages}
             initialUsage={usage}
             initialCompressionInfo={compressionInfo}
+            initialOptions={conversationOptions}
+            focusMessage={focusMessage}
             onConversationChange={(id) => setConversationId(id)}
             onMessageSent={refreshChatHistory}
+            onTitleChange={handleTitleChange}
             onProcessingChange={setIsProcessing}
             onStreamingStateChange={handleStreamingStateChange}
             onToolCallsUpdate={handleToolCallsUpdate}
@@ -410,6 +457,8 @@ function App() {
               initialMessages: proactiveLoadedMessages,
               initialUsage: proactiveUsage,
               initialCompressionInfo: proactiveCompressionInfo,
+              initialOptions: proactiveOptions,
+              focusMessage: proactiveFocusMessage,
               onMessageSent: refreshChatHistory,
               onProcessingChange: setIsProactiveProcessing,
               onStreamingStateChange: handleProactiveStreamingStateChange,
@@ -443,6 +492,16 @@ function App() {
         >
           <MemoriesTab />
         </div>
+        <div
+          className={activeTab === "tools" ? "tab-panel active" : "tab-panel"}
+        >
+          <ToolStatsTab isActive={activeTab === "tools"} />
+        </div>
+        <div
+          className={activeTab === "usage" ? "tab-panel active" : "tab-panel"}
+        >
+          <UsageTab isActive={activeTab === "usage"} />
+        </div>
         <div
           className={activeTab === "settings" ? "tab-panel active" : "tab-panel"}
         >
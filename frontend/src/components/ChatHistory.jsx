@@ -1,12 +1,46 @@
 import { useState, useEffect, forwardRef, useImperativeHandle } from 'react';
 import { showToast } from './Toast';
-import { API_URL } from '../services/api';
+import { API_URL, api } from '../services/api';
 import './ChatHistory.css';
 
-const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, onNewConversation, onToggle, isOpen }, ref) => {
+const SEARCH_DEBOUNCE_MS = 300;
+
+const EMPTY_SEARCH_FILTERS = {
+  role: '',
+  source: '',
+  hasToolCall: '',
+  from: '',
+  to: ''
+};
+
+// What the conversation list shows: a folder (id, or 'none' for unfiled) or the archive, optionally one tag
+const ALL_CONVERSATIONS = { archived: false, folderId: null, tag: null };
+
+const ROLE_LABELS = {
+  user: 'You',
+  assistant: 'Zo',
+  tool: 'Tool',
+  system: 'System'
+};
+
+const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, onSelectProactiveMessage, onNewConversation, onToggle, isOpen }, ref) => {
   const [conversations, setConversations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [showSearchFilters, setShowSearchFilters] = useState(false);
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [renaming, setRenaming] = useState(null);
+  const [titlingId, setTitlingId] = useState(null);
+  const [folders, setFolders] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [listFilter, setListFilter] = useState(ALL_CONVERSATIONS);
+  const [menuId, setMenuId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // { retentionDays, conversations } while the trash is shown instead of the conversation list
+  const [trash, setTrash] = useState(null);
 
   // Notify parent when sidebar toggles
   const handleToggle = () => {
@@ -15,13 +49,18 @@ const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, o
     }
   };
 
-  // Load conversation list
-  const loadConversations = async () => {
+  // Load conversation list (with the current folder/tag/archive filter), folders and tags
+  const loadConversations = async (filter = listFilter) => {
     try {
       setLoading(true);
-      const response = await fetch(`${API_URL}/api/chat/history`);
-      const data = await response.json();
+      const [data, folderData, tagData] = await Promise.all([
+        api.getConversationList(filter),
+        api.getFolders(),
+        api.getTags()
+      ]);
       setConversations(data.conversations || []);
+      setFolders(folderData.folders || []);
+      setTags(tagData.tags || []);
       setError(null);
     } catch (err) {
       console.error('Failed to load conversations:', err);
@@ -31,11 +70,27 @@ const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, o
     }
   };
 
-  // Delete conversation
+  const loadTrash = async () => {
+    try {
+      setLoading(true);
+      setMenuId(null);
+      setTrash(await api.getTrash());
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load trash:', err);
+      setError('Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const refresh = () => (trash ? loadTrash() : loadConversations());
+
+  // Move conversation to the trash
   const handleDelete = async (conversationId, e) => {
     e.stopPropagation(); // Prevent selecting the conversation
 
-    if (!window.confirm('Are you sure you want to delete this conversation?')) {
+    if (!window.confirm('Move this conversation to the trash?')) {
       return;
     }
 
@@ -55,7 +110,7 @@ const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, o
 
       if (response.ok) {
         console.log('Conversation deleted successfully');
-        showToast('Conversation deleted', 'success');
+        showToast('Conversation moved to trash', 'success');
 
         // If deleted conversation was active, create new one
         if (conversationId === currentConversationId) {
@@ -78,8 +133,177 @@ const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, o
     }
   };
 
-  // Load conversation
-  const handleSelect = async (conversationId) => {
+  // Apply title changes to the listed conversation without reloading the list
+  const updateConversation = (conversationId, changes) => {
+    setConversations(prev => prev.map(conv => (conv.id === conversationId ? { ...conv, ...changes } : conv)));
+  };
+
+  const startRename = (conv, e) => {
+    e.stopPropagation();
+    setMenuId(null);
+    setRenaming({ id: conv.id, title: conv.title || '' });
+  };
+
+  const handleRename = async () => {
+    if (!renaming) return;
+    const { id, title } = renaming;
+    const current = conversations.find(conv => conv.id === id);
+    setRenaming(null);
+
+    if (!title.trim() || title.trim() === current?.title) {
+      return;
+    }
+
+    try {
+      const data = await api.renameConversation(id, title.trim());
+      updateConversation(id, { title: data.title, shortSummary: data.shortSummary });
+    } catch (err) {
+      showToast(`Failed to rename: ${err.message}`, 'error');
+    }
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleRename();
+    } else if (e.key === 'Escape') {
+      setRenaming(null);
+    }
+  };
+
+  // Have the model write the title and summary again
+  const handleGenerateTitle = async (conversationId, e) => {
+    e.stopPropagation();
+    setMenuId(null);
+    setTitlingId(conversationId);
+    try {
+      const data = await api.generateConversationTitle(conversationId);
+      updateConversation(conversationId, { title: data.title, shortSummary: data.shortSummary });
+    } catch (err) {
+      showToast(`Failed to generate title: ${err.message}`, 'error');
+    } finally {
+      setTitlingId(null);
+    }
+  };
+
+  const changeListFilter = (filter) => {
+    setTrash(null);
+    setListFilter(filter);
+    loadConversations(filter);
+  };
+
+  const handleRestore = async (conversationId) => {
+    try {
+      await api.restoreConversation(conversationId);
+      showToast('Conversation restored', 'success');
+      await loadTrash();
+    } catch (err) {
+      showToast(`Failed to restore: ${err.message}`, 'error');
+    }
+  };
+
+  const handleDeletePermanently = async (conversationId) => {
+    if (!window.confirm('Delete this conversation forever? It cannot be restored.')) {
+      return;
+    }
+    try {
+      await api.deleteConversationPermanently(conversationId);
+      await loadTrash();
+    } catch (err) {
+      showToast(`Failed to delete: ${err.message}`, 'error');
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm(`Delete all ${trash.conversations.length} conversations in the trash forever?`)) {
+      return;
+    }
+    try {
+      await api.emptyTrash();
+      showToast('Trash emptied', 'success');
+      await loadTrash();
+    } catch (err) {
+      showToast(`Failed to empty trash: ${err.message}`, 'error');
+    }
+  };
+
+  // Pin, archive, tag or move a conversation, then reload the list so it is sorted and filtered again
+  const organize = async (conversationId, changes) => {
+    setMenuId(null);
+    try {
+      await api.updateConversationOrganization(conversationId, changes);
+      await loadConversations();
+    } catch (err) {
+      showToast(`Failed to update conversation: ${err.message}`, 'error');
+    }
+  };
+
+  const handleEditTags = (conv) => {
+    const input = window.prompt('Tags, separated by commas', conv.tags.join(', '));
+    if (input === null) {
+      setMenuId(null);
+      return;
+    }
+    organize(conv.id, { tags: input.split(',').map(tag => tag.trim()).filter(Boolean) });
+  };
+
+  const handleCreateFolder = async () => {
+    const name = window.prompt('Folder name');
+    if (!name?.trim()) return;
+    try {
+      await api.createFolder(name.trim());
+      await loadConversations();
+    } catch (err) {
+      showToast(`Failed to create folder: ${err.message}`, 'error');
+    }
+  };
+
+  const handleRenameFolder = async (folder, e) => {
+    e.stopPropagation();
+    const name = window.prompt('Folder name', folder.name);
+    if (!name?.trim() || name.trim() === folder.name) return;
+    try {
+      await api.renameFolder(folder.id, name.trim());
+      await loadConversations();
+    } catch (err) {
+      showToast(`Failed to rename folder: ${err.message}`, 'error');
+    }
+  };
+
+  const handleDeleteFolder = async (folder, e) => {
+    e.stopPropagation();
+    if (!window.confirm(`Delete folder "${folder.name}"? Its conversations are kept.`)) {
+      return;
+    }
+    try {
+      await api.deleteFolder(folder.id);
+      const filter = listFilter.folderId === folder.id ? ALL_CONVERSATIONS : listFilter;
+      setListFilter(filter);
+      await loadConversations(filter);
+    } catch (err) {
+      showToast(`Failed to delete folder: ${err.message}`, 'error');
+    }
+  };
+
+  // Drag a conversation onto a folder to file it, onto "All" to unfile it, onto "Archived" to archive it
+  const dropProps = (target, changes) => ({
+    onDragOver: (e) => {
+      e.preventDefault();
+      setDropTarget(target);
+    },
+    onDragLeave: () => setDropTarget(null),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(null);
+      const conversationId = e.dataTransfer.getData('text/plain');
+      if (conversationId) {
+        organize(conversationId, changes);
+      }
+    }
+  });
+
+  // Load conversation, optionally jumping to one of its messages
+  const handleSelect = async (conversationId, focusIndex = null) => {
     try {
       const response = await fetch(`${API_URL}/api/chat/history/${conversationId}`);
       const data = await response.json();
@@ -90,7 +314,7 @@ const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, o
           compressedAt: data.compressedAt || null,
           compressedMessageCount: data.compressedMessageCount || 0
         };
-        onSelectConversation(conversationId, data.messages, data.usage, compressionInfo);
+        onSelectConversation(conversationId, data.messages, data.usage, compressionInfo, data.options, focusIndex);
 
         // Close sidebar on mobile after selecting conversation
         if (window.innerWidth <= 768 && onToggle) {
@@ -103,6 +327,49 @@ const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, o
     }
   };
 
+  // Search as the user types, once they pause
+  useEffect(() => {
+    if (!searchQuery.trim()) {
+      setSearchResults(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const data = await api.searchMessages(searchQuery, searchFilters);
+        if (!cancelled) setSearchResults(data);
+      } catch (err) {
+        if (!cancelled) setSearchResults({ results: [], total: 0, error: err.message });
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [searchQuery, searchFilters]);
+
+  const updateSearchFilter = (name, value) => {
+    setSearchFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const activeFilterCount = Object.values(searchFilters).filter(Boolean).length;
+
+  const handleSelectResult = (result) => {
+    if (result.source === 'proactive') {
+      onSelectProactiveMessage?.(result.messageIndex);
+      if (window.innerWidth <= 768 && onToggle) {
+        onToggle(false);
+      }
+      return;
+    }
+    handleSelect(result.conversationId, result.messageIndex);
+  };
+
   // Format date - handles both ISO strings and numeric timestamps
   const formatDate = (dateValue) => {
     if (!dateValue) {
@@ -149,9 +416,18 @@ const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, o
     });
   };
 
+  const formatPurge = (purgeAt) => {
+    if (!purgeAt) {
+      return 'Kept until the trash is emptied';
+    }
+    const days = Math.ceil((new Date(purgeAt) - new Date()) / 86400000);
+    return days <= 1 ? 'Deleted forever within a day' : `Deleted forever in ${days} days`;
+  };
+
   // Expose refresh method to parent component
   useImperativeHandle(ref, () => ({
-    refresh: loadConversations
+    refresh: loadConversations,
+    updateConversation
   }));
 
   // Load on mount only - no automatic polling
@@ -180,7 +456,7 @@ const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, o
         </button>
         <button
           className="minimal-btn"
-          onClick={loadConversations}
+          onClick={refresh}
           disabled={loading}
           title="Refresh history"
         >
@@ -205,7 +481,7 @@ const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, o
             <div className="header-buttons">
               <button
                 className="refresh-btn"
-                onClick={loadConversations}
+                onClick={refresh}
                 disabled={loading}
                 title="Refresh history"
               >
@@ -217,7 +493,143 @@ const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, o
             </div>
           </div>
 
-          {loading && conversations.length === 0 && (
+          <div className="chat-history-search">
+            <div className="search-input-row">
+              <input
+                type="search"
+                className="search-input"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Search messages..."
+              />
+              <button
+                className={`search-filter-toggle ${activeFilterCount > 0 ? 'active' : ''}`}
+                onClick={() => setShowSearchFilters(!showSearchFilters)}
+                title="Search filters"
+              >
+                ≡{activeFilterCount > 0 ? ` ${activeFilterCount}` : ''}
+              </button>
+            </div>
+            {showSearchFilters && (
+              <div className="search-filters">
+                <select value={searchFilters.role} onChange={(e) => updateSearchFilter('role', e.target.value)}>
+                  <option value="">Any role</option>
+                  {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                    <option key={role} value={role}>{label}</option>
+                  ))}
+                </select>
+                <select value={searchFilters.source} onChange={(e) => updateSearchFilter('source', e.target.value)}>
+                  <option value="">Chats and proactive</option>
+                  <option value="chat">Chats only</option>
+                  <option value="proactive">Proactive only</option>
+                </select>
+                <select value={searchFilters.hasToolCall} onChange={(e) => updateSearchFilter('hasToolCall', e.target.value)}>
+                  <option value="">With or without tool calls</option>
+                  <option value="true">With tool calls</option>
+                  <option value="false">Without tool calls</option>
+                </select>
+                <label>
+                  From
+                  <input type="date" value={searchFilters.from} onChange={(e) => updateSearchFilter('from', e.target.value)} />
+                </label>
+                <label>
+                  To
+                  <input type="date" value={searchFilters.to} onChange={(e) => updateSearchFilter('to', e.target.value)} />
+                </label>
+                {activeFilterCount > 0 && (
+                  <button className="search-filters-clear" onClick={() => setSearchFilters(EMPTY_SEARCH_FILTERS)}>
+                    Clear filters
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {!searchResults && (
+            <div className="chat-history-folders">
+              <div
+                className={`folder-row ${!trash && !listFilter.archived && listFilter.folderId === null ? 'active' : ''} ${dropTarget === 'all' ? 'drop-target' : ''}`}
+                onClick={() => changeListFilter({ ...ALL_CONVERSATIONS, tag: listFilter.tag })}
+                {...dropProps('all', { folderId: null, archived: false })}
+              >
+                <span className="folder-name">All conversations</span>
+              </div>
+              {folders.map((folder) => (
+                <div
+                  key={folder.id}
+                  className={`folder-row ${!trash && listFilter.folderId === folder.id ? 'active' : ''} ${dropTarget === folder.id ? 'drop-target' : ''}`}
+                  onClick={() => changeListFilter({ ...ALL_CONVERSATIONS, folderId: folder.id, tag: listFilter.tag })}
+                  {...dropProps(folder.id, { folderId: folder.id, archived: false })}
+                >
+                  <span className="folder-name">📁 {folder.name}</span>
+                  <span className="folder-count">{folder.conversationCount}</span>
+                  <button className="title-btn" onClick={(e) => handleRenameFolder(folder, e)} title="Rename folder">✎</button>
+                  <button className="delete-btn" onClick={(e) => handleDeleteFolder(folder, e)} title="Delete folder">×</button>
+                </div>
+              ))}
+              <div
+                className={`folder-row ${!trash && listFilter.archived ? 'active' : ''} ${dropTarget === 'archived' ? 'drop-target' : ''}`}
+                onClick={() => changeListFilter({ ...ALL_CONVERSATIONS, archived: true, tag: listFilter.tag })}
+                {...dropProps('archived', { archived: true })}
+              >
+                <span className="folder-name">🗄 Archived</span>
+              </div>
+              <div className={`folder-row ${trash ? 'active' : ''}`} onClick={loadTrash}>
+                <span className="folder-name">🗑 Trash</span>
+              </div>
+              <button className="new-folder-btn" onClick={handleCreateFolder}>+ New folder</button>
+              {!trash && tags.length > 0 && (
+                <div className="tag-filter">
+                  {tags.map(({ tag, count }) => (
+                    <button
+                      key={tag}
+                      className={`tag-chip ${listFilter.tag === tag ? 'active' : ''}`}
+                      onClick={() => changeListFilter({ ...listFilter, tag: listFilter.tag === tag ? null : tag })}
+                      title={`${count} conversation${count === 1 ? '' : 's'}`}
+                    >
+                      #{tag}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {searchResults && (
+            <div className="conversations-list search-results">
+              <div className="search-results-count">
+                {searching
+                  ? 'Searching...'
+                  : searchResults.error || `${searchResults.total} matching message${searchResults.total === 1 ? '' : 's'}`}
+              </div>
+              {searchResults.results.map((result) => (
+                <div
+                  key={`${result.conversationId}-${result.messageIndex}`}
+                  className={`conversation-item search-result ${result.conversationId === currentConversationId ? 'active' : ''}`}
+                  onClick={() => handleSelectResult(result)}
+                >
+                  <div className="conversation-info">
+                    <div className="search-result-meta">
+                      {result.source === 'proactive' ? 'Proactive' : `${result.conversationId.replace('conv_', '').substring(0, 12)}...`}
+                      {' · '}
+                      {ROLE_LABELS[result.role] || result.role}
+                      {result.field === 'tool' && ' · tool call'}
+                    </div>
+                    <div className="search-result-snippet">
+                      {result.snippet.map((part, index) => (
+                        part.match ? <mark key={index}>{part.text}</mark> : <span key={index}>{part.text}</span>
+                      ))}
+                    </div>
+                    <div className="conversation-date">
+                      {formatDate(result.createdAt)}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {!searchResults && loading && conversations.length === 0 && (
             <div className="chat-history-loading">Loading...</div>
           )}
 
@@ -225,37 +637,136 @@ const ChatHistory = forwardRef(({ currentConversationId, onSelectConversation, o
             <div className="chat-history-error">{error}</div>
           )}
 
-          {!loading && conversations.length === 0 && (
+          {!searchResults && !trash && !loading && conversations.length === 0 && (
             <div className="chat-history-empty">
-              No conversations yet. Start chatting to create your first conversation!
+              {listFilter.archived || listFilter.folderId !== null || listFilter.tag
+                ? 'No conversations here.'
+                : 'No conversations yet. Start chatting to create your first conversation!'}
             </div>
           )}
 
-          <div className="conversations-list">
-            {conversations.map((conv) => (
-              <div
-                key={conv.id}
-                className={`conversation-item ${conv.id === currentConversationId ? 'active' : ''}`}
-                onClick={() => handleSelect(conv.id)}
-              >
-                <div className="conversation-info">
-                  <div className="conversation-id">
-                    {conv.id.replace('conv_', '').substring(0, 12)}...
-                  </div>
-                  <div className="conversation-date">
-                    {formatDate(conv.createdAt)}
+          {!searchResults && trash && (
+            <div className="conversations-list trash-list">
+              <div className="trash-header">
+                <span>
+                  {trash.retentionDays > 0
+                    ? `Deleted forever after ${trash.retentionDays} day${trash.retentionDays === 1 ? '' : 's'}`
+                    : 'Kept until emptied'}
+                </span>
+                {trash.conversations.length > 0 && (
+                  <button className="empty-trash-btn" onClick={handleEmptyTrash}>Empty trash</button>
+                )}
+              </div>
+              {!loading && trash.conversations.length === 0 && (
+                <div className="chat-history-empty">The trash is empty.</div>
+              )}
+              {trash.conversations.map((conv) => (
+                <div key={conv.id} className="conversation-item trashed">
+                  <div className="conversation-info" title={conv.shortSummary || undefined}>
+                    <div className="conversation-id">
+                      {conv.title || `${conv.id.replace('conv_', '').substring(0, 12)}...`}
+                    </div>
+                    <div className="conversation-date">
+                      Deleted {formatDate(conv.deletedAt)} · {formatPurge(conv.purgeAt)}
+                    </div>
                   </div>
+                  <button className="title-btn" onClick={() => handleRestore(conv.id)} title="Restore conversation">
+                    ↺
+                  </button>
+                  <button className="delete-btn" onClick={() => handleDeletePermanently(conv.id)} title="Delete forever">
+                    ×
+                  </button>
                 </div>
-                <button
-                  className="delete-btn"
-                  onClick={(e) => handleDelete(conv.id, e)}
-                  title="Delete conversation"
+              ))}
+            </div>
+          )}
+
+          {!searchResults && !trash && (
+            <div className="conversations-list">
+              {conversations.map((conv) => (
+                <div
+                  key={conv.id}
+                  className={`conversation-item ${conv.id === currentConversationId ? 'active' : ''} ${conv.pinned ? 'pinned' : ''}`}
+                  onClick={() => handleSelect(conv.id)}
+                  draggable={renaming?.id !== conv.id}
+                  onDragStart={(e) => e.dataTransfer.setData('text/plain', conv.id)}
                 >
-                  ×
-                </button>
-              </div>
-            ))}
-          </div>
+                  <div className="conversation-info" title={conv.shortSummary || undefined}>
+                    {renaming?.id === conv.id ? (
+                      <input
+                        className="conversation-rename-input"
+                        value={renaming.title}
+                        onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                        onKeyDown={handleRenameKeyDown}
+                        onBlur={handleRename}
+                        onClick={(e) => e.stopPropagation()}
+                        maxLength={120}
+                        placeholder="Conversation title"
+                        autoFocus
+                      />
+                    ) : (
+                      <div className="conversation-id">
+                        {conv.pinned && <span className="pin-marker" title="Pinned">📌 </span>}
+                        {conv.title || `${conv.id.replace('conv_', '').substring(0, 12)}...`}
+                      </div>
+                    )}
+                    {conv.shortSummary && (
+                      <div className="conversation-summary">{conv.shortSummary}</div>
+                    )}
+                    {conv.tags.length > 0 && (
+                      <div className="conversation-tags">
+                        {conv.tags.map(tag => <span key={tag} className="tag-chip">#{tag}</span>)}
+                      </div>
+                    )}
+                    <div className="conversation-date">
+                      {formatDate(conv.createdAt)}
+                    </div>
+                    {menuId === conv.id && (
+                      <div className="conversation-menu" onClick={(e) => e.stopPropagation()}>
+                        <button onClick={() => organize(conv.id, { pinned: !conv.pinned })}>
+                          {conv.pinned ? 'Unpin' : 'Pin'}
+                        </button>
+                        <button onClick={(e) => startRename(conv, e)}>Rename</button>
+                        <button onClick={(e) => handleGenerateTitle(conv.id, e)} disabled={titlingId === conv.id}>
+                          {titlingId === conv.id ? 'Generating...' : 'Generate title'}
+                        </button>
+                        <button onClick={() => handleEditTags(conv)}>Tags...</button>
+                        <select
+                          value={conv.folderId ?? ''}
+                          onChange={(e) => organize(conv.id, { folderId: e.target.value ? Number(e.target.value) : null })}
+                        >
+                          <option value="">No folder</option>
+                          {folders.map(folder => (
+                            <option key={folder.id} value={folder.id}>{folder.name}</option>
+                          ))}
+                        </select>
+                        <button onClick={() => organize(conv.id, { archived: !conv.archived })}>
+                          {conv.archived ? 'Unarchive' : 'Archive'}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                  <button
+                    className="title-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setMenuId(menuId === conv.id ? null : conv.id);
+                    }}
+                    title="More actions"
+                  >
+                    {titlingId === conv.id ? '…' : '⋯'}
+                  </button>
+                  <button
+                    className="delete-btn"
+                    onClick={(e) => handleDelete(conv.id, e)}
+                    title="Move to trash"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       )}
     </div>
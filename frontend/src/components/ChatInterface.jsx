@@ -9,17 +9,124 @@ import ReactMarkdown from "react-markdown";
 import { api } from "../services/api";
 import { showToast } from "./Toast";
 import ToolCallSegment from "./ToolCallSegment";
+import ModelOptionsBar, { EMPTY_MODEL_OPTIONS } from "./ModelOptionsBar";
+import ResourcePicker, { isSameResource } from "./ResourcePicker";
+import PromptMenu from "./PromptMenu";
+import CompressionSummaryPanel from "./CompressionSummaryPanel";
+import ExportMenu from "./ExportMenu";
+import { formatTokens } from "./UsageTab";
 import "./ChatInterface.css";
 
+const RESOURCE_BLOCK_PATTERN = /\n*<resource ([^>]*)>[\s\S]*?<\/resource>/g;
+
+function decodeAttribute(value) {
+  return value.replace(/&lt;/g, "<").replace(/&quot;/g, '"').replace(/&amp;/g, "&");
+}
+
+// The backend inlines attached resources into the user message as <resource> blocks;
+// show them as chips instead of dumping their content into the bubble
+function splitResourceBlocks(content) {
+  const resources = [];
+  const text = (content || "").replace(RESOURCE_BLOCK_PATTERN, (match, attributes) => {
+    const attrs = Object.fromEntries(
+      [...attributes.matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, decodeAttribute(value)]),
+    );
+    resources.push({ server: attrs.server, uri: attrs.uri, name: attrs.name || attrs.uri });
+    return "";
+  });
+  return { text, resources };
+}
+
+// Stopped runs keep their partial output; any tool still in flight is shown as cancelled
+function markMessageCancelled(message) {
+  return {
+    ...message,
+    loading: false,
+    cancelled: true,
+    segments: (message.segments || []).map((segment) =>
+      segment.type === "tool_call" &&
+      segment.status !== "completed" &&
+      segment.status !== "failed"
+        ? { ...segment, status: "cancelled", success: false }
+        : segment,
+    ),
+  };
+}
+
+function isToolCallPending(toolCall) {
+  return toolCall.status !== "completed" && toolCall.status !== "failed";
+}
+
+// Several tools can run at once (even the same tool twice), so prefer the call id
+function isSameToolCall(a, b) {
+  if (a.tool_call_id && b.tool_call_id) {
+    return a.tool_call_id === b.tool_call_id;
+  }
+  return a.toolName === b.toolName;
+}
+
+function toToolSegment(toolCall) {
+  return {
+    tool_call_id: toolCall.tool_call_id,
+    toolName: toolCall.toolName,
+    args: toolCall.args,
+    result: toolCall.result,
+    truncation: toolCall.truncation,
+    status: toolCall.status,
+    success: toolCall.success,
+    error: toolCall.error,
+    errorType: toolCall.errorType,
+    startedAt: toolCall.startedAt,
+    durationMs: toolCall.durationMs,
+    approvalId: toolCall.approvalId,
+  };
+}
+
+function formatToolLimitNotice(limit) {
+  const skipped = limit.skippedCalls === 1 ? "1 tool call was" : `${limit.skippedCalls} tool calls were`;
+  return `Tool limit reached after ${limit.maxRounds} rounds — ${skipped} not run. The answer below uses what was gathered so far.`;
+}
+
+// Parts of the context breakdown returned by /context/tokens, in prompt order
+const CONTEXT_PARTS = [
+  { key: "systemPrompt", label: "System" },
+  { key: "memories", label: "Memories" },
+  { key: "summary", label: "Summary" },
+  { key: "history", label: "History" },
+  { key: "tools", label: "Tools" },
+];
+
+const RETRY_REASONS = {
+  rate_limited: "rate limited",
+  server_error: "server error",
+  network_error: "connection problem",
+};
+
+function formatRetryNotice(retrying) {
+  const reason = RETRY_REASONS[retrying.reason] || retrying.reason;
+  const seconds = Math.max(1, Math.round(retrying.delayMs / 1000));
+  return `Model ${reason}, retrying in ${seconds}s (attempt ${retrying.attempt}/${retrying.maxRetries})`;
+}
+
+// "remaining / limit" for one rate-limit bucket, or null when not reported
+function formatBudget(bucket) {
+  if (!bucket || bucket.remaining === null || bucket.remaining === undefined) return null;
+  const remaining = bucket.remaining.toLocaleString();
+  return bucket.limit ? `${remaining} / ${bucket.limit.toLocaleString()}` : remaining;
+}
+
 const ChatInterface = forwardRef(function ChatInterface(
   {
     conversationId,
     initialMessages,
     initialUsage,
     initialCompressionInfo,
+    initialOptions,
+    focusMessage,
     headerContent,
     onConversationChange,
     onMessageSent,
+    onTitleChange,
     onProcessingChange,
     onStreamingStateChange,
     onToolCallsUpdate,
@@ -31,11 +138,16 @@ const ChatInterface = forwardRef(function ChatInterface(
 ) {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
+  const [attachments, setAttachments] = useState([]);
+  const [promptMenuClosed, setPromptMenuClosed] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [currentConversationId, setCurrentConversationId] =
     useState(conversationId);
   const [usage, setUsage] = useState(null);
+  const [rateLimit, setRateLimit] = useState(null);
+  const [conversationUsage, setConversationUsage] = useState(null);
+  const [contextTokens, setContextTokens] = useState(null);
   const [showContext, setShowContext] = useState(false);
   const [abortController, setAbortController] = useState(null);
   const [compressionInfo, setCompressionInfo] = useState({
@@ -44,12 +156,17 @@ const ChatInterface = forwardRef(function ChatInterface(
     compressedMessageCount: 0
   });
   const [compressing, setCompressing] = useState(false);
+  const [showSummary, setShowSummary] = useState(false);
+  const [modelOptions, setModelOptions] = useState(EMPTY_MODEL_OPTIONS);
   const [compressionConfig, setCompressionConfig] = useState({
     minimumMessages: 6,
     threshold: 100000,
     keepRecentMessages: 5
   });
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const focusedMessageKeyRef = useRef(null);
+  const [highlightedMessage, setHighlightedMessage] = useState(null);
   const idleTimeoutRef = useRef(null);
   const inputRef = useRef(null);
 
@@ -94,6 +211,19 @@ const ChatInterface = forwardRef(function ChatInterface(
     scrollToBottom();
   }, [messages]);
 
+  // Jump to a message picked in search once it is rendered (runs after the scroll to the bottom)
+  useEffect(() => {
+    if (!focusMessage || focusedMessageKeyRef.current === focusMessage.key) return undefined;
+    const element = messagesContainerRef.current?.querySelector(`[data-message-index="${focusMessage.index}"]`);
+    if (!element) return undefined;
+
+    focusedMessageKeyRef.current = focusMessage.key;
+    element.scrollIntoView({ behavior: "smooth", block: "center" });
+    setHighlightedMessage(focusMessage.index);
+    const timeout = setTimeout(() => setHighlightedMessage(null), 2500);
+    return () => clearTimeout(timeout);
+  }, [focusMessage, messages]);
+
   // Notify parent when messages change (for FaceTimeView sync)
   useEffect(() => {
     onMessagesUpdate?.(messages);
@@ -121,6 +251,45 @@ const ChatInterface = forwardRef(function ChatInterface(
     }
   }, [initialCompressionInfo]);
 
+  // Update per-conversation model options when initialOptions changes
+  useEffect(() => {
+    if (initialOptions !== undefined) {
+      setModelOptions(initialOptions || EMPTY_MODEL_OPTIONS);
+    }
+  }, [initialOptions]);
+
+  // Fetch the provider's last reported rate-limit budget when the context footer opens
+  useEffect(() => {
+    if (!showContext || rateLimit) return;
+    api.getRateLimits(modelOptions.provider)
+      .then((data) => setRateLimit(data.rateLimit || null))
+      .catch((err) => console.warn("Failed to fetch rate limits:", err.message));
+  }, [showContext, rateLimit, modelOptions.provider]);
+
+  // Conversation token/cost totals, refreshed whenever a run (or compression) finishes
+  useEffect(() => {
+    if (!currentConversationId) {
+      setConversationUsage(null);
+      return;
+    }
+    if (loading || compressing) return;
+    api.getConversationUsage(currentConversationId)
+      .then(setConversationUsage)
+      .catch((err) => console.warn("Failed to fetch conversation usage:", err.message));
+  }, [currentConversationId, loading, compressing]);
+
+  // Locally counted size of the context the next message will be sent with
+  useEffect(() => {
+    if (!currentConversationId) {
+      setContextTokens(null);
+      return;
+    }
+    if (loading || compressing) return;
+    api.getContextTokens(currentConversationId)
+      .then(setContextTokens)
+      .catch((err) => console.warn("Failed to count context tokens:", err.message));
+  }, [currentConversationId, loading, compressing]);
+
   // Fetch compression configuration on mount
   useEffect(() => {
     const fetchCompressionConfig = async () => {
@@ -175,6 +344,12 @@ const ChatInterface = forwardRef(function ChatInterface(
 
   const handleStop = () => {
     if (abortController) {
+      // Stop the run on the server too (model stream + pending tools), not just the local fetch
+      if (currentConversationId) {
+        api.cancelStream(currentConversationId).catch((err) => {
+          console.warn("Failed to cancel run on server:", err.message);
+        });
+      }
       abortController.abort();
       setAbortController(null);
       setLoading(false);
@@ -238,7 +413,9 @@ const ChatInterface = forwardRef(function ChatInterface(
     }
 
     const userMessage = input.trim();
+    const messageAttachments = attachments;
     setInput("");
+    setAttachments([]);
     setError(null);
 
     // Create abort controller for this request
@@ -250,7 +427,10 @@ const ChatInterface = forwardRef(function ChatInterface(
     updateStreamingState("listening");
 
     // Add user message
-    setMessages((prev) => [...prev, { role: "user", content: userMessage }]);
+    setMessages((prev) => [
+      ...prev,
+      { role: "user", content: userMessage, attachments: messageAttachments },
+    ]);
 
     // Add placeholder for assistant message
     const assistantMessageIndex = messages.length + 1;
@@ -338,6 +518,7 @@ const ChatInterface = forwardRef(function ChatInterface(
                 ...current,
                 segments,
                 loading: false,
+                retrying: null,
               };
             } else {
               // Backward compatibility: update content directly
@@ -345,6 +526,7 @@ const ChatInterface = forwardRef(function ChatInterface(
                 ...current,
                 content: current.content + content,
                 loading: false,
+                retrying: null,
               };
             }
             return updated;
@@ -357,10 +539,7 @@ const ChatInterface = forwardRef(function ChatInterface(
 
           // Update active tool calls for face animation
           const existingIndex = activeToolCalls.findIndex(
-            (t) =>
-              t.toolName === toolCall.toolName &&
-              t.status !== "completed" &&
-              t.status !== "failed",
+            (t) => isSameToolCall(t, toolCall) && isToolCallPending(t),
           );
 
           if (existingIndex >= 0) {
@@ -401,23 +580,13 @@ const ChatInterface = forwardRef(function ChatInterface(
                 // Update existing tool call segment
                 segments[existingSegmentIndex] = {
                   ...segments[existingSegmentIndex],
-                  toolName: toolCall.toolName,
-                  args: toolCall.args,
-                  result: toolCall.result,
-                  status: toolCall.status,
-                  success: toolCall.success,
-                  error: toolCall.error,
+                  ...toToolSegment(toolCall),
                 };
               } else {
                 // Add new tool call segment
                 segments.push({
                   type: "tool_call",
-                  toolName: toolCall.toolName,
-                  args: toolCall.args,
-                  result: toolCall.result,
-                  status: toolCall.status,
-                  success: toolCall.success,
-                  error: toolCall.error,
+                  ...toToolSegment(toolCall),
                   _segmentIndex: segmentIndex,
                 });
               }
@@ -431,10 +600,7 @@ const ChatInterface = forwardRef(function ChatInterface(
             // Always update toolCalls array for backward compatibility
             // Find if this tool call already exists (update status)
             const existingToolIndex = current.toolCalls?.findIndex(
-              (t) =>
-                t.toolName === toolCall.toolName &&
-                t.status !== "completed" &&
-                t.status !== "failed",
+              (t) => isSameToolCall(t, toolCall) && isToolCallPending(t),
             );
 
             let newToolCalls;
@@ -470,13 +636,17 @@ const ChatInterface = forwardRef(function ChatInterface(
               ...updated[assistantMessageIndex],
               toolCalls: newToolCalls,
               process: processSteps,
+              retrying: null,
             };
             return updated;
           });
         },
         // onUsage - called when usage info is received
-        (usageData) => {
+        (usageData, rateLimitData) => {
           setUsage(usageData);
+          if (rateLimitData) {
+            setRateLimit(rateLimitData);
+          }
         },
         // onCompression - called when compression occurs
         (compressionData) => {
@@ -497,6 +667,54 @@ const ChatInterface = forwardRef(function ChatInterface(
         },
         // Pass abort signal
         controller.signal,
+        // onCancelled - run was stopped on the server (e.g. from another tab)
+        () => {
+          setMessages((prev) => {
+            const updated = [...prev];
+            updated[assistantMessageIndex] = markMessageCancelled(
+              updated[assistantMessageIndex],
+            );
+            return updated;
+          });
+        },
+        // onRetrying - the model request failed transiently and will be retried
+        (retryInfo) => {
+          setMessages((prev) => {
+            const updated = [...prev];
+            const current = updated[assistantMessageIndex];
+            updated[assistantMessageIndex] = {
+              ...current,
+              retrying: retryInfo,
+              process: [
+                ...(current.process || []),
+                { step: formatRetryNotice(retryInfo), timestamp: Date.now() },
+              ],
+            };
+            return updated;
+          });
+        },
+        // onToolLimit - the turn used up its tool rounds; the model answers without tools
+        (limitInfo, segmentIndex) => {
+          setMessages((prev) => {
+            const updated = [...prev];
+            const current = updated[assistantMessageIndex];
+            updated[assistantMessageIndex] = {
+              ...current,
+              segments: [
+                ...(current.segments || []),
+                { type: "tool_limit", ...limitInfo, _segmentIndex: segmentIndex },
+              ],
+              process: [
+                ...(current.process || []),
+                { step: `Tool limit reached (${limitInfo.maxRounds} rounds)`, timestamp: Date.now() },
+              ],
+            };
+            return updated;
+          });
+        },
+        messageAttachments.map(({ server, uri }) => ({ server, uri })),
+        // onTitle - the conversation was named after its first exchange
+        (titleData) => onTitleChange?.(titleData),
       );
 
       // Add "Response complete" step
@@ -533,8 +751,7 @@ const ChatInterface = forwardRef(function ChatInterface(
         setMessages((prev) => {
           const updated = [...prev];
           updated[assistantMessageIndex] = {
-            ...updated[assistantMessageIndex],
-            loading: false,
+            ...markMessageCancelled(updated[assistantMessageIndex]),
             content: updated[assistantMessageIndex].content || '(stopped)',
           };
           return updated;
@@ -564,6 +781,29 @@ const ChatInterface = forwardRef(function ChatInterface(
     }
   };
 
+  // "/name" (no spaces yet) opens the MCP prompt menu
+  const slashQuery = /^\/\S*$/.test(input) ? input.slice(1) : null;
+  const showPromptMenu = slashQuery !== null && !promptMenuClosed && !loading;
+
+  const handlePromptExpand = (text) => {
+    setInput(text);
+    setPromptMenuClosed(true);
+    // Grow the textarea to fit the expanded prompt
+    requestAnimationFrame(() => {
+      const textarea = inputRef.current;
+      if (!textarea) return;
+      textarea.focus();
+      textarea.style.height = "auto";
+      textarea.style.height = textarea.scrollHeight + "px";
+    });
+  };
+
+  const handleAttach = (resource) => {
+    setAttachments((prev) =>
+      prev.some((item) => isSameResource(item, resource)) ? prev : [...prev, resource],
+    );
+  };
+
   return (
     <div className="chat-interface">
       {headerContent !== undefined ? (
@@ -575,7 +815,17 @@ const ChatInterface = forwardRef(function ChatInterface(
         </div>
       )}
 
-      <div className="messages-container">
+      <ModelOptionsBar
+        conversationId={currentConversationId}
+        options={modelOptions}
+        onChange={setModelOptions}
+        disabled={loading}
+        usage={conversationUsage}
+      >
+        <ExportMenu conversationId={currentConversationId} canExportConversation={messages.length > 0} />
+      </ModelOptionsBar>
+
+      <div className="messages-container" ref={messagesContainerRef}>
         {messages.length === 0 ? (
           <div className="welcome-message">
             <h2>Welcome to ZoBot Chat!</h2>
@@ -583,16 +833,26 @@ const ChatInterface = forwardRef(function ChatInterface(
           </div>
         ) : (
           messages.map((msg, idx) => (
-            <div key={idx} className={`message ${msg.role}`}>
+            <div
+              key={idx}
+              data-message-index={idx}
+              className={`message ${msg.role} ${highlightedMessage === idx ? "highlighted" : ""}`}
+            >
               <div className="message-header">
                 <div className="message-role">
                   {msg.role === "user" ? "You" : "Zo"}
                 </div>
+                {msg.cancelled && (
+                  <span className="message-cancelled">stopped</span>
+                )}
                 <div className="message-timestamp">
                   {new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })}
                 </div>
               </div>
               <div className="message-content">
+                {msg.retrying && (
+                  <div className="retry-notice">{formatRetryNotice(msg.retrying)}</div>
+                )}
                 {/* Main content */}
                 {msg.loading && !msg.content && (!msg.segments || msg.segments.length === 0) ? (
                   <div className="loading-indicator">
@@ -615,10 +875,19 @@ const ChatInterface = forwardRef(function ChatInterface(
                             toolName={segment.toolName}
                             args={segment.args}
                             result={segment.result}
+                            truncation={segment.truncation}
                             status={segment.status}
                             success={segment.success}
                             error={segment.error}
+                            errorType={segment.errorType}
+                            startedAt={segment.startedAt}
+                            durationMs={segment.durationMs}
+                            approvalId={segment.approvalId}
                           />
+                        ) : segment.type === "tool_limit" ? (
+                          <div className="tool-limit-notice">
+                            {formatToolLimitNotice(segment)}
+                          </div>
                         ) : null}
                       </div>
                     ))}
@@ -631,6 +900,31 @@ const ChatInterface = forwardRef(function ChatInterface(
                       </div>
                     )}
                   </>
+                ) : msg.role === "user" ? (
+                  (() => {
+                    const { text, resources } = splitResourceBlocks(msg.content);
+                    const chips = msg.attachments?.length ? msg.attachments : resources;
+                    return (
+                      <>
+                        <div className="message-text">
+                          <ReactMarkdown>{text}</ReactMarkdown>
+                        </div>
+                        {chips.length > 0 && (
+                          <div className="message-attachments">
+                            {chips.map((resource) => (
+                              <span
+                                key={`${resource.server}:${resource.uri}`}
+                                className="attachment-chip"
+                                title={`${resource.server} · ${resource.uri}`}
+                              >
+                                {resource.name}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </>
+                    );
+                  })()
                 ) : msg.content ? (
                   <>
                     <div className="message-text">
@@ -651,9 +945,13 @@ const ChatInterface = forwardRef(function ChatInterface(
                         toolName={toolCall.toolName}
                         args={toolCall.args}
                         result={toolCall.result}
+                        truncation={toolCall.truncation}
                         status={toolCall.status}
                         success={toolCall.success}
                         error={toolCall.error}
+                        errorType={toolCall.errorType}
+                        startedAt={toolCall.startedAt}
+                        durationMs={toolCall.durationMs}
                       />
                     ))}
                   </>
@@ -667,74 +965,151 @@ const ChatInterface = forwardRef(function ChatInterface(
 
       {error && <div className="error-banner">{error}</div>}
 
-      <form onSubmit={handleSubmit} className="input-form">
-        {usage && (
-          <button
-            type="button"
-            className="info-toggle"
-            onClick={() => setShowContext(!showContext)}
-            title="Toggle info"
-          >
-            ⚙
-          </button>
+      <div className="composer">
+        {showPromptMenu && (
+          <PromptMenu
+            query={slashQuery}
+            onExpand={handlePromptExpand}
+            onClose={() => setPromptMenuClosed(true)}
+          />
         )}
-        <textarea
-          ref={inputRef}
-          value={input}
-          onChange={(e) => {
-            setInput(e.target.value);
-            // Auto-resize textarea
-            e.target.style.height = 'auto';
-            e.target.style.height = e.target.scrollHeight + 'px';
-          }}
-          onKeyDown={(e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-              e.preventDefault();
-              handleSubmit(e);
-            }
-          }}
-          placeholder={compressing ? "Compressing conversation..." : "Type a message..."}
-          disabled={loading || compressing || externalDisabled}
-          className="message-input"
-          rows="1"
-        />
-        {loading ? (
-          <button
-            type="button"
-            onClick={handleStop}
-            className="stop-button"
-            title="Stop generation"
-          >
-            ■
-          </button>
-        ) : (
-          <button
-            type="submit"
-            disabled={!input.trim() || compressing || externalDisabled}
-            className="send-button"
-            title={compressing ? "Compressing conversation..." : "Send message"}
-          >
-            <span>Send</span>
-          </button>
+        {attachments.length > 0 && (
+          <div className="composer-attachments">
+            {attachments.map((resource) => (
+              <span
+                key={`${resource.server}:${resource.uri}`}
+                className="attachment-chip"
+                title={`${resource.server} · ${resource.uri}`}
+              >
+                {resource.name}
+                <button
+                  type="button"
+                  onClick={() =>
+                    setAttachments((prev) => prev.filter((item) => !isSameResource(item, resource)))
+                  }
+                  title="Remove attachment"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
         )}
-      </form>
-      {showContext && usage && (
+        <form onSubmit={handleSubmit} className="input-form">
+          {(usage || contextTokens) && (
+            <button
+              type="button"
+              className="info-toggle"
+              onClick={() => setShowContext(!showContext)}
+              title="Toggle info"
+            >
+              ⚙
+            </button>
+          )}
+          <ResourcePicker
+            selected={attachments}
+            onSelect={handleAttach}
+            disabled={loading || compressing || externalDisabled}
+          />
+          <textarea
+            ref={inputRef}
+            value={input}
+            onChange={(e) => {
+              setInput(e.target.value);
+              setPromptMenuClosed(false);
+              // Auto-resize textarea
+              e.target.style.height = 'auto';
+              e.target.style.height = e.target.scrollHeight + 'px';
+            }}
+            onKeyDown={(e) => {
+              if (showPromptMenu && e.key === 'Escape') {
+                setPromptMenuClosed(true);
+                return;
+              }
+              if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                // While the prompt menu is open, Enter doesn't send "/name" as a message
+                if (!showPromptMenu) {
+                  handleSubmit(e);
+                }
+              }
+            }}
+            placeholder={compressing ? "Compressing conversation..." : "Type a message, or / for prompts..."}
+            disabled={loading || compressing || externalDisabled}
+            className="message-input"
+            rows="1"
+          />
+          {loading ? (
+            <button
+              type="button"
+              onClick={handleStop}
+              className="stop-button"
+              title="Stop generation"
+            >
+              ■
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={!input.trim() || compressing || externalDisabled}
+              className="send-button"
+              title={compressing ? "Compressing conversation..." : "Send message"}
+            >
+              <span>Send</span>
+            </button>
+          )}
+        </form>
+      </div>
+      {showContext && (usage || contextTokens) && (
         <div className="context-footer">
           <div className="context-stats">
-            <span className="context-stat">
-              Prompt: {usage.prompt_tokens?.toLocaleString() || 0}
-            </span>
-            <span className="context-stat">
-              Completion: {usage.completion_tokens?.toLocaleString() || 0}
-            </span>
-            <span className="context-stat">
-              Total: {usage.total_tokens?.toLocaleString() || 0} / 128K
-            </span>
-            {compressionInfo.compressionSummary && (
-              <span className="context-stat compression-info">
-                Compressed: {compressionInfo.compressedMessageCount} messages
+            {contextTokens && (
+              <span
+                className="context-stat context-breakdown"
+                title={`Next request, counted locally with ${contextTokens.tokenizer}. Compression starts at ${contextTokens.threshold.toLocaleString()} tokens; above ${contextTokens.limit.toLocaleString()} (the ${contextTokens.model} context window minus room for the reply) the request is trimmed.`}
+              >
+                Context: {contextTokens.total.toLocaleString()}
+                {CONTEXT_PARTS.map(({ key, label }) => (
+                  <span key={key} className="context-breakdown-part">
+                    {label} {contextTokens[key].toLocaleString()}
+                  </span>
+                ))}
+              </span>
+            )}
+            {usage && (
+              <>
+                <span className="context-stat">
+                  Prompt: {usage.prompt_tokens?.toLocaleString() || 0}
+                </span>
+                <span className="context-stat">
+                  Completion: {usage.completion_tokens?.toLocaleString() || 0}
+                </span>
+                <span className="context-stat">
+                  Total: {usage.total_tokens?.toLocaleString() || 0}
+                  {contextTokens && ` / ${formatTokens(contextTokens.contextWindow)}`}
+                </span>
+              </>
+            )}
+            {formatBudget(rateLimit?.requests) && (
+              <span className="context-stat" title="Requests left in the provider's rate-limit window">
+                Requests left: {formatBudget(rateLimit.requests)}
+              </span>
+            )}
+            {formatBudget(rateLimit?.tokens) && (
+              <span className="context-stat" title="Tokens left in the provider's rate-limit window">
+                Tokens left: {formatBudget(rateLimit.tokens)}
               </span>
             )}
+            {compressionInfo.compressionSummary && (
+              <button
+                type="button"
+                className="context-stat compression-info"
+                onClick={() => setShowSummary(!showSummary)}
+                title={showSummary ? "Hide the summary" : "Show, edit or undo the summary"}
+              >
+                Compressed: {compressionInfo.compressedMessageCount} messages {showSummary ? "▾" : "▸"}
+              </button>
+            )}
           </div>
           {currentConversationId && (() => {
             const hasNewMessages = compressionInfo.compressionSummary
@@ -774,6 +1149,14 @@ const ChatInterface = forwardRef(function ChatInterface(
           })()}
         </div>
       )}
+      {showContext && showSummary && currentConversationId && compressionInfo.compressionSummary && (
+        <CompressionSummaryPanel
+          conversationId={currentConversationId}
+          compressionInfo={compressionInfo}
+          disabled={loading || compressing}
+          onChange={setCompressionInfo}
+        />
+      )}
     </div>
   );
 });
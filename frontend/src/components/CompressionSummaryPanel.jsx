@@ -0,0 +1,212 @@
+import { useState, useEffect } from "react";
+import { api } from "../services/api";
+import { showToast } from "./Toast";
+import "./CompressionSummaryPanel.css";
+
+const CHANGE_LABELS = {
+  generated: "written",
+  imported: "imported",
+  edited: "edited",
+  regenerated: "regenerated",
+  superseded: "superseded",
+  rolled_back: "rolled back",
+  restored: "restored",
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+function describeVersion(version) {
+  const by = version.model ? `${version.actor} (${version.model})` : version.actor;
+  return `v${version.version} ${CHANGE_LABELS[version.change] || version.change} by ${by}`;
+}
+
+// The compression state the chat keeps, taken from the active rolling summary
+function toCompressionInfo(active) {
+  return {
+    compressionSummary: active?.summary || null,
+    compressedAt: active?.createdAt || null,
+    compressedMessageCount: active?.endIndex || 0,
+  };
+}
+
+function CompressionSummaryPanel({ conversationId, compressionInfo, disabled = false, onChange }) {
+  const [summaries, setSummaries] = useState([]);
+  const [active, setActive] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [instruction, setInstruction] = useState("");
+  const [busy, setBusy] = useState(null);
+
+  const loadSummaries = async () => {
+    try {
+      const data = await api.getCompressionSummaries(conversationId);
+      setSummaries(data.summaries);
+      setActive(data.active);
+      setVersions(data.active ? (await api.getCompressionSummaryVersions(conversationId, data.active.id)).versions : []);
+    } catch (err) {
+      console.error("Failed to load compression summaries:", err);
+    }
+  };
+
+  useEffect(() => {
+    setDraft(null);
+    loadSummaries();
+  }, [conversationId, compressionInfo.compressedAt, compressionInfo.compressionSummary]);
+
+  // Runs one change and reports the resulting compression state to the chat
+  const run = async (name, action, successMessage) => {
+    setBusy(name);
+    try {
+      const result = await action();
+      onChange(toCompressionInfo(result));
+      showToast(successMessage, "success");
+      return true;
+    } catch (err) {
+      showToast(err.message, "error");
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!draft?.trim()) {
+      showToast("Summary cannot be empty", "warning");
+      return;
+    }
+    const saved = await run(
+      "save",
+      () => api.updateCompressionSummary(conversationId, active.id, draft),
+      "Summary updated",
+    );
+    if (saved) setDraft(null);
+  };
+
+  const handleRegenerate = async () => {
+    const regenerated = await run(
+      "regenerate",
+      () => api.regenerateCompressionSummary(conversationId, active.id, instruction.trim() || null),
+      "Summary regenerated",
+    );
+    if (regenerated) setInstruction("");
+  };
+
+  const handleRollback = (summary) => {
+    if (!confirm(`Roll back the compression of messages ${summary.startIndex + 1}-${summary.endIndex} and every later one?`)) {
+      return;
+    }
+    run(
+      "rollback",
+      async () => (await api.rollbackCompressionSummary(conversationId, summary.id)).active,
+      "Compression rolled back",
+    );
+  };
+
+  const handleUndo = () => {
+    if (!confirm("Undo all compression? The full message history will be sent to the model again.")) {
+      return;
+    }
+    run("undo", async () => (await api.undoCompression(conversationId)).active, "Compression undone");
+  };
+
+  if (!active) {
+    return null;
+  }
+
+  const isDisabled = disabled || busy !== null;
+  const compressions = summaries.filter((summary) => summary.kind === "rolling" && summary.status !== "rolled_back");
+
+  return (
+    <div className="compression-panel">
+      <div className="compression-panel-header">
+        <span title={`Created ${formatDate(active.createdAt)}`}>
+          Summary of messages 1-{active.endIndex}
+          {active.updatedAt && ` · changed ${formatDate(active.updatedAt)}`}
+        </span>
+        <div className="compression-panel-actions">
+          {draft === null && (
+            <button type="button" onClick={() => setDraft(active.summary)} disabled={isDisabled}>
+              edit
+            </button>
+          )}
+          <button type="button" onClick={() => setShowHistory(!showHistory)}>
+            {showHistory ? "hide history" : "history"}
+          </button>
+          <button type="button" onClick={handleUndo} disabled={isDisabled}>
+            {busy === "undo" ? "undoing..." : "undo compression"}
+          </button>
+        </div>
+      </div>
+
+      {draft === null ? (
+        <div className="compression-panel-summary">{active.summary}</div>
+      ) : (
+        <>
+          <textarea
+            className="compression-panel-editor"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={10}
+            disabled={isDisabled}
+          />
+          <div className="compression-panel-actions">
+            <button type="button" onClick={handleSave} disabled={isDisabled || draft === active.summary}>
+              {busy === "save" ? "saving..." : "save"}
+            </button>
+            <button type="button" onClick={() => setDraft(null)} disabled={isDisabled}>
+              cancel
+            </button>
+          </div>
+        </>
+      )}
+
+      <div className="compression-panel-regenerate">
+        <input
+          type="text"
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          placeholder='Instruction for a new summary, e.g. "keep all file paths"'
+          disabled={isDisabled || draft !== null}
+        />
+        <button type="button" onClick={handleRegenerate} disabled={isDisabled || draft !== null}>
+          {busy === "regenerate" ? "regenerating..." : "regenerate"}
+        </button>
+      </div>
+
+      {showHistory && (
+        <div className="compression-panel-history">
+          <div className="compression-panel-history-title">Changes to this summary</div>
+          {versions.map((version) => (
+            <div key={version.id} className="compression-panel-history-item">
+              <span>{describeVersion(version)}</span>
+              <span>{formatDate(version.createdAt)}</span>
+              {version.instruction && <span className="compression-panel-instruction">"{version.instruction}"</span>}
+            </div>
+          ))}
+
+          {compressions.length > 1 && (
+            <>
+              <div className="compression-panel-history-title">Compressions</div>
+              {compressions.map((summary) => (
+                <div key={summary.id} className="compression-panel-history-item">
+                  <span>
+                    messages {summary.startIndex + 1}-{summary.endIndex} · {summary.status}
+                  </span>
+                  <span>{formatDate(summary.createdAt)}</span>
+                  <button type="button" onClick={() => handleRollback(summary)} disabled={isDisabled}>
+                    roll back
+                  </button>
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CompressionSummaryPanel;
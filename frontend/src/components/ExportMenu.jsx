@@ -0,0 +1,50 @@
+import { useState } from "react";
+import { api } from "../services/api";
+import "./ExportMenu.css";
+
+const FORMATS = [
+  { format: "md", label: "Markdown" },
+  { format: "html", label: "HTML" },
+  { format: "json", label: "JSON" },
+];
+
+function ExportMenu({ conversationId, canExportConversation = true }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="export-menu">
+      <button
+        type="button"
+        className="export-menu-toggle"
+        onClick={() => setIsOpen(!isOpen)}
+        title="Download this conversation, or every conversation as a zip"
+      >
+        Export
+      </button>
+
+      {isOpen && (
+        <div className="export-menu-panel" onClick={() => setIsOpen(false)}>
+          <span className="export-menu-heading">This conversation</span>
+          {conversationId && canExportConversation ? (
+            FORMATS.map(({ format, label }) => (
+              <a key={format} href={api.getConversationExportUrl(conversationId, format)} download>
+                {label}
+              </a>
+            ))
+          ) : (
+            <span className="export-menu-empty">Send a message first</span>
+          )}
+
+          <span className="export-menu-heading">All conversations (zip)</span>
+          {FORMATS.map(({ format, label }) => (
+            <a key={format} href={api.getExportAllUrl(format)} download>
+              {label}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,280 @@
+import { useState, useEffect } from "react";
+import { api } from "../services/api";
+import { showToast } from "./Toast";
+import { formatTokens, formatCost } from "./UsageTab";
+import "./ModelOptionsBar.css";
+
+export const EMPTY_MODEL_OPTIONS = {
+  provider: null,
+  model: null,
+  temperature: null,
+  topP: null,
+  maxTokens: null,
+  toolChoice: null,
+  toolProfile: null,
+};
+
+const TOOL_CHOICE_MODES = ["auto", "none", "required"];
+
+// Empty inputs mean "use the default", which the API expects as null
+function toNumberOrNull(value) {
+  if (value === "" || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+// Running total for the conversation: every model request, including tool rounds and summaries
+function describeUsage(usage) {
+  return usage.bySource
+    .map((row) => `${row.source}: ${row.requests} requests, ${formatTokens(row.totalTokens)} tokens, ${formatCost(row.costUsd)}`)
+    .join("\n");
+}
+
+// children are extra actions shown next to the toggle (the chat's Export menu)
+function ModelOptionsBar({ conversationId, options, onChange, disabled = false, usage = null, children = null }) {
+  const [providers, setProviders] = useState([]);
+  const [defaultProvider, setDefaultProvider] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(options || EMPTY_MODEL_OPTIONS);
+  const [isSaving, setIsSaving] = useState(false);
+  const [toolProfiles, setToolProfiles] = useState({});
+  const [defaultToolProfile, setDefaultToolProfile] = useState(null);
+
+  useEffect(() => {
+    const loadProviders = async () => {
+      try {
+        const data = await api.getProviders();
+        setProviders(data.providers || []);
+        setDefaultProvider(data.defaultProvider || null);
+      } catch (err) {
+        console.error("Failed to load LLM providers:", err);
+      }
+    };
+    loadProviders();
+  }, []);
+
+  // Re-read profiles whenever the panel opens so edits in Settings show up
+  useEffect(() => {
+    if (!isOpen) return;
+    const loadToolProfiles = async () => {
+      try {
+        const data = await api.getSettings();
+        setToolProfiles(data.tools?.profiles || {});
+        setDefaultToolProfile(data.tools?.defaultProfile || null);
+      } catch (err) {
+        console.error("Failed to load tool profiles:", err);
+      }
+    };
+    loadToolProfiles();
+  }, [isOpen]);
+
+  // Reset the editor when switching conversations or after a save
+  useEffect(() => {
+    setDraft(options || EMPTY_MODEL_OPTIONS);
+  }, [options]);
+
+  useEffect(() => {
+    setIsOpen(false);
+  }, [conversationId]);
+
+  const current = options || EMPTY_MODEL_OPTIONS;
+  const activeProvider = providers.find(
+    (p) => p.id === (current.provider || defaultProvider),
+  );
+  const draftProvider = providers.find(
+    (p) => p.id === (draft.provider || defaultProvider),
+  );
+
+  const summaryParts = [
+    activeProvider?.label || current.provider || "Default provider",
+    current.model || activeProvider?.defaultModel || "default model",
+  ];
+  if (current.temperature !== null) summaryParts.push(`temp ${current.temperature}`);
+  if (current.topP !== null) summaryParts.push(`top_p ${current.topP}`);
+  if (current.maxTokens !== null) summaryParts.push(`max ${current.maxTokens}`);
+  if (current.toolChoice) summaryParts.push(`tools: ${current.toolChoice}`);
+  if (current.toolProfile) {
+    summaryParts.push(
+      current.toolProfile === "all"
+        ? "all tools"
+        : toolProfiles[current.toolProfile]?.label || current.toolProfile,
+    );
+  }
+
+  const updateDraft = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    if (!conversationId) return;
+
+    setIsSaving(true);
+    try {
+      const data = await api.updateConversationOptions(conversationId, {
+        ...draft,
+        model: draft.model?.trim() || null,
+      });
+      onChange?.(data.options);
+      setIsOpen(false);
+      showToast("Model settings updated for this conversation", "success");
+    } catch (err) {
+      showToast(err.message, "error");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleReset = () => {
+    setDraft(EMPTY_MODEL_OPTIONS);
+  };
+
+  return (
+    <div className="model-options-bar">
+      {usage?.totals.requests > 0 && (
+        <span className="conversation-usage" title={describeUsage(usage)}>
+          {formatTokens(usage.totals.totalTokens)} tokens · {formatCost(usage.totals.costUsd)}
+          {usage.totals.unpricedRequests > 0 && "*"}
+        </span>
+      )}
+      <button
+        type="button"
+        className="model-options-toggle"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={!conversationId || disabled}
+        title={
+          conversationId
+            ? "Change model and sampling settings for this conversation"
+            : "Start a conversation to change its model"
+        }
+      >
+        {summaryParts.join(" · ")}
+      </button>
+      {children}
+
+      {isOpen && (
+        <div className="model-options-panel">
+          <label className="model-option">
+            <span>Provider</span>
+            <select
+              value={draft.provider || ""}
+              onChange={(e) => updateDraft("provider", e.target.value || null)}
+            >
+              <option value="">Default ({defaultProvider || "settings"})</option>
+              {providers.map((provider) => (
+                <option key={provider.id} value={provider.id}>
+                  {provider.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="model-option">
+            <span>Model</span>
+            <input
+              type="text"
+              list="model-options-models"
+              value={draft.model || ""}
+              placeholder={draftProvider?.defaultModel || "default"}
+              onChange={(e) => updateDraft("model", e.target.value || null)}
+            />
+            <datalist id="model-options-models">
+              {(draftProvider?.models || []).map((model) => (
+                <option key={model} value={model} />
+              ))}
+            </datalist>
+          </label>
+
+          <label className="model-option">
+            <span>Temperature</span>
+            <input
+              type="number"
+              min="0"
+              max="2"
+              step="0.1"
+              value={draft.temperature ?? ""}
+              placeholder="default"
+              onChange={(e) => updateDraft("temperature", toNumberOrNull(e.target.value))}
+            />
+          </label>
+
+          <label className="model-option">
+            <span>Top P</span>
+            <input
+              type="number"
+              min="0"
+              max="1"
+              step="0.05"
+              value={draft.topP ?? ""}
+              placeholder="default"
+              onChange={(e) => updateDraft("topP", toNumberOrNull(e.target.value))}
+            />
+          </label>
+
+          <label className="model-option">
+            <span>Max output tokens</span>
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={draft.maxTokens ?? ""}
+              placeholder="default"
+              onChange={(e) => updateDraft("maxTokens", toNumberOrNull(e.target.value))}
+            />
+          </label>
+
+          <label className="model-option">
+            <span>Tool choice</span>
+            <select
+              value={draft.toolChoice || ""}
+              onChange={(e) => updateDraft("toolChoice", e.target.value || null)}
+            >
+              <option value="">Default (auto)</option>
+              {TOOL_CHOICE_MODES.map((mode) => (
+                <option key={mode} value={mode}>
+                  {mode}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="model-option">
+            <span>Tool profile</span>
+            <select
+              value={draft.toolProfile || ""}
+              onChange={(e) => updateDraft("toolProfile", e.target.value || null)}
+            >
+              <option value="">
+                Default ({toolProfiles[defaultToolProfile]?.label || "all tools"})
+              </option>
+              <option value="all">All tools</option>
+              {Object.entries(toolProfiles).map(([id, profile]) => (
+                <option key={id} value={id}>
+                  {profile.label || id}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div className="model-options-actions">
+            <button type="button" onClick={handleReset} disabled={isSaving}>
+              Use defaults
+            </button>
+            <button type="button" onClick={() => setIsOpen(false)} disabled={isSaving}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="primary"
+              onClick={handleSave}
+              disabled={isSaving}
+            >
+              {isSaving ? "Saving..." : "Apply"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ModelOptionsBar;
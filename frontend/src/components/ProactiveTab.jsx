@@ -44,6 +44,11 @@ export default function ProactiveTab({
           <span className="proactive-meta-item">
             Next: {nextTrigger}
           </span>
+          {status?.budgetExceeded?.length > 0 && (
+            <span className="proactive-meta-item budget-exceeded" title="Scheduled runs resume when the budget resets (Usage tab)">
+              Paused: usage budget reached
+            </span>
+          )}
         </div>
       </div>
       <div className="proactive-controls">
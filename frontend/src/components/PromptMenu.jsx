@@ -0,0 +1,131 @@
+import { useState, useEffect } from "react";
+import { api } from "../services/api";
+import { showToast } from "./Toast";
+import "./ComposerMenus.css";
+
+// Shown while the composer holds "/<query>": lists MCP prompts and expands the
+// chosen one (after asking for its arguments) into the composer text
+function PromptMenu({ query, onExpand, onClose }) {
+  const [prompts, setPrompts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [activePrompt, setActivePrompt] = useState(null);
+  const [args, setArgs] = useState({});
+  const [isRendering, setIsRendering] = useState(false);
+
+  useEffect(() => {
+    const loadPrompts = async () => {
+      try {
+        const data = await api.getPrompts();
+        setPrompts(data.prompts || []);
+      } catch (err) {
+        console.error("Failed to load prompts:", err);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadPrompts();
+  }, []);
+
+  const search = query.toLowerCase();
+  const visible = prompts.filter((prompt) => prompt.name.toLowerCase().startsWith(search));
+
+  const render = async (prompt, promptArgs) => {
+    setIsRendering(true);
+    try {
+      const data = await api.renderPrompt(prompt.name, promptArgs);
+      onExpand(data.text);
+    } catch (err) {
+      showToast(err.message, "error");
+    } finally {
+      setIsRendering(false);
+    }
+  };
+
+  const handleChoose = (prompt) => {
+    if (!prompt.arguments?.length) {
+      render(prompt, {});
+      return;
+    }
+    setActivePrompt(prompt);
+    setArgs({});
+  };
+
+  const handleRender = (e) => {
+    e.preventDefault();
+    // Optional arguments left empty are not sent
+    const filled = Object.fromEntries(
+      Object.entries(args).filter(([, value]) => value.trim() !== ""),
+    );
+    render(activePrompt, filled);
+  };
+
+  if (activePrompt) {
+    return (
+      <form className="composer-menu prompt-args" onSubmit={handleRender}>
+        <div className="composer-menu-title">
+          /{activePrompt.name}
+          {activePrompt.description && (
+            <span className="composer-menu-item-meta">{activePrompt.description}</span>
+          )}
+        </div>
+        {activePrompt.arguments.map((arg, index) => (
+          <label key={arg.name} className="prompt-arg">
+            <span>
+              {arg.name}
+              {arg.required && " *"}
+            </span>
+            <input
+              type="text"
+              value={args[arg.name] || ""}
+              placeholder={arg.description || ""}
+              required={arg.required}
+              autoFocus={index === 0}
+              onChange={(e) => setArgs((prev) => ({ ...prev, [arg.name]: e.target.value }))}
+              onKeyDown={(e) => e.key === "Escape" && onClose()}
+            />
+          </label>
+        ))}
+        <div className="prompt-args-actions">
+          <button type="button" onClick={() => setActivePrompt(null)} disabled={isRendering}>
+            Back
+          </button>
+          <button type="submit" className="primary" disabled={isRendering}>
+            {isRendering ? "Expanding..." : "Insert"}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="composer-menu">
+      {isLoading ? (
+        <div className="composer-menu-empty">Loading prompts...</div>
+      ) : visible.length === 0 ? (
+        <div className="composer-menu-empty">
+          {prompts.length === 0 ? "No MCP server exposes prompts" : `No prompt matches /${query}`}
+        </div>
+      ) : (
+        <ul className="composer-menu-list">
+          {visible.map((prompt) => (
+            <li key={prompt.name}>
+              <button
+                type="button"
+                className="composer-menu-item"
+                onClick={() => handleChoose(prompt)}
+                disabled={isRendering}
+              >
+                <span className="composer-menu-item-name">/{prompt.name}</span>
+                <span className="composer-menu-item-meta">
+                  {prompt.description || prompt.server}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PromptMenu;
@@ -0,0 +1,105 @@
+import { useState, useEffect } from "react";
+import { api } from "../services/api";
+import "./ComposerMenus.css";
+
+// Same resource on the same server; URIs are only unique per server
+export function isSameResource(a, b) {
+  return a.server === b.server && a.uri === b.uri;
+}
+
+function ResourcePicker({ selected, onSelect, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [resources, setResources] = useState([]);
+  const [filter, setFilter] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Servers can come and go, so re-read the list each time the picker opens
+  useEffect(() => {
+    if (!isOpen) return;
+    const loadResources = async () => {
+      setIsLoading(true);
+      try {
+        const data = await api.getResources();
+        setResources(data.resources || []);
+      } catch (err) {
+        console.error("Failed to load resources:", err);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadResources();
+  }, [isOpen]);
+
+  const query = filter.trim().toLowerCase();
+  const visible = resources.filter(
+    (resource) =>
+      !query ||
+      resource.name?.toLowerCase().includes(query) ||
+      resource.uri.toLowerCase().includes(query),
+  );
+
+  const handleSelect = (resource) => {
+    onSelect({ server: resource.server, uri: resource.uri, name: resource.name || resource.uri });
+    setIsOpen(false);
+    setFilter("");
+  };
+
+  return (
+    <div className="resource-picker">
+      <button
+        type="button"
+        className="info-toggle"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        title="Attach a resource"
+      >
+        +
+      </button>
+
+      {isOpen && (
+        <div className="composer-menu">
+          <input
+            type="text"
+            className="composer-menu-filter"
+            value={filter}
+            placeholder="Filter resources..."
+            onChange={(e) => setFilter(e.target.value)}
+            onKeyDown={(e) => e.key === "Escape" && setIsOpen(false)}
+            autoFocus
+          />
+          {isLoading ? (
+            <div className="composer-menu-empty">Loading...</div>
+          ) : visible.length === 0 ? (
+            <div className="composer-menu-empty">
+              {resources.length === 0 ? "No MCP server exposes resources" : "No matches"}
+            </div>
+          ) : (
+            <ul className="composer-menu-list">
+              {visible.map((resource) => {
+                const isSelected = selected.some((item) => isSameResource(item, resource));
+                return (
+                  <li key={`${resource.server}:${resource.uri}`}>
+                    <button
+                      type="button"
+                      className="composer-menu-item"
+                      onClick={() => handleSelect(resource)}
+                      disabled={isSelected}
+                      title={resource.description || resource.uri}
+                    >
+                      <span className="composer-menu-item-name">{resource.name || resource.uri}</span>
+                      <span className="composer-menu-item-meta">
+                        {resource.server} · {resource.uri}
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ResourcePicker;
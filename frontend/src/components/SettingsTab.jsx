@@ -1,7 +1,13 @@
 import { useState, useEffect } from "react";
-import { api } from "../services/api";
+import { api, API_URL } from "../services/api";
 import "./SettingsTab.css";
 
+const APPROVAL_MODES = [
+  { value: "auto", label: "Auto-approve" },
+  { value: "ask", label: "Ask" },
+  { value: "deny", label: "Deny" },
+];
+
 function SettingsTab() {
   const [cloudSettings, setCloudSettings] = useState(null);
   const [localSettings, setLocalSettings] = useState(null);
@@ -10,6 +16,8 @@ function SettingsTab() {
   const [isSaving, setIsSaving] = useState(false);
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState(null);
+  const [providers, setProviders] = useState([]);
+  const [availableTools, setAvailableTools] = useState([]);
 
   // Load settings from API
   const loadSettings = async () => {
@@ -27,8 +35,36 @@ function SettingsTab() {
     }
   };
 
+  // Load configured LLM providers (only those with keys set on the backend)
+  const loadProviders = async () => {
+    try {
+      const data = await api.getProviders();
+      setProviders(data.providers || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Tool names for the per-tool approval rules and tool profiles.
+  // Custom tools come back in OpenAI format, so their name is under function.
+  const loadTools = async () => {
+    try {
+      const data = await api.getTools();
+      setAvailableTools(
+        (data.tools || [])
+          .map((tool) => tool.name || tool.function?.name)
+          .filter(Boolean)
+          .sort(),
+      );
+    } catch (err) {
+      console.error("Failed to load tools:", err);
+    }
+  };
+
   useEffect(() => {
     loadSettings();
+    loadProviders();
+    loadTools();
   }, []);
 
   // Check if local state differs from cloud state
@@ -65,6 +101,18 @@ function SettingsTab() {
     });
   };
 
+  // Summarizer overrides are optional strings; empty means "use the default"
+  const handleSummarizerChange = (field, value) => {
+    setError(null);
+    setLocalSettings({
+      ...localSettings,
+      compression: {
+        ...localSettings.compression,
+        [field]: value.trim() || null,
+      },
+    });
+  };
+
   const handleProactiveChange = (field, value) => {
     if (!localSettings?.proactive) return;
 
@@ -85,6 +133,23 @@ function SettingsTab() {
       return;
     }
 
+    if (field === "maxToolRounds") {
+      const numValue = parseInt(value, 10);
+      if (Number.isNaN(numValue) || numValue < 1 || numValue > 100) {
+        setError("Proactive tool rounds must be between 1 and 100");
+        return;
+      }
+      setError(null);
+      setLocalSettings({
+        ...localSettings,
+        proactive: {
+          ...localSettings.proactive,
+          maxToolRounds: numValue,
+        },
+      });
+      return;
+    }
+
     if (field === "enabled") {
       setError(null);
       setLocalSettings({
@@ -97,6 +162,232 @@ function SettingsTab() {
     }
   };
 
+  const handleDefaultProviderChange = (providerId) => {
+    setError(null);
+    setLocalSettings({
+      ...localSettings,
+      llm: {
+        ...localSettings.llm,
+        defaultProvider: providerId,
+      },
+    });
+  };
+
+  const handleToolSettingChange = (field, value) => {
+    const numValue = parseInt(value, 10);
+
+    if (field === "maxConcurrency" && (Number.isNaN(numValue) || numValue < 1 || numValue > 32)) {
+      setError("Parallel tool calls must be between 1 and 32");
+      return;
+    }
+
+    if (field === "timeoutSeconds" && (Number.isNaN(numValue) || numValue < 1)) {
+      setError("Tool timeout must be at least 1 second");
+      return;
+    }
+
+    if (field === "maxRounds" && (Number.isNaN(numValue) || numValue < 1 || numValue > 100)) {
+      setError("Tool rounds per message must be between 1 and 100");
+      return;
+    }
+
+    if (field === "maxIdenticalCalls" && (Number.isNaN(numValue) || numValue < 1 || numValue > 20)) {
+      setError("Identical calls per message must be between 1 and 20");
+      return;
+    }
+
+    if (field === "maxResultChars" && (Number.isNaN(numValue) || numValue < 1000)) {
+      setError("Tool result size must be at least 1000 characters");
+      return;
+    }
+
+    if (field === "maxResultRows" && (Number.isNaN(numValue) || numValue < 1)) {
+      setError("Tool result rows must be at least 1");
+      return;
+    }
+
+    setError(null);
+    setLocalSettings({
+      ...localSettings,
+      tools: {
+        ...localSettings.tools,
+        ...(field === "timeoutSeconds"
+          ? { timeoutMs: numValue * 1000 }
+          : { [field]: numValue }),
+      },
+    });
+  };
+
+  // Empty input means no limit, which the API expects as null
+  const handleBudgetChange = (field, value) => {
+    const numValue = value === "" ? null : Number(value);
+
+    if (numValue !== null && (Number.isNaN(numValue) || numValue <= 0)) {
+      setError("Budgets must be positive numbers, or empty for no limit");
+      return;
+    }
+
+    setError(null);
+    setLocalSettings({
+      ...localSettings,
+      usage: {
+        ...localSettings.usage,
+        budgets: {
+          ...localSettings.usage.budgets,
+          [field]: numValue,
+        },
+      },
+    });
+  };
+
+  const handleTrashRetentionChange = (value) => {
+    const numValue = Number(value);
+
+    if (value === "" || !Number.isInteger(numValue) || numValue < 0 || numValue > 3650) {
+      setError("Trash retention must be a whole number of days between 0 and 3650");
+      return;
+    }
+
+    setError(null);
+    setLocalSettings({
+      ...localSettings,
+      trash: { ...localSettings.trash, retentionDays: numValue },
+    });
+  };
+
+  // scope "chat" edits tools.approval, "proactive" edits proactive.toolApproval.
+  // A null toolName sets the default; an empty mode removes the tool's rule.
+  const handleApprovalChange = (scope, toolName, mode) => {
+    const section = scope === "proactive" ? "proactive" : "tools";
+    const key = scope === "proactive" ? "toolApproval" : "approval";
+    const policy = localSettings[section][key];
+
+    let updatedPolicy;
+    if (toolName === null) {
+      updatedPolicy = { ...policy, default: mode };
+    } else {
+      const rules = { ...policy.rules };
+      if (mode) {
+        rules[toolName] = mode;
+      } else {
+        delete rules[toolName];
+      }
+      updatedPolicy = { ...policy, rules };
+    }
+
+    setError(null);
+    setLocalSettings({
+      ...localSettings,
+      [section]: {
+        ...localSettings[section],
+        [key]: updatedPolicy,
+      },
+    });
+  };
+
+  const updateToolProfiles = (profiles, extraTools = {}) => {
+    setError(null);
+    setLocalSettings({
+      ...localSettings,
+      tools: {
+        ...localSettings.tools,
+        profiles,
+        ...extraTools,
+      },
+    });
+  };
+
+  const handleToolProfileToggle = (profileId, toolName) => {
+    const profile = localSettings.tools.profiles[profileId];
+    const tools = profile.tools.includes(toolName)
+      ? profile.tools.filter((name) => name !== toolName)
+      : [...profile.tools, toolName];
+    updateToolProfiles({
+      ...localSettings.tools.profiles,
+      [profileId]: { ...profile, tools },
+    });
+  };
+
+  // Picks up tools added or changed on the MCP servers since they were last listed
+  const handleRefreshTools = async () => {
+    setError(null);
+    setSuccessMessage(null);
+    try {
+      const result = await api.refreshTools();
+      await loadTools();
+      const changes = [
+        result.added.length && `${result.added.length} added`,
+        result.removed.length && `${result.removed.length} removed`,
+        result.changed.length && `${result.changed.length} changed`,
+      ].filter(Boolean);
+      setSuccessMessage(
+        changes.length ? `Tools refreshed: ${changes.join(", ")}` : "Tools refreshed: no changes",
+      );
+      setTimeout(() => setSuccessMessage(null), 3000);
+      if (result.errors.length) {
+        setError(result.errors.map((item) => `${item.server}: ${item.error}`).join("; "));
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddToolProfile = () => {
+    const name = prompt("Name for the new tool profile:");
+    if (!name?.trim()) return;
+
+    const profileId = name
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+    if (!profileId || profileId === "all" || localSettings.tools.profiles[profileId]) {
+      setError(`A tool profile with the id "${profileId}" can't be created`);
+      return;
+    }
+
+    updateToolProfiles({
+      ...localSettings.tools.profiles,
+      [profileId]: { label: name.trim(), tools: [] },
+    });
+  };
+
+  // Selections pointing at a deleted profile fall back to all tools
+  const handleDeleteToolProfile = (profileId) => {
+    const profile = localSettings.tools.profiles[profileId];
+    if (!confirm(`Delete the tool profile "${profile.label || profileId}"?`)) return;
+
+    const profiles = { ...localSettings.tools.profiles };
+    delete profiles[profileId];
+    const defaultProfile =
+      localSettings.tools.defaultProfile === profileId ? null : localSettings.tools.defaultProfile;
+
+    setError(null);
+    setLocalSettings({
+      ...localSettings,
+      tools: { ...localSettings.tools, profiles, defaultProfile },
+      proactive: {
+        ...localSettings.proactive,
+        toolProfile:
+          localSettings.proactive.toolProfile === profileId
+            ? null
+            : localSettings.proactive.toolProfile,
+      },
+    });
+  };
+
+  const handleProfileSelection = (scope, profileId) => {
+    setError(null);
+    if (scope === "proactive") {
+      setLocalSettings({
+        ...localSettings,
+        proactive: { ...localSettings.proactive, toolProfile: profileId || null },
+      });
+    } else {
+      updateToolProfiles(localSettings.tools.profiles, { defaultProfile: profileId || null });
+    }
+  };
+
   // Handle save
   const handleSave = async () => {
     setIsSaving(true);
@@ -107,6 +398,10 @@ function SettingsTab() {
       const updatedSettings = await api.updateSettings({
         compression: localSettings.compression,
         proactive: localSettings.proactive,
+        llm: localSettings.llm,
+        tools: localSettings.tools,
+        usage: localSettings.usage,
+        trash: localSettings.trash,
       });
 
       setCloudSettings(updatedSettings);
@@ -256,6 +551,49 @@ function SettingsTab() {
               className="setting-input"
             />
           </div>
+
+          <div className="setting-item">
+            <label>
+              <span className="setting-label">Summarizer Provider</span>
+              <span className="setting-description">
+                Provider used to write compression summaries. Leave on default to
+                use the main provider.
+              </span>
+            </label>
+            <select
+              value={localSettings.compression.summarizerProvider || ""}
+              onChange={(e) =>
+                handleSummarizerChange("summarizerProvider", e.target.value)
+              }
+              className="setting-input"
+            >
+              <option value="">Default</option>
+              {providers.map((provider) => (
+                <option key={provider.id} value={provider.id}>
+                  {provider.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="setting-item">
+            <label>
+              <span className="setting-label">Summarizer Model</span>
+              <span className="setting-description">
+                A cheaper model for summaries (e.g. glm-4-flash). Leave empty to use
+                the provider's default model.
+              </span>
+            </label>
+            <input
+              type="text"
+              value={localSettings.compression.summarizerModel || ""}
+              placeholder="default"
+              onChange={(e) =>
+                handleSummarizerChange("summarizerModel", e.target.value)
+              }
+              className="setting-input"
+            />
+          </div>
         </section>
 
         <section className="settings-section">
@@ -303,6 +641,27 @@ function SettingsTab() {
             />
           </div>
 
+          <div className="setting-item">
+            <label>
+              <span className="setting-label">Tool Rounds per Run</span>
+              <span className="setting-description">
+                Limit on tool rounds for unattended runs. Replaces the chat limit
+                under Tool Execution for proactive runs only.
+              </span>
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              step="1"
+              value={localSettings.proactive.maxToolRounds}
+              onChange={(e) =>
+                handleProactiveChange("maxToolRounds", e.target.value)
+              }
+              className="setting-input"
+            />
+          </div>
+
           <div className="setting-item">
             <div className="setting-info">
               <span className="setting-label">Proactive Prompt File</span>
@@ -313,6 +672,462 @@ function SettingsTab() {
           </div>
         </section>
 
+        {localSettings.llm && (
+          <section className="settings-section">
+            <h2>Model Provider</h2>
+            <p className="settings-section-description">
+              Choose which LLM backend answers new requests. Only providers whose
+              API key (or local server URL) is set in the backend environment are listed.
+            </p>
+
+            <div className="setting-item">
+              <label>
+                <span className="setting-label">Default Provider</span>
+                <span className="setting-description">
+                  Used by chats, proactive runs and compression unless a conversation
+                  selects its own provider.
+                </span>
+              </label>
+              <select
+                value={localSettings.llm.defaultProvider}
+                onChange={(e) => handleDefaultProviderChange(e.target.value)}
+                className="setting-input"
+              >
+                {!providers.some((p) => p.id === localSettings.llm.defaultProvider) && (
+                  <option value={localSettings.llm.defaultProvider}>
+                    {localSettings.llm.defaultProvider} (not configured)
+                  </option>
+                )}
+                {providers.map((provider) => (
+                  <option key={provider.id} value={provider.id}>
+                    {provider.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {providers
+              .filter((provider) => provider.id === localSettings.llm.defaultProvider)
+              .map((provider) => (
+                <div className="setting-item" key={provider.id}>
+                  <div className="setting-info">
+                    <span className="setting-label">Endpoint</span>
+                    <code className="setting-value">{provider.baseURL}</code>
+                  </div>
+                  <div className="setting-info">
+                    <span className="setting-label">Models</span>
+                    <code className="setting-value">
+                      {provider.models.length > 0
+                        ? provider.models.join(", ")
+                        : provider.defaultModel}
+                    </code>
+                  </div>
+                  <div className="setting-info">
+                    <span className="setting-label">Capabilities</span>
+                    <code className="setting-value">
+                      {Object.entries(provider.capabilities)
+                        .filter(([, enabled]) => enabled)
+                        .map(([name]) => name)
+                        .join(", ") || "none"}
+                    </code>
+                  </div>
+                </div>
+              ))}
+          </section>
+        )}
+
+        {localSettings.tools && (
+          <section className="settings-section">
+            <h2>Tool Execution</h2>
+            <p className="settings-section-description">
+              Tool calls requested in the same model turn run in parallel. Each call
+              is cancelled if it runs longer than its timeout, and the model is told
+              it timed out.
+            </p>
+
+            <div className="setting-item">
+              <label>
+                <span className="setting-label">Parallel Tool Calls</span>
+                <span className="setting-description">
+                  Maximum number of tools running at once. Set to 1 to run them one
+                  after another.
+                </span>
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="32"
+                step="1"
+                value={localSettings.tools.maxConcurrency}
+                onChange={(e) => handleToolSettingChange("maxConcurrency", e.target.value)}
+                className="setting-input"
+              />
+            </div>
+
+            <div className="setting-item">
+              <label>
+                <span className="setting-label">Tool Timeout (seconds)</span>
+                <span className="setting-description">
+                  Default time limit per tool call. Per-tool overrides can be set
+                  under tools.timeouts in settings.json.
+                </span>
+              </label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={Math.round(localSettings.tools.timeoutMs / 1000)}
+                onChange={(e) => handleToolSettingChange("timeoutSeconds", e.target.value)}
+                className="setting-input"
+              />
+            </div>
+
+            <div className="setting-item">
+              <label>
+                <span className="setting-label">Tool Rounds per Message</span>
+                <span className="setting-description">
+                  How many times the model may call tools before it has to answer.
+                  Stops runaway tool loops.
+                </span>
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                step="1"
+                value={localSettings.tools.maxRounds}
+                onChange={(e) => handleToolSettingChange("maxRounds", e.target.value)}
+                className="setting-input"
+              />
+            </div>
+
+            <div className="setting-item">
+              <label>
+                <span className="setting-label">Identical Calls per Message</span>
+                <span className="setting-description">
+                  Repeats of the same tool with the same arguments beyond this are
+                  skipped, and the model is told to use the earlier result.
+                </span>
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="20"
+                step="1"
+                value={localSettings.tools.maxIdenticalCalls}
+                onChange={(e) => handleToolSettingChange("maxIdenticalCalls", e.target.value)}
+                className="setting-input"
+              />
+            </div>
+
+            <div className="setting-item">
+              <label>
+                <span className="setting-label">Max Tool Result Size (characters)</span>
+                <span className="setting-description">
+                  Larger results are truncated before the model sees them, keeping the
+                  start and end with a note on how to fetch the rest. The chat still
+                  shows the full result.
+                </span>
+              </label>
+              <input
+                type="number"
+                min="1000"
+                step="1000"
+                value={localSettings.tools.maxResultChars}
+                onChange={(e) => handleToolSettingChange("maxResultChars", e.target.value)}
+                className="setting-input"
+              />
+            </div>
+
+            <div className="setting-item">
+              <label>
+                <span className="setting-label">Max Tool Result Rows</span>
+                <span className="setting-description">
+                  Rows kept from tables and lists when a result is truncated.
+                </span>
+              </label>
+              <input
+                type="number"
+                min="1"
+                step="10"
+                value={localSettings.tools.maxResultRows}
+                onChange={(e) => handleToolSettingChange("maxResultRows", e.target.value)}
+                className="setting-input"
+              />
+            </div>
+          </section>
+        )}
+
+        {localSettings.tools?.approval && localSettings.proactive?.toolApproval && (
+          <section className="settings-section">
+            <h2>Tool Approval</h2>
+            <p className="settings-section-description">
+              Decide which tools run automatically, which wait for you to approve
+              them in the chat, and which are never run. Proactive runs use the
+              stricter of the two columns; scheduled runs deny "Ask" tools because
+              nobody is there to approve them.
+            </p>
+
+            <div className="setting-item">
+              <label>
+                <span className="setting-label">Chat Default</span>
+                <span className="setting-description">
+                  Applies to tools without their own rule in chats.
+                </span>
+              </label>
+              <select
+                value={localSettings.tools.approval.default}
+                onChange={(e) => handleApprovalChange("chat", null, e.target.value)}
+                className="setting-input"
+              >
+                {APPROVAL_MODES.map((mode) => (
+                  <option key={mode.value} value={mode.value}>
+                    {mode.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="setting-item">
+              <label>
+                <span className="setting-label">Proactive Default</span>
+                <span className="setting-description">
+                  Applies to tools without their own proactive rule.
+                </span>
+              </label>
+              <select
+                value={localSettings.proactive.toolApproval.default}
+                onChange={(e) => handleApprovalChange("proactive", null, e.target.value)}
+                className="setting-input"
+              >
+                {APPROVAL_MODES.map((mode) => (
+                  <option key={mode.value} value={mode.value}>
+                    {mode.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {availableTools.length > 0 && (
+              <div className="setting-item">
+                <span className="setting-label">Per-Tool Rules</span>
+                <table className="tool-approval-table">
+                  <thead>
+                    <tr>
+                      <th>Tool</th>
+                      <th>Chat</th>
+                      <th>Proactive</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {availableTools.map((toolName) => (
+                      <tr key={toolName}>
+                        <td>
+                          <code>{toolName}</code>
+                        </td>
+                        {["chat", "proactive"].map((scope) => {
+                          const policy =
+                            scope === "proactive"
+                              ? localSettings.proactive.toolApproval
+                              : localSettings.tools.approval;
+                          return (
+                            <td key={scope}>
+                              <select
+                                value={policy.rules[toolName] || ""}
+                                onChange={(e) =>
+                                  handleApprovalChange(scope, toolName, e.target.value)
+                                }
+                                className="setting-input"
+                              >
+                                <option value="">Default</option>
+                                {APPROVAL_MODES.map((mode) => (
+                                  <option key={mode.value} value={mode.value}>
+                                    {mode.label}
+                                  </option>
+                                ))}
+                              </select>
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        )}
+
+        {localSettings.tools?.profiles && (
+          <section className="settings-section">
+            <h2>Tool Profiles</h2>
+            <p className="settings-section-description">
+              A profile is a named subset of tools. Only the tools in the selected
+              profile are sent to the model, which keeps requests smaller and stops
+              the model from reaching for tools it doesn't need. Conversations can
+              pick their own profile from the model settings bar.
+            </p>
+
+            {[
+              {
+                scope: "chat",
+                label: "Default Profile",
+                description: "Used by conversations that don't choose a profile.",
+                value: localSettings.tools.defaultProfile,
+              },
+              {
+                scope: "proactive",
+                label: "Proactive Profile",
+                description: "Used by proactive runs. Falls back to the default profile.",
+                value: localSettings.proactive?.toolProfile,
+              },
+            ].map(({ scope, label, description, value }) => (
+              <div className="setting-item" key={scope}>
+                <label>
+                  <span className="setting-label">{label}</span>
+                  <span className="setting-description">{description}</span>
+                </label>
+                <select
+                  value={value || ""}
+                  onChange={(e) => handleProfileSelection(scope, e.target.value)}
+                  className="setting-input"
+                >
+                  <option value="">{scope === "proactive" ? "Same as default" : "All tools"}</option>
+                  {scope === "proactive" && <option value="all">All tools</option>}
+                  {Object.entries(localSettings.tools.profiles).map(([id, profile]) => (
+                    <option key={id} value={id}>
+                      {profile.label || id}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+
+            {Object.entries(localSettings.tools.profiles).map(([profileId, profile]) => (
+              <div className="setting-item" key={profileId}>
+                <div className="tool-profile-header">
+                  <span className="setting-label">
+                    {profile.label || profileId} <code>{profileId}</code>
+                  </span>
+                  <div className="tool-profile-actions">
+                    <a
+                      href={`${API_URL}/api/tools/for-llm?profile=${encodeURIComponent(profileId)}`}
+                      target="_blank"
+                      rel="noreferrer"
+                      className="settings-button"
+                      title="Open the saved profile's tools payload"
+                    >
+                      Preview payload
+                    </a>
+                    <button
+                      className="settings-button"
+                      onClick={() => handleDeleteToolProfile(profileId)}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                <div className="tool-profile-tools">
+                  {availableTools.map((toolName) => (
+                    <label key={toolName} className="tool-profile-tool">
+                      <input
+                        type="checkbox"
+                        checked={profile.tools.includes(toolName)}
+                        onChange={() => handleToolProfileToggle(profileId, toolName)}
+                      />
+                      <code>{toolName}</code>
+                    </label>
+                  ))}
+                  {profile.tools
+                    .filter((pattern) => !availableTools.includes(pattern))
+                    .map((pattern) => (
+                      <label key={pattern} className="tool-profile-tool">
+                        <input
+                          type="checkbox"
+                          checked
+                          onChange={() => handleToolProfileToggle(profileId, pattern)}
+                        />
+                        <code>{pattern}</code>
+                      </label>
+                    ))}
+                </div>
+              </div>
+            ))}
+
+            <div className="tool-profile-actions">
+              <button className="settings-button" onClick={handleAddToolProfile}>
+                New Profile
+              </button>
+              <button
+                className="settings-button"
+                onClick={handleRefreshTools}
+                title="Re-list tools from the MCP servers"
+              >
+                Refresh Tools
+              </button>
+            </div>
+          </section>
+        )}
+
+        {localSettings.usage?.budgets && (
+          <section className="settings-section">
+            <h2>Usage Budgets</h2>
+            <p className="settings-section-description">
+              Scheduled proactive runs are skipped once a budget is used up (days and
+              months are UTC; chats, proactive runs and compression all count).
+              Leave a field empty for no limit. Costs use the model prices in
+              settings.json (<code>usage.prices</code>).
+            </p>
+
+            {[
+              { field: "dailyCostUsd", label: "Daily Cost (USD)", step: "0.5" },
+              { field: "monthlyCostUsd", label: "Monthly Cost (USD)", step: "1" },
+              { field: "dailyTokens", label: "Daily Tokens", step: "100000" },
+            ].map(({ field, label, step }) => (
+              <div key={field} className="setting-item">
+                <label>
+                  <span className="setting-label">{label}</span>
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step={step}
+                  placeholder="No limit"
+                  value={localSettings.usage.budgets[field] ?? ""}
+                  onChange={(e) => handleBudgetChange(field, e.target.value)}
+                  className="setting-input"
+                />
+              </div>
+            ))}
+          </section>
+        )}
+
+        {localSettings.trash && (
+          <section className="settings-section">
+            <h2>Trash</h2>
+            <p className="settings-section-description">
+              Deleted conversations stay in the trash, where they can be restored, for this
+              many days and are then deleted for good with their messages. 0 keeps them
+              until the trash is emptied.
+            </p>
+
+            <div className="setting-item">
+              <label>
+                <span className="setting-label">Retention (days)</span>
+              </label>
+              <input
+                type="number"
+                min="0"
+                max="3650"
+                step="1"
+                value={localSettings.trash.retentionDays}
+                onChange={(e) => handleTrashRetentionChange(e.target.value)}
+                className="setting-input"
+              />
+            </div>
+          </section>
+        )}
+
         <section className="settings-section">
           <h2>File Information</h2>
           <div className="setting-item">
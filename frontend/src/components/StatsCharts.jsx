@@ -0,0 +1,107 @@
+// Small dependency-free SVG charts shared by the Tools and Usage tabs
+import "./StatsTab.css";
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 140;
+
+// One stacked bar per point; `series` are drawn bottom to top
+export function StackedBarChart({ points, series, label }) {
+  const totalOf = (point) => series.reduce((sum, item) => sum + item.value(point), 0);
+  const max = Math.max(1, ...points.map(totalOf));
+  const slot = CHART_WIDTH / Math.max(1, points.length);
+  const barWidth = Math.max(1, slot * 0.8);
+  const scale = (value) => (value / max) * CHART_HEIGHT;
+
+  return (
+    <svg className="stats-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+      {points.map((point, index) => {
+        const x = index * slot + (slot - barWidth) / 2;
+        let top = CHART_HEIGHT;
+        return (
+          <g key={index}>
+            <title>{label(point)}</title>
+            {series.map((item) => {
+              const height = scale(item.value(point));
+              top -= height;
+              return <rect key={item.key} className={item.className} x={x} width={barWidth} y={top} height={height} />;
+            })}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// One polyline per series; points without a value break the line
+export function LineChart({ points, series, max, label }) {
+  const step = CHART_WIDTH / Math.max(1, points.length - 1);
+  const scale = (value) => CHART_HEIGHT - (value / max) * CHART_HEIGHT;
+
+  const segmentsFor = (getValue) => {
+    const segments = [];
+    let current = [];
+    points.forEach((point, index) => {
+      const value = getValue(point);
+      if (value === null || value === undefined) {
+        if (current.length) segments.push(current);
+        current = [];
+        return;
+      }
+      current.push([index * step, scale(value)]);
+    });
+    if (current.length) segments.push(current);
+    return segments;
+  };
+
+  return (
+    <svg className="stats-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+      {series.map((line) =>
+        segmentsFor(line.value).map((coords, index) =>
+          coords.length === 1 ? (
+            <circle key={`${line.key}-${index}`} className={line.className} cx={coords[0][0]} cy={coords[0][1]} r="2" />
+          ) : (
+            <polyline
+              key={`${line.key}-${index}`}
+              className={line.className}
+              points={coords.map(([x, y]) => `${x},${y}`).join(" ")}
+              vectorEffect="non-scaling-stroke"
+            />
+          ),
+        ),
+      )}
+      {points.map((point, index) => (
+        <rect key={index} x={index * step - step / 2} width={step} y="0" height={CHART_HEIGHT} fill="transparent">
+          <title>{label(point)}</title>
+        </rect>
+      ))}
+    </svg>
+  );
+}
+
+// Card with a title, legend, max-value label and first/last x-axis labels
+export function ChartCard({ title, legend, maxLabel, axis, children }) {
+  return (
+    <div className="stats-card stats-chart-card">
+      <div className="stats-card-header">
+        <span className="stats-card-title">{title}</span>
+        <span className="stats-legend">
+          {legend.map((item) => (
+            <span key={item.label} className={`stats-legend-item ${item.className}`}>
+              {item.label}
+            </span>
+          ))}
+        </span>
+      </div>
+      <div className="stats-chart-body">
+        <span className="stats-chart-max">{maxLabel}</span>
+        {children}
+      </div>
+      {axis && (
+        <div className="stats-chart-axis">
+          <span>{axis[0]}</span>
+          <span>{axis[1]}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,6 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
+import { api } from "../services/api";
+import { showToast } from "./Toast";
 import "./ToolCallSegment.css";
 
 // Status icons as SVG components (no emojis)
@@ -60,6 +62,36 @@ function FailedIcon() {
   );
 }
 
+function CancelledIcon() {
+  return (
+    <svg className="tool-call-icon cancelled" viewBox="0 0 24 24" width="16" height="16">
+      <circle cx="12" cy="12" r="10" fill="none" stroke="currentColor" strokeWidth="2" />
+      <path
+        d="M8 12h8"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="2"
+        strokeLinecap="round"
+      />
+    </svg>
+  );
+}
+
+function AwaitingIcon() {
+  return (
+    <svg className="tool-call-icon awaiting" viewBox="0 0 24 24" width="16" height="16">
+      <circle cx="12" cy="12" r="10" fill="none" stroke="currentColor" strokeWidth="2" />
+      <path
+        d="M10 8v8M14 8v8"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="2"
+        strokeLinecap="round"
+      />
+    </svg>
+  );
+}
+
 // Format JSON for display
 function formatJSON(obj) {
   if (!obj) return "";
@@ -70,17 +102,86 @@ function formatJSON(obj) {
   }
 }
 
+function isRunning(status) {
+  return status === "loading" || status === "starting" || status === "executing";
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  return `${(ms / 1000).toFixed(ms < 10000 ? 1 : 0)}s`;
+}
+
 export default function ToolCallSegment({
   toolName,
   args,
   result,
+  truncation,
   status,
   success,
   error,
+  errorType,
+  startedAt,
+  durationMs,
+  approvalId,
 }) {
   const [expanded, setExpanded] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const [editing, setEditing] = useState(false);
+  const [argsDraft, setArgsDraft] = useState("");
+  const [argsError, setArgsError] = useState(null);
+  const [answering, setAnswering] = useState(false);
+  const running = isRunning(status);
+  const awaitingApproval = status === "awaiting_approval" && !!approvalId;
+
+  // Tick while the tool runs so parallel calls each show their own elapsed time
+  useEffect(() => {
+    if (!running || !startedAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [running, startedAt]);
+
+  const startEditing = () => {
+    setArgsDraft(formatJSON(args) || "{}");
+    setArgsError(null);
+    setEditing(true);
+  };
+
+  const answer = async (decision) => {
+    let editedArgs;
+    if (decision === "approve" && editing) {
+      try {
+        editedArgs = JSON.parse(argsDraft);
+      } catch (err) {
+        setArgsError("Arguments must be valid JSON");
+        return;
+      }
+      if (!editedArgs || typeof editedArgs !== "object" || Array.isArray(editedArgs)) {
+        setArgsError("Arguments must be a JSON object");
+        return;
+      }
+    }
+
+    setAnswering(true);
+    try {
+      await api.resolveToolApproval(approvalId, { decision, args: editedArgs });
+      setEditing(false);
+    } catch (err) {
+      showToast(err.message, "error");
+    } finally {
+      setAnswering(false);
+    }
+  };
 
   const getStatusIcon = () => {
+    // Cancelled runs also carry success === false, so check them before errors
+    if (status === "cancelled") {
+      return <CancelledIcon />;
+    }
+
+    if (status === "awaiting_approval") {
+      return <AwaitingIcon />;
+    }
+
     // Check for error conditions first
     if (error || success === false) {
       return <FailedIcon />;
@@ -101,6 +202,14 @@ export default function ToolCallSegment({
   };
 
   const getStatusClass = () => {
+    if (status === "cancelled") {
+      return "cancelled";
+    }
+
+    if (status === "awaiting_approval") {
+      return "awaiting";
+    }
+
     // Check for error conditions first
     if (error || success === false) {
       return "failed";
@@ -121,6 +230,37 @@ export default function ToolCallSegment({
   };
 
   const getStatusText = () => {
+    if (status === "cancelled") {
+      return "cancelled";
+    }
+
+    if (status === "awaiting_approval") {
+      return "awaiting approval";
+    }
+
+    if (errorType === "timeout") {
+      return "timed out";
+    }
+
+    if (errorType === "denied") {
+      return "denied";
+    }
+
+    // The tool's MCP server is disconnected and reconnecting
+    if (errorType === "unavailable") {
+      return "server unavailable";
+    }
+
+    // Not executed: arguments were malformed or didn't match the tool's schema
+    if (errorType === "invalid_arguments") {
+      return "invalid arguments";
+    }
+
+    // Not executed: repeated identical call or over the per-turn tool limit
+    if (errorType === "repeated_call" || errorType === "tool_limit_reached") {
+      return "skipped";
+    }
+
     // Check for error conditions first
     if (error || success === false) {
       return "failed";
@@ -128,21 +268,84 @@ export default function ToolCallSegment({
     return status;
   };
 
+  const getDurationText = () => {
+    if (durationMs !== undefined && durationMs !== null) {
+      return formatDuration(durationMs);
+    }
+    if (running && startedAt) {
+      return formatDuration(Math.max(0, now - startedAt));
+    }
+    return null;
+  };
+
+  const durationText = getDurationText();
+
   return (
     <div className={`tool-call-segment ${getStatusClass()}`}>
       <button
         className="tool-call-header"
         onClick={() => setExpanded(!expanded)}
-        disabled={status === "loading" || status === "starting" || status === "executing"}
+        disabled={running}
       >
         <div className="tool-call-status-icon">{getStatusIcon()}</div>
         <span className="tool-call-name">{toolName}</span>
         <span className="tool-call-status-text">{getStatusText()}</span>
-        {status !== "loading" && status !== "starting" && status !== "executing" && (
+        {durationText && (
+          <span className="tool-call-duration">{durationText}</span>
+        )}
+        {!running && (
           <span className="expand-indicator">{expanded ? "▼" : "▶"}</span>
         )}
       </button>
 
+      {awaitingApproval && (
+        <div className="tool-call-approval">
+          <div className="tool-call-section-header">Approval required</div>
+          {editing ? (
+            <>
+              <textarea
+                className="tool-call-args-editor"
+                value={argsDraft}
+                onChange={(e) => {
+                  setArgsDraft(e.target.value);
+                  setArgsError(null);
+                }}
+                rows={Math.min(12, Math.max(3, argsDraft.split("\n").length))}
+                spellCheck={false}
+                disabled={answering}
+              />
+              {argsError && <div className="tool-call-args-error">{argsError}</div>}
+            </>
+          ) : (
+            <pre className="tool-call-json">
+              <code>{formatJSON(args)}</code>
+            </pre>
+          )}
+          <div className="tool-call-approval-actions">
+            <button
+              type="button"
+              className="approve"
+              onClick={() => answer("approve")}
+              disabled={answering}
+            >
+              {editing ? "Approve with edits" : "Approve"}
+            </button>
+            <button type="button" onClick={() => answer("deny")} disabled={answering}>
+              Deny
+            </button>
+            {editing ? (
+              <button type="button" onClick={() => setEditing(false)} disabled={answering}>
+                Discard edits
+              </button>
+            ) : (
+              <button type="button" onClick={startEditing} disabled={answering}>
+                Edit arguments
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       {expanded && (
         <div className="tool-call-details">
           <div className="tool-call-section">
@@ -157,6 +360,16 @@ export default function ToolCallSegment({
               <div className="tool-call-section-header">
                 {error ? "Error" : "Result"}
               </div>
+              {!error && truncation && (
+                <div className="tool-call-truncation">
+                  Truncated for the model: it saw about{" "}
+                  {truncation.keptChars.toLocaleString()} of{" "}
+                  {truncation.originalChars.toLocaleString()} characters
+                  {truncation.omittedRows > 0 &&
+                    `, ${truncation.omittedRows.toLocaleString()} rows omitted`}
+                  . Full result below.
+                </div>
+              )}
               <pre className={`tool-call-json ${error ? "error" : ""}`}>
                 <code>{error ? error : formatJSON(result)}</code>
               </pre>
@@ -0,0 +1,278 @@
+import { useState, useEffect } from "react";
+import { api } from "../services/api";
+import { StackedBarChart, LineChart, ChartCard } from "./StatsCharts";
+import "./StatsTab.css";
+
+const RANGES = [
+  { value: "1h", label: "Last hour" },
+  { value: "24h", label: "Last 24 hours" },
+  { value: "7d", label: "Last 7 days" },
+  { value: "30d", label: "Last 30 days" },
+  { value: "90d", label: "Last 90 days" },
+  { value: "all", label: "All time" },
+];
+
+const COLUMNS = [
+  { key: "tool", label: "Tool" },
+  { key: "calls", label: "Calls" },
+  { key: "failureRate", label: "Failure rate" },
+  { key: "rejected", label: "Rejected" },
+  { key: "p50", label: "p50" },
+  { key: "p95", label: "p95" },
+  { key: "p99", label: "p99" },
+  { key: "maxDurationMs", label: "Max" },
+  { key: "avgResultSize", label: "Avg result" },
+  { key: "truncated", label: "Truncated" },
+  { key: "lastUsedAt", label: "Last used" },
+];
+
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return "—";
+  if (ms < 1000) return `${ms}ms`;
+  return `${(ms / 1000).toFixed(ms < 10000 ? 1 : 0)}s`;
+}
+
+function formatPercent(rate) {
+  if (rate === null || rate === undefined) return "—";
+  return `${(rate * 100).toFixed(rate > 0 && rate < 0.1 ? 1 : 0)}%`;
+}
+
+function formatChars(chars) {
+  if (chars === null || chars === undefined) return "—";
+  if (chars < 1000) return `${chars}`;
+  return `${(chars / 1000).toFixed(chars < 10000 ? 1 : 0)}k`;
+}
+
+function formatBucket(bucket, unit) {
+  const date = new Date(unit === "hour" ? bucket : `${bucket}T00:00:00Z`);
+  return unit === "hour"
+    ? date.toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+function ToolStatsTab({ isActive = true }) {
+  const [range, setRange] = useState("7d");
+  const [stats, setStats] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState({ key: "calls", descending: true });
+
+  const loadStats = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setStats(await api.getToolStats(range));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Refresh whenever the tab is opened, since tool calls happen elsewhere
+  useEffect(() => {
+    if (isActive) {
+      loadStats();
+    }
+  }, [range, isActive]);
+
+  const handleSort = (key) => {
+    setSort((current) => ({
+      key,
+      descending: current.key === key ? !current.descending : key !== "tool",
+    }));
+  };
+
+  const tools = [...(stats?.tools || [])].sort((a, b) => {
+    const left = a[sort.key] ?? -Infinity;
+    const right = b[sort.key] ?? -Infinity;
+    const order = left < right ? -1 : left > right ? 1 : 0;
+    return sort.descending ? -order : order;
+  });
+
+  const timeline = stats?.timeline || [];
+  const unit = stats?.range.bucket;
+  const totals = stats?.totals;
+  const maxLatency = Math.max(1, ...timeline.map((point) => point.p95 ?? 0));
+  const failureRateOf = (point) => {
+    const executed = point.calls - point.rejected;
+    return executed > 0 ? point.failures / executed : null;
+  };
+  const maxFailureRate = Math.max(0.01, ...timeline.map((point) => failureRateOf(point) ?? 0));
+  const axis = timeline.length > 0
+    ? [formatBucket(timeline[0].bucket, unit), formatBucket(timeline[timeline.length - 1].bucket, unit)]
+    : null;
+
+  return (
+    <div className="tool-stats-tab">
+      <div className="tool-stats-header">
+        <select
+          className="stats-select"
+          value={range}
+          onChange={(e) => setRange(e.target.value)}
+          disabled={isLoading}
+        >
+          {RANGES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button className="stats-button" onClick={loadStats} disabled={isLoading}>
+          {isLoading ? "Loading..." : "Reload"}
+        </button>
+      </div>
+
+      <div className="tool-stats-content">
+        {error && <div className="stats-error">{error}</div>}
+
+        {totals && totals.calls === 0 && !isLoading && (
+          <div className="stats-empty">No tool calls in this range.</div>
+        )}
+
+        {totals && totals.calls > 0 && (
+          <>
+            <div className="stats-summary">
+              {[
+                { label: "Calls", value: totals.calls.toLocaleString() },
+                { label: "Failure rate", value: formatPercent(totals.failureRate) },
+                { label: "Timeouts", value: totals.timeouts.toLocaleString() },
+                { label: "Rejected", value: totals.rejected.toLocaleString() },
+                { label: "p50 latency", value: formatMs(totals.p50) },
+                { label: "p95 latency", value: formatMs(totals.p95) },
+                { label: "Avg result", value: `${formatChars(totals.avgResultSize)} chars` },
+                { label: "Truncated", value: totals.truncated.toLocaleString() },
+              ].map((item) => (
+                <div key={item.label} className="stats-card stats-summary-item">
+                  <span className="stats-summary-value">{item.value}</span>
+                  <span className="stats-summary-label">{item.label}</span>
+                </div>
+              ))}
+            </div>
+
+            <div className="stats-charts">
+              <ChartCard
+                title="Call volume"
+                legend={[
+                  { label: "ok", className: "legend-success" },
+                  { label: "failed", className: "legend-failure" },
+                  { label: "rejected", className: "legend-rejected" },
+                ]}
+                maxLabel={Math.max(...timeline.map((point) => point.calls)).toLocaleString()}
+                axis={axis}
+              >
+                <StackedBarChart
+                  points={timeline}
+                  series={[
+                    { key: "ok", className: "bar-success", value: (point) => point.calls - point.failures - point.rejected },
+                    { key: "failed", className: "bar-failure", value: (point) => point.failures },
+                    { key: "rejected", className: "bar-rejected", value: (point) => point.rejected },
+                  ]}
+                  label={(point) =>
+                    `${formatBucket(point.bucket, unit)}: ${point.calls} calls, ${point.failures} failed, ${point.rejected} rejected`
+                  }
+                />
+              </ChartCard>
+
+              <ChartCard
+                title="Failure rate"
+                legend={[{ label: "failed / ran", className: "legend-failure" }]}
+                maxLabel={formatPercent(maxFailureRate)}
+                axis={axis}
+              >
+                <LineChart
+                  points={timeline}
+                  series={[{ key: "rate", className: "line-failure", value: failureRateOf }]}
+                  max={maxFailureRate}
+                  label={(point) => `${formatBucket(point.bucket, unit)}: failure rate ${formatPercent(failureRateOf(point))}`}
+                />
+              </ChartCard>
+
+              <ChartCard
+                title="Latency"
+                legend={[
+                  { label: "p50", className: "legend-p50" },
+                  { label: "p95", className: "legend-p95" },
+                ]}
+                maxLabel={formatMs(maxLatency)}
+                axis={axis}
+              >
+                <LineChart
+                  points={timeline}
+                  series={[
+                    { key: "p50", className: "line-p50", value: (point) => point.p50 },
+                    { key: "p95", className: "line-p95", value: (point) => point.p95 },
+                  ]}
+                  max={maxLatency}
+                  label={(point) =>
+                    `${formatBucket(point.bucket, unit)}: p50 ${formatMs(point.p50)}, p95 ${formatMs(point.p95)}`
+                  }
+                />
+              </ChartCard>
+            </div>
+
+            <div className="stats-card">
+              <div className="stats-card-title">Tools</div>
+              <div className="stats-table-wrapper">
+                <table className="stats-table">
+                  <thead>
+                    <tr>
+                      {COLUMNS.map((column) => (
+                        <th key={column.key} onClick={() => handleSort(column.key)}>
+                          {column.label}
+                          {sort.key === column.key && (sort.descending ? " ▼" : " ▲")}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tools.map((tool) => (
+                      <tr key={tool.tool}>
+                        <td title={tool.lastError || undefined}>
+                          <span className="stats-tool-name">{tool.tool}</span>
+                          {tool.server && <span className="stats-tool-server">{tool.server}</span>}
+                        </td>
+                        <td>{tool.calls.toLocaleString()}</td>
+                        <td className={tool.failures > 0 ? "stats-bad" : ""}>
+                          {formatPercent(tool.failureRate)}
+                        </td>
+                        <td>{tool.rejected || "—"}</td>
+                        <td>{formatMs(tool.p50)}</td>
+                        <td>{formatMs(tool.p95)}</td>
+                        <td>{formatMs(tool.p99)}</td>
+                        <td>{formatMs(tool.maxDurationMs)}</td>
+                        <td>{formatChars(tool.avgResultSize)}</td>
+                        <td>{tool.truncated || "—"}</td>
+                        <td>{new Date(tool.lastUsedAt).toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {stats.recentFailures.length > 0 && (
+              <div className="stats-card">
+                <div className="stats-card-title">Recent failures</div>
+                <ul className="stats-failures">
+                  {stats.recentFailures.map((failure, index) => (
+                    <li key={`${failure.createdAt}-${index}`}>
+                      <span className="stats-tool-name">{failure.tool}</span>
+                      <span className="stats-failure-status">{failure.status}</span>
+                      <span className="stats-failure-time">
+                        {new Date(failure.createdAt).toLocaleString()}
+                      </span>
+                      <div className="stats-failure-error">{failure.error}</div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ToolStatsTab;
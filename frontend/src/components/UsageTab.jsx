@@ -0,0 +1,271 @@
+import { useState, useEffect } from "react";
+import { api } from "../services/api";
+import { StackedBarChart, ChartCard } from "./StatsCharts";
+import "./StatsTab.css";
+
+const RANGES = [
+  { value: "24h", label: "Last 24 hours" },
+  { value: "7d", label: "Last 7 days" },
+  { value: "30d", label: "Last 30 days" },
+  { value: "90d", label: "Last 90 days" },
+  { value: "all", label: "All time" },
+];
+
+const SOURCE_LABELS = {
+  chat: "Chat",
+  proactive: "Proactive",
+  compression: "Compression",
+  title: "Titles",
+};
+
+const BUDGET_LABELS = {
+  dailyCostUsd: { label: "Today's cost", period: "today", field: "costUsd" },
+  monthlyCostUsd: { label: "This month's cost", period: "month", field: "costUsd" },
+  dailyTokens: { label: "Today's tokens", period: "today", field: "totalTokens" },
+};
+
+export function formatTokens(tokens) {
+  if (!tokens) return "0";
+  if (tokens < 1000) return `${tokens}`;
+  if (tokens < 1000000) return `${(tokens / 1000).toFixed(tokens < 10000 ? 1 : 0)}k`;
+  return `${(tokens / 1000000).toFixed(2)}M`;
+}
+
+export function formatCost(costUsd) {
+  if (!costUsd) return "$0";
+  return `$${costUsd < 0.01 ? costUsd.toFixed(4) : costUsd.toFixed(2)}`;
+}
+
+function formatBudgetValue(name, value) {
+  return name === "dailyTokens" ? formatTokens(value) : formatCost(value);
+}
+
+function formatDay(day) {
+  return new Date(`${day}T00:00:00Z`).toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+// Requests with no price configured show up as a marker next to the cost
+function CostCell({ row }) {
+  return (
+    <td title={row.unpricedRequests ? `${row.unpricedRequests} request(s) without a configured price` : undefined}>
+      {formatCost(row.costUsd)}
+      {row.unpricedRequests > 0 && "*"}
+    </td>
+  );
+}
+
+function UsageTable({ title, rows, labelHeader, labelOf }) {
+  if (rows.length === 0) return null;
+  return (
+    <div className="stats-card">
+      <div className="stats-card-title">{title}</div>
+      <div className="stats-table-wrapper">
+        <table className="stats-table">
+          <thead>
+            <tr>
+              <th>{labelHeader}</th>
+              <th>Requests</th>
+              <th>Prompt</th>
+              <th>Completion</th>
+              <th>Total</th>
+              <th>Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={labelOf(row)}>
+                <td>
+                  <span className="stats-tool-name">{labelOf(row)}</span>
+                </td>
+                <td>{row.requests.toLocaleString()}</td>
+                <td>{formatTokens(row.promptTokens)}</td>
+                <td>{formatTokens(row.completionTokens)}</td>
+                <td>{formatTokens(row.totalTokens)}</td>
+                <CostCell row={row} />
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function UsageTab({ isActive = true }) {
+  const [range, setRange] = useState("30d");
+  const [usage, setUsage] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadUsage = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setUsage(await api.getUsage(range));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isActive) {
+      loadUsage();
+    }
+  }, [range, isActive]);
+
+  const totals = usage?.totals;
+  const byDay = usage?.byDay || [];
+  const budget = usage?.budget;
+  const activeBudgets = budget
+    ? Object.entries(budget.budgets).filter(([, limit]) => limit !== null && limit !== undefined)
+    : [];
+
+  return (
+    <div className="tool-stats-tab">
+      <div className="tool-stats-header">
+        <select
+          className="stats-select"
+          value={range}
+          onChange={(e) => setRange(e.target.value)}
+          disabled={isLoading}
+        >
+          {RANGES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button className="stats-button" onClick={loadUsage} disabled={isLoading}>
+          {isLoading ? "Loading..." : "Reload"}
+        </button>
+      </div>
+
+      <div className="tool-stats-content">
+        {error && <div className="stats-error">{error}</div>}
+
+        {activeBudgets.length > 0 && (
+          <div className="stats-card">
+            <div className="stats-card-title">
+              Budgets
+              {budget.exceeded.length > 0 && (
+                <span className="stats-budget-warning">scheduled proactive runs are paused</span>
+              )}
+            </div>
+            <div className="stats-budgets">
+              {activeBudgets.map(([name, limit]) => {
+                const { label, period, field } = BUDGET_LABELS[name];
+                const used = budget[period][field];
+                const exceeded = budget.exceeded.includes(name);
+                return (
+                  <div key={name} className="stats-budget">
+                    <div className="stats-budget-label">
+                      <span>{label}</span>
+                      <span className={exceeded ? "stats-bad" : ""}>
+                        {formatBudgetValue(name, used)} / {formatBudgetValue(name, limit)}
+                      </span>
+                    </div>
+                    <div className="stats-budget-bar">
+                      <div
+                        className={`stats-budget-fill ${exceeded ? "exceeded" : ""}`}
+                        style={{ width: `${Math.min(100, (used / limit) * 100)}%` }}
+                      />
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {totals && totals.requests === 0 && !isLoading && (
+          <div className="stats-empty">No model requests in this range.</div>
+        )}
+
+        {totals && totals.requests > 0 && (
+          <>
+            <div className="stats-summary">
+              {[
+                { label: "Requests", value: totals.requests.toLocaleString() },
+                { label: "Prompt tokens", value: formatTokens(totals.promptTokens) },
+                { label: "Completion tokens", value: formatTokens(totals.completionTokens) },
+                { label: "Total tokens", value: formatTokens(totals.totalTokens) },
+                { label: "Cost", value: formatCost(totals.costUsd) },
+                { label: "Unpriced requests", value: totals.unpricedRequests.toLocaleString() },
+              ].map((item) => (
+                <div key={item.label} className="stats-card stats-summary-item">
+                  <span className="stats-summary-value">{item.value}</span>
+                  <span className="stats-summary-label">{item.label}</span>
+                </div>
+              ))}
+            </div>
+
+            <div className="stats-charts">
+              <ChartCard
+                title="Tokens per day"
+                legend={[
+                  { label: "prompt", className: "legend-success" },
+                  { label: "completion", className: "legend-p95" },
+                ]}
+                maxLabel={formatTokens(Math.max(...byDay.map((day) => day.totalTokens)))}
+                axis={byDay.length > 0 ? [formatDay(byDay[0].day), formatDay(byDay[byDay.length - 1].day)] : null}
+              >
+                <StackedBarChart
+                  points={byDay}
+                  series={[
+                    { key: "prompt", className: "bar-success", value: (day) => day.promptTokens },
+                    { key: "completion", className: "bar-completion", value: (day) => day.completionTokens },
+                  ]}
+                  label={(day) =>
+                    `${formatDay(day.day)}: ${formatTokens(day.promptTokens)} prompt, ${formatTokens(day.completionTokens)} completion`
+                  }
+                />
+              </ChartCard>
+
+              <ChartCard
+                title="Cost per day"
+                legend={[{ label: "USD", className: "legend-success" }]}
+                maxLabel={formatCost(Math.max(...byDay.map((day) => day.costUsd)))}
+                axis={byDay.length > 0 ? [formatDay(byDay[0].day), formatDay(byDay[byDay.length - 1].day)] : null}
+              >
+                <StackedBarChart
+                  points={byDay}
+                  series={[{ key: "cost", className: "bar-success", value: (day) => day.costUsd }]}
+                  label={(day) => `${formatDay(day.day)}: ${formatCost(day.costUsd)} (${day.requests} requests)`}
+                />
+              </ChartCard>
+            </div>
+
+            <UsageTable
+              title="By source"
+              rows={usage.bySource}
+              labelHeader="Source"
+              labelOf={(row) => SOURCE_LABELS[row.source] || row.source}
+            />
+            <UsageTable
+              title="By model"
+              rows={usage.byModel}
+              labelHeader="Model"
+              labelOf={(row) => `${row.provider}/${row.model}`}
+            />
+            <UsageTable
+              title="Top conversations"
+              rows={usage.conversations}
+              labelHeader="Conversation"
+              labelOf={(row) => row.conversationId}
+            />
+
+            {totals.unpricedRequests > 0 && (
+              <div className="stats-note">
+                * Some requests used models without a price in <code>usage.prices</code>; their cost is not included.
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default UsageTab;
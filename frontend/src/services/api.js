@@ -35,14 +35,19 @@ export const api = {
     return response.json();
   },
 
-  async streamMessage(message, conversationId = 'default', onChunk, onToolCall, onUsage, onCompression, onCompressionStart, signal) {
+  async streamMessage(message, conversationId = 'default', onChunk, onToolCall, onUsage, onCompression, onCompressionStart, signal, onCancelled, onRetrying, onToolLimit, attachments = [], onTitle) {
     // Note: Using fetch with ReadableStream instead of EventSource for POST support
     const response = await fetch(`${API_URL}/api/chat/stream`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ message, conversationId }),
+      body: JSON.stringify({
+        message,
+        conversationId,
+        // MCP resources attached in the composer: [{ server, uri }]
+        ...(attachments.length > 0 ? { attachments } : {}),
+      }),
       signal, // Add abort signal support
     });
 
@@ -79,14 +84,24 @@ export const api = {
 
             if (data.type === 'content') {
               onChunk?.(data.content, data.segmentIndex);
-            } else if (data.type === 'tool_call') {
+            } else if (data.type === 'tool_call' || data.type === 'approval_required') {
+              // approval_required carries the paused call (status 'awaiting_approval', approvalId)
               onToolCall?.(data, data.segmentIndex);
             } else if (data.type === 'usage') {
-              onUsage?.(data.usage);
+              onUsage?.(data.usage, data.rateLimit);
             } else if (data.type === 'compression_start') {
               onCompressionStart?.();
             } else if (data.type === 'compression') {
               onCompression?.(data);
+            } else if (data.type === 'cancelled') {
+              onCancelled?.(data);
+            } else if (data.type === 'retrying') {
+              onRetrying?.(data);
+            } else if (data.type === 'tool_limit_reached') {
+              onToolLimit?.(data, data.segmentIndex);
+            } else if (data.type === 'title') {
+              // Sent after the first exchange once the conversation has been named
+              onTitle?.(data);
             } else if (data.type === 'done') {
               return;
             } else if (data.type === 'error') {
@@ -100,6 +115,17 @@ export const api = {
     }
   },
 
+  async cancelStream(conversationId) {
+    const response = await fetch(`${API_URL}/api/chat/stream/${conversationId}/cancel`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to cancel run');
+    }
+    return response.json();
+  },
+
   async getConversations() {
     const response = await fetch(`${API_URL}/api/chat/conversations`);
     return response.json();
@@ -119,6 +145,120 @@ export const api = {
     return response.json();
   },
 
+  async updateConversationOptions(id, options) {
+    const response = await fetch(`${API_URL}/api/chat/history/${id}/options`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(options),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to update conversation options');
+    }
+    return response.json();
+  },
+
+  async renameConversation(id, title, shortSummary) {
+    const response = await fetch(`${API_URL}/api/chat/history/${id}/title`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title, shortSummary }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to rename conversation');
+    }
+    return response.json(); // Returns { id, title, shortSummary }
+  },
+
+  async generateConversationTitle(id) {
+    const response = await fetch(`${API_URL}/api/chat/history/${id}/title/generate`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to generate title');
+    }
+    return response.json(); // Returns { id, title, shortSummary }
+  },
+
+  async getConversationList(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(filters)) {
+      if (value !== null && value !== undefined && value !== '') {
+        params.set(name, String(value));
+      }
+    }
+    const response = await fetch(`${API_URL}/api/chat/history?${params}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to load conversations');
+    }
+    return response.json(); // Returns { conversations: [...] }
+  },
+
+  async updateConversationOrganization(id, changes) {
+    const response = await fetch(`${API_URL}/api/chat/history/${id}/organization`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to update conversation');
+    }
+    return response.json(); // Returns { id, folderId, pinned, archived, tags, ... }
+  },
+
+  async getFolders() {
+    const response = await fetch(`${API_URL}/api/chat/folders`);
+    if (!response.ok) throw new Error('Failed to fetch folders');
+    return response.json(); // Returns { folders: [...] }
+  },
+
+  async createFolder(name) {
+    const response = await fetch(`${API_URL}/api/chat/folders`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to create folder');
+    }
+    return response.json();
+  },
+
+  async renameFolder(id, name) {
+    const response = await fetch(`${API_URL}/api/chat/folders/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to rename folder');
+    }
+    return response.json();
+  },
+
+  async deleteFolder(id) {
+    const response = await fetch(`${API_URL}/api/chat/folders/${id}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to delete folder');
+    }
+    return response.json();
+  },
+
+  async getTags() {
+    const response = await fetch(`${API_URL}/api/chat/tags`);
+    if (!response.ok) throw new Error('Failed to fetch tags');
+    return response.json(); // Returns { tags: [{ tag, count }] }
+  },
+
   async deleteConversationHistory(id) {
     const response = await fetch(`${API_URL}/api/chat/history/${id}`, {
       method: 'DELETE',
@@ -130,6 +270,54 @@ export const api = {
     return response.json();
   },
 
+  async deleteConversationPermanently(id) {
+    const response = await fetch(`${API_URL}/api/chat/history/${id}?permanent=true`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to delete conversation');
+    }
+    return response.json();
+  },
+
+  async restoreConversation(id) {
+    const response = await fetch(`${API_URL}/api/chat/history/${id}/restore`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to restore conversation');
+    }
+    return response.json();
+  },
+
+  // Export downloads are plain links so the browser streams them to a file
+  getConversationExportUrl(id, format) {
+    return `${API_URL}/api/chat/history/${id}/export?format=${format}`;
+  },
+
+  getExportAllUrl(format) {
+    return `${API_URL}/api/chat/export?format=${format}`;
+  },
+
+  async getTrash() {
+    const response = await fetch(`${API_URL}/api/chat/trash`);
+    if (!response.ok) throw new Error('Failed to fetch trash');
+    return response.json(); // Returns { retentionDays, conversations: [{ id, title, deletedAt, purgeAt, ... }] }
+  },
+
+  async emptyTrash() {
+    const response = await fetch(`${API_URL}/api/chat/trash`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to empty trash');
+    }
+    return response.json();
+  },
+
   async deleteConversation(id) {
     const response = await fetch(`${API_URL}/api/chat/conversations/${id}`, {
       method: 'DELETE',
@@ -153,11 +341,67 @@ export const api = {
     return response.json();
   },
 
+  // Answer a paused tool call; args replaces the model's arguments when approving
+  async resolveToolApproval(approvalId, { decision, args, reason } = {}) {
+    const response = await fetch(`${API_URL}/api/chat/approvals/${approvalId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ decision, args, reason }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to answer tool approval');
+    }
+    return response.json();
+  },
+
+  async getPendingApprovals(conversationId) {
+    const query = conversationId ? `?conversationId=${encodeURIComponent(conversationId)}` : '';
+    const response = await fetch(`${API_URL}/api/chat/approvals${query}`);
+    if (!response.ok) throw new Error('Failed to fetch pending approvals');
+    return response.json();
+  },
+
   async getTools() {
     const response = await fetch(`${API_URL}/api/tools`);
     return response.json();
   },
 
+  async refreshTools(server = null) {
+    const query = server ? `?server=${encodeURIComponent(server)}` : '';
+    const response = await fetch(`${API_URL}/api/tools/refresh${query}`, { method: 'POST' });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to refresh tools');
+    }
+    return response.json();
+  },
+
+  async getResources() {
+    const response = await fetch(`${API_URL}/api/resources`);
+    if (!response.ok) throw new Error('Failed to fetch resources');
+    return response.json();
+  },
+
+  async getPrompts() {
+    const response = await fetch(`${API_URL}/api/prompts`);
+    if (!response.ok) throw new Error('Failed to fetch prompts');
+    return response.json();
+  },
+
+  async renderPrompt(name, args = {}) {
+    const response = await fetch(`${API_URL}/api/prompts/${encodeURIComponent(name)}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ arguments: args }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to render prompt');
+    }
+    return response.json();
+  },
+
   async healthCheck() {
     const response = await fetch(`${API_URL}/health`);
     return response.json();
@@ -240,6 +484,120 @@ export const api = {
     return response.json();
   },
 
+  async getProviders() {
+    const response = await fetch(`${API_URL}/api/chat/providers`);
+    if (!response.ok) throw new Error('Failed to fetch LLM providers');
+    return response.json();
+  },
+
+  async getRateLimits(provider = null) {
+    const query = `?provider=${encodeURIComponent(provider || '')}`;
+    const response = await fetch(`${API_URL}/api/chat/rate-limits${query}`);
+    if (!response.ok) throw new Error('Failed to fetch rate limits');
+    return response.json();
+  },
+
+  async getToolStats(range = '7d', tool = null) {
+    const params = new URLSearchParams({ range });
+    if (tool) params.set('tool', tool);
+    const response = await fetch(`${API_URL}/api/stats/tools?${params}`);
+    if (!response.ok) throw new Error('Failed to fetch tool stats');
+    return response.json();
+  },
+
+  async getUsage(range = '30d') {
+    const response = await fetch(`${API_URL}/api/stats/usage?range=${encodeURIComponent(range)}`);
+    if (!response.ok) throw new Error('Failed to fetch usage');
+    return response.json();
+  },
+
+  async getConversationUsage(conversationId) {
+    const response = await fetch(`${API_URL}/api/stats/usage/conversations/${encodeURIComponent(conversationId)}`);
+    if (!response.ok) throw new Error('Failed to fetch conversation usage');
+    return response.json();
+  },
+
+  async getContextTokens(conversationId) {
+    const response = await fetch(`${API_URL}/api/chat/conversations/${encodeURIComponent(conversationId)}/context/tokens`);
+    if (!response.ok) throw new Error('Failed to count context tokens');
+    return response.json();
+  },
+
+  async searchMessages(query, filters = {}) {
+    const params = new URLSearchParams({ q: query });
+    for (const [name, value] of Object.entries(filters)) {
+      if (value !== null && value !== undefined && value !== '') {
+        params.set(name, String(value));
+      }
+    }
+    const response = await fetch(`${API_URL}/api/chat/search?${params}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Search failed');
+    }
+    return response.json(); // Returns { results: [...], total }
+  },
+
+  async getCompressionSummaries(conversationId) {
+    const response = await fetch(`${API_URL}/api/chat/conversations/${encodeURIComponent(conversationId)}/summaries`);
+    if (!response.ok) throw new Error('Failed to fetch compression summaries');
+    return response.json(); // Returns { summaries: [...], active }
+  },
+
+  async getCompressionSummaryVersions(conversationId, summaryId) {
+    const response = await fetch(`${API_URL}/api/chat/conversations/${encodeURIComponent(conversationId)}/summaries/${summaryId}/versions`);
+    if (!response.ok) throw new Error('Failed to fetch summary history');
+    return response.json(); // Returns { versions: [...] }
+  },
+
+  async updateCompressionSummary(conversationId, summaryId, summary) {
+    const response = await fetch(`${API_URL}/api/chat/conversations/${encodeURIComponent(conversationId)}/summaries/${summaryId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ summary }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to update summary');
+    }
+    return response.json();
+  },
+
+  async regenerateCompressionSummary(conversationId, summaryId, instruction = null) {
+    const response = await fetch(`${API_URL}/api/chat/conversations/${encodeURIComponent(conversationId)}/summaries/${summaryId}/regenerate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ instruction }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to regenerate summary');
+    }
+    return response.json();
+  },
+
+  async rollbackCompressionSummary(conversationId, summaryId) {
+    const response = await fetch(`${API_URL}/api/chat/conversations/${encodeURIComponent(conversationId)}/summaries/${summaryId}/rollback`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to roll back compression');
+    }
+    return response.json(); // Returns { rolledBack, active, compressedMessageCount }
+  },
+
+  async undoCompression(conversationId) {
+    const response = await fetch(`${API_URL}/api/chat/conversations/${encodeURIComponent(conversationId)}/compression`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to undo compression');
+    }
+    return response.json(); // Returns { rolledBack, active, compressedMessageCount }
+  },
+
   async getProactiveStatus() {
     const response = await fetch(`${API_URL}/api/chat/proactive/status`);
     if (!response.ok) throw new Error('Failed to fetch proactive status');